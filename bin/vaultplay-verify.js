@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * VaultPlay Draw Verifier (offline)
+ * =================================
+ * Re-runs a published audit bundle with the worker's own draw core and prints
+ * a verification report, without calling the worker or trusting its output.
+ *
+ * Usage:
+ *   vaultplay-verify <draw.json | -> [--bundle-hash <hex>] [--keys <vaultplay-keys.json>] [--json]
+ *
+ * The input may be an audit bundle (draw.json from the history repository),
+ * a /verify request body ({bundle, bundleHash}) or a full /startdraw response
+ * ({audit: {bundle, bundleHash}}). Use "-" to read from standard input.
+ *
+ * drand beacons are checked against the default chain; set DRAND_CHAIN_HASH,
+ * DRAND_PUBLIC_KEY and DRAND_SCHEME (as for the worker) to verify draws made
+ * on another chain.
+ *
+ * The bundle's Ed25519 signature is checked against the key set given with
+ * --keys (a saved copy of the worker's /.well-known/vaultplay-keys.json). Without
+ * it the signature check is skipped: the draw may reproduce, but the report
+ * cannot show that the worker produced the bundle.
+ *
+ * Exit codes: 0 verified, 1 verification failed, 2 usage or input error.
+ */
+
+import { readFile } from "node:fs/promises";
+import { validateAuditBundleStructure, verifyAuditBundle, ALGORITHM } from "../src/core.js";
+
+const EXIT_CODES = {
+  VERIFIED: 0,
+  FAILED: 1,
+  USAGE: 2
+};
+
+const USAGE = "Usage: vaultplay-verify <draw.json | -> [--bundle-hash <hex>] [--keys <vaultplay-keys.json>] [--json]";
+
+/**
+ * Raised for bad arguments or unreadable input (exit code 2)
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} {input, bundleHash, keys, json, help}
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseArgs(args) {
+  const options = { input: null, bundleHash: null, keys: null, json: false, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--bundle-hash") {
+      const value = args[++i];
+      if (!value || !/^[0-9a-f]{64}$/.test(value)) {
+        throw new UsageError("--bundle-hash must be a 64-character lowercase hex SHA-256 hash");
+      }
+      options.bundleHash = value;
+    } else if (arg === "--keys") {
+      const value = args[++i];
+      if (!value || value.startsWith("--")) {
+        throw new UsageError("--keys requires a key set file");
+      }
+      options.keys = value;
+    } else if (arg.startsWith("--")) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else if (options.input === null) {
+      options.input = arg;
+    } else {
+      throw new UsageError("Only one input file may be given");
+    }
+  }
+
+  if (!options.help && options.input === null) {
+    throw new UsageError("An input file is required");
+  }
+
+  return options;
+}
+
+/**
+ * Read and parse the input document
+ * @param {string} input - File path, or "-" for standard input
+ * @returns {Promise<Object>} Parsed JSON
+ * @throws {UsageError} If the input cannot be read or is not JSON
+ */
+async function readInput(input) {
+  let text;
+  try {
+    text = input === "-" ? await readStdin() : await readFile(input, "utf8");
+  } catch (error) {
+    throw new UsageError(`Cannot read ${input === "-" ? "standard input" : input}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Input is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Read standard input to the end
+ * @returns {Promise<string>} UTF-8 text
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Read the public keys bundles may be signed with
+ * @param {string} path - Key set file ({keys: [{keyId, publicKey, retiredAt}]})
+ * @returns {Promise<Array<Object>>} Public keys
+ * @throws {UsageError} If the file cannot be read or holds no key list
+ */
+async function readPublicKeys(path) {
+  let document;
+  try {
+    document = JSON.parse(await readFile(path, "utf8"));
+  } catch (error) {
+    throw new UsageError(`Cannot read key set ${path}: ${error.message}`);
+  }
+  if (!Array.isArray(document?.keys)) {
+    throw new UsageError(`Key set ${path} has no 'keys' array`);
+  }
+  return document.keys;
+}
+
+/**
+ * Find the audit bundle (and any bundle hash it was published with) in a document
+ * @param {Object} document - Bundle, /verify body or /startdraw response
+ * @returns {Object} {bundle, bundleHash}
+ */
+function extractBundle(document) {
+  if (document?.audit?.bundle) {
+    return { bundle: document.audit.bundle, bundleHash: document.audit.bundleHash || null };
+  }
+  if (document?.bundle) {
+    return { bundle: document.bundle, bundleHash: document.bundleHash || null };
+  }
+  return { bundle: document, bundleHash: null };
+}
+
+/**
+ * Format a verification report for the terminal
+ * @param {Object} bundle - Verified audit bundle
+ * @param {Object} report - Report from verifyAuditBundle
+ * @returns {string} Report text
+ */
+function formatReport(bundle, report) {
+  const lines = [
+    `Competition: ${bundle.competition?.name || "(unnamed)"} (${bundle.competition?.id || "no id"})`,
+    `Drawn at:    ${bundle.draw?.timestamp || "unknown"}`,
+    `Algorithm:   ${bundle.verification?.algorithm || bundle.draw?.workerVersion || "unknown"} (verifier ${ALGORITHM.VERSION})`,
+    ""
+  ];
+
+  for (const [name, check] of Object.entries(report.checks)) {
+    if (check.skipped) {
+      lines.push(`  -  ${name}: skipped (${check.reason})`);
+    } else if (check.passed) {
+      lines.push(`  ✓  ${name}`);
+    } else {
+      lines.push(`  ✗  ${name}: ${describeFailure(check)}`);
+    }
+  }
+
+  lines.push("", report.verified ? "VERIFIED: the draw reproduces from its audit bundle" : "FAILED: the audit bundle does not reproduce");
+  if (report.verified) {
+    lines.push(report.authenticated
+      ? `AUTHENTIC: signed by worker key ${report.checks.signature.keyId}`
+      : "NOT AUTHENTICATED: the bundle's signature was not checked against a worker key");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * One-line description of a failed check
+ * @param {Object} check - Failed check from the report
+ * @returns {string} Description
+ */
+function describeFailure(check) {
+  if (check.reason) {
+    return check.reason;
+  }
+  const mismatch = check.firstMismatch || check.firstDivergence;
+  if (mismatch) {
+    return `first mismatch ${JSON.stringify(mismatch)}`;
+  }
+  if (check.expected !== undefined) {
+    return `expected ${JSON.stringify(check.expected)}, got ${JSON.stringify(check.actual)}`;
+  }
+  return "mismatch";
+}
+
+/**
+ * Run the verifier
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.VERIFIED;
+  }
+
+  try {
+    const { bundle, bundleHash } = extractBundle(await readInput(options.input));
+
+    const structureError = validateAuditBundleStructure(bundle);
+    if (structureError) {
+      throw new UsageError(`Not an audit bundle: ${structureError}`);
+    }
+
+    const publicKeys = options.keys ? await readPublicKeys(options.keys) : undefined;
+    const report = await verifyAuditBundle(bundle, options.bundleHash || bundleHash || undefined, process.env, { publicKeys });
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...report, verifiedAt: new Date().toISOString(), verifier: ALGORITHM.VERSION }, null, 2));
+    } else {
+      console.log(formatReport(bundle, report));
+    }
+
+    return report.verified ? EXIT_CODES.VERIFIED : EXIT_CODES.FAILED;
+  } catch (error) {
+    console.error(error.message);
+    return error instanceof UsageError ? EXIT_CODES.USAGE : EXIT_CODES.FAILED;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,173 @@
+/**
+ * VaultPlay Draw Worker - Algorithm Registry
+ * ==========================================
+ * Every version of the draw algorithm the worker has published, keyed by the
+ * version string recorded in audit bundles (verification.algorithm).
+ *
+ * A version fixes everything that decides a draw's outcome or its published
+ * checksums: how entries are scored, how they are ranked (including
+ * tie-breaks), how the results checksum is formed and how JSON structures are
+ * serialized for hashing (bundle hash, entries hash, Merkle leaves and
+ * commitment hash). New draws use
+ * DEFAULT_ALGORITHM_VERSION unless the request pins another version, and
+ * verification replays each bundle with the version it was drawn under.
+ *
+ * Released versions are never changed or removed. A change to any of the
+ * above is a new version with a new entry here, so every published draw.json
+ * stays reproducible with current code.
+ */
+
+import { canonicalize, CANONICALIZATION } from "./canonicalJson.js";
+
+export const DEFAULT_ALGORITHM_VERSION = "VaultPlay Draw v1.5";
+
+// Shared by every version so far
+const SCORING_METHOD = "scoreHex = SHA-256(seed || entryCode), score = scoreHex as a 256-bit integer";
+const CHECKSUM_METHOD = "First 16 hex characters of SHA-256 over rank:entryCode:scoreHex for each result, joined with |";
+const FULL_CHECKSUM_METHOD = "SHA-256 (all 64 hex characters) over rank:entryCode:scoreHex for each result, joined with |";
+const WEIGHTED_RANKING_METHOD = "Exponential-key weighted sampling: u = (int(scoreHex[0:13], 16) + 0.5) / 2^52, " +
+  "key = ln(u) / weight (IEEE-754 double, natural log); qualified entries ranked by key descending, " +
+  "ties broken by score descending then entryCode (UTF-16 code unit order)";
+const LEGACY_SERIALIZATION = "JSON.stringify (property insertion order, BigInt as decimal string)";
+
+const ALGORITHMS = {
+  // v1.3 (October 2025): unweighted ranking by score. Entry codes are
+  // compared with String.prototype.localeCompare, as the v1.3 worker did.
+  "VaultPlay Draw v1.3": {
+    version: "VaultPlay Draw v1.3",
+    hashFunction: "SHA-256",
+    supportsWeights: false,
+    methods: {
+      scoring: SCORING_METHOD,
+      ranking: "Qualified entries ranked by score descending, " +
+        "ties broken by entryCode (String.prototype.localeCompare)",
+      checksum: CHECKSUM_METHOD
+    },
+    canonicalization: LEGACY_SERIALIZATION,
+    serialize: serializeInsertionOrder,
+    scoreInput: scoreSeedThenEntryCode,
+    rankKey: entry => entry.score,
+    compareRankKeys(a, b) {
+      if (a.key > b.key) return -1;
+      if (a.key < b.key) return 1;
+      return a.entry.entryCode.localeCompare(b.entry.entryCode);
+    },
+    checksumInput: rankCodeScoreChecksumInput,
+    checksumLength: 16
+  },
+
+  // v1.4: exponential-key weighted sampling, locale-independent tie-breaks
+  "VaultPlay Draw v1.4": {
+    version: "VaultPlay Draw v1.4",
+    hashFunction: "SHA-256",
+    supportsWeights: true,
+    methods: {
+      scoring: SCORING_METHOD,
+      ranking: WEIGHTED_RANKING_METHOD,
+      checksum: CHECKSUM_METHOD
+    },
+    canonicalization: LEGACY_SERIALIZATION,
+    serialize: serializeInsertionOrder,
+    scoreInput: scoreSeedThenEntryCode,
+    rankKey: weightedKey,
+    compareRankKeys: compareWeightedKeys,
+    checksumInput: rankCodeScoreChecksumInput,
+    checksumLength: 16
+  },
+
+  // v1.5: v1.4 ranking; RFC 8785 canonical JSON for every hash and full-length
+  // results checksums, so verifiers in any language reproduce them byte for byte
+  "VaultPlay Draw v1.5": {
+    version: "VaultPlay Draw v1.5",
+    hashFunction: "SHA-256",
+    supportsWeights: true,
+    methods: {
+      scoring: SCORING_METHOD,
+      ranking: WEIGHTED_RANKING_METHOD,
+      checksum: FULL_CHECKSUM_METHOD
+    },
+    canonicalization: CANONICALIZATION,
+    serialize: canonicalize,
+    scoreInput: scoreSeedThenEntryCode,
+    rankKey: weightedKey,
+    compareRankKeys: compareWeightedKeys,
+    checksumInput: rankCodeScoreChecksumInput,
+    checksumLength: 64
+  }
+};
+
+/**
+ * Look up an algorithm implementation
+ * @param {string} version - Version string (e.g. "VaultPlay Draw v1.4")
+ * @returns {Object|null} Implementation {version, hashFunction, supportsWeights, methods,
+ *   canonicalization, serialize, scoreInput, rankKey, compareRankKeys, checksumInput,
+ *   checksumLength}, or null if unknown
+ */
+export function getAlgorithm(version) {
+  return Object.prototype.hasOwnProperty.call(ALGORITHMS, version) ? ALGORITHMS[version] : null;
+}
+
+/**
+ * Every registered algorithm version, oldest first
+ * @returns {Array<string>} Version strings
+ */
+export function listAlgorithmVersions() {
+  return Object.keys(ALGORITHMS);
+}
+
+/**
+ * SHA-256 input for an entry's score
+ * @param {string} seed - Draw seed (hex)
+ * @param {string} entryCode - Entry code
+ * @returns {string} seed || entryCode
+ */
+function scoreSeedThenEntryCode(seed, entryCode) {
+  return seed + entryCode;
+}
+
+/**
+ * Weighted selection key for an entry (exponential-key weighted sampling)
+ * u is drawn from the top 52 bits of the score, so it is exact in a double and
+ * lies strictly inside (0, 1). An entry with weight w behaves exactly like
+ * w separate tickets: P(rank 1) = w / total weight.
+ * @param {Object} entry - Scored entry with scoreHex and weight
+ * @returns {number} Key ln(u) / weight (higher ranks first)
+ */
+function weightedKey(entry) {
+  const u = (parseInt(entry.scoreHex.substring(0, 13), 16) + 0.5) / 2 ** 52;
+  return Math.log(u) / (entry.weight || 1);
+}
+
+/**
+ * Order two ranked entries by weighted key, then score, then entry code
+ * (code unit order, so every verifier sorts identically regardless of locale)
+ * @param {Object} a - {key, entry}
+ * @param {Object} b - {key, entry}
+ * @returns {number} Negative if a ranks higher, positive if b ranks higher
+ */
+function compareWeightedKeys(a, b) {
+  if (a.key > b.key) return -1;  // a ranks higher
+  if (a.key < b.key) return 1;   // b ranks higher
+  // Equal keys: fall back to the full score, then entry code
+  if (a.entry.score > b.entry.score) return -1;
+  if (a.entry.score < b.entry.score) return 1;
+  return a.entry.entryCode < b.entry.entryCode ? -1 : a.entry.entryCode > b.entry.entryCode ? 1 : 0;
+}
+
+/**
+ * Hash input for a JSON structure as versions before v1.5 serialized it
+ * @param {*} value - Structure to hash
+ * @returns {string} JSON.stringify output, with BigInt values as decimal strings
+ */
+function serializeInsertionOrder(value) {
+  return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+}
+
+/**
+ * Results checksum input: rank:entryCode:scoreHex per result, joined with |
+ * @param {Array} results - Ranked results array
+ * @returns {string} Checksum input
+ */
+function rankCodeScoreChecksumInput(results) {
+  return results.map(r => `${r.rank}:${r.entryCode}:${r.scoreHex}`).join("|");
+}
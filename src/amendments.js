@@ -0,0 +1,365 @@
+/**
+ * VaultPlay Draw Worker - Winner Amendments
+ * =========================================
+ * When a winner fails to claim their prize or is found ineligible, the prize is
+ * passed down the draw's original ranking instead of drawing again with new
+ * randomness, so a result can never be re-rolled until it suits someone.
+ * POST /draws/:drawId/redraw forfeits the winner's prize and promotes the next
+ * alternate; each redraw is published as an amendment bundle:
+ *
+ *   amends       the original draw's drawId and bundleHash
+ *   amendment    sequence (1, 2, ...), the previous amendment's hash, time and client
+ *   forfeiture   the prize slot, the entry that held it and the reason
+ *   promotion    the alternate that takes the slot
+ *   winners      every prize holder after the amendment
+ *
+ * The n-th amendment of a draw promotes its n-th alternate (selectAlternates in
+ * ./core.js): the walk that assigned the prizes continues down the ranking, so
+ * an entry whose person has already won (onePrizePerPerson), including a
+ * forfeited winner, is passed over. A draw's declared reserves
+ * (competition.reserves) are its first alternates, published in the original
+ * bundle, so the promotion order is fixed before anyone forfeits.
+ *
+ * Amendments are hashed with the original draw's algorithm version and signed
+ * like audit bundles, and chain through previousAmendmentHash.
+ *
+ * Keys (DRAW_STORE KV namespace):
+ *   amendments:<drawId>   the draw's amendments in sequence order
+ *
+ * KV has no transactions, so each sequence number of a draw is claimed through
+ * the ClaimRegistry (see ./claims.js) before the amendment is stored. Of two
+ * concurrent redraws of the same draw, only one can take the next sequence
+ * number; the other is refused instead of silently overwriting it.
+ */
+
+import {
+  ALGORITHM,
+  WINNER_TIER,
+  assignPrizes,
+  selectAlternates,
+  computeBundleHash,
+  getAlgorithm,
+  DEFAULT_ALGORITHM_VERSION
+} from "./core.js";
+import { verifyBundleSignature, SIGNATURE_METHOD } from "./signing.js";
+import { claim, releaseClaim } from "./claims.js";
+
+export const AMENDMENT_METHOD = "The n-th amendment forfeits one prize holder's slot and gives it to the draw's n-th " +
+  "alternate (see reserves); no new randomness is used. amendmentHash is computed like bundleHash, " +
+  "with the original draw's algorithm version";
+
+const AMENDMENT_CONFIG = {
+  KEY_PREFIX: "amendments:",
+  SEQUENCE_CLAIM_PREFIX: "amendment:",    // amendment:<drawId>:<sequence>, held by the amendment's ID
+  MAX_REASON_LENGTH: 500
+};
+
+/**
+ * A draw's amendments
+ * @param {string} drawId - Draw identifier (validated by the caller)
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Array>} Amendments in sequence order (empty if none)
+ */
+export async function getAmendments(drawId, env) {
+  const record = await env.DRAW_STORE.get(`${AMENDMENT_CONFIG.KEY_PREFIX}${drawId}`, "json");
+  return record ? record.amendments : [];
+}
+
+/**
+ * Store a new amendment after a draw's earlier ones, unless another redraw took its sequence number
+ * @param {string} drawId - Draw identifier
+ * @param {Array} amendments - Earlier amendments (from getAmendments)
+ * @param {Object} amendment - Hashed and signed amendment
+ * @param {Object} env - Environment variables (DRAW_STORE, CLAIMS)
+ * @returns {Promise<boolean>} True if stored, false if the sequence number was already taken
+ */
+export async function appendAmendment(drawId, amendments, amendment, env) {
+  const claimName = `${AMENDMENT_CONFIG.SEQUENCE_CLAIM_PREFIX}${drawId}:${amendment.amendment.sequence}`;
+  const sequence = await claim(claimName, amendment.amendment.amendmentId, env);
+  if (!sequence.claimed) {
+    return false;
+  }
+
+  try {
+    await env.DRAW_STORE.put(`${AMENDMENT_CONFIG.KEY_PREFIX}${drawId}`, JSON.stringify({
+      drawId: drawId,
+      amendments: [...amendments, amendment]
+    }));
+  } catch (error) {
+    await releaseClaim(claimName, amendment.amendment.amendmentId, env);
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * Validate a redraw request body
+ * @param {Object} body - Parsed request body
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateRedrawRequest(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { valid: false, error: "Request body must be a JSON object" };
+  }
+  if (typeof body.entryCode !== "string" || body.entryCode.trim().length === 0) {
+    return { valid: false, error: "Field 'entryCode' is required: the winning entry that forfeits its prize" };
+  }
+  if (typeof body.reason !== "string" || body.reason.trim().length === 0 || body.reason.length > AMENDMENT_CONFIG.MAX_REASON_LENGTH) {
+    return { valid: false, error: `Field 'reason' must be a string of 1-${AMENDMENT_CONFIG.MAX_REASON_LENGTH} characters` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Prize holders after a draw's amendments
+ * @param {Object} bundle - Original audit bundle
+ * @param {Array} amendments - The draw's amendments
+ * @returns {Array} Winners [{tier, position, rank, entryCode, gamertag, emailHash}]
+ */
+export function currentWinners(bundle, amendments) {
+  return amendments.length > 0 ? amendments[amendments.length - 1].winners : originalWinners(bundle);
+}
+
+/**
+ * Build the next amendment of a draw (not yet hashed or signed)
+ * @param {Object} bundle - Original audit bundle
+ * @param {string} bundleHash - Original bundle hash
+ * @param {Array} amendments - The draw's earlier amendments
+ * @param {Object} request - {entryCode, reason, client: {id, method}}
+ * @returns {Object} {amendment} or {status, error} if the entry holds no prize or no alternate remains
+ */
+export function createAmendment(bundle, bundleHash, amendments, { entryCode, reason, client }) {
+  const sequence = amendments.length + 1;
+  const plan = planRedraw(bundle, currentWinners(bundle, amendments), sequence, entryCode.trim());
+  if (plan.error) {
+    return plan;
+  }
+
+  const previous = amendments[amendments.length - 1];
+  const reserves = bundle.competition?.reserves || 0;
+  return {
+    amendment: {
+      version: "1.0",
+      type: "amendment",
+      amends: {
+        drawId: bundle.draw.drawId,
+        bundleHash: bundleHash,
+        competitionId: bundle.competition?.id || null,
+        drawTimestamp: bundle.draw.timestamp
+      },
+      amendment: {
+        amendmentId: crypto.randomUUID(),
+        sequence: sequence,
+        previousAmendmentHash: previous ? previous.bundleHash : null,
+        timestamp: new Date().toISOString(),
+        requestedBy: {
+          clientId: client.id,
+          authMethod: client.method
+        }
+      },
+      forfeiture: {
+        tier: plan.slot.tier,
+        position: plan.slot.position,
+        rank: plan.slot.rank,
+        entryCode: plan.slot.entryCode,
+        reason: reason.trim()
+      },
+      promotion: {
+        tier: plan.slot.tier,
+        position: plan.slot.position,
+        rank: plan.promoted.rank,
+        entryCode: plan.promoted.entryCode,
+        gamertag: plan.promoted.gamertag,
+        emailHash: plan.promoted.emailHash,
+        alternate: sequence,
+        // Whether the promoted entry was published upfront as a reserve
+        declaredReserve: sequence <= reserves
+      },
+      winners: plan.winners,
+      verification: {
+        algorithm: algorithmFor(bundle).version,
+        canonicalization: algorithmFor(bundle).canonicalization,
+        promotion: AMENDMENT_METHOD,
+        reserves: ALGORITHM.RESERVE_METHOD,
+        signature: SIGNATURE_METHOD
+      }
+    }
+  };
+}
+
+/**
+ * Amendment hash, computed like the bundle hash with the original draw's algorithm version
+ * @param {Object} amendment - Amendment (bundleHash, publication and signature are ignored)
+ * @param {Object} bundle - Original audit bundle
+ * @returns {Promise<string>} Hex-encoded amendment hash
+ */
+export async function computeAmendmentHash(amendment, bundle) {
+  const { bundleHash, publication, signature, ...generated } = amendment;
+  return computeBundleHash(generated, algorithmFor(bundle));
+}
+
+/**
+ * Re-run a draw's amendments against its original bundle
+ * Check the original bundle itself with verifyAuditBundle.
+ * @param {Object} bundle - Original audit bundle
+ * @param {Array} amendments - Amendments in sequence order
+ * @param {Object} [options] - {publicKeys: trusted signing keys}
+ * @returns {Promise<Object>} {verified, authenticated, winners, amendments: [{sequence, verified, checks}]}
+ */
+export async function verifyAmendments(bundle, amendments, { publicKeys = [] } = {}) {
+  // Amendments name the original bundle by the hash of its content
+  const { bundleHash: claimedHash, publication, signature, ...generatedBundle } = bundle;
+  const bundleHash = await computeBundleHash(generatedBundle, algorithmFor(bundle));
+  const reports = [];
+  let winners = originalWinners(bundle);
+  let previousHash = null;
+
+  for (let i = 0; i < amendments.length; i++) {
+    const amendment = amendments[i];
+    const checks = {};
+
+    // Check 1: the amendment refers to this draw, in sequence
+    checks.amends = {
+      passed: amendment.amends?.drawId === bundle.draw?.drawId &&
+        amendment.amends?.bundleHash === bundleHash &&
+        amendment.amendment?.sequence === i + 1 &&
+        (amendment.amendment?.previousAmendmentHash ?? null) === previousHash,
+      expectedBundleHash: bundleHash,
+      actualBundleHash: amendment.amends?.bundleHash ?? null,
+      sequence: i + 1
+    };
+
+    // Check 2: the forfeited entry held the slot and the next alternate was promoted into it
+    const plan = typeof amendment.forfeiture?.entryCode === "string"
+      ? planRedraw(bundle, winners, i + 1, amendment.forfeiture.entryCode)
+      : { error: "Amendment has no forfeited entry code" };
+    if (plan.error) {
+      checks.promotion = { passed: false, reason: plan.error };
+    } else {
+      const recordedWinners = Array.isArray(amendment.winners) ? amendment.winners : [];
+      checks.promotion = {
+        passed: amendment.forfeiture.tier === plan.slot.tier &&
+          amendment.forfeiture.position === plan.slot.position &&
+          amendment.promotion?.entryCode === plan.promoted.entryCode &&
+          amendment.promotion?.tier === plan.slot.tier &&
+          amendment.promotion?.position === plan.slot.position &&
+          sameWinners(recordedWinners, plan.winners),
+        expectedEntryCode: plan.promoted.entryCode,
+        actualEntryCode: amendment.promotion?.entryCode ?? null
+      };
+      winners = plan.winners;
+    }
+
+    // Check 3: amendment hash, then the worker's signature over it
+    const recomputedHash = await computeAmendmentHash(amendment, bundle);
+    checks.amendmentHash = {
+      passed: recomputedHash === amendment.bundleHash,
+      expected: recomputedHash,
+      actual: amendment.bundleHash ?? null
+    };
+    checks.signature = verifyBundleSignature(
+      { signature: amendment.signature, draw: { timestamp: amendment.amendment?.timestamp } },
+      recomputedHash,
+      publicKeys
+    );
+    previousHash = amendment.bundleHash ?? null;
+
+    reports.push({
+      sequence: i + 1,
+      verified: Object.values(checks).every(check => check.passed !== false),
+      checks: checks
+    });
+  }
+
+  return {
+    verified: reports.every(report => report.verified),
+    authenticated: reports.every(report => report.checks.signature.passed === true),
+    winners: winners,
+    amendments: reports
+  };
+}
+
+/**
+ * Prize holders as the original draw assigned them
+ * @param {Object} bundle - Original audit bundle
+ * @returns {Array} Winners [{tier, position, rank, entryCode, gamertag, emailHash}]
+ */
+function originalWinners(bundle) {
+  const prizes = bundle.competition?.prizes || null;
+  return assignPrizes(qualifiedRanking(bundle), prizes || [WINNER_TIER], bundle.competition?.onePrizePerPerson === true).assignments;
+}
+
+/**
+ * Forfeit one winner's slot and promote the sequence-th alternate into it
+ * @param {Object} bundle - Original audit bundle
+ * @param {Array} winners - Prize holders before this amendment
+ * @param {number} sequence - Amendment number (1 for the draw's first)
+ * @param {string} entryCode - Entry that forfeits its prize
+ * @returns {Object} {slot, promoted, winners} or {status, error}
+ */
+function planRedraw(bundle, winners, sequence, entryCode) {
+  const slot = winners.find(winner => winner.entryCode === entryCode);
+  if (!slot) {
+    return { status: 409, error: `Entry ${entryCode} does not hold a prize in draw ${bundle.draw.drawId}` };
+  }
+
+  const alternates = selectAlternates(
+    qualifiedRanking(bundle),
+    bundle.competition?.prizes || null,
+    bundle.competition?.onePrizePerPerson === true,
+    sequence
+  );
+  const promoted = alternates[sequence - 1];
+  if (!promoted) {
+    return {
+      status: 409,
+      error: bundle.results.rankingTruncated
+        ? "No alternate remains in the published part of the ranking"
+        : "No qualified entry remains to promote"
+    };
+  }
+
+  return {
+    slot,
+    promoted,
+    winners: winners.map(winner => winner === slot ? {
+      tier: slot.tier,
+      position: slot.position,
+      rank: promoted.rank,
+      entryCode: promoted.entryCode,
+      gamertag: promoted.gamertag,
+      emailHash: promoted.emailHash
+    } : winner)
+  };
+}
+
+/**
+ * Qualified entries of a bundle in rank order
+ * @param {Object} bundle - Audit bundle
+ * @returns {Array} Ranked entries
+ */
+function qualifiedRanking(bundle) {
+  return bundle.results.fullRanking
+    .filter(entry => entry.status === "qualified" && entry.rank !== null)
+    .sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Whether two winner lists name the same entries in the same slots
+ * @param {Array} a - Recorded winners
+ * @param {Array} b - Expected winners
+ * @returns {boolean} True if every slot has the same entry
+ */
+function sameWinners(a, b) {
+  return a.length === b.length && a.every((winner, i) =>
+    winner?.tier === b[i].tier && winner?.position === b[i].position && winner?.entryCode === b[i].entryCode);
+}
+
+/**
+ * Algorithm implementation a bundle was drawn under
+ * @param {Object} bundle - Audit bundle
+ * @returns {Object} Algorithm implementation (the current version for unknown versions)
+ */
+function algorithmFor(bundle) {
+  return getAlgorithm(bundle.verification?.algorithm) || getAlgorithm(DEFAULT_ALGORITHM_VERSION);
+}
@@ -0,0 +1,264 @@
+/**
+ * VaultPlay Draw Worker - Client Authentication
+ * =============================================
+ * Authenticates callers of state-changing endpoints (e.g. POST /startdraw).
+ *
+ * Two schemes are supported, configured per client in the API_CLIENTS secret:
+ *
+ *   API_CLIENTS = {
+ *     "backend": { "apiKey": "...", "hmacSecret": "..." }
+ *   }
+ *
+ * 1. API key:   Authorization: Bearer <apiKey>
+ * 2. HMAC:      X-VaultPlay-Client:    <clientId>
+ *               X-VaultPlay-Timestamp: <unix seconds>
+ *               X-VaultPlay-Signature: hex(HMAC-SHA256(hmacSecret, canonicalString))
+ *
+ *    canonicalString = "VAULTPLAY-HMAC-SHA256\n" + timestamp + "\n" +
+ *                      METHOD + "\n" + pathname + "\n" + hex(SHA-256(body))
+ *
+ *    Requests that carry draw options in the X-Draw-Options header (streamed
+ *    draws) append "\n" + hex(SHA-256(X-Draw-Options)) so the options are signed too.
+ *
+ *    Signed streamed draws also declare the body hash up front in the
+ *    X-VaultPlay-Content-SHA256 header, so the signature is checked before any
+ *    work is done; the worker compares it with the body once it has been read.
+ *
+ * HMAC requests outside AUTH_CONFIG.TIMESTAMP_TOLERANCE_SECONDS are rejected,
+ * and each signature is accepted only once (replay protection). The signature
+ * is claimed through the ClaimRegistry Durable Object (CLAIMS binding), so two
+ * copies of a request arriving together cannot both be accepted. Without
+ * CLAIMS, replays are checked in the DRAW_STORE KV namespace, which is
+ * best-effort (concurrent copies may both pass); with neither, replays are not
+ * rejected.
+ */
+
+import { bytesToHex, sha256Hex } from "./hex.js";
+import { claim } from "./claims.js";
+
+const AUTH_CONFIG = {
+  SIGNATURE_SCHEME: "VAULTPLAY-HMAC-SHA256",
+  TIMESTAMP_TOLERANCE_SECONDS: 300,   // Accept signed requests up to 5 minutes old (or early)
+  MAX_CLIENT_ID_LENGTH: 128,
+  REPLAY_CLAIM_PREFIX: "auth:replay:",
+  SIGNED_OPTIONS_HEADER: "X-Draw-Options",  // Covered by the signature when present
+  CONTENT_DIGEST_HEADER: "X-VaultPlay-Content-SHA256"  // Declared body hash of signed streamed draws
+};
+
+// Headers clients may send for authentication (exposed for CORS preflight)
+export const AUTH_HEADERS = [
+  "Authorization",
+  "X-VaultPlay-Client",
+  "X-VaultPlay-Timestamp",
+  "X-VaultPlay-Signature",
+  AUTH_CONFIG.CONTENT_DIGEST_HEADER
+];
+
+export const CONTENT_DIGEST_HEADER = AUTH_CONFIG.CONTENT_DIGEST_HEADER;
+
+/**
+ * Authenticate an incoming request against the configured API clients
+ * @param {Request} request - Incoming HTTP request
+ * @param {string} rawBody - Raw request body (exactly as signed by the client)
+ * @param {Object} env - Environment variables (API_CLIENTS, CLAIMS or DRAW_STORE)
+ * @returns {Promise<Object>} {authenticated: true, client: {id, method}} or
+ *   {authenticated: false, status: number, error: string}
+ */
+export async function authenticateRequest(request, rawBody, env) {
+  return authenticateRequestDigest(request, isSignedRequest(request) ? await sha256Hex(rawBody) : null, env);
+}
+
+/**
+ * Authenticate a request without reading its body (streamed bodies)
+ * @param {Request} request - Incoming HTTP request
+ * @param {string|null} bodyHash - Hex SHA-256 of the raw body, or the hash declared in
+ *   CONTENT_DIGEST_HEADER before the body is read (only needed for signed requests)
+ * @param {Object} env - Environment variables (API_CLIENTS, CLAIMS or DRAW_STORE)
+ * @returns {Promise<Object>} Same result as authenticateRequest
+ */
+export async function authenticateRequestDigest(request, bodyHash, env) {
+  const clients = loadClients(env);
+  if (!clients) {
+    console.error("Authentication not configured: API_CLIENTS secret missing or invalid");
+    return { authenticated: false, status: 503, error: "Authentication is not configured on this worker" };
+  }
+
+  const authorization = request.headers.get("authorization");
+  const signature = request.headers.get("x-vaultplay-signature");
+
+  if (signature) {
+    return authenticateHmac(request, bodyHash, signature, clients, env);
+  }
+
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authenticateApiKey(authorization.replace(/^Bearer\s+/i, "").trim(), clients);
+  }
+
+  return {
+    authenticated: false,
+    status: 401,
+    error: "Authentication required. Provide an API key or an HMAC request signature."
+  };
+}
+
+/**
+ * Whether a request is HMAC-signed (and so needs its body hash to authenticate)
+ * @param {Request} request - Incoming HTTP request
+ * @returns {boolean} True if a signature header is present
+ */
+export function isSignedRequest(request) {
+  return Boolean(request.headers.get("x-vaultplay-signature"));
+}
+
+/**
+ * Authenticate a bearer API key
+ * @param {string} apiKey - Key presented by the caller
+ * @param {Object} clients - Configured clients keyed by client ID
+ * @returns {Promise<Object>} Authentication result
+ */
+async function authenticateApiKey(apiKey, clients) {
+  // Compare against every client so timing does not reveal which IDs exist
+  let matchedClientId = null;
+  for (const [clientId, client] of Object.entries(clients)) {
+    if (typeof client.apiKey === "string" && client.apiKey.length > 0) {
+      if (await timingSafeEqual(apiKey, client.apiKey)) {
+        matchedClientId = clientId;
+      }
+    }
+  }
+
+  if (!matchedClientId) {
+    return { authenticated: false, status: 401, error: "Invalid API key" };
+  }
+
+  return { authenticated: true, client: { id: matchedClientId, method: "api-key" } };
+}
+
+/**
+ * Authenticate an HMAC-signed request, enforcing timestamp window and single use
+ * @param {Request} request - Incoming HTTP request
+ * @param {string} bodyHash - Hex SHA-256 of the raw request body
+ * @param {string} signature - Hex signature presented by the caller
+ * @param {Object} clients - Configured clients keyed by client ID
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Authentication result
+ */
+async function authenticateHmac(request, bodyHash, signature, clients, env) {
+  const clientId = request.headers.get("x-vaultplay-client");
+  const timestampHeader = request.headers.get("x-vaultplay-timestamp");
+
+  if (!clientId || clientId.length > AUTH_CONFIG.MAX_CLIENT_ID_LENGTH || !timestampHeader) {
+    return {
+      authenticated: false,
+      status: 401,
+      error: "Signed requests require X-VaultPlay-Client and X-VaultPlay-Timestamp headers"
+    };
+  }
+
+  const client = Object.prototype.hasOwnProperty.call(clients, clientId) ? clients[clientId] : null;
+  if (!client || typeof client.hmacSecret !== "string" || client.hmacSecret.length === 0) {
+    return { authenticated: false, status: 401, error: "Invalid request signature" };
+  }
+
+  if (!/^\d{1,12}$/.test(timestampHeader)) {
+    return { authenticated: false, status: 401, error: "X-VaultPlay-Timestamp must be a Unix timestamp in seconds" };
+  }
+
+  const url = new URL(request.url);
+  const options = request.headers.get(AUTH_CONFIG.SIGNED_OPTIONS_HEADER);
+  const optionsHash = options !== null ? await sha256Hex(options) : null;
+  const canonicalString = buildCanonicalString(timestampHeader, request.method, url.pathname, bodyHash, optionsHash);
+  const expectedSignature = await hmacSha256Hex(client.hmacSecret, canonicalString);
+
+  if (!(await timingSafeEqual(signature.trim().toLowerCase(), expectedSignature))) {
+    return { authenticated: false, status: 401, error: "Invalid request signature" };
+  }
+
+  // Only check freshness once the signature proves the timestamp is genuine
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (Math.abs(nowSeconds - parseInt(timestampHeader, 10)) > AUTH_CONFIG.TIMESTAMP_TOLERANCE_SECONDS) {
+    return { authenticated: false, status: 403, error: "Request timestamp is outside the allowed window" };
+  }
+
+  // Reject replays of a previously accepted signature (held until it could no longer be fresh)
+  const replay = await claim(`${AUTH_CONFIG.REPLAY_CLAIM_PREFIX}${expectedSignature}`, clientId, env, {
+    ttlSeconds: AUTH_CONFIG.TIMESTAMP_TOLERANCE_SECONDS * 2
+  });
+  if (!replay.claimed) {
+    return { authenticated: false, status: 403, error: "Replayed request rejected" };
+  }
+
+  return { authenticated: true, client: { id: clientId, method: "hmac-sha256" } };
+}
+
+/**
+ * Build the string clients sign for HMAC authentication
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path (without query string)
+ * @param {string} bodyHash - Hex SHA-256 of the raw request body
+ * @param {string|null} [optionsHash] - Hex SHA-256 of the X-Draw-Options header, if sent
+ * @returns {string} Canonical string to sign
+ */
+export function buildCanonicalString(timestamp, method, pathname, bodyHash, optionsHash = null) {
+  const lines = [AUTH_CONFIG.SIGNATURE_SCHEME, timestamp, method.toUpperCase(), pathname, bodyHash];
+  if (optionsHash) {
+    lines.push(optionsHash);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Load and validate the API_CLIENTS configuration
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Clients keyed by client ID, or null if not configured
+ */
+function loadClients(env) {
+  if (!env.API_CLIENTS) {
+    return null;
+  }
+
+  try {
+    const clients = typeof env.API_CLIENTS === "string" ? JSON.parse(env.API_CLIENTS) : env.API_CLIENTS;
+    if (!clients || typeof clients !== "object" || Array.isArray(clients) || Object.keys(clients).length === 0) {
+      return null;
+    }
+    return clients;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compute HMAC-SHA256 and return as hexadecimal string
+ * @param {string} secret - HMAC key
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>} Hex-encoded MAC
+ */
+export async function hmacSha256Hex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, encoder.encode(message));
+  return bytesToHex(new Uint8Array(mac));
+}
+
+/**
+ * Constant-time string comparison (compares SHA-256 digests so lengths never leak)
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {Promise<boolean>} True if equal
+ */
+async function timingSafeEqual(a, b) {
+  const [hashA, hashB] = await Promise.all([sha256Hex(a), sha256Hex(b)]);
+  let diff = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    diff |= hashA.charCodeAt(i) ^ hashB.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,362 @@
+/**
+ * VaultPlay Draw Worker - Randomness Beacons
+ * ==========================================
+ * Fetches randomness from public beacons through one adapter per provider,
+ * and verifies the recorded beacon outputs when a bundle is re-checked.
+ *
+ * Providers (randomnessSource.provider with autoFetch):
+ * - drand:   League of Entropy round, BLS signature verified (see ./drand.js)
+ * - bitcoin: hash of a Bitcoin block with BITCOIN_CONFIG.CONFIRMATIONS
+ *            confirmations; the block header is recorded and its hash and
+ *            proof of work are verified. A header's own bits are only trusted
+ *            up to mainnet's maximum target, so an API cannot pass off a
+ *            cheaply mined header with an easy target
+ * - combined: several of the above, hashed together so no single provider
+ *            controls the seed (COMBINATION_METHOD)
+ *
+ * NIST Randomness Beacon 2.0 pulses are no longer fetched: their RSA signatures
+ * (against the certificate each pulse names) are not verified, so a spoofed
+ * pulse would have been used without notice. Bundles that already record a
+ * NIST pulse are still checked for consistency.
+ *
+ * Every fetched output is recorded as {provider, round, value, timestamp,
+ * verificationUrl, proof}. Endpoints can be pointed at local stand-in beacons
+ * with DRAND_API_URL and BITCOIN_API_URL.
+ */
+
+import { fetchDrandRound, verifyDrandBeacon, getDrandChain, DrandVerificationError } from "./drand.js";
+import { bytesToHex, hexToBytes, sha256, sha256Hex } from "./hex.js";
+
+const BITCOIN_CONFIG = {
+  API_BASE_URL: "https://blockstream.info/api",  // Esplora API
+  CONFIRMATIONS: 6,                              // Blocks this deep are practically final
+  MAX_TARGET_BITS: 0x1d00ffff                    // Mainnet's easiest allowed target (difficulty 1)
+};
+
+export const COMBINED_PROVIDER = "combined";
+
+// Published description of how combined draws derive their randomness
+export const COMBINATION_METHOD = "randomness = SHA-256(provider:round:value for each source in the declared order, joined with |)";
+
+// Providers with fetch: null are only re-checked in bundles that already record them
+const BEACONS = {
+  drand: { fetch: fetchDrandSource, verify: verifyDrandSource },
+  nist: { fetch: null, verify: verifyNistPulse },
+  bitcoin: { fetch: fetchBitcoinBlock, verify: verifyBitcoinBlock }
+};
+
+// Providers the worker fetches from (and verifies) with randomnessSource.autoFetch
+export const BEACON_PROVIDERS = Object.keys(BEACONS).filter(provider => BEACONS[provider].fetch);
+
+/**
+ * Raised when a beacon output fails verification (as opposed to being unreachable)
+ */
+export class BeaconVerificationError extends Error {
+  constructor(provider, message) {
+    super(message);
+    this.name = "BeaconVerificationError";
+    this.provider = provider;
+  }
+}
+
+/**
+ * Raised when a beacon cannot be reached or returns an unusable response
+ */
+export class BeaconUnavailableError extends Error {
+  constructor(provider, message) {
+    super(message);
+    this.name = "BeaconUnavailableError";
+    this.provider = provider;
+  }
+}
+
+/**
+ * Whether a provider can be used with randomnessSource.autoFetch
+ * @param {*} provider - randomnessSource.provider
+ * @returns {boolean} True for a registered beacon or "combined"
+ */
+export function isAutoFetchProvider(provider) {
+  return provider === COMBINED_PROVIDER || BEACON_PROVIDERS.includes(provider);
+}
+
+/**
+ * Refuse beacons that are recorded in older bundles but no longer fetched
+ * @param {*} provider - randomnessSource.provider (or one of its sources) with autoFetch
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+export function validateAutoFetchProvider(provider) {
+  if (typeof provider === "string" && Object.hasOwn(BEACONS, provider) && !BEACONS[provider].fetch) {
+    return {
+      valid: false,
+      error: `Provider '${provider}' cannot be auto-fetched: its outputs are not signature-verified. Use ${BEACON_PROVIDERS.join(" or ")}`
+    };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validate the sources of a combined randomness source
+ * @param {*} sources - randomnessSource.sources
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+export function validateCombinedSources(sources) {
+  const refused = Array.isArray(sources) ? sources.map(validateAutoFetchProvider).find(result => !result.valid) : undefined;
+  if (refused) {
+    return refused;
+  }
+  if (!Array.isArray(sources) || sources.length < 2 ||
+      sources.some(source => !BEACON_PROVIDERS.includes(source)) || new Set(sources).size !== sources.length) {
+    return {
+      valid: false,
+      error: `Field 'randomnessSource.sources' must list at least two distinct providers from: ${BEACON_PROVIDERS.join(", ")}`
+    };
+  }
+  return { valid: true };
+}
+
+/**
+ * Fetch and verify one beacon output
+ * @param {string} provider - Registered provider name
+ * @param {Object} env - Environment variables (endpoint overrides, drand chain)
+ * @param {Object} [options] - {round} for providers that can fetch a specific round (drand)
+ * @returns {Promise<Object>} Source record {provider, round, value, timestamp, verificationUrl, proof}
+ * @throws {BeaconVerificationError} If the output fails verification
+ * @throws {BeaconUnavailableError} If the beacon is unreachable or its response is unusable
+ */
+export async function fetchBeacon(provider, env, options = {}) {
+  try {
+    return await BEACONS[provider].fetch(env, options);
+  } catch (error) {
+    if (error instanceof BeaconVerificationError || error instanceof BeaconUnavailableError) {
+      throw error;
+    }
+    if (error instanceof DrandVerificationError) {
+      throw new BeaconVerificationError(provider, error.message);
+    }
+    throw new BeaconUnavailableError(provider, error.message);
+  }
+}
+
+/**
+ * Re-verify a recorded source (offline; nothing is fetched)
+ * @param {Object} record - Source record from fetchBeacon (as published in the audit bundle)
+ * @param {Object} env - Environment variables (trusted drand chain)
+ * @returns {Promise<Object>} {provider, round, passed: boolean|null, ...provider-specific detail}
+ */
+export async function verifyBeaconRecord(record, env) {
+  const beacon = BEACONS[record?.provider];
+  if (!beacon) {
+    return { provider: record?.provider ?? null, round: record?.round ?? null, passed: false, reason: "Unknown beacon provider" };
+  }
+  return { provider: record.provider, round: record.round, ...(await beacon.verify(record, env)) };
+}
+
+/**
+ * Combine several source records into one randomness value (see COMBINATION_METHOD)
+ * @param {Array<Object>} records - Source records in the declared order
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export async function combineBeaconValues(records) {
+  const input = records.map(record => `${record.provider}:${record.round}:${record.value}`).join("|");
+  return sha256Hex(input);
+}
+
+/**
+ * drand adapter: the committed round when given, otherwise the latest round
+ * @param {Object} env - Environment variables
+ * @param {Object} options - {round}
+ * @returns {Promise<Object>} Source record
+ */
+async function fetchDrandSource(env, options) {
+  const drand = await fetchDrandRound(env, options.round || "latest");
+  return {
+    provider: "drand",
+    round: drand.round,
+    value: drand.randomness,
+    timestamp: drand.fetchTime,
+    verificationUrl: drand.verificationUrl,
+    proof: drand.beacon
+  };
+}
+
+/**
+ * Verify a recorded drand round against the trusted chain
+ * @param {Object} record - drand source record (proof is the beacon from fetchDrandRound)
+ * @param {Object} env - Environment variables (trusted drand chain)
+ * @returns {Promise<Object>} {passed, chainHash, trustedChain, randomnessMatchesSignature, signatureValid}
+ */
+async function verifyDrandSource(record, env) {
+  const beacon = record.proof || {};
+  const trustedChain = getDrandChain(env);
+  const verification = await verifyDrandBeacon({
+    round: record.round,
+    randomness: record.value,
+    signature: beacon.signature,
+    previousSignature: beacon.previousSignature
+  }, { ...trustedChain, scheme: beacon.scheme });
+  const knownChain = beacon.chainHash === trustedChain.hash && beacon.publicKey === trustedChain.publicKey;
+  return {
+    passed: knownChain && verification.verified,
+    chainHash: beacon.chainHash,
+    trustedChain: knownChain,
+    randomnessMatchesSignature: verification.randomnessMatchesSignature,
+    signatureValid: verification.signatureValid
+  };
+}
+
+/**
+ * Check a NIST pulse recorded by a draw made before NIST pulses stopped being fetched
+ * Pulse signatures need NIST's certificate chain, so the recorded pulse is
+ * checked for consistency only and is otherwise compared against NIST's archive.
+ * @param {Object} record - NIST source record
+ * @returns {Promise<Object>} {passed, skipped?, reason}
+ */
+async function verifyNistPulse(record) {
+  const consistent = typeof record.value === "string" && /^[0-9a-f]{128}$/.test(record.value) &&
+    record.proof?.pulseIndex === record.round;
+  if (!consistent) {
+    return { passed: false, reason: "Recorded pulse is inconsistent" };
+  }
+  return {
+    passed: null,
+    skipped: true,
+    reason: "NIST pulse signatures are not verified offline; compare the pulse at its verificationUrl"
+  };
+}
+
+/**
+ * Bitcoin adapter: the block BITCOIN_CONFIG.CONFIRMATIONS deep from the chain tip
+ * @param {Object} env - Environment variables (BITCOIN_API_URL)
+ * @returns {Promise<Object>} Source record
+ */
+async function fetchBitcoinBlock(env) {
+  const baseUrl = (env.BITCOIN_API_URL || BITCOIN_CONFIG.API_BASE_URL).replace(/\/+$/, "");
+
+  const tipHeight = Number(await fetchText(`${baseUrl}/blocks/tip/height`));
+  if (!Number.isSafeInteger(tipHeight) || tipHeight < BITCOIN_CONFIG.CONFIRMATIONS - 1) {
+    throw new Error("Bitcoin API returned an invalid tip height");
+  }
+  const height = tipHeight - (BITCOIN_CONFIG.CONFIRMATIONS - 1);
+  const blockHash = (await fetchText(`${baseUrl}/block-height/${height}`)).trim().toLowerCase();
+
+  const response = await fetch(`${baseUrl}/block/${blockHash}`);
+  if (!response.ok) {
+    throw new Error(`Bitcoin API returned ${response.status}`);
+  }
+  const block = await response.json();
+  if (block.height !== height) {
+    throw new BeaconVerificationError("bitcoin", `Bitcoin API returned block ${block.height} instead of ${height}`);
+  }
+
+  const header = {
+    version: block.version,
+    previousBlockHash: block.previousblockhash || "0".repeat(64),
+    merkleRoot: block.merkle_root,
+    timestamp: block.timestamp,
+    bits: block.bits,
+    nonce: block.nonce
+  };
+  const verification = await verifyBitcoinHeader(blockHash, header);
+  if (!verification.verified) {
+    throw new BeaconVerificationError("bitcoin", `Bitcoin block ${height} failed verification: ${verification.error}`);
+  }
+
+  return {
+    provider: "bitcoin",
+    round: height,
+    value: blockHash,
+    timestamp: new Date(header.timestamp * 1000).toISOString(),
+    verificationUrl: `${baseUrl}/block/${blockHash}`,
+    proof: {
+      header: header,
+      confirmations: tipHeight - height + 1,
+      verification: verification
+    }
+  };
+}
+
+/**
+ * Verify a recorded Bitcoin block against its header
+ * @param {Object} record - Bitcoin source record
+ * @returns {Promise<Object>} {passed, hashMatchesHeader, proofOfWorkValid}
+ */
+async function verifyBitcoinBlock(record) {
+  const verification = await verifyBitcoinHeader(record.value, record.proof?.header);
+  return {
+    passed: verification.verified,
+    hashMatchesHeader: verification.hashMatchesHeader,
+    proofOfWorkValid: verification.proofOfWorkValid
+  };
+}
+
+/**
+ * Check a block hash is the double SHA-256 of its 80-byte header and meets the header's target,
+ * which must be no easier than mainnet's maximum target
+ * @param {string} blockHash - Block hash (hex, display order)
+ * @param {Object} header - {version, previousBlockHash, merkleRoot, timestamp, bits, nonce}
+ * @returns {Promise<Object>} {verified, hashMatchesHeader, proofOfWorkValid, error?}
+ */
+async function verifyBitcoinHeader(blockHash, header) {
+  const result = { verified: false, hashMatchesHeader: false, proofOfWorkValid: false };
+
+  const isHash = value => typeof value === "string" && /^[0-9a-f]{64}$/.test(value);
+  const isUint32 = value => Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+  if (!isHash(blockHash) || !header || !isHash(header.previousBlockHash) || !isHash(header.merkleRoot) ||
+      !Number.isInteger(header.version) || !isUint32(header.timestamp) || !isUint32(header.bits) || !isUint32(header.nonce)) {
+    return { ...result, error: "Malformed block header" };
+  }
+
+  // Serialise: version, previous hash, merkle root, time, bits, nonce (little-endian, hashes byte-reversed)
+  const bytes = new Uint8Array(80);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, header.version >>> 0, true);
+  bytes.set(hexToBytes(header.previousBlockHash).reverse(), 4);
+  bytes.set(hexToBytes(header.merkleRoot).reverse(), 36);
+  view.setUint32(68, header.timestamp, true);
+  view.setUint32(72, header.bits, true);
+  view.setUint32(76, header.nonce, true);
+
+  const headerHash = bytesToHex((await sha256(await sha256(bytes))).reverse());
+  result.hashMatchesHeader = headerHash === blockHash;
+
+  const target = compactTarget(header.bits);
+  const targetPlausible = target > 0n && target <= compactTarget(BITCOIN_CONFIG.MAX_TARGET_BITS);
+  result.proofOfWorkValid = targetPlausible && BigInt("0x" + blockHash) <= target;
+
+  result.verified = result.hashMatchesHeader && result.proofOfWorkValid;
+  if (!result.verified) {
+    if (!result.hashMatchesHeader) {
+      result.error = "Block hash does not match the header";
+    } else if (!targetPlausible) {
+      result.error = "Block header target is easier than the Bitcoin mainnet maximum";
+    } else {
+      result.error = "Block hash does not meet the proof-of-work target";
+    }
+  }
+  return result;
+}
+
+/**
+ * Expand a compact ("bits") target: mantissa * 256^(exponent - 3)
+ * @param {number} bits - Compact target
+ * @returns {bigint} Target
+ */
+function compactTarget(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = BigInt(bits & 0x007fffff);
+  return exponent >= 3 ? mantissa << BigInt(8 * (exponent - 3)) : mantissa >> BigInt(8 * (3 - exponent));
+}
+
+/**
+ * GET a URL and return the body as text
+ * @param {string} url - URL to fetch
+ * @returns {Promise<string>} Response text
+ * @throws {Error} If the response is not OK
+ */
+async function fetchText(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+  return response.text();
+}
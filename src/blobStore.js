@@ -0,0 +1,79 @@
+/**
+ * VaultPlay Draw Worker - Large Values
+ * ====================================
+ * KV values are limited to 25 MiB, and the audit bundle of a large draw (every
+ * entry with its score and rank) or its ranking.csv can be bigger. The draw
+ * history and the publish queue therefore keep bundles and companion files in
+ * DRAW_STORE as blobs: the text split into chunks that each fit in a KV value,
+ * with a small pointer {key, chunks, length} in the record that owns it.
+ *
+ * Keys:
+ *   blob:<key>:<index>   chunk <index> (from 0) of blob <key>
+ *
+ * Every chunk is written before putBlob returns the pointer, so a record never
+ * points to a blob that is only partly stored.
+ */
+
+const BLOB_CONFIG = {
+  KEY_PREFIX: "blob:",
+  // UTF-16 code units per chunk: at most 3 UTF-8 bytes each, so a chunk stays under 25 MiB
+  CHUNK_LENGTH: 8 * 1024 * 1024
+};
+
+/**
+ * Store text as a blob
+ * @param {string} key - Blob key, unique to its owner (e.g. "draw-bundle:<drawId>")
+ * @param {string} text - Text to store
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object>} Pointer {key, chunks, length}
+ */
+export async function putBlob(key, text, env) {
+  const chunks = Math.max(1, Math.ceil(text.length / BLOB_CONFIG.CHUNK_LENGTH));
+  await Promise.all(Array.from({ length: chunks }, (_, index) =>
+    env.DRAW_STORE.put(
+      chunkKey(key, index),
+      text.substring(index * BLOB_CONFIG.CHUNK_LENGTH, (index + 1) * BLOB_CONFIG.CHUNK_LENGTH)
+    )
+  ));
+  return { key, chunks, length: text.length };
+}
+
+/**
+ * Read a blob
+ * @param {Object} pointer - Pointer from putBlob
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<string>} The stored text
+ * @throws {Error} If a chunk is missing
+ */
+export async function getBlob(pointer, env) {
+  const chunks = await Promise.all(Array.from({ length: pointer.chunks }, (_, index) =>
+    env.DRAW_STORE.get(chunkKey(pointer.key, index))
+  ));
+  const text = chunks.includes(null) ? null : chunks.join("");
+  if (text === null || text.length !== pointer.length) {
+    throw new Error(`Blob ${pointer.key} is incomplete in DRAW_STORE`);
+  }
+  return text;
+}
+
+/**
+ * Delete a blob
+ * @param {Object} pointer - Pointer from putBlob
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<void>}
+ */
+export async function deleteBlob(pointer, env) {
+  await Promise.all(Array.from({ length: pointer.chunks }, (_, index) =>
+    env.DRAW_STORE.delete(chunkKey(pointer.key, index))
+  ));
+}
+
+/**
+ * KV key of one chunk
+ * @param {string} key - Blob key
+ * @param {number} index - Chunk index
+ * @returns {string} KV key
+ */
+function chunkKey(key, index) {
+  return `${BLOB_CONFIG.KEY_PREFIX}${key}:${index}`;
+}
@@ -0,0 +1,71 @@
+/**
+ * VaultPlay Draw Worker - Canonical JSON
+ * ======================================
+ * JSON Canonicalization Scheme (RFC 8785, "JCS") for every structure the
+ * worker hashes: audit bundles, entry lists, Merkle leaves and commitments.
+ *
+ * JSON.stringify output depends on property insertion order, so a verifier in
+ * another language cannot reproduce it from a parsed bundle. JCS fixes the
+ * serialization, so any conforming implementation (e.g. Python's `jcs`
+ * package or Go's `github.com/cyberphone/json-canonicalization`) produces the
+ * same bytes from the same data:
+ *
+ * - Object properties sorted by their UTF-16 code units, no whitespace
+ * - Strings escaped as ECMAScript JSON.stringify does
+ * - Numbers in ECMAScript Number-to-string form (shortest round-trip)
+ *
+ * BigInt values (entry scores) are serialized as decimal strings, exactly as
+ * they appear in published bundles, so a bundle hashes the same in memory and
+ * after a JSON round trip. Properties whose value is undefined are omitted and
+ * undefined array elements become null, as with JSON.stringify.
+ */
+
+export const CANONICALIZATION = "RFC 8785 (JCS)";
+
+/**
+ * Serialize a value as RFC 8785 canonical JSON
+ * @param {*} value - JSON-compatible value (BigInt allowed)
+ * @returns {string} Canonical JSON text
+ * @throws {TypeError} For non-finite numbers or values JSON cannot represent
+ */
+export function canonicalize(value) {
+  if (value === null) {
+    return "null";
+  }
+
+  switch (typeof value) {
+    case "boolean":
+      return value ? "true" : "false";
+    case "string":
+      return JSON.stringify(value);
+    case "bigint":
+      return JSON.stringify(value.toString());
+    case "number":
+      if (!Number.isFinite(value)) {
+        throw new TypeError(`Cannot canonicalize non-finite number ${value}`);
+      }
+      // ECMAScript Number serialization is the RFC 8785 number format (-0 becomes 0)
+      return JSON.stringify(value);
+    case "object":
+      if (Array.isArray(value)) {
+        return `[${value.map(item => item === undefined ? "null" : canonicalize(item)).join(",")}]`;
+      }
+      return `{${Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort(compareCodeUnits)
+        .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+        .join(",")}}`;
+    default:
+      throw new TypeError(`Cannot canonicalize a value of type ${typeof value}`);
+  }
+}
+
+/**
+ * Order strings by UTF-16 code units (RFC 8785 section 3.2.3)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Negative, zero or positive
+ */
+function compareCodeUnits(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -0,0 +1,158 @@
+/**
+ * VaultPlay Draw Worker - Atomic Claims
+ * =====================================
+ * KV has no compare-and-set: "write this key unless it exists" is a get
+ * followed by a put, and two requests at different edge locations can both
+ * see the key missing. Where that race matters (a signature used twice, two
+ * redraws amending a draw at once, two open commitments for one competition)
+ * the key is claimed through a ClaimRegistry Durable Object instead. Each claim
+ * name has its own object, which handles its requests one at a time, so exactly
+ * one of several concurrent claims succeeds.
+ *
+ * A claim holds a value (e.g. a client ID or commitment ID) until it is
+ * released by a caller presenting the same value, or until its TTL ends.
+ *
+ * Without the CLAIMS binding, claims fall back to a get-then-put on the
+ * DRAW_STORE KV namespace, which is best-effort only (concurrent claims can
+ * both succeed). With neither binding, every claim succeeds.
+ */
+
+const CLAIMS_CONFIG = {
+  KV_PREFIX: "claim:",
+  KV_MIN_TTL_SECONDS: 60,           // KV expirations must be at least 60 seconds ahead
+  // Durable Object requests never leave the worker; the host is a placeholder
+  CLAIM_URL: "https://claims/claim",
+  RELEASE_URL: "https://claims/release"
+};
+
+/**
+ * Durable Object holding one claim
+ * The claim is kept in storage, so it survives the object being evicted, and is
+ * deleted by an alarm when its TTL ends.
+ */
+export class ClaimRegistry {
+  /**
+   * @param {Object} state - Durable Object state (storage)
+   * @param {Object} env - Environment variables
+   */
+  constructor(state, env) {
+    this.state = state;
+  }
+
+  /**
+   * Claim or release
+   * POST /claim   {value, ttlSeconds}  → {claimed, holder}
+   * POST /release {value}              → {released}
+   * @param {Request} request - Request from claim or releaseClaim
+   * @returns {Promise<Response>} JSON result
+   */
+  async fetch(request) {
+    const { value, ttlSeconds } = await request.json();
+    const now = Date.now();
+
+    let current = await this.state.storage.get("claim");
+    if (current && current.expiresAt !== null && current.expiresAt <= now) {
+      current = null;
+    }
+
+    if (new URL(request.url).pathname === "/release") {
+      const released = Boolean(current) && current.value === value;
+      if (released) {
+        await this.state.storage.deleteAll();
+      }
+      return Response.json({ released });
+    }
+
+    if (current) {
+      return Response.json({ claimed: false, holder: current.value });
+    }
+
+    const expiresAt = ttlSeconds ? now + ttlSeconds * 1000 : null;
+    await this.state.storage.put("claim", { value, expiresAt });
+    if (expiresAt !== null) {
+      await this.state.storage.setAlarm(expiresAt);
+    }
+    return Response.json({ claimed: true, holder: value });
+  }
+
+  /**
+   * Delete the claim once its TTL has ended
+   * @returns {Promise<void>}
+   */
+  async alarm() {
+    const current = await this.state.storage.get("claim");
+    if (current && current.expiresAt !== null && current.expiresAt <= Date.now()) {
+      await this.state.storage.deleteAll();
+    }
+  }
+}
+
+/**
+ * Claim a name unless another value already holds it
+ * @param {string} name - Claim name (e.g. "auth:replay:<signature>")
+ * @param {string} value - Value to hold the claim with
+ * @param {Object} env - Environment variables (CLAIMS, or DRAW_STORE as a best-effort fallback)
+ * @param {Object} [options] - {ttlSeconds: release automatically after this long; default never}
+ * @returns {Promise<Object>} {claimed: true, holder: value} or {claimed: false, holder: existing value}
+ */
+export async function claim(name, value, env, { ttlSeconds = null } = {}) {
+  if (env.CLAIMS) {
+    const response = await claimStub(name, env).fetch(CLAIMS_CONFIG.CLAIM_URL, {
+      method: "POST",
+      body: JSON.stringify({ value, ttlSeconds })
+    });
+    return response.json();
+  }
+
+  if (!env.DRAW_STORE) {
+    return { claimed: true, holder: value };
+  }
+
+  const key = `${CLAIMS_CONFIG.KV_PREFIX}${name}`;
+  const holder = await env.DRAW_STORE.get(key);
+  if (holder !== null) {
+    return { claimed: false, holder };
+  }
+  await env.DRAW_STORE.put(key, value, ttlSeconds
+    ? { expirationTtl: Math.max(ttlSeconds, CLAIMS_CONFIG.KV_MIN_TTL_SECONDS) }
+    : {});
+  return { claimed: true, holder: value };
+}
+
+/**
+ * Release a claim held with the given value (a claim held by another value is kept)
+ * @param {string} name - Claim name
+ * @param {string} value - Value the claim was made with
+ * @param {Object} env - Environment variables (CLAIMS or DRAW_STORE)
+ * @returns {Promise<boolean>} True if the claim was released
+ */
+export async function releaseClaim(name, value, env) {
+  if (env.CLAIMS) {
+    const response = await claimStub(name, env).fetch(CLAIMS_CONFIG.RELEASE_URL, {
+      method: "POST",
+      body: JSON.stringify({ value })
+    });
+    return (await response.json()).released;
+  }
+
+  if (!env.DRAW_STORE) {
+    return false;
+  }
+
+  const key = `${CLAIMS_CONFIG.KV_PREFIX}${name}`;
+  if (await env.DRAW_STORE.get(key) !== value) {
+    return false;
+  }
+  await env.DRAW_STORE.delete(key);
+  return true;
+}
+
+/**
+ * Durable Object holding a claim
+ * @param {string} name - Claim name
+ * @param {Object} env - Environment variables (CLAIMS)
+ * @returns {Object} Durable Object stub
+ */
+function claimStub(name, env) {
+  return env.CLAIMS.get(env.CLAIMS.idFromName(name));
+}
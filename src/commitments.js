@@ -0,0 +1,211 @@
+/**
+ * VaultPlay Draw Worker - Commit-then-Reveal Draws
+ * ================================================
+ * Removes the operator's choice of *when* to draw (and so which drand round
+ * is used) by splitting a draw into two phases:
+ *
+ * 1. POST /commit freezes the entry list hash and the draw configuration hash
+ *    (prizes, reserves, rules and quiz) and names a future drand round (given
+ *    directly, or the first round after a close timestamp).
+ * 2. POST /reveal re-submits the entries and competition, refuses to run
+ *    before the round exists or if either differs from the commitment, and
+ *    draws with exactly the committed round.
+ *
+ * Commitments are stored in the DRAW_STORE KV namespace, published when they
+ * are made and embedded in the audit bundle, so the public can check the
+ * entries were fixed before the randomness existed.
+ *
+ * A competition has at most one open (unrevealed) commitment, claimed through
+ * the ClaimRegistry (see ./claims.js) until it is revealed. Otherwise an
+ * operator could commit the same entries to several rounds and reveal only
+ * the one with the result they wanted.
+ *
+ * A commitment expires REVEAL_GRACE_SECONDS after its round is produced: it
+ * can no longer be revealed, and its claim ends so the competition can commit
+ * again. A reveal that keeps failing therefore cannot block a competition for
+ * good, and an expired commitment cannot be held back and revealed later.
+ */
+
+import { roundAt, roundTime } from "./drand.js";
+import { getAlgorithm } from "./algorithms.js";
+import { sha256Hex } from "./hex.js";
+import { claim, releaseClaim } from "./claims.js";
+
+const COMMITMENT_CONFIG = {
+  KEY_PREFIX: "commitment:",
+  OPEN_CLAIM_PREFIX: "commitment:open:",   // Claim held by a competition's open commitment
+  MAX_COMMITMENT_ID_LENGTH: 64,
+  MIN_ROUNDS_AHEAD: 1,                      // Target round must not exist yet
+  MAX_COMMIT_AHEAD_SECONDS: 366 * 24 * 60 * 60, // Reveal must be within a year
+  REVEAL_GRACE_SECONDS: 24 * 60 * 60        // Time after the target round to reveal in
+};
+
+/**
+ * Resolve and validate the drand round a commitment binds to
+ * @param {Object} body - Commit request body ({targetRound} or {closeTime})
+ * @param {Object} chain - Chain configuration from getDrandChain
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {Object} {valid: true, targetRound} or {valid: false, error}
+ */
+export function resolveTargetRound(body, chain, nowMs) {
+  const { targetRound, closeTime } = body;
+
+  if ((targetRound === undefined) === (closeTime === undefined)) {
+    return { valid: false, error: "Provide exactly one of 'targetRound' or 'closeTime'" };
+  }
+
+  let round;
+  if (targetRound !== undefined) {
+    if (!Number.isSafeInteger(targetRound) || targetRound < 1) {
+      return { valid: false, error: "Field 'targetRound' must be a positive integer" };
+    }
+    round = targetRound;
+  } else {
+    const closeMs = typeof closeTime === "string" ? Date.parse(closeTime) : NaN;
+    if (Number.isNaN(closeMs)) {
+      return { valid: false, error: "Field 'closeTime' must be an ISO 8601 timestamp" };
+    }
+    // First round produced strictly after the close time
+    round = roundAt(chain, closeMs) + 1;
+  }
+
+  const currentRound = roundAt(chain, nowMs);
+  if (round < currentRound + COMMITMENT_CONFIG.MIN_ROUNDS_AHEAD) {
+    return {
+      valid: false,
+      error: `Target round ${round} is not in the future (current round is ${currentRound})`
+    };
+  }
+
+  if (roundTime(chain, round) - nowMs > COMMITMENT_CONFIG.MAX_COMMIT_AHEAD_SECONDS * 1000) {
+    return { valid: false, error: "Target round is too far in the future" };
+  }
+
+  return { valid: true, targetRound: round };
+}
+
+/**
+ * Create and store a commitment, unless the competition already has an open one
+ * @param {Object} params - {competition, entriesHash, configurationHash, entryCount, algorithmVersion, targetRound, chain, client}
+ * @param {Object} env - Environment variables (DRAW_STORE, CLAIMS)
+ * @returns {Promise<Object>} {commitment: stored record} or {openCommitmentId} of the competition's open commitment
+ */
+export async function createCommitment({ competition, entriesHash, configurationHash, entryCount, algorithmVersion, targetRound, chain, client }, env) {
+  const record = {
+    commitmentId: crypto.randomUUID(),
+    competition: {
+      id: competition.id,
+      name: competition.name,
+      mode: competition.mode
+    },
+    entriesHash: entriesHash,
+    configurationHash: configurationHash,
+    entryCount: entryCount,
+    algorithmVersion: algorithmVersion,
+    drand: {
+      chainHash: chain.hash,
+      targetRound: targetRound,
+      expectedAt: new Date(roundTime(chain, targetRound)).toISOString()
+    },
+    committedAt: new Date().toISOString(),
+    committedBy: {
+      clientId: client.id,
+      authMethod: client.method
+    }
+  };
+  record.commitmentHash = await computeCommitmentHash(record);
+
+  const claimName = openClaimName(competition.id);
+  const ttlSeconds = Math.ceil((revealDeadline(record) - Date.now()) / 1000);
+  let open = await claim(claimName, record.commitmentId, env, { ttlSeconds });
+  if (!open.claimed && await isExpiredCommitment(open.holder, env)) {
+    // Commitments claimed before claims expired hold theirs until released
+    await releaseClaim(claimName, open.holder, env);
+    open = await claim(claimName, record.commitmentId, env, { ttlSeconds });
+  }
+  if (!open.claimed) {
+    return { openCommitmentId: open.holder };
+  }
+
+  try {
+    await env.DRAW_STORE.put(`${COMMITMENT_CONFIG.KEY_PREFIX}${record.commitmentId}`, JSON.stringify(record));
+  } catch (error) {
+    await releaseClaim(openClaimName(competition.id), record.commitmentId, env);
+    throw error;
+  }
+
+  return { commitment: record };
+}
+
+/**
+ * Load a stored commitment
+ * @param {string} commitmentId - Commitment identifier
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object|null>} Commitment record, or null if not found
+ */
+export async function loadCommitment(commitmentId, env) {
+  if (typeof commitmentId !== "string" || commitmentId.length === 0 ||
+      commitmentId.length > COMMITMENT_CONFIG.MAX_COMMITMENT_ID_LENGTH) {
+    return null;
+  }
+  return env.DRAW_STORE.get(`${COMMITMENT_CONFIG.KEY_PREFIX}${commitmentId}`, "json");
+}
+
+/**
+ * Time after which a commitment can no longer be revealed
+ * @param {Object} record - Commitment record
+ * @returns {number} Milliseconds since the epoch
+ */
+export function revealDeadline(record) {
+  return Date.parse(record.drand.expectedAt) + COMMITMENT_CONFIG.REVEAL_GRACE_SECONDS * 1000;
+}
+
+/**
+ * Record that a commitment has been revealed (a commitment can be revealed once)
+ * and let its competition make a new commitment
+ * @param {Object} record - Commitment record
+ * @param {Object} reveal - {revealedAt, round, revealedBy}
+ * @param {Object} env - Environment variables (DRAW_STORE, CLAIMS)
+ * @returns {Promise<void>}
+ */
+export async function markCommitmentRevealed(record, reveal, env) {
+  await env.DRAW_STORE.put(
+    `${COMMITMENT_CONFIG.KEY_PREFIX}${record.commitmentId}`,
+    JSON.stringify({ ...record, revealed: reveal })
+  );
+  await releaseClaim(openClaimName(record.competition.id), record.commitmentId, env);
+}
+
+/**
+ * Hash of the commitment fields (everything except commitmentHash and reveal state)
+ * Serialized as the commitment's algorithm version specifies; commitments made
+ * before versions were recorded used JSON.stringify.
+ * @param {Object} record - Commitment record
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export async function computeCommitmentHash(record) {
+  const { commitmentHash, revealed, reveal, ...fields } = record;
+  const algorithm = getAlgorithm(fields.algorithmVersion);
+  const serialized = algorithm ? algorithm.serialize(fields) : JSON.stringify(fields);
+  return sha256Hex(serialized);
+}
+
+/**
+ * Whether the commitment holding a competition's claim has passed its reveal deadline unrevealed
+ * @param {string} commitmentId - Commitment identifier (the claim's holder)
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<boolean>} True if the commitment expired unrevealed
+ */
+async function isExpiredCommitment(commitmentId, env) {
+  const record = await loadCommitment(commitmentId, env);
+  return Boolean(record) && !record.revealed && Date.now() > revealDeadline(record);
+}
+
+/**
+ * Name of the claim held by a competition's open commitment
+ * @param {string} competitionId - Competition identifier
+ * @returns {string} Claim name
+ */
+function openClaimName(competitionId) {
+  return `${COMMITMENT_CONFIG.OPEN_CLAIM_PREFIX}${competitionId}`;
+}
@@ -0,0 +1,777 @@
+/**
+ * VaultPlay Draw Worker - Draw Core
+ * =================================
+ * The draw algorithm and audit bundle verification. The worker uses these
+ * functions for every draw, and bin/vaultplay-verify.js uses them to re-run
+ * published bundles offline, so third parties can reproduce draws with
+ * exactly the worker's code:
+ *
+ *   import { verifyAuditBundle } from "vaultplay-draw-worker/core";
+ *
+ * Runs anywhere with Web Crypto (crypto.subtle), fetch, BigInt and ES modules:
+ * Cloudflare Workers, Node.js 20+ and modern browsers. The modules it imports
+ * are not runtime-free as a whole (beacons.js and drand.js fetch beacons,
+ * commitments.js stores commitments in KV, and signing.js and drand.js need
+ * @noble/curves), but the draw and verification only call their pure
+ * functions, which need no Workers bindings or network access.
+ */
+
+import { buildMerkleTree } from "./merkle.js";
+import { verifyBeaconRecord, combineBeaconValues } from "./beacons.js";
+import { computeCommitmentHash } from "./commitments.js";
+import { DISQUALIFICATION_CODES } from "./rules.js";
+import { validateQuiz, prepareQuiz } from "./quiz.js";
+import { DEFAULT_ALGORITHM_VERSION, getAlgorithm, listAlgorithmVersions } from "./algorithms.js";
+import { verifyBundleSignature, listPublicKeys } from "./signing.js";
+import { sha256Hex } from "./hex.js";
+
+export { DEFAULT_ALGORITHM_VERSION, getAlgorithm, listAlgorithmVersions };
+
+// Default algorithm identity and the version-independent methods recorded in every audit bundle
+// (scoring, ranking and checksum methods are per version; see ./algorithms.js)
+export const ALGORITHM = {
+  VERSION: DEFAULT_ALGORITHM_VERSION,
+  HASH_FUNCTION: "SHA-256",
+  PRIZE_ASSIGNMENT_METHOD: "Prize slots filled in declared tier order by rank; with onePrizePerPerson, " +
+    "entries whose emailHash (entrantRef in privacy mode) has already won are skipped",
+  RESERVE_METHOD: "Reserves (alternates) are the entries that would fill further prize slots: the walk that assigns " +
+    "prizes continues down the ranking past the last prize, under the same onePrizePerPerson rule; " +
+    "without a prize table the single winner is rank 1",
+  MERKLE_METHOD: "Leaves are canonical entry records with rank, serialized per verification.canonicalization " +
+    "and sorted by entryCode (UTF-16 code unit order); " +
+    "leafHash = SHA-256(0x00 || leaf), nodeHash = SHA-256(0x01 || left || right), " +
+    "an odd node is promoted to the next level unchanged"
+};
+
+const DEFAULT_ALGORITHM = getAlgorithm(DEFAULT_ALGORITHM_VERSION);
+
+// The implicit prize table of draws that declare none: rank 1 wins
+export const WINNER_TIER = { tier: "Winner", quantity: 1 };
+
+const CORE_CONFIG = {
+  MAX_PRIZE_TIERS: 50,            // Maximum tiers in a competition's prize table
+  MAX_PRIZES: 10000,              // Maximum prizes across all tiers
+  MAX_PRIZE_TIER_LENGTH: 100      // Maximum length for a prize tier name
+};
+
+/**
+ * Compute SHA-256 hash and return as hexadecimal string
+ * @param {string} input - Input string to hash
+ * @returns {Promise<string>} Hex-encoded hash (64 characters)
+ */
+export async function computeSHA256Hex(input) {
+  return sha256Hex(input);
+}
+
+/**
+ * Validate and normalise a prize table (trims tier names in place)
+ * @param {Array} prizes - Prize tiers [{tier, quantity}] in award order
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+export function validatePrizes(prizes) {
+  if (!Array.isArray(prizes) || prizes.length === 0) {
+    return { valid: false, error: "Field 'competition.prizes' must be a non-empty array" };
+  }
+
+  if (prizes.length > CORE_CONFIG.MAX_PRIZE_TIERS) {
+    return { valid: false, error: `Maximum ${CORE_CONFIG.MAX_PRIZE_TIERS} prize tiers allowed` };
+  }
+
+  const tierNames = new Set();
+  let totalPrizes = 0;
+  for (let i = 0; i < prizes.length; i++) {
+    const prize = prizes[i];
+
+    if (!prize || typeof prize !== "object" || Array.isArray(prize)) {
+      return { valid: false, error: `Prize tier at index ${i} must be an object` };
+    }
+
+    if (!prize.tier || typeof prize.tier !== "string" || prize.tier.trim().length === 0) {
+      return { valid: false, error: `Prize tier at index ${i} must have a string 'tier' field` };
+    }
+    prize.tier = prize.tier.trim();
+    if (prize.tier.length > CORE_CONFIG.MAX_PRIZE_TIER_LENGTH) {
+      return { valid: false, error: `Prize tier at index ${i}: 'tier' exceeds maximum length` };
+    }
+    if (tierNames.has(prize.tier)) {
+      return { valid: false, error: `Duplicate prize tier detected: "${prize.tier}"` };
+    }
+    tierNames.add(prize.tier);
+
+    if (!Number.isSafeInteger(prize.quantity) || prize.quantity < 1) {
+      return { valid: false, error: `Prize tier at index ${i}: 'quantity' must be a positive integer` };
+    }
+    totalPrizes += prize.quantity;
+  }
+
+  if (totalPrizes > CORE_CONFIG.MAX_PRIZES) {
+    return { valid: false, error: `Maximum ${CORE_CONFIG.MAX_PRIZES} prizes allowed across all tiers` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Canonical public record of a processed entry
+ * Matches the shape of the audit bundle's entries.list items (without rank),
+ * so verifiers can recompute hashes from a published bundle.
+ * @param {Object} entry - Processed entry (or entries.list item)
+ * @returns {Object} Canonical entry record
+ */
+export function canonicalEntryRecord(entry) {
+  return {
+    entryCode: entry.entryCode,
+    weight: entry.weight || 1,
+    gamertag: entry.gamertag || null,
+    emailHash: entry.emailHash || null,
+    entryTimestamp: entry.entryTimestamp || null,
+    location: entry.location || null,
+    quiz: entry.quiz || null,
+    status: entry.status || "qualified",
+    disqualificationReason: entry.disqualificationReason || null,
+    disqualificationCode: entry.disqualificationCode || null,
+    ...committedPersonalData(entry)
+  };
+}
+
+/**
+ * Privacy-mode fields of an entry (see ./privacy.js)
+ * Entries drawn without privacy mode have none, so their records hash as before.
+ * @param {Object} entry - Processed entry (or entries.list item)
+ * @returns {Object} {personalDataCommitment, entrantRef}, or {} outside privacy mode
+ */
+export function committedPersonalData(entry) {
+  return entry.personalDataCommitment
+    ? { personalDataCommitment: entry.personalDataCommitment, entrantRef: entry.entrantRef || null }
+    : {};
+}
+
+/**
+ * Hash of the entry list, independent of submission order
+ * entriesHash = SHA-256(JSON of canonical entry records sorted by entryCode),
+ * serialized as the algorithm version specifies (RFC 8785 from v1.5)
+ * @param {Array} entries - Processed entries (or entries.list items)
+ * @param {Object} [algorithm] - Algorithm implementation (defaults to the current version)
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export async function computeEntriesHash(entries, algorithm = DEFAULT_ALGORITHM) {
+  const records = entries
+    .map(canonicalEntryRecord)
+    .sort((a, b) => (a.entryCode < b.entryCode ? -1 : a.entryCode > b.entryCode ? 1 : 0));
+  return computeSHA256Hex(algorithm.serialize(records));
+}
+
+/**
+ * Public draw configuration of a competition, as recorded in the audit bundle's competition section
+ * Applying it to a bundle's competition section returns the section unchanged,
+ * so verifiers can recompute the configuration hash from a published bundle.
+ * @param {Object} competition - Validated competition (or a bundle's competition section)
+ * @returns {Object} Draw configuration
+ */
+export function drawConfiguration(competition) {
+  return {
+    id: competition.id,
+    name: competition.name,
+    mode: competition.mode,
+    prizes: competition.prizes || null,
+    onePrizePerPerson: competition.onePrizePerPerson === true,
+    // Personal data replaced by salted commitments (verification.privacy)
+    privacyMode: competition.privacyMode === true,
+    // Alternates published upfront in results.reserves (redraws promote them in order)
+    reserves: competition.reserves || 0,
+    // Eligibility rules behind every disqualificationCode in the entry list
+    rules: competition.rules || null,
+    // Questions, salt and accepted-answer hashes (never plain-text answers)
+    quiz: competition.quiz || null
+  };
+}
+
+/**
+ * Hash of a competition's draw configuration (prizes, reserves, rules, quiz and identity),
+ * serialized as the algorithm version specifies
+ * @param {Object} competition - Validated competition (or a bundle's competition section)
+ * @param {Object} [algorithm] - Algorithm implementation (defaults to the current version)
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export async function computeConfigurationHash(competition, algorithm = DEFAULT_ALGORITHM) {
+  return computeSHA256Hex(algorithm.serialize(drawConfiguration(competition)));
+}
+
+/**
+ * Merkle tree over an entry list (see ALGORITHM.MERKLE_METHOD)
+ * Leaves are the canonical entry records plus rank, sorted by entryCode and
+ * serialized as the algorithm version specifies.
+ * @param {Array} entries - Ranked results (or entries.list items)
+ * @param {Object} [algorithm] - Algorithm implementation (defaults to the current version)
+ * @returns {Promise<Object>} {root, levels, records, leaves} - leaf records and their JSON in tree order
+ */
+export async function buildEntriesMerkleTree(entries, algorithm = DEFAULT_ALGORITHM) {
+  const records = entries
+    .map(entry => ({ ...canonicalEntryRecord(entry), rank: entry.rank ?? null }))
+    .sort((a, b) => (a.entryCode < b.entryCode ? -1 : a.entryCode > b.entryCode ? 1 : 0));
+  const leaves = records.map(record => algorithm.serialize(record));
+  const tree = await buildMerkleTree(leaves);
+  return { root: tree.root, levels: tree.levels, records: records, leaves: leaves };
+}
+
+/**
+ * Calculate cryptographic scores for all entries
+ * @param {string} seed - Hex-encoded seed from randomness
+ * @param {Array} entries - Array of processed entry objects
+ * @param {Object} [algorithm] - Algorithm implementation (defaults to the current version)
+ * @returns {Promise<Array>} Array of entries with scores
+ */
+export async function calculateEntryScores(seed, entries, algorithm = DEFAULT_ALGORITHM) {
+  // Process entries in parallel for efficiency
+  // Each score is deterministically derived from seed + entryCode
+  const scoredEntries = await Promise.all(
+    entries.map(async (entry) => {
+      // Concatenate seed with entry code
+      // This ensures each entry gets a unique input for hashing
+      const combinedInput = algorithm.scoreInput(seed, entry.entryCode);
+      
+      // Generate cryptographic score via SHA-256
+      const scoreHex = await computeSHA256Hex(combinedInput);
+      
+      // Convert to BigInt for precise numerical comparison
+      // Prefix with "0x" to indicate hexadecimal
+      const score = BigInt("0x" + scoreHex);
+      
+      return {
+        ...entry,  // Include all entry data (gamertag, email hash, location, quiz, status, etc.)
+        score: score,
+        // Store hex representation for audit trail
+        scoreHex: scoreHex
+      };
+    })
+  );
+
+  return scoredEntries;
+}
+
+/**
+ * Rank entries by their algorithm's ranking key (highest first)
+ * @param {Array} scoredEntries - Entries with calculated scores
+ * @param {Object} [algorithm] - Algorithm implementation (defaults to the current version)
+ * @returns {Array} Sorted entries with rank assignments
+ */
+export function rankEntriesByScore(scoredEntries, algorithm = DEFAULT_ALGORITHM) {
+  // Compute each key once, without mutating input
+  const entries = scoredEntries.map(entry => ({ entry, key: algorithm.rankKey(entry) }));
+  
+  // Sort by key in descending order (highest key = rank 1)
+  // With equal weights the weighted key orders entries exactly as their scores do
+  entries.sort(algorithm.compareRankKeys);
+
+  // Assign sequential ranks and convert BigInt to string
+  return entries.map(({ entry }, index) => ({
+    rank: index + 1,
+    entryCode: entry.entryCode,
+    weight: entry.weight || 1,
+    gamertag: entry.gamertag || null,
+    emailHash: entry.emailHash || null,
+    entryTimestamp: entry.entryTimestamp || null,
+    location: entry.location || null,
+    quiz: entry.quiz || null,
+    status: entry.status || "qualified",
+    disqualificationReason: entry.disqualificationReason || null,
+    disqualificationCode: entry.disqualificationCode || null,
+    ...committedPersonalData(entry),
+    // Convert BigInt to string for JSON serialization
+    score: entry.score.toString(),
+    // Include hex representation for verification
+    scoreHex: entry.scoreHex
+  }));
+}
+
+/**
+ * Assign prizes to ranked entries, filling tiers in declared order
+ * Walks the ranking once: rank 1 takes the first slot of the first tier, and so on.
+ * With onePrizePerPerson, an entry whose emailHash has already won is skipped
+ * (entries without an emailHash are treated as distinct people). Privacy-mode
+ * entries have no public emailHash and are matched by entrantRef instead.
+ * @param {Array} rankedEntries - Qualified entries in rank order
+ * @param {Array} prizes - Prize tiers [{tier, quantity}] in award order
+ * @param {boolean} onePrizePerPerson - Skip entries whose emailHash already won
+ * @returns {Object} {onePrizePerPerson, tiers, assignments, skipped, unfilled}
+ */
+export function assignPrizes(rankedEntries, prizes, onePrizePerPerson) {
+  // One slot per prize, in award order
+  const slots = [];
+  for (const prize of prizes) {
+    for (let position = 1; position <= prize.quantity; position++) {
+      slots.push({ tier: prize.tier, position: position });
+    }
+  }
+
+  const assignments = [];
+  const skipped = [];
+  const winningPeople = new Set();
+
+  for (const entry of rankedEntries) {
+    if (assignments.length === slots.length) {
+      break;
+    }
+
+    const person = entry.emailHash || entry.entrantRef || null;
+    if (onePrizePerPerson && person && winningPeople.has(person)) {
+      skipped.push({
+        rank: entry.rank,
+        entryCode: entry.entryCode,
+        reason: "Already won a prize (onePrizePerPerson)"
+      });
+      continue;
+    }
+
+    const slot = slots[assignments.length];
+    assignments.push({
+      tier: slot.tier,
+      position: slot.position,
+      rank: entry.rank,
+      entryCode: entry.entryCode,
+      gamertag: entry.gamertag || null,
+      emailHash: entry.emailHash || null
+    });
+    if (person) {
+      winningPeople.add(person);
+    }
+  }
+
+  // Tiers left short because there were not enough eligible entries
+  const unfilled = prizes
+    .map(prize => ({
+      tier: prize.tier,
+      quantity: prize.quantity,
+      awarded: assignments.filter(a => a.tier === prize.tier).length
+    }))
+    .filter(tier => tier.awarded < tier.quantity);
+
+  return {
+    onePrizePerPerson: onePrizePerPerson,
+    tiers: prizes.map(prize => ({ tier: prize.tier, quantity: prize.quantity })),
+    assignments: assignments,
+    skipped: skipped,
+    unfilled: unfilled
+  };
+}
+
+/**
+ * Alternates in promotion order: the entries that would fill the next prize
+ * slots after every prize is awarded (see ALGORITHM.RESERVE_METHOD)
+ * A draw's declared reserves are its first alternates; a redraw promotes the
+ * next alternate not yet promoted.
+ * @param {Array} rankedEntries - Qualified entries in rank order
+ * @param {Array|null} prizes - Prize tiers [{tier, quantity}] (null: a single winner, WINNER_TIER)
+ * @param {boolean} onePrizePerPerson - Skip entries whose person already won or was chosen as an alternate
+ * @param {number} count - Number of alternates
+ * @returns {Array} Alternates [{position, rank, entryCode, gamertag, emailHash}] (fewer if the ranking runs out)
+ */
+export function selectAlternates(rankedEntries, prizes, onePrizePerPerson, count) {
+  const tiers = prizes || [WINNER_TIER];
+  const prizeSlots = tiers.reduce((sum, prize) => sum + prize.quantity, 0);
+  const { assignments } = assignPrizes(rankedEntries, [...tiers, { tier: null, quantity: count }], onePrizePerPerson);
+  return assignments.slice(prizeSlots).map(({ tier, ...alternate }) => alternate);
+}
+
+/**
+ * Compute a checksum of the results for integrity verification
+ * Uses SHA-256 for cryptographic security
+ * @param {Array} results - Ranked results array
+ * @param {Object} [algorithm] - Algorithm implementation (defaults to the current version)
+ * @returns {Promise<string>} Hex checksum (length set by the algorithm version: 16 before v1.5, then all 64)
+ */
+export async function computeResultsChecksum(results, algorithm = DEFAULT_ALGORITHM) {
+  // Create a deterministic string representation of results
+  const resultsString = algorithm.checksumInput(results);
+  
+  // Compute full SHA-256 hash
+  const fullHash = await computeSHA256Hex(resultsString);
+  
+  // Return the leading characters as checksum
+  return fullHash.substring(0, algorithm.checksumLength);
+}
+
+/**
+ * Compute the SHA-256 bundle hash over the audit bundle
+ * The hash covers the bundle as generated, before its signature and the
+ * bundleHash and publication metadata are attached
+ * (RFC 8785 canonical JSON from v1.5; see verification.canonicalization).
+ * @param {Object} auditBundle - Audit bundle (without bundleHash/publication/signature)
+ * @param {Object} [algorithm] - Algorithm implementation (defaults to the current version)
+ * @returns {Promise<string>} Hex-encoded bundle hash
+ */
+export async function computeBundleHash(auditBundle, algorithm = DEFAULT_ALGORITHM) {
+  return computeSHA256Hex(algorithm.serialize(auditBundle));
+}
+
+/**
+ * Whether an audit bundle lists its entries (needed to rebuild the Merkle tree)
+ * @param {Object} bundle - Audit bundle
+ * @returns {boolean} True if entries.list is a non-empty list of entries with string codes
+ */
+export function hasEntryList(bundle) {
+  const list = bundle.entries?.list;
+  return Array.isArray(list) && list.length > 0 &&
+    list.every(entry => entry && typeof entry === "object" && typeof entry.entryCode === "string");
+}
+
+/**
+ * Check an audit bundle has the fields verification depends on
+ * @param {Object} bundle - Candidate audit bundle
+ * @returns {string|null} Error message, or null if the structure is usable
+ */
+export function validateAuditBundleStructure(bundle) {
+  if (!bundle || typeof bundle !== "object" || Array.isArray(bundle)) {
+    return "Provide either 'bundle' (an audit bundle object) or 'path' (a published audit bundle path)";
+  }
+  if (!bundle.randomness || typeof bundle.randomness.value !== "string") {
+    return "Audit bundle is missing 'randomness.value'";
+  }
+  if (!bundle.results || !Array.isArray(bundle.results.fullRanking)) {
+    return "Audit bundle is missing 'results.fullRanking'";
+  }
+  if (typeof bundle.results.seed !== "string" || typeof bundle.results.checksum !== "string") {
+    return "Audit bundle is missing 'results.seed' or 'results.checksum'";
+  }
+  for (let i = 0; i < bundle.results.fullRanking.length; i++) {
+    const entry = bundle.results.fullRanking[i];
+    if (!entry || typeof entry.entryCode !== "string" || typeof entry.scoreHex !== "string") {
+      return `Audit bundle ranking entry at index ${i} must have string 'entryCode' and 'scoreHex'`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Re-execute an audit bundle and compare every derived value
+ * Uses the same computeSHA256Hex/rankEntriesByScore/computeResultsChecksum
+ * logic as /startdraw, with the algorithm version the bundle was drawn under,
+ * so a bundle verifies only if the draw is reproducible.
+ * @param {Object} bundle - Audit bundle (structure already validated)
+ * @param {string} [claimedBundleHash] - Bundle hash to check (defaults to bundle.bundleHash)
+ * @param {Object} env - Environment variables (trusted drand chain, bundle signing keys)
+ * @param {Object} [options] - {publicKeys: trusted signing keys; defaults to the keys configured in env}
+ * @returns {Promise<Object>} Report with {verified: boolean, authenticated: boolean, checks: Object}
+ */
+export async function verifyAuditBundle(bundle, claimedBundleHash, env, { publicKeys } = {}) {
+  const checks = {};
+  const ranking = bundle.results.fullRanking;
+
+  // Check 1: Algorithm version is registered; the draw is replayed with that version
+  // (an unknown version fails here and the remaining checks use the current version)
+  const version = bundle.verification?.algorithm || bundle.draw?.workerVersion || null;
+  const algorithm = getAlgorithm(version);
+  const replay = algorithm || DEFAULT_ALGORITHM;
+  checks.algorithm = {
+    passed: algorithm !== null,
+    actual: version,
+    replayedWith: replay.version,
+    supportedVersions: listAlgorithmVersions()
+  };
+
+  // Check 2: seed = SHA-256(randomness)
+  const seed = await computeSHA256Hex(bundle.randomness.value);
+  checks.seed = {
+    passed: seed === bundle.results.seed,
+    expected: seed,
+    actual: bundle.results.seed
+  };
+
+  // Check 3: every scoreHex = SHA-256(seed || entryCode)
+  const rescored = await calculateEntryScores(seed, ranking.map(entry => ({
+    entryCode: entry.entryCode,
+    weight: entry.weight || 1,
+    emailHash: entry.emailHash || null,
+    ...committedPersonalData(entry),
+    status: entry.status
+  })), replay);
+  const scoreMismatch = rescored.findIndex((entry, i) => entry.scoreHex !== ranking[i].scoreHex);
+  checks.scores = {
+    passed: scoreMismatch === -1,
+    checked: rescored.length,
+    firstMismatch: scoreMismatch === -1 ? null : {
+      entryCode: ranking[scoreMismatch].entryCode,
+      expected: rescored[scoreMismatch].scoreHex,
+      actual: ranking[scoreMismatch].scoreHex
+    }
+  };
+
+  // Check 4: qualified entries ranked by recomputed score, disqualified unranked
+  const expectedRanking = rankEntriesByScore(rescored.filter(e => e.status === "qualified"), replay);
+  const recordedRanking = ranking
+    .filter(e => e.status === "qualified")
+    .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+  let divergence = null;
+  for (let i = 0; i < Math.max(expectedRanking.length, recordedRanking.length); i++) {
+    const expected = expectedRanking[i];
+    const recorded = recordedRanking[i];
+    if (!expected || !recorded || expected.entryCode !== recorded.entryCode || recorded.rank !== expected.rank) {
+      divergence = {
+        rank: i + 1,
+        expectedEntryCode: expected?.entryCode || null,
+        actualEntryCode: recorded?.entryCode || null,
+        actualRank: recorded?.rank ?? null
+      };
+      break;
+    }
+  }
+  const rankedDisqualified = ranking.find(e => e.status !== "qualified" && e.rank !== null);
+  checks.ranking = {
+    passed: divergence === null && !rankedDisqualified,
+    qualifiedEntries: expectedRanking.length,
+    firstDivergence: divergence || (rankedDisqualified ? {
+      rank: rankedDisqualified.rank,
+      expectedEntryCode: null,
+      actualEntryCode: rankedDisqualified.entryCode,
+      reason: "Disqualified entry has a rank"
+    } : null)
+  };
+  if (bundle.results.rankingTruncated === true) {
+    // Streamed draws publish only the top of the ranking: it is checked for
+    // internal consistency; the full entry list is identified by entries.streamed.sha256
+    checks.ranking.partial = true;
+  }
+
+  // Check 5: winner is the top-ranked qualified entry
+  const expectedWinner = expectedRanking[0]?.entryCode || null;
+  const recordedWinner = bundle.results.winner?.entryCode || null;
+  checks.winner = {
+    passed: expectedWinner === recordedWinner,
+    expected: expectedWinner,
+    actual: recordedWinner
+  };
+
+  // Check 6: prize tiers assigned in rank order from the declared prize table
+  const prizeTable = bundle.competition?.prizes;
+  // Validate a copy: validatePrizes normalises in place and the bundle hash is checked later
+  const prizeTableResult = prizeTable ? validatePrizes(JSON.parse(JSON.stringify(prizeTable))) : null;
+  if (prizeTableResult && !prizeTableResult.valid) {
+    checks.prizes = {
+      passed: false,
+      reason: `Invalid prize table: ${prizeTableResult.error}`
+    };
+  } else if (prizeTable) {
+    const expectedPrizes = assignPrizes(expectedRanking, prizeTable, bundle.competition.onePrizePerPerson === true);
+    const recordedAssignments = Array.isArray(bundle.results.prizes?.assignments) ? bundle.results.prizes.assignments : [];
+    let prizeMismatch = null;
+    for (let i = 0; i < Math.max(expectedPrizes.assignments.length, recordedAssignments.length); i++) {
+      const expected = expectedPrizes.assignments[i];
+      const recorded = recordedAssignments[i];
+      if (!expected || !recorded || expected.tier !== recorded.tier || expected.entryCode !== recorded.entryCode) {
+        prizeMismatch = {
+          tier: expected?.tier || recorded?.tier || null,
+          expectedEntryCode: expected?.entryCode || null,
+          actualEntryCode: recorded?.entryCode || null
+        };
+        break;
+      }
+    }
+    checks.prizes = {
+      passed: prizeMismatch === null,
+      awarded: expectedPrizes.assignments.length,
+      firstMismatch: prizeMismatch
+    };
+  } else {
+    checks.prizes = {
+      passed: null,
+      skipped: true,
+      reason: "Competition declares no prize table"
+    };
+  }
+
+  // Check 6b: declared reserves are the first alternates after the prize winners
+  const reserveCount = bundle.competition?.reserves;
+  if (!Number.isSafeInteger(reserveCount) || reserveCount < 1) {
+    checks.reserves = {
+      passed: null,
+      skipped: true,
+      reason: "Competition declares no reserves"
+    };
+  } else if (prizeTableResult && !prizeTableResult.valid) {
+    checks.reserves = {
+      passed: false,
+      reason: `Invalid prize table: ${prizeTableResult.error}`
+    };
+  } else {
+    const expectedReserves = selectAlternates(expectedRanking, prizeTable || null, bundle.competition.onePrizePerPerson === true, reserveCount);
+    const recordedReserves = Array.isArray(bundle.results.reserves) ? bundle.results.reserves : [];
+    let reserveMismatch = null;
+    for (let i = 0; i < Math.max(expectedReserves.length, recordedReserves.length); i++) {
+      if (expectedReserves[i]?.entryCode !== recordedReserves[i]?.entryCode) {
+        reserveMismatch = {
+          position: i + 1,
+          expectedEntryCode: expectedReserves[i]?.entryCode || null,
+          actualEntryCode: recordedReserves[i]?.entryCode || null
+        };
+        break;
+      }
+    }
+    checks.reserves = {
+      passed: reserveMismatch === null,
+      declared: reserveCount,
+      firstMismatch: reserveMismatch
+    };
+  }
+
+  // Check 7: results checksum over the recorded ranking order
+  const resultsChecksum = await computeResultsChecksum(ranking, replay);
+  checks.resultsChecksum = {
+    passed: resultsChecksum === bundle.results.checksum,
+    expected: resultsChecksum,
+    actual: bundle.results.checksum
+  };
+
+  // Check 8: beacon proofs (only for worker-fetched randomness): every source
+  // verifies, and the randomness is its output (or the combination of outputs)
+  const sources = bundle.randomness.sources;
+  const beacon = bundle.randomness.beacon;
+  if (Array.isArray(sources) && sources.length > 0) {
+    const results = await Promise.all(sources.map(record => verifyBeaconRecord(record, env)));
+    const wellFormed = sources.every(record => record && typeof record === "object" && typeof record.value === "string");
+    const expectedValue = !wellFormed ? null : sources.length === 1 ? sources[0].value : await combineBeaconValues(sources);
+    const valueMatches = expectedValue === bundle.randomness.value;
+    checks.randomnessBeacon = {
+      passed: valueMatches && results.every(result => result.passed !== false),
+      valueMatches: valueMatches,
+      sources: results
+    };
+  } else if (beacon) {
+    // Bundles from before beacon sources were recorded carry the drand beacon only
+    checks.randomnessBeacon = await verifyBeaconRecord({
+      provider: "drand",
+      round: bundle.randomness.round,
+      value: bundle.randomness.value,
+      proof: beacon
+    }, env);
+  } else {
+    checks.randomnessBeacon = {
+      passed: null,
+      skipped: true,
+      reason: "Randomness was not fetched and verified by the worker"
+    };
+  }
+
+  // Check 9: entries, draw configuration and round match a commit-then-reveal commitment
+  const commitment = bundle.commitment;
+  if (commitment) {
+    const entriesHash = Array.isArray(bundle.entries?.list) ? await computeEntriesHash(bundle.entries.list, replay) : null;
+    const commitmentHash = await computeCommitmentHash(commitment);
+    const committedBeforeRound = Date.parse(commitment.committedAt) < Date.parse(commitment.drand?.expectedAt);
+    const roundMatches = String(bundle.randomness.round) === String(commitment.drand?.targetRound);
+    // Commitments made before the draw configuration was committed bind the entries only (null)
+    const configurationMatches = commitment.configurationHash === undefined
+      ? null
+      : Boolean(bundle.competition) && await computeConfigurationHash(bundle.competition, replay) === commitment.configurationHash;
+    checks.commitment = {
+      passed: commitmentHash === commitment.commitmentHash &&
+        entriesHash === commitment.entriesHash &&
+        configurationMatches !== false &&
+        roundMatches &&
+        committedBeforeRound,
+      commitmentHashValid: commitmentHash === commitment.commitmentHash,
+      entriesHashMatches: entriesHash === commitment.entriesHash,
+      configurationMatches: configurationMatches,
+      roundMatches: roundMatches,
+      committedBeforeRound: committedBeforeRound
+    };
+  } else {
+    checks.commitment = {
+      passed: null,
+      skipped: true,
+      reason: "Draw was not committed in advance"
+    };
+  }
+
+  // Check 10: quiz answers re-marked against the published accepted-answer hashes
+  const quiz = bundle.competition?.quiz;
+  const quizResult = quiz ? validateQuiz(JSON.parse(JSON.stringify(quiz))) : null;
+  if (quiz && bundle.competition.privacyMode === true) {
+    // Answers are in each entry's private record; opening it shows them against personalDataCommitment
+    checks.quiz = {
+      passed: null,
+      skipped: true,
+      reason: "Quiz answers are private (privacy mode)"
+    };
+  } else if (quizResult && (!quizResult.valid || !hasEntryList(bundle))) {
+    checks.quiz = {
+      passed: false,
+      reason: quizResult.valid ? "Audit bundle has a quiz but no entry list" : `Invalid quiz: ${quizResult.error}`
+    };
+  } else if (quiz) {
+    const marker = await prepareQuiz(JSON.parse(JSON.stringify(quiz)));
+    let quizMismatch = null;
+    for (const entry of bundle.entries.list) {
+      const expected = await marker.mark(entry.quiz);
+      const markedCorrectly = entry.quiz?.answerCorrect === expected.answerCorrect &&
+        entry.quiz?.correctAnswers === expected.correctAnswers;
+      // A failed quiz must disqualify; QUIZ_INCORRECT must only follow a failed quiz
+      const statusConsistent = expected.answerCorrect
+        ? entry.disqualificationCode !== DISQUALIFICATION_CODES.QUIZ_INCORRECT
+        : entry.status === "disqualified";
+      if (!markedCorrectly || !statusConsistent) {
+        quizMismatch = {
+          entryCode: entry.entryCode,
+          expectedCorrectAnswers: expected.correctAnswers,
+          actualCorrectAnswers: entry.quiz?.correctAnswers ?? null,
+          status: entry.status
+        };
+        break;
+      }
+    }
+    checks.quiz = {
+      passed: quizMismatch === null,
+      checked: bundle.entries.list.length,
+      firstMismatch: quizMismatch
+    };
+  } else {
+    checks.quiz = {
+      passed: null,
+      skipped: true,
+      reason: "Competition declares no server-marked quiz"
+    };
+  }
+
+  // Check 11: Merkle root commits to the listed entries
+  const merkleRoot = bundle.entries?.merkleRoot;
+  if (merkleRoot) {
+    const expectedRoot = hasEntryList(bundle) ? (await buildEntriesMerkleTree(bundle.entries.list, replay)).root : null;
+    checks.merkleRoot = {
+      passed: expectedRoot === merkleRoot,
+      expected: expectedRoot,
+      actual: merkleRoot
+    };
+  } else {
+    checks.merkleRoot = {
+      passed: null,
+      skipped: true,
+      reason: "Audit bundle has no Merkle root (streamed draw or earlier version)"
+    };
+  }
+
+  // Check 12: bundle hash over the bundle as generated
+  const { bundleHash, publication, signature, ...generatedBundle } = bundle;
+  const recomputedHash = await computeBundleHash(generatedBundle, replay);
+  const claimedHash = claimedBundleHash || bundleHash || null;
+  if (claimedHash) {
+    checks.bundleHash = {
+      passed: recomputedHash === claimedHash,
+      expected: recomputedHash,
+      actual: claimedHash
+    };
+  } else {
+    checks.bundleHash = {
+      passed: null,
+      skipped: true,
+      reason: "No bundleHash provided"
+    };
+  }
+
+  // Check 13: the worker's signature over the recomputed hash (authenticity, not only integrity)
+  checks.signature = verifyBundleSignature(bundle, recomputedHash, publicKeys ?? listPublicKeys(env || {}));
+
+  return {
+    verified: Object.values(checks).every(check => check.passed !== false),
+    authenticated: checks.signature.passed === true,
+    checks: checks
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * VaultPlay Draw Worker - drand Beacon Verification
+ * =================================================
+ * Fetches rounds from a drand relay and verifies them before use, so a
+ * compromised relay or a man-in-the-middle cannot choose the randomness.
+ *
+ * For every round the worker checks:
+ * 1. randomness == SHA-256(signature)
+ * 2. The BLS12-381 signature over the round message verifies against the
+ *    pinned public key of the chain (the chain hash pins the chain on the relay)
+ *
+ * Supported schemes (see https://drand.love/docs/specification/):
+ * - pedersen-bls-chained:      msg = SHA-256(previous_signature || uint64be(round)), signatures on G2
+ * - pedersen-bls-unchained:    msg = SHA-256(uint64be(round)), signatures on G2
+ * - bls-unchained-g1-rfc9380:  msg = SHA-256(uint64be(round)), signatures on G1
+ */
+
+import { bls12_381 } from "@noble/curves/bls12-381";
+import { bytesToHex, hexToBytes, sha256 } from "./hex.js";
+
+const DRAND_CONFIG = {
+  API_BASE_URL: "https://api.drand.sh",
+  // League of Entropy mainnet "default" chain (the chain served at /public/latest)
+  CHAIN_HASH: "8990e7a9aaed2ffed73dbd7092123d6f289930540d7651336225dc172e51b2ce",
+  PUBLIC_KEY: "868f005eb8e6e4ca0a47c8a77ceaa5309a47978a7c71bc5cce96366b5d7a569937c529eeda66c7293784a9402801af31",
+  SCHEME: "pedersen-bls-chained",
+  PERIOD_SECONDS: 30,
+  GENESIS_TIME: 1595431050,
+  DST_G2: "BLS_SIG_BLS12381G2_XMD:SHA-256_SSWU_RO_NUL_",
+  DST_G1: "BLS_SIG_BLS12381G1_XMD:SHA-256_SSWU_RO_NUL_"
+};
+
+const SUPPORTED_SCHEMES = ["pedersen-bls-chained", "pedersen-bls-unchained", "bls-unchained-g1-rfc9380"];
+
+/**
+ * Raised when a beacon response fails verification (as opposed to being unreachable)
+ */
+export class DrandVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DrandVerificationError";
+  }
+}
+
+/**
+ * Resolve the drand chain the worker trusts
+ * Environment overrides exist for private/test networks; production uses the defaults.
+ * @param {Object} env - Environment variables (DRAND_API_URL, DRAND_CHAIN_HASH, DRAND_PUBLIC_KEY, DRAND_SCHEME)
+ * @returns {Object} Chain configuration {apiBaseUrl, hash, publicKey, scheme, period, genesisTime}
+ */
+export function getDrandChain(env = {}) {
+  return {
+    apiBaseUrl: (env.DRAND_API_URL || DRAND_CONFIG.API_BASE_URL).replace(/\/+$/, ""),
+    hash: env.DRAND_CHAIN_HASH || DRAND_CONFIG.CHAIN_HASH,
+    publicKey: env.DRAND_PUBLIC_KEY || DRAND_CONFIG.PUBLIC_KEY,
+    scheme: env.DRAND_SCHEME || DRAND_CONFIG.SCHEME,
+    period: DRAND_CONFIG.PERIOD_SECONDS,
+    genesisTime: DRAND_CONFIG.GENESIS_TIME
+  };
+}
+
+/**
+ * Round that is current at a given time (rounds start at 1 on genesis)
+ * @param {Object} chain - Chain configuration from getDrandChain
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {number} Round number (0 before genesis)
+ */
+export function roundAt(chain, timeMs) {
+  const seconds = Math.floor(timeMs / 1000);
+  if (seconds < chain.genesisTime) {
+    return 0;
+  }
+  return Math.floor((seconds - chain.genesisTime) / chain.period) + 1;
+}
+
+/**
+ * Time at which a round is produced
+ * @param {Object} chain - Chain configuration from getDrandChain
+ * @param {number} round - Round number
+ * @returns {number} Unix time in milliseconds
+ */
+export function roundTime(chain, round) {
+  return (chain.genesisTime + (round - 1) * chain.period) * 1000;
+}
+
+/**
+ * Fetch and verify a drand round
+ * @param {Object} env - Environment variables
+ * @param {number|string} round - Round number, or "latest"
+ * @returns {Promise<Object>} Verified beacon {round, randomness, fetchTime, verificationUrl, beacon}
+ * @throws {DrandVerificationError} If the round fails verification
+ * @throws {Error} If the relay is unreachable or returns an invalid response
+ */
+export async function fetchDrandRound(env, round = "latest") {
+  const chain = getDrandChain(env);
+  const response = await fetch(`${chain.apiBaseUrl}/${chain.hash}/public/${round}`);
+
+  if (!response.ok) {
+    throw new Error(`Drand API returned ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  // Validate response has required fields
+  if (!data.round || !data.randomness || !data.signature) {
+    console.error("Invalid drand response:", data);
+    throw new Error("Drand response missing required fields");
+  }
+
+  if (round !== "latest" && Number(data.round) !== Number(round)) {
+    throw new DrandVerificationError(`Drand relay returned round ${data.round} instead of ${round}`);
+  }
+
+  const verification = await verifyDrandBeacon({
+    round: data.round,
+    randomness: data.randomness,
+    signature: data.signature,
+    previousSignature: data.previous_signature || null
+  }, chain);
+
+  if (!verification.verified) {
+    throw new DrandVerificationError(`Drand round ${data.round} failed verification: ${verification.error}`);
+  }
+
+  // drand /public/latest doesn't include time, so we use current time
+  // as the approximate fetch time
+  const fetchTime = new Date().toISOString();
+
+  return {
+    round: data.round,
+    randomness: data.randomness,
+    fetchTime: fetchTime,
+    verificationUrl: `${chain.apiBaseUrl}/${chain.hash}/public/${data.round}`,
+    beacon: {
+      chainHash: chain.hash,
+      scheme: chain.scheme,
+      publicKey: chain.publicKey,
+      signature: data.signature,
+      previousSignature: data.previous_signature || null,
+      verification: verification
+    }
+  };
+}
+
+/**
+ * Verify a drand beacon against a chain's public key
+ * @param {Object} beacon - {round, randomness, signature, previousSignature}
+ * @param {Object} chain - Chain configuration from getDrandChain
+ * @returns {Promise<Object>} {verified, randomnessMatchesSignature, signatureValid, verifiedAt, error?}
+ */
+export async function verifyDrandBeacon(beacon, chain) {
+  const result = {
+    verified: false,
+    randomnessMatchesSignature: false,
+    signatureValid: false,
+    verifiedAt: new Date().toISOString()
+  };
+
+  if (!SUPPORTED_SCHEMES.includes(chain.scheme)) {
+    return { ...result, error: `Unsupported drand scheme '${chain.scheme}'` };
+  }
+
+  let signatureBytes;
+  let previousSignatureBytes = null;
+  try {
+    signatureBytes = hexToBytes(beacon.signature);
+    if (chain.scheme === "pedersen-bls-chained") {
+      if (!beacon.previousSignature) {
+        return { ...result, error: "Chained beacon is missing previous_signature" };
+      }
+      previousSignatureBytes = hexToBytes(beacon.previousSignature);
+    }
+  } catch (error) {
+    return { ...result, error: "Signature is not valid hexadecimal" };
+  }
+
+  // Check 1: randomness is the SHA-256 of the signature
+  const expectedRandomness = bytesToHex(await sha256(signatureBytes));
+  result.randomnessMatchesSignature = expectedRandomness === String(beacon.randomness).toLowerCase();
+
+  // Check 2: BLS signature over the round message
+  const message = await sha256(concatBytes(previousSignatureBytes || new Uint8Array(0), roundToBytes(beacon.round)));
+  try {
+    if (chain.scheme === "bls-unchained-g1-rfc9380") {
+      const sigs = bls12_381.shortSignatures;
+      result.signatureValid = sigs.verify(signatureBytes, sigs.hash(message, DRAND_CONFIG.DST_G1), chain.publicKey);
+    } else {
+      const sigs = bls12_381.longSignatures;
+      result.signatureValid = sigs.verify(signatureBytes, sigs.hash(message, DRAND_CONFIG.DST_G2), chain.publicKey);
+    }
+  } catch (error) {
+    // Malformed points (wrong length, not on curve) are invalid signatures
+    result.signatureValid = false;
+  }
+
+  result.verified = result.randomnessMatchesSignature && result.signatureValid;
+  if (!result.verified) {
+    result.error = !result.signatureValid
+      ? "BLS signature does not verify against the chain public key"
+      : "Randomness does not equal SHA-256(signature)";
+  }
+
+  return result;
+}
+
+/**
+ * Encode a round number as an unsigned 64-bit big-endian integer
+ * @param {number|string} round - Round number
+ * @returns {Uint8Array} 8 bytes
+ */
+function roundToBytes(round) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(round));
+  return bytes;
+}
+
+/**
+ * Concatenate two byte arrays
+ * @param {Uint8Array} a - First
+ * @param {Uint8Array} b - Second
+ * @returns {Uint8Array} a || b
+ */
+function concatBytes(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
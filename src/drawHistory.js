@@ -0,0 +1,261 @@
+/**
+ * VaultPlay Draw Worker - Draw History
+ * ====================================
+ * A persisted index of every draw, written at draw time alongside the publish
+ * queue, so past draws can be looked up without browsing the history
+ * repository.
+ *
+ * Keys (DRAW_STORE KV namespace):
+ *   draw:<drawId>                                         summary, response metadata and a pointer to the audit bundle
+ *   blob:draw-bundle:<drawId>:<n>                         the audit bundle, in chunks (see ./blobStore.js)
+ *   draw-history:<invertedTime>:<drawId>                  every draw, newest first
+ *   competition-draws:<competitionKey>:<invertedTime>:<drawId>  a competition's draws, newest first
+ *
+ * KV lists keys in ascending order and cannot start from an arbitrary key, so
+ * index keys hold the draw time as a fixed-width inverted millisecond count
+ * (newest first) and a time range is narrowed to the longest key prefix shared
+ * by its two ends. The competition key is a hash of the competition ID, which
+ * may contain any characters. Each index key carries a summary of its draw as
+ * metadata, so listing never reads a bundle.
+ *
+ * A bundle can be larger than one KV value, so it is stored as a blob and the
+ * draw record keeps only a pointer to it. The blob is written before the record
+ * and the index keys, so every listed draw has its bundle.
+ */
+
+import { sha256Hex } from "./hex.js";
+import { putBlob, getBlob } from "./blobStore.js";
+
+const HISTORY_CONFIG = {
+  DRAW_PREFIX: "draw:",
+  BUNDLE_BLOB_PREFIX: "draw-bundle:",
+  HISTORY_PREFIX: "draw-history:",
+  COMPETITION_PREFIX: "competition-draws:",
+  MAX_TIME_MS: 9999999999999,       // Largest 13-digit millisecond time (year 2286)
+  TIME_KEY_LENGTH: 13,
+  COMPETITION_KEY_LENGTH: 32,       // Hex characters of SHA-256(competition ID)
+  METADATA_LIMIT_BYTES: 1024,       // KV metadata limit
+  // Summary fields left out of index metadata (in this order) if it would exceed the limit
+  OPTIONAL_METADATA_FIELDS: ["competitionName", "winnerEntryCode", "competitionId"],
+  DEFAULT_LIST_LIMIT: 50,
+  MAX_LIST_LIMIT: 100
+};
+
+export const DRAW_MODES = ["live", "test", "unspecified"];
+
+/**
+ * Record a draw in the history index
+ * @param {Object} auditBundle - Complete audit bundle (bundle.draw.drawId identifies the draw)
+ * @param {string} bundleHash - SHA-256 hash of the bundle
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @param {Object} [options] - {responseMetadata: the draw response's metadata, so the response can be rebuilt}
+ * @returns {Promise<Object>} Draw summary
+ * @throws {Error} If the draw cannot be stored
+ */
+export async function recordDraw(auditBundle, bundleHash, env, { responseMetadata = null } = {}) {
+  const summary = summarizeDraw(auditBundle, bundleHash);
+  const timeKey = invertedTimeKey(Date.parse(summary.timestamp));
+  const metadata = indexMetadata(summary);
+
+  // Step 1: Store the bundle, so the record never points to a missing blob
+  const bundleBlob = await putBlob(
+    `${HISTORY_CONFIG.BUNDLE_BLOB_PREFIX}${summary.drawId}`,
+    JSON.stringify(auditBundle, (key, value) => typeof value === 'bigint' ? value.toString() : value),
+    env
+  );
+
+  // Step 2: Store the record and its index keys
+  const writes = [
+    env.DRAW_STORE.put(`${HISTORY_CONFIG.DRAW_PREFIX}${summary.drawId}`, JSON.stringify({ ...summary, responseMetadata, bundleBlob })),
+    env.DRAW_STORE.put(`${HISTORY_CONFIG.HISTORY_PREFIX}${timeKey}:${summary.drawId}`, "", { metadata })
+  ];
+  if (summary.competitionId) {
+    const competitionKey = await competitionIndexKey(summary.competitionId);
+    writes.push(env.DRAW_STORE.put(`${HISTORY_CONFIG.COMPETITION_PREFIX}${competitionKey}:${timeKey}:${summary.drawId}`, "", { metadata }));
+  }
+
+  await Promise.all(writes);
+  return summary;
+}
+
+/**
+ * Look up a recorded draw with its audit bundle
+ * @param {string} drawId - Draw identifier (validated by the caller)
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object|null>} Draw summary with its bundle, or null if not found
+ */
+export async function getDraw(drawId, env) {
+  const record = await env.DRAW_STORE.get(`${HISTORY_CONFIG.DRAW_PREFIX}${drawId}`, "json");
+  if (!record) {
+    return null;
+  }
+  if (!record.bundleBlob) {
+    // Draws recorded before bundles were stored as blobs hold the bundle inline (and no clientId)
+    return { clientId: bundleClientId(record.bundle), ...record };
+  }
+  const { bundleBlob, ...summary } = record;
+  return { ...summary, bundle: JSON.parse(await getBlob(bundleBlob, env)) };
+}
+
+/**
+ * Look up a recorded draw's summary without reading its audit bundle
+ * @param {string} drawId - Draw identifier
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object|null>} Draw summary, or null if not found
+ */
+export async function getDrawSummary(drawId, env) {
+  const record = await env.DRAW_STORE.get(`${HISTORY_CONFIG.DRAW_PREFIX}${drawId}`, "json");
+  if (!record) {
+    return null;
+  }
+  const { bundle, bundleBlob, responseMetadata, ...summary } = record;
+  return bundle ? { clientId: bundleClientId(bundle), ...summary } : summary;
+}
+
+/**
+ * List draws newest first, optionally within a time range and for one mode
+ * A page may hold fewer than `limit` draws when filters drop some of its keys;
+ * keep paging while `cursor` is not null.
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @param {Object} [options] - {from: inclusive ms, to: exclusive ms, mode, cursor, limit}
+ * @returns {Promise<Object>} {draws: [summary], cursor}
+ */
+export async function listDraws(env, { from = null, to = null, mode = null, cursor, limit } = {}) {
+  // Every key in [from, to) starts with the prefix shared by the range's two ends
+  const rangePrefix = from !== null && to !== null
+    ? commonPrefix(invertedTimeKey(from), invertedTimeKey(to - 1))
+    : "";
+
+  const page = await listPage(env, `${HISTORY_CONFIG.HISTORY_PREFIX}${rangePrefix}`, cursor, limit);
+  const draws = page.draws.filter(draw => {
+    const time = Date.parse(draw.timestamp);
+    return (from === null || time >= from) &&
+      (to === null || time < to) &&
+      (mode === null || draw.mode === mode);
+  });
+
+  return { draws, cursor: page.cursor };
+}
+
+/**
+ * List a competition's draws newest first (live and test draws alike)
+ * @param {string} competitionId - Competition identifier
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @param {Object} [options] - {cursor, limit}
+ * @returns {Promise<Object>} {draws: [summary], cursor}
+ */
+export async function listCompetitionDraws(competitionId, env, { cursor, limit } = {}) {
+  const competitionKey = await competitionIndexKey(competitionId);
+  const page = await listPage(env, `${HISTORY_CONFIG.COMPETITION_PREFIX}${competitionKey}:`, cursor, limit);
+
+  // Guard against a hash prefix shared by two competitions
+  return {
+    draws: page.draws.filter(draw => draw.competitionId === undefined || draw.competitionId === competitionId),
+    cursor: page.cursor
+  };
+}
+
+/**
+ * Summary of a draw, as listed by the history endpoints
+ * @param {Object} auditBundle - Complete audit bundle
+ * @param {string} bundleHash - SHA-256 hash of the bundle
+ * @returns {Object} Summary
+ */
+function summarizeDraw(auditBundle, bundleHash) {
+  const winner = auditBundle.results.winner;
+  return {
+    drawId: auditBundle.draw.drawId,
+    timestamp: auditBundle.draw.timestamp,
+    mode: auditBundle.competition?.mode || "unspecified",
+    competitionId: auditBundle.competition?.id || null,
+    competitionName: auditBundle.competition?.name || null,
+    totalEntries: auditBundle.entries.total,
+    qualifiedEntries: auditBundle.entries.qualified,
+    winnerEntryCode: winner ? winner.entryCode : null,
+    // Only the client that made a draw may amend it or open its private entry records
+    clientId: bundleClientId(auditBundle),
+    bundleHash: bundleHash,
+    recordedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Client that requested a draw
+ * @param {Object} auditBundle - Audit bundle
+ * @returns {string|null} Client ID from draw.requestedBy
+ */
+function bundleClientId(auditBundle) {
+  return auditBundle.draw.requestedBy?.clientId || null;
+}
+
+/**
+ * Index key metadata for a draw, within the KV metadata size limit
+ * @param {Object} summary - Draw summary
+ * @returns {Object} Metadata (the summary, less any optional fields that did not fit)
+ */
+function indexMetadata(summary) {
+  const metadata = { ...summary };
+  for (const field of HISTORY_CONFIG.OPTIONAL_METADATA_FIELDS) {
+    if (new TextEncoder().encode(JSON.stringify(metadata)).length <= HISTORY_CONFIG.METADATA_LIMIT_BYTES) {
+      break;
+    }
+    delete metadata[field];
+  }
+  return metadata;
+}
+
+/**
+ * Read one page of index keys as draw summaries
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @param {string} prefix - Key prefix
+ * @param {string} [cursor] - Cursor from the previous page
+ * @param {number} [limit] - Keys per page
+ * @returns {Promise<Object>} {draws: [summary], cursor}
+ */
+async function listPage(env, prefix, cursor, limit = HISTORY_CONFIG.DEFAULT_LIST_LIMIT) {
+  const page = await env.DRAW_STORE.list({
+    prefix,
+    cursor: cursor || undefined,
+    limit: Math.min(Math.max(limit, 1), HISTORY_CONFIG.MAX_LIST_LIMIT)
+  });
+
+  return {
+    draws: page.keys.map(key => ({
+      drawId: key.name.substring(key.name.lastIndexOf(":") + 1),
+      ...key.metadata
+    })),
+    cursor: page.list_complete ? null : page.cursor
+  };
+}
+
+/**
+ * Fixed-width key component that sorts later times first
+ * @param {number} timeMs - Milliseconds since the epoch
+ * @returns {string} 13-digit inverted time
+ */
+function invertedTimeKey(timeMs) {
+  return String(HISTORY_CONFIG.MAX_TIME_MS - timeMs).padStart(HISTORY_CONFIG.TIME_KEY_LENGTH, "0");
+}
+
+/**
+ * Longest common prefix of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {string} Shared prefix
+ */
+function commonPrefix(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) {
+    i++;
+  }
+  return a.substring(0, i);
+}
+
+/**
+ * Fixed-length index key for a competition ID
+ * @param {string} competitionId - Competition identifier
+ * @returns {Promise<string>} Leading hex characters of SHA-256(competition ID)
+ */
+async function competitionIndexKey(competitionId) {
+  return (await sha256Hex(competitionId)).substring(0, HISTORY_CONFIG.COMPETITION_KEY_LENGTH);
+}
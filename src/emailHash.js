@@ -0,0 +1,169 @@
+/**
+ * VaultPlay Draw Worker - Email Hashing
+ * =====================================
+ * Entrants' email addresses never appear in audit bundles; each entry carries
+ * an emailHash instead, which onePrizePerPerson and maxEntriesPerEmail compare.
+ *
+ * An unsalted SHA-256 of an email address can be reversed by hashing a list
+ * of known addresses, so when EMAIL_HASH_SECRET (a Worker secret) is set,
+ * every address gets its own secret salt:
+ *
+ *   email     = trimmed, lower-case address
+ *   salt      = HMAC-SHA256(EMAIL_HASH_SECRET, "vaultplay-email-salt:" || competitionId || "\n" || email)
+ *   emailHash = SHA-256(salt || ":" || email)
+ *
+ * Without the secret the salts cannot be computed, so published hashes cannot
+ * be matched against a dictionary, and because the salt includes the
+ * competition ID the same address hashes differently in every competition.
+ *
+ * Ownership proofs: the operator can give an entrant their salt (POST
+ * /email-proof). Anyone holding {email, salt, emailHash} can check
+ * SHA-256(salt || ":" || email) == emailHash and find that hash in the bundle,
+ * while every other entrant's salt stays secret.
+ *
+ * Without EMAIL_HASH_SECRET the worker falls back to the unsalted scheme of
+ * earlier versions. Bundles declare the scheme used in entries.emailHashScheme.
+ */
+
+import { bytesToHex, sha256Hex } from "./hex.js";
+
+export const EMAIL_HASH_SCHEMES = {
+  SALTED: "salted-sha256",    // Per-entrant secret salt (EMAIL_HASH_SECRET configured)
+  UNSALTED: "sha256"          // SHA-256 of the address alone (earlier versions, or no secret)
+};
+
+export const EMAIL_HASH_METHODS = {
+  [EMAIL_HASH_SCHEMES.SALTED]: "email = trimmed lower-case address; " +
+    "salt = HMAC-SHA256(secret, \"vaultplay-email-salt:\" || competitionId || \"\\n\" || email) (hex, kept private); " +
+    "emailHash = SHA-256(salt || \":\" || email). An entrant's salt, issued on request, proves their emailHash",
+  [EMAIL_HASH_SCHEMES.UNSALTED]: "emailHash = SHA-256(trimmed lower-case address)"
+};
+
+const EMAIL_HASH_CONFIG = {
+  SALT_LABEL: "vaultplay-email-salt:",
+  MIN_SECRET_LENGTH: 32
+};
+
+/**
+ * Raised when EMAIL_HASH_SECRET is configured but unusable
+ */
+export class EmailHashConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EmailHashConfigError";
+  }
+}
+
+/**
+ * Email hashing scheme the environment provides
+ * @param {Object} env - Environment variables (EMAIL_HASH_SECRET)
+ * @returns {string} One of EMAIL_HASH_SCHEMES
+ */
+export function getEmailHashScheme(env) {
+  return env.EMAIL_HASH_SECRET ? EMAIL_HASH_SCHEMES.SALTED : EMAIL_HASH_SCHEMES.UNSALTED;
+}
+
+/**
+ * Normalize an email address before hashing
+ * @param {string} email - Email address as submitted
+ * @returns {string} Trimmed, lower-case address
+ */
+export function normalizeEmail(email) {
+  return email.toLowerCase().trim();
+}
+
+/**
+ * Create the email hasher for one competition's draw
+ * @param {string|null} competitionId - Competition identifier (null for draws without competition metadata)
+ * @param {Object} env - Environment variables (EMAIL_HASH_SECRET)
+ * @returns {Promise<Object>} {scheme, hash: async (email) => hex emailHash}
+ * @throws {EmailHashConfigError} If EMAIL_HASH_SECRET is too short
+ */
+export async function createEmailHasher(competitionId, env) {
+  const scheme = getEmailHashScheme(env);
+  if (scheme === EMAIL_HASH_SCHEMES.UNSALTED) {
+    return { scheme, hash: email => sha256Hex(normalizeEmail(email)) };
+  }
+
+  const key = await importSecret(env.EMAIL_HASH_SECRET);
+  return {
+    scheme,
+    async hash(email) {
+      const normalized = normalizeEmail(email);
+      return saltedHash(await deriveSalt(key, competitionId, normalized), normalized);
+    }
+  };
+}
+
+/**
+ * Ownership proof for one entrant's emailHash
+ * Reveals only this entrant's salt; EMAIL_HASH_SECRET stays private.
+ * @param {string} competitionId - Competition identifier
+ * @param {string} email - Entrant's email address
+ * @param {Object} env - Environment variables (EMAIL_HASH_SECRET)
+ * @returns {Promise<Object>} Proof {scheme, competitionId, email, salt, emailHash}
+ * @throws {EmailHashConfigError} If no secret is configured (unsalted hashes need no proof) or it is too short
+ */
+export async function createEmailOwnershipProof(competitionId, email, env) {
+  if (getEmailHashScheme(env) !== EMAIL_HASH_SCHEMES.SALTED) {
+    throw new EmailHashConfigError("Email ownership proofs require EMAIL_HASH_SECRET");
+  }
+
+  const normalized = normalizeEmail(email);
+  const salt = await deriveSalt(await importSecret(env.EMAIL_HASH_SECRET), competitionId, normalized);
+  return {
+    scheme: EMAIL_HASH_SCHEMES.SALTED,
+    competitionId: competitionId,
+    email: normalized,
+    salt: salt,
+    emailHash: await saltedHash(salt, normalized)
+  };
+}
+
+/**
+ * Check an ownership proof (needs no secret)
+ * @param {Object} proof - {email, salt, emailHash}
+ * @returns {Promise<boolean>} True if SHA-256(salt || ":" || email) equals emailHash
+ */
+export async function verifyEmailOwnershipProof({ email, salt, emailHash }) {
+  if (typeof email !== "string" || typeof salt !== "string" || typeof emailHash !== "string") {
+    return false;
+  }
+  return (await saltedHash(salt, normalizeEmail(email))) === emailHash;
+}
+
+/**
+ * Import EMAIL_HASH_SECRET as an HMAC-SHA256 key
+ * @param {string} secret - Secret value
+ * @returns {Promise<CryptoKey>} HMAC key
+ * @throws {EmailHashConfigError} If the secret is too short
+ */
+async function importSecret(secret) {
+  if (secret.length < EMAIL_HASH_CONFIG.MIN_SECRET_LENGTH) {
+    throw new EmailHashConfigError(`EMAIL_HASH_SECRET must be at least ${EMAIL_HASH_CONFIG.MIN_SECRET_LENGTH} characters`);
+  }
+  return crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+}
+
+/**
+ * Secret salt for one address in one competition
+ * @param {CryptoKey} key - HMAC key from importSecret
+ * @param {string|null} competitionId - Competition identifier
+ * @param {string} email - Normalized address
+ * @returns {Promise<string>} Hex salt
+ */
+async function deriveSalt(key, competitionId, email) {
+  const message = `${EMAIL_HASH_CONFIG.SALT_LABEL}${competitionId || ""}\n${email}`;
+  const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return bytesToHex(new Uint8Array(mac));
+}
+
+/**
+ * Salted email hash
+ * @param {string} salt - Hex salt
+ * @param {string} email - Normalized address
+ * @returns {Promise<string>} Hex SHA-256(salt || ":" || email)
+ */
+function saltedHash(salt, email) {
+  return sha256Hex(`${salt}:${email}`);
+}
@@ -0,0 +1,54 @@
+/**
+ * VaultPlay Draw Worker - Hex and SHA-256 Helpers
+ * ===============================================
+ * The byte/hex conversions and SHA-256 digests shared by every module, in one
+ * place so each digest in an audit bundle is encoded the same way.
+ *
+ * Uses only Web Crypto (crypto.subtle) and has no imports, so the draw core,
+ * the signing module and the offline verifier can all depend on it.
+ */
+
+/**
+ * Convert bytes to lowercase hex
+ * @param {Uint8Array|ArrayBuffer} bytes - Input bytes
+ * @returns {string} Hex string
+ */
+export function bytesToHex(bytes) {
+  return Array.from(new Uint8Array(bytes)).map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Decode a hex string
+ * @param {string} hex - Hex string (even length, either case)
+ * @returns {Uint8Array} Bytes
+ * @throws {Error} If input is not valid hex
+ */
+export function hexToBytes(hex) {
+  if (typeof hex !== "string" || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+    throw new Error("Invalid hex");
+  }
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * SHA-256 digest
+ * @param {string|Uint8Array} input - UTF-8 string or raw bytes
+ * @returns {Promise<Uint8Array>} Digest (32 bytes)
+ */
+export async function sha256(input) {
+  const data = typeof input === "string" ? new TextEncoder().encode(input) : input;
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+}
+
+/**
+ * SHA-256 digest as hex
+ * @param {string|Uint8Array} input - UTF-8 string or raw bytes
+ * @returns {Promise<string>} Hex-encoded hash (64 characters)
+ */
+export async function sha256Hex(input) {
+  return bytesToHex(await sha256(input));
+}
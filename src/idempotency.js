@@ -0,0 +1,274 @@
+/**
+ * VaultPlay Draw Worker - Idempotent Draw Requests
+ * ================================================
+ * Guarantees that a retried /startdraw call never produces a second draw.
+ *
+ * A request is identified by either:
+ * - the Idempotency-Key header (scoped to the authenticated client), or
+ * - the natural key competition.id for live draws without a header (also
+ *   scoped to the client, so one client's draws are never revealed or
+ *   replayed to another that uses the same competition ID)
+ *
+ * The first request for a key reserves it through the ClaimRegistry (see
+ * ./claims.js), so of several concurrent requests for one key exactly one runs.
+ * The reservation holds the request's fingerprint, the ID the draw will be
+ * recorded under and when it was made, and lasts as long as the key.
+ *
+ * The completed record is stored in the DRAW_STORE KV namespace. A draw's
+ * response can be larger than one KV value, so the completed record keeps only
+ * a reference to the draw (drawId and bundleHash) and replays are rebuilt from
+ * the draw history. Smaller responses (redraws) are stored whole. Repeats with
+ * the same body receive the same draw; repeats with a different body are
+ * rejected with 409 Conflict.
+ *
+ * A recorded draw is never run again: a reservation whose draw was recorded is
+ * kept even if storing the completed record fails, and is replayed. A
+ * reservation whose draw was never recorded is taken over once it is older
+ * than PENDING_TIMEOUT_SECONDS.
+ *
+ * The query string only selects the response shape (CSV, winners only), so it
+ * is not part of the fingerprint: a retry may ask for a different shape of the
+ * same stored draw.
+ */
+
+import { sha256Hex } from "./hex.js";
+import { getDrawSummary } from "./drawHistory.js";
+import { claim, releaseClaim } from "./claims.js";
+
+const IDEMPOTENCY_CONFIG = {
+  HEADER_NAME: "Idempotency-Key",
+  REPLAY_HEADER_NAME: "Idempotent-Replayed",
+  MAX_KEY_LENGTH: 255,
+  KEY_PREFIX: "idempotency:",
+  PENDING_TIMEOUT_SECONDS: 300,          // A crashed draw's key can be taken over after 5 minutes
+  HEADER_KEY_TTL_SECONDS: 24 * 60 * 60,  // Idempotency-Key responses are kept for 24 hours
+  COMPETITION_KEY_TTL_SECONDS: 90 * 24 * 60 * 60  // Live competition draws are kept for 90 days
+};
+
+export const IDEMPOTENCY_HEADER = IDEMPOTENCY_CONFIG.HEADER_NAME;
+
+/**
+ * Check the idempotency store before running a draw and reserve the key
+ * @param {Request} request - Incoming HTTP request
+ * @param {string} rawBody - Raw request body
+ * @param {Object} body - Parsed and validated request body
+ * @param {Object} client - Authenticated client {id, method}
+ * @param {Object} env - Environment variables (DRAW_STORE, CLAIMS)
+ * @param {string|null} [drawId] - ID the draw will be recorded under (null for requests that record no draw)
+ * @returns {Promise<Object>} One of:
+ *   {record: null} - no idempotency applies, run the draw normally
+ *   {record: Object} - key reserved, run the draw then call completeIdempotentRequest
+ *   {replay: {status, reference: {drawId, bundleHash}}} - rebuild the recorded draw's response
+ *   {replay: {status, body, contentType}} - return the stored response
+ *   {error: string, status: number} - reject the request
+ */
+export async function beginIdempotentRequest(request, rawBody, body, client, env, drawId = null) {
+  const headerKey = request.headers.get(IDEMPOTENCY_CONFIG.HEADER_NAME);
+
+  if (headerKey !== null) {
+    const trimmedKey = headerKey.trim();
+    if (trimmedKey.length === 0 || trimmedKey.length > IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH) {
+      return {
+        status: 400,
+        error: `${IDEMPOTENCY_CONFIG.HEADER_NAME} must be between 1 and ${IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH} characters`
+      };
+    }
+    if (!env.DRAW_STORE) {
+      return {
+        status: 503,
+        error: `${IDEMPOTENCY_CONFIG.HEADER_NAME} is not available: DRAW_STORE is not configured`
+      };
+    }
+  }
+
+  let storeKey = null;
+  let ttl = null;
+
+  if (headerKey !== null) {
+    storeKey = `${IDEMPOTENCY_CONFIG.KEY_PREFIX}key:${client.id}:${headerKey.trim()}`;
+    ttl = IDEMPOTENCY_CONFIG.HEADER_KEY_TTL_SECONDS;
+  } else if (body.competition?.mode === "live") {
+    if (!env.DRAW_STORE) {
+      console.warn(`Idempotency disabled for live competition ${body.competition.id}: DRAW_STORE is not configured`);
+      return { record: null };
+    }
+    storeKey = `${IDEMPOTENCY_CONFIG.KEY_PREFIX}competition:${client.id}:${body.competition.id}`;
+    ttl = IDEMPOTENCY_CONFIG.COMPETITION_KEY_TTL_SECONDS;
+  } else {
+    return { record: null };
+  }
+
+  const url = new URL(request.url);
+  const fingerprint = await computeFingerprint(`${request.method} ${url.pathname}\n${rawBody}`);
+  let existing = await env.DRAW_STORE.get(storeKey, "json");
+
+  // Reserve the key unless a completed record already answers the request
+  const reservation = encodeReservation({ fingerprint, drawId, createdAt: Date.now() });
+  if (!existing) {
+    let reserved = await claim(storeKey, reservation, env, { ttlSeconds: ttl });
+    if (!reserved.claimed) {
+      existing = await resolveReservation(decodeReservation(reserved.holder), env);
+      if (!existing) {
+        // Abandoned: release it for the holder's value and reserve again (only one taker wins)
+        await releaseClaim(storeKey, reserved.holder, env);
+        reserved = await claim(storeKey, reservation, env, { ttlSeconds: ttl });
+        if (!reserved.claimed) {
+          const holder = decodeReservation(reserved.holder);
+          existing = await resolveReservation(holder, env) || { state: "pending", fingerprint: holder.fingerprint };
+        }
+      }
+    }
+  }
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return {
+        status: 409,
+        error: headerKey !== null
+          ? `${IDEMPOTENCY_CONFIG.HEADER_NAME} has already been used with a different request body`
+          : `Competition '${body.competition.id}' has already been drawn with a different request body`
+      };
+    }
+    if (existing.state === "pending") {
+      return { status: 409, error: "An identical draw request is still in progress. Retry shortly." };
+    }
+    if (existing.reference) {
+      return { replay: { status: existing.status, reference: existing.reference } };
+    }
+    return {
+      replay: {
+        status: existing.status,
+        body: existing.body,
+        contentType: existing.contentType
+      }
+    };
+  }
+
+  return { record: { storeKey, ttl, fingerprint, drawId, reservation } };
+}
+
+/**
+ * Store the response for future replays (successful requests only)
+ * A failure to store is logged, not thrown: the draw has already been recorded,
+ * and the reservation replays it.
+ * @param {Object|null} record - Reservation from beginIdempotentRequest
+ * @param {Response} response - Draw or redraw response
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @param {Object|null} [reference] - {drawId, bundleHash} of the recorded draw; the body is stored when null
+ * @returns {Promise<Response>} Response to return to the caller
+ */
+export async function completeIdempotentRequest(record, response, env, reference = null) {
+  if (!record) {
+    return response;
+  }
+
+  // Failed draws release the key so the client can retry
+  if (response.status !== 200) {
+    await releaseIdempotentRequest(record, env);
+    return response;
+  }
+
+  const completed = {
+    state: "completed",
+    fingerprint: record.fingerprint,
+    status: response.status,
+    completedAt: new Date().toISOString()
+  };
+  let returned = response;
+  if (reference) {
+    completed.reference = { drawId: reference.drawId, bundleHash: reference.bundleHash };
+  } else {
+    const responseBody = await response.text();
+    completed.contentType = response.headers.get("content-type");
+    completed.body = responseBody;
+    returned = new Response(responseBody, {
+      status: response.status,
+      headers: response.headers
+    });
+  }
+
+  try {
+    await env.DRAW_STORE.put(record.storeKey, JSON.stringify(completed), { expirationTtl: record.ttl });
+  } catch (error) {
+    console.error(`Storing the completed idempotency record ${record.storeKey} failed; the reservation is kept:`, error);
+  }
+
+  return returned;
+}
+
+/**
+ * Release a reserved key after a failed draw
+ * A key whose draw was recorded before the failure is kept, so a retry replays
+ * that draw instead of running another.
+ * @param {Object|null} record - Reservation from beginIdempotentRequest
+ * @param {Object} env - Environment variables (DRAW_STORE, CLAIMS)
+ * @returns {Promise<void>}
+ */
+export async function releaseIdempotentRequest(record, env) {
+  if (!record) {
+    return;
+  }
+  if (record.drawId && await getDrawSummary(record.drawId, env)) {
+    return;
+  }
+  await releaseClaim(record.storeKey, record.reservation, env);
+}
+
+/**
+ * Header marking a response as a stored replay
+ * @returns {Object} Header map
+ */
+export function replayHeaders() {
+  return { [IDEMPOTENCY_CONFIG.REPLAY_HEADER_NAME]: "true" };
+}
+
+/**
+ * Decide what another request's reservation stands for now
+ * @param {Object} reservation - Decoded reservation {fingerprint, drawId, createdAt}
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object|null>} A completed record if its draw was recorded, a
+ *   pending record while it may still be running, or null once it was abandoned
+ */
+async function resolveReservation(reservation, env) {
+  const summary = reservation.drawId ? await getDrawSummary(reservation.drawId, env) : null;
+  if (summary) {
+    return {
+      state: "completed",
+      fingerprint: reservation.fingerprint,
+      status: 200,
+      reference: { drawId: summary.drawId, bundleHash: summary.bundleHash }
+    };
+  }
+  if (Date.now() - reservation.createdAt < IDEMPOTENCY_CONFIG.PENDING_TIMEOUT_SECONDS * 1000) {
+    return { state: "pending", fingerprint: reservation.fingerprint };
+  }
+  return null;
+}
+
+/**
+ * Claim value of a reservation
+ * @param {Object} reservation - {fingerprint, drawId, createdAt: ms}
+ * @returns {string} "<fingerprint>:<drawId>:<createdAt>" (drawId empty for requests that record no draw)
+ */
+function encodeReservation({ fingerprint, drawId, createdAt }) {
+  return `${fingerprint}:${drawId || ""}:${createdAt}`;
+}
+
+/**
+ * Read a reservation from its claim value
+ * @param {string} value - Claim value from encodeReservation
+ * @returns {Object} {fingerprint, drawId, createdAt: ms}
+ */
+function decodeReservation(value) {
+  const [fingerprint, drawId, createdAt] = value.split(":");
+  return { fingerprint, drawId: drawId || null, createdAt: Number(createdAt) };
+}
+
+/**
+ * Fingerprint a request so reused keys with different bodies can be detected
+ * @param {string} input - Method, path and raw body
+ * @returns {Promise<string>} Hex SHA-256 fingerprint
+ */
+async function computeFingerprint(input) {
+  return sha256Hex(input);
+}
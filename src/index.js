@@ -1,5 +1,5 @@
 /**
- * VaultPlay Draw Worker v1.3
+ * VaultPlay Draw Worker v1.4
  * ==========================
  * Cloudflare Worker for transparent, verifiable, and deterministic prize draws
  * 
@@ -7,28 +7,123 @@
  * that ensures fairness and reproducibility for all participants.
  * 
  * Security Features:
+ * - API key / HMAC request authentication for draw requests
  * - Input validation and sanitization
- * - Rate limiting headers support
+ * - Per-client and per-IP draw rate limits with RateLimit-* headers (see ./rateLimit.js)
  * - CORS configuration
  * - Deterministic output based on public entropy
  * - No side effects or external dependencies during draw calculation
- * - Automatic audit bundle publishing to GitHub
+ * - Automatic audit bundle publishing to GitHub, R2/S3-compatible buckets and KV
+ * - Durable publish queue with scheduled retries (see ./publishQueue.js)
+ * - Draw history index for looking up past draws (see ./drawHistory.js)
+ * - Ed25519-signed audit bundles with published, rotatable keys (see ./signing.js)
+ * - Email hashes salted per entrant with a secret, with ownership proofs (see ./emailHash.js)
+ * - Privacy mode: salted commitments to personal data, with erasable private records (see ./privacy.js)
+ * - Declared reserves and signed redraw amendments for unclaimed prizes (see ./amendments.js)
  * - Optional worker-fetched randomness (eliminates manipulation window)
+ * - drand BLS signature verification before any fetched randomness is used
  * - Entry disqualification tracking with full transparency
+ * - Configurable eligibility rules (competition.rules) with per-rule disqualification codes
+ * - Server-side quiz marking against published salted answer hashes (competition.quiz)
+ * - Weighted entries (multiple tickets per entry)
  * 
  * Algorithm Overview:
  * 1. Accepts public randomness source OR fetches from drand automatically
  * 2. Generates deterministic seed via SHA-256(randomness)
  * 3. Scores each entry via SHA-256(seed || entryCode)
  * 4. Filters qualified vs disqualified entries
- * 5. Ranks qualified entries by score in descending order
- * 6. Publishes audit bundle to GitHub for public verification
+ * 5. Ranks qualified entries by weighted key ln(u) / weight in descending order,
+ *    where u is derived from the score (exponential-key weighted sampling)
+ *    Draws may pin an earlier algorithm version; see ./algorithms.js
+ * 6. Publishes audit bundle to the configured storage backends for public verification
  * 
- * @version 1.3
+ * @version 1.4
  * @license MIT
  * @audit This code is designed for public audit and verification
  */
 
+import { authenticateRequest, authenticateRequestDigest, isSignedRequest, AUTH_HEADERS, CONTENT_DIGEST_HEADER } from "./auth.js";
+import { getDrandChain, roundTime } from "./drand.js";
+import {
+  fetchBeacon,
+  combineBeaconValues,
+  isAutoFetchProvider,
+  validateCombinedSources,
+  validateAutoFetchProvider,
+  BeaconVerificationError,
+  COMBINED_PROVIDER,
+  COMBINATION_METHOD
+} from "./beacons.js";
+import { resolveTargetRound, createCommitment, loadCommitment, markCommitmentRevealed, revealDeadline } from "./commitments.js";
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  replayHeaders,
+  IDEMPOTENCY_HEADER
+} from "./idempotency.js";
+import {
+  ALGORITHM,
+  computeSHA256Hex,
+  validatePrizes,
+  computeEntriesHash,
+  computeConfigurationHash,
+  drawConfiguration,
+  buildEntriesMerkleTree,
+  calculateEntryScores,
+  rankEntriesByScore,
+  assignPrizes,
+  selectAlternates,
+  computeResultsChecksum,
+  computeBundleHash,
+  hasEntryList,
+  validateAuditBundleStructure,
+  verifyAuditBundle,
+  committedPersonalData,
+  getAlgorithm,
+  listAlgorithmVersions
+} from "./core.js";
+import { getStreamFormat, readEntryStream, createTopItems, EntryStreamError } from "./streaming.js";
+import { buildMerkleProof, merkleLeafHash } from "./merkle.js";
+import { validateRules, evaluateEntryRules, applyEntriesPerEmailLimit, DISQUALIFICATION_CODES } from "./rules.js";
+import { validateQuiz, prepareQuiz, QUIZ_MARKING_METHOD } from "./quiz.js";
+import { createEmailHasher, createEmailOwnershipProof, getEmailHashScheme, EMAIL_HASH_METHODS, EMAIL_HASH_SCHEMES } from "./emailHash.js";
+import { signBundleHash, listPublicKeys, SIGNATURE_METHOD } from "./signing.js";
+import {
+  protectEntries,
+  storePrivateEntries,
+  discardPrivateEntries,
+  getPrivateEntries,
+  openPrivateEntries,
+  erasePrivateEntries,
+  PRIVACY_METHOD
+} from "./privacy.js";
+import {
+  getAmendments,
+  appendAmendment,
+  validateRedrawRequest,
+  createAmendment,
+  computeAmendmentHash,
+  currentWinners,
+  verifyAmendments
+} from "./amendments.js";
+import { consumeRateLimits, getRateLimitMode, rateLimitHeaders } from "./rateLimit.js";
+import { recordDraw, getDraw, getDrawSummary, listDraws, listCompetitionDraws, DRAW_MODES } from "./drawHistory.js";
+import { publishAuditBundle, auditBundlePath, fetchBundleFromGitHub, slugify } from "./storage.js";
+import {
+  enqueuePublication,
+  processPublication,
+  retryDuePublications,
+  getPublicationStatus,
+  listUnpublished,
+  isValidDrawId,
+  PUBLICATION_STATUS
+} from "./publishQueue.js";
+
+// Durable Object classes behind the RATE_LIMITER and CLAIMS bindings
+export { RateLimiter } from "./rateLimit.js";
+export { ClaimRegistry } from "./claims.js";
+
 // Configuration constants
 const CONFIG = {
   MAX_ENTRIES: 100000,            // Maximum entries per draw (reduced for performance)
@@ -41,16 +136,96 @@ const CONFIG = {
   MAX_EMAIL_LENGTH: 254,          // Maximum length for email (RFC 5321)
   MAX_LOCATION_LENGTH: 100,       // Maximum length for country/region
   MAX_QUIZ_FIELD_LENGTH: 500,     // Maximum length for quiz question/answer
-  ALGORITHM_VERSION: "VaultPlay Draw v1.3",
-  HASH_ALGORITHM: "SHA-256",
-  DRAND_API_URL: "https://api.drand.sh/public/latest"
+  MAX_QUIZ_ANSWERS: 20,           // Maximum answers per entry (one per competition.quiz question)
+  MAX_ENTRY_WEIGHT: 1000000,      // Maximum tickets held by a single entry
+  MAX_BODY_BYTES: 10 * 1024 * 1024, // Maximum request body size (10MB)
+  MAX_STREAM_ENTRIES: 5000000,    // Maximum entries per streamed (NDJSON/CSV) draw
+  STREAM_RETAINED_RESULTS: 1000,  // Ranked entries kept by streamed draws (plus one per prize and reserve)
+  MAX_RESERVES: 100,              // Maximum reserves (alternate winners) a competition declares
+  MAX_AMENDMENTS: 1000,           // Maximum amendments accepted by /verify alongside a bundle
+  MAX_DRAW_OPTIONS_LENGTH: 16 * 1024, // Maximum X-Draw-Options header length
+  // Fields a client may set in randomnessSource (the round of a revealed commitment is never client input)
+  RANDOMNESS_SOURCE_FIELDS: ["autoFetch", "provider", "sources", "round", "timestamp", "verificationUrl"],
+  ALGORITHM_VERSION: ALGORITHM.VERSION,
+  // Commitments made before versions could be pinned were drawn (and hashed) under v1.4
+  LEGACY_COMMITMENT_VERSION: "VaultPlay Draw v1.4",
+  HASH_ALGORITHM: ALGORITHM.HASH_FUNCTION,
+  // Published audit bundle paths accepted by /verify: <slug>-YYYY-MM-DD-HHMMSS-<drawId>, or
+  // <slug>-YYYY-MM-DD-HHMM for draws published before directory names carried the draw ID
+  AUDIT_PATH_PATTERN: /^(live|test)\/\d{4}-\d{2}\/[a-z0-9-]*-\d{4}-\d{2}-\d{2}-(\d{4}|\d{6}-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\/draw\.json$/
+};
+
+// Authenticated endpoints that run or prepare draws, or issue entrant proofs
+const DRAW_ENDPOINTS = ["/startdraw", "/commit", "/reveal", "/email-proof"];
+
+// Public endpoints that read published audit bundles
+const PUBLIC_ENDPOINTS = ["/verify", "/proof"];
+
+// Public key set for audit bundle signatures (see ./signing.js)
+const SIGNING_KEYS_PATH = "/.well-known/vaultplay-keys.json";
+
+// Authenticated publish queue endpoints: [method, path pattern, action]
+const PUBLICATION_ROUTES = [
+  ["GET", /^\/publications$/, "list"],
+  ["GET", /^\/publications\/([^/]+)$/, "status"],
+  ["POST", /^\/republish\/([^/]+)$/, "republish"]
+];
+
+// Authenticated draw history endpoints: [method, path pattern, action]
+const DRAW_HISTORY_ROUTES = [
+  ["GET", /^\/draws$/, "list"],
+  ["GET", /^\/draws\/([^/]+)$/, "draw"],
+  ["GET", /^\/competitions\/([^/]+)\/draws$/, "competition"]
+];
+
+// Authenticated privacy-mode endpoints for a draw's private entry records: [method, path pattern, action]
+const PRIVATE_ENTRY_ROUTES = [
+  ["POST", /^\/draws\/([^/]+)\/personal-data$/, "open"],
+  ["POST", /^\/draws\/([^/]+)\/erasure$/, "erase"]
+];
+
+// Authenticated winner amendment endpoint: [method, path pattern, action]
+const AMENDMENT_ROUTES = [
+  ["POST", /^\/draws\/([^/]+)\/redraw$/, "redraw"]
+];
+
+// Header carrying draw options when the body is a streamed entry list
+const DRAW_OPTIONS_HEADER = "X-Draw-Options";
+
+// Response formats selectable with ?format= (or the Accept header)
+const OUTPUT_FORMATS = ["json", "csv"];
+
+// Headers carrying the audit references of a draw response (every shape, including CSV)
+const RESULT_HEADERS = {
+  DRAW_ID: "X-Draw-Id",
+  BUNDLE_HASH: "X-Draw-Bundle-Hash",
+  RESULTS_CHECKSUM: "X-Draw-Results-Checksum"
+};
+
+// CSV result columns and how each is read from a result row
+const CSV_RESULT_COLUMNS = {
+  rank: row => row.rank,
+  entryCode: row => row.entryCode,
+  weight: row => row.weight,
+  status: row => row.status,
+  disqualificationCode: row => row.disqualificationCode,
+  disqualificationReason: row => row.disqualificationReason,
+  prizeTier: row => row.prizeTier,
+  prizePosition: row => row.prizePosition,
+  gamertag: row => row.gamertag,
+  emailHash: row => row.emailHash,
+  country: row => row.location?.country,
+  region: row => row.location?.region,
+  entryTimestamp: row => row.entryTimestamp,
+  score: row => row.score,
+  scoreHex: row => row.scoreHex
 };
 
 // CORS headers for transparency and public access
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "POST, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": ["Content-Type", IDEMPOTENCY_HEADER, DRAW_OPTIONS_HEADER, ...AUTH_HEADERS].join(", "),
   "Access-Control-Max-Age": "86400"
 };
 
@@ -68,10 +243,11 @@ export default {
   /**
    * Main request handler
    * @param {Request} request - Incoming HTTP request
-   * @param {Object} env - Environment variables (GitHub token, repo config)
+   * @param {Object} env - Environment variables (GitHub token, repo config, API clients)
+   * @param {Object} ctx - Execution context (waitUntil for background publishing)
    * @returns {Response} JSON response with draw results or error
    */
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     // Parse the URL to check the pathname
     const url = new URL(request.url);
     
@@ -81,6 +257,7 @@ export default {
         status: "healthy",
         service: "VaultPlay Draw Worker",
         version: CONFIG.ALGORITHM_VERSION,
+        algorithms: listAlgorithmVersions(),
         timestamp: new Date().toISOString()
       }, null, 2), {
         status: 200,
@@ -91,10 +268,22 @@ export default {
       });
     }
     
-    // Only allow /startdraw endpoint for draws
-    if (url.pathname !== "/startdraw") {
+    // Public keys that verify audit bundle signatures
+    if (url.pathname === SIGNING_KEYS_PATH) {
+      return handleSigningKeysRequest(request, env);
+    }
+
+    // Only allow draw endpoints (/startdraw, /commit, /reveal), public bundle endpoints (/verify, /proof),
+    // the publish queue endpoints (/publications, /republish/:drawId), draw history (/draws, /competitions/:id/draws)
+    // private entry records (/draws/:drawId/personal-data, /draws/:drawId/erasure) and redraws (/draws/:drawId/redraw)
+    const publicationRoute = matchRoute(PUBLICATION_ROUTES, url.pathname);
+    const historyRoute = matchRoute(DRAW_HISTORY_ROUTES, url.pathname);
+    const privateEntryRoute = matchRoute(PRIVATE_ENTRY_ROUTES, url.pathname);
+    const amendmentRoute = matchRoute(AMENDMENT_ROUTES, url.pathname);
+    if (!DRAW_ENDPOINTS.includes(url.pathname) && !PUBLIC_ENDPOINTS.includes(url.pathname) &&
+        !publicationRoute && !historyRoute && !privateEntryRoute && !amendmentRoute) {
       return createErrorResponse(
-        `Endpoint not found. Please use POST /startdraw for draw operations.`,
+        `Endpoint not found. Please use POST /startdraw (or /commit then /reveal) for draw operations, POST /verify to verify an audit bundle or POST /proof for an entry inclusion proof.`,
         404
       );
     }
@@ -110,179 +299,86 @@ export default {
       });
     }
 
+    // Publish queue status and forced retries
+    if (publicationRoute) {
+      return handlePublicationRequest(request, url, publicationRoute, env);
+    }
+
+    // Past draws by ID, competition or time range
+    if (historyRoute) {
+      return handleDrawHistoryRequest(request, url, historyRoute, env);
+    }
+
+    // Opening and erasing privacy-mode entrants' personal data
+    if (privateEntryRoute) {
+      return handlePrivateEntryRequest(request, privateEntryRoute, env);
+    }
+
+    // Forfeiting an unclaimed prize to the next alternate
+    if (amendmentRoute) {
+      return handleRedrawRequest(request, amendmentRoute, env, ctx);
+    }
+
     // Only accept POST requests for draw operations
     if (request.method !== "POST") {
       return createErrorResponse("Method Not Allowed. Only POST requests are accepted.", 405);
     }
 
-    // Verify Content-Type header
+    // Verify Content-Type header (/startdraw also accepts streamed NDJSON/CSV entry lists)
     const contentType = request.headers.get("content-type");
-    if (!contentType || !contentType.includes("application/json")) {
+    const streamFormat = url.pathname === "/startdraw" ? getStreamFormat(contentType) : null;
+    if (!streamFormat && (!contentType || !contentType.includes("application/json"))) {
       return createErrorResponse("Content-Type must be application/json", 400);
     }
 
-    try {
-      // Parse and validate request body
-      const body = await parseRequestBody(request);
-      const validationResult = validateInput(body);
-      
-      if (!validationResult.valid) {
-        return createErrorResponse(validationResult.error, 400);
-      }
-
-      let { randomness, entries, drawRound, competition, randomnessSource } = body;
-      
-      const drawTimestamp = new Date().toISOString();
+    // Verification is public: anyone may re-check a published draw or their entry in it
+    if (url.pathname === "/verify") {
+      return handleVerifyRequest(request, env);
+    }
+    if (url.pathname === "/proof") {
+      return handleProofRequest(request, env);
+    }
 
-      // Log draw request (for monitoring/debugging)
-      console.log(`Draw request: competition=${competition?.name || 'N/A'}, mode=${competition?.mode || 'N/A'}, entries=${entries.length}`);
+    // Response shape for draws (format, winnersOnly, includeBundle); the draw itself is unaffected
+    const output = parseOutputOptions(url, request);
+    if (output.error) {
+      return createErrorResponse(output.error, 400);
+    }
 
-      // Step 1: Get randomness (either provided or fetch from drand)
-      let randomnessFetchedByWorker = false;
-      
-      if (randomnessSource?.autoFetch && randomnessSource?.provider === "drand") {
-        // Worker fetches randomness from drand
-        console.log("Fetching randomness from drand...");
-        try {
-          const drandData = await fetchDrandLatest();
-          randomness = drandData.randomness;
-          randomnessSource.round = drandData.round;
-          randomnessSource.timestamp = drandData.fetchTime;
-          randomnessSource.verificationUrl = `https://api.drand.sh/public/${drandData.round}`;
-          randomnessFetchedByWorker = true;
-          // Use drand round as drawRound if not already specified
-          if (!drawRound) {
-            drawRound = drandData.round;
-          }
-          console.log(`Fetched drand round ${drandData.round}`);
-        } catch (error) {
-          console.error("Failed to fetch drand randomness:", error);
-          return createErrorResponse(
-            "Failed to fetch randomness from drand. Please try again or provide randomness manually.",
-            503
-          );
-        }
-      } else if (!randomness) {
-        return createErrorResponse(
-          "Field 'randomness' is required when not using autoFetch",
-          400
-        );
+    try {
+      // Streamed entry lists are authenticated and scored as they are read
+      if (streamFormat) {
+        return await shapeDrawResponse(await handleStreamedDrawRequest(request, streamFormat, env, ctx), output);
       }
 
-      // Step 2: Generate deterministic seed from randomness
-      // The seed serves as the foundation for all subsequent calculations
-      const seed = await computeSHA256Hex(randomness);
-
-      // Step 3: Process entries - hash emails if provided
-      const processedEntries = await processEntries(entries);
-
-      // Step 4: Calculate cryptographic score for each entry
-      // Score = SHA-256(seed || entryCode)
-      // This ensures each entry gets a unique, deterministic score
-      const scoredEntries = await calculateEntryScores(seed, processedEntries);
-
-      // Step 5: Separate qualified from disqualified entries
-      const qualifiedEntries = scoredEntries.filter(e => e.status === "qualified");
-      const disqualifiedEntries = scoredEntries.filter(e => e.status === "disqualified");
-
-      // Step 6: Sort qualified entries by score (highest to lowest)
-      // Using BigInt comparison for cryptographic precision
-      const rankedQualifiedEntries = rankEntriesByScore(qualifiedEntries);
-
-      // Step 7: Prepare complete results (qualified + disqualified)
-      const allResults = [
-        ...rankedQualifiedEntries,
-        ...disqualifiedEntries.map(e => ({
-          ...e,
-          rank: null  // Disqualified entries have no rank
-        }))
-      ];
-
-      // Step 8: Prepare audit-friendly response
-      const response = await formatDrawResponse(
-        allResults,
-        qualifiedEntries.length,
-        disqualifiedEntries.length,
-        seed,
-        drawRound
-      );
+      // Read the raw body once: HMAC signatures are computed over these exact bytes
+      const rawBody = await readRequestBody(request);
 
-      // Step 9: Generate complete audit bundle
-      const auditBundle = generateAuditBundle(
-        response,
-        competition,
-        randomness,
-        randomnessSource,
-        drawTimestamp,
-        randomnessFetchedByWorker
-      );
+      // Authenticate the caller before any parsing or draw work
+      const auth = await authenticateRequest(request, rawBody, env);
+      if (!auth.authenticated) {
+        return createErrorResponse(auth.error, auth.status);
+      }
 
-      // Step 10: Compute bundle hash
-      const bundleHash = await computeSHA256Hex(JSON.stringify(auditBundle, (key, value) =>
-        typeof value === 'bigint' ? value.toString() : value
-      ));
+      // Parse request body
+      const body = parseRequestBody(rawBody);
 
-      // Step 11: Attempt to publish to GitHub (if competition metadata provided)
-      let githubResult = { published: false, reason: "No competition metadata provided" };
-      
-      if (competition && competition.id && competition.name) {
-        try {
-          githubResult = await publishToGitHub(
-            auditBundle,
-            bundleHash,
-            competition,
-            drawTimestamp,
-            env
-          );
-        } catch (githubError) {
-          console.error("GitHub publishing failed:", githubError);
-          githubResult = {
-            published: false,
-            error: githubError.message,
-            retryable: isRetryableError(githubError)
-          };
-        }
+      // Commitments freeze an entry list without drawing
+      if (url.pathname === "/commit") {
+        return await handleCommitRequest(body, auth.client, env, ctx);
       }
 
-      // Step 12: Extract winner (first qualified entry)
-      const winner = rankedQualifiedEntries[0] || null;
+      // Salt that lets an entrant prove their emailHash
+      if (url.pathname === "/email-proof") {
+        return await handleEmailProofRequest(body, auth.client, env);
+      }
 
-      // Step 13: Return complete response
-      return new Response(JSON.stringify({
-        success: true,
-        draw: {
-          timestamp: drawTimestamp,
-          mode: competition?.mode || "unspecified",
-          competitionId: competition?.id || null,
-          competitionName: competition?.name || null,
-          totalEntries: scoredEntries.length,
-          qualifiedEntries: qualifiedEntries.length,
-          disqualifiedEntries: disqualifiedEntries.length,
-          winner: winner ? {
-            rank: winner.rank,
-            entryCode: winner.entryCode,
-            gamertag: winner.gamertag || null,
-            score: winner.score,
-            scoreHex: winner.scoreHex
-          } : null
-        },
-        audit: {
-          bundle: auditBundle,
-          bundleHash: bundleHash,
-          github: githubResult
-        },
-        metadata: response.metadata,
-        results: response.results,
-        topWinners: response.topWinners
-      }, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2), {
-        status: 200,
-        headers: {
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache, no-store, must-revalidate",
-          ...CORS_HEADERS,
-          ...SECURITY_HEADERS
-        }
-      });
+      // Reveal a commitment, or validate and run an immediate draw
+      // (each is counted against the rate limits once it is known not to be a replay)
+      const drawResponse = url.pathname === "/reveal"
+        ? await handleRevealRequest(request, rawBody, body, auth.client, env, ctx)
+        : await handleStartDrawRequest(request, rawBody, body, auth.client, env, ctx);
+      return await shapeDrawResponse(drawResponse, output);
 
     } catch (error) {
       // Log error for monitoring (in production, use proper logging service)
@@ -294,262 +390,2045 @@ export default {
         500
       );
     }
+  },
+
+  /**
+   * Scheduled handler (cron trigger): retry audit bundle publications that are due
+   * @param {Object} controller - Scheduled event {scheduledTime, cron}
+   * @param {Object} env - Environment variables and bindings
+   * @param {Object} ctx - Execution context
+   * @returns {Promise<void>}
+   */
+  async scheduled(controller, env, ctx) {
+    if (!env.DRAW_STORE) {
+      return;
+    }
+    ctx.waitUntil(retryDuePublications(env, controller.scheduledTime).then(results => {
+      if (results.length > 0) {
+        console.log(`Publish queue: retried ${results.length} draw(s), ${results.filter(r => r.status === PUBLICATION_STATUS.PUBLISHED).length} now published`);
+      }
+    }));
   }
 };
 
 /**
- * Parse request body with size limits
- * @param {Request} request - Incoming request
- * @returns {Promise<Object>} Parsed JSON body
- * @throws {Error} If body is too large or invalid JSON
+ * Handle POST /startdraw with a JSON entry list
+ * @param {Request} request - Incoming request (Idempotency-Key header)
+ * @param {string} rawBody - Raw request body (idempotency fingerprint)
+ * @param {Object} body - Parsed request body
+ * @param {Object} client - Authenticated client identity {id, method}
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context (background publishing)
+ * @returns {Promise<Response>} Full JSON draw response (shaped by the caller)
  */
-async function parseRequestBody(request) {
-  // Check Content-Length to prevent large payload attacks
-  const contentLength = request.headers.get("content-length");
-  if (contentLength && parseInt(contentLength) > 10 * 1024 * 1024) { // 10MB limit
-    throw new Error("Request body too large");
+async function handleStartDrawRequest(request, rawBody, body, client, env, ctx) {
+  // Validate immediate draw request
+  const validationResult = validateInput(body);
+
+  if (!validationResult.valid) {
+    return createErrorResponse(validationResult.error, 400);
+  }
+  if (body.competition?.privacyMode && !env.DRAW_STORE) {
+    return createErrorResponse("Privacy mode requires the DRAW_STORE KV namespace for private entry records", 503);
+  }
+
+  // Replay or reject repeated requests before running a new draw
+  const drawId = crypto.randomUUID();
+  const idempotency = await beginIdempotentRequest(request, rawBody, body, client, env, drawId);
+  if (idempotency.error) {
+    return createErrorResponse(idempotency.error, idempotency.status);
+  }
+  if (idempotency.replay) {
+    return createReplayResponse(idempotency.replay, env);
+  }
+
+  // Draws count against the client's and the IP address's budgets (live and test are separate); replays do not
+  const rateLimit = await checkDrawRateLimits(request, env, body.competition, client);
+  if (rateLimit.errorResponse) {
+    await releaseIdempotentRequest(idempotency.record, env);
+    return rateLimit.errorResponse;
   }
 
+  let drawResponse;
   try {
-    return await request.json();
+    drawResponse = await executeDraw(body, client, env, ctx, new URL(request.url).pathname, null, drawId);
   } catch (error) {
-    throw new Error("Invalid JSON in request body");
+    await releaseIdempotentRequest(idempotency.record, env);
+    throw error;
   }
+
+  // Replays are rebuilt in full from the recorded draw; each caller gets the shape it asked for
+  return withHeaders(
+    await completeIdempotentRequest(idempotency.record, drawResponse, env, drawReference(drawResponse)),
+    rateLimit.headers
+  );
 }
 
 /**
- * Comprehensive input validation
- * @param {Object} body - Request body
- * @returns {Object} Validation result with {valid: boolean, error?: string}
+ * Count a draw against the client's and the IP address's rate limits (see ./rateLimit.js)
+ * @param {Request} request - Incoming request (client IP)
+ * @param {Object} env - Environment variables (RATE_LIMITER, RATE_LIMITS)
+ * @param {Object|undefined} competition - Competition from the request (its mode selects the budget)
+ * @param {Object} client - Authenticated client identity {id, method}
+ * @returns {Promise<Object>} {headers} for the draw response, or {errorResponse} (429) if a budget is used up
  */
-function validateInput(body) {
-  // Check required fields existence
-  if (!body || typeof body !== "object") {
-    return { valid: false, error: "Request body must be a JSON object" };
+async function checkDrawRateLimits(request, env, competition, client) {
+  const result = await consumeRateLimits(request, env, { clientId: client.id, mode: getRateLimitMode(competition) });
+  const headers = rateLimitHeaders(result);
+
+  if (result && !result.allowed) {
+    console.warn(`Rate limit exceeded: client=${client.id}, scope=${result.scope}, mode=${result.mode}, limit=${result.limit}/${result.windowSeconds}s`);
+    return {
+      errorResponse: withHeaders(createErrorResponse(
+        `Rate limit exceeded: at most ${result.limit} ${result.mode} draws per ${result.windowSeconds} seconds for this ${result.scope === "ip" ? "IP address" : "client"}. Retry after ${result.reset} seconds.`,
+        429
+      ), headers)
+    };
   }
+  return { headers };
+}
 
-  const { randomness, entries, drawRound, competition, randomnessSource } = body;
+/**
+ * Add headers to a response
+ * @param {Response} response - Response
+ * @param {Object} headers - Headers to set
+ * @returns {Response} The response, copied with the headers when there are any
+ */
+function withHeaders(response, headers) {
+  if (Object.keys(headers).length === 0) {
+    return response;
+  }
+  const copy = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    copy.headers.set(name, value);
+  }
+  return copy;
+}
 
-  // Validate randomness field (unless autoFetch is enabled)
-  const isAutoFetch = randomnessSource?.autoFetch === true && randomnessSource?.provider === "drand";
-  
-  if (!isAutoFetch) {
-    // Randomness is required if not using autoFetch
-    if (!randomness || typeof randomness !== "string") {
-      return { valid: false, error: "Field 'randomness' is required and must be a string (or use randomnessSource.autoFetch)" };
+/**
+ * Match a request path against a route table
+ * @param {Array} routes - Routes as [method, path pattern, action]
+ * @param {string} pathname - Request path
+ * @returns {Object|null} {method, action, param} (param is the decoded path parameter, if any),
+ *   or null if no route matches
+ */
+function matchRoute(routes, pathname) {
+  for (const [method, pattern, action] of routes) {
+    const match = pathname.match(pattern);
+    if (match) {
+      let param = null;
+      try {
+        param = match[1] ? decodeURIComponent(match[1]) : null;
+      } catch (error) {
+        // Malformed percent-encoding: left for the handler to reject as an invalid identifier
+        param = match[1];
+      }
+      return { method, action, param };
     }
+  }
+  return null;
+}
 
-    // Trim whitespace
-    const trimmedRandomness = randomness.trim();
-    
-    if (trimmedRandomness.length === 0 || trimmedRandomness.length > CONFIG.MAX_RANDOMNESS_LENGTH) {
-      return { 
-        valid: false, 
-        error: `Field 'randomness' must be between 1 and ${CONFIG.MAX_RANDOMNESS_LENGTH} characters` 
-      };
+/**
+ * Handle the publish queue endpoints (authenticated)
+ * GET /publications lists unpublished draws (?cursor, ?limit), GET /publications/:drawId
+ * shows one draw's publication status and POST /republish/:drawId retries it now.
+ * @param {Request} request - Incoming request
+ * @param {URL} url - Parsed request URL
+ * @param {Object} route - Matched route from matchRoute(PUBLICATION_ROUTES)
+ * @param {Object} env - Environment variables (DRAW_STORE, storage backends)
+ * @returns {Promise<Response>} Publication status or list
+ */
+async function handlePublicationRequest(request, url, route, env) {
+  if (request.method !== route.method) {
+    return createErrorResponse(`Method Not Allowed. Use ${route.method} for this endpoint.`, 405);
+  }
+
+  try {
+    const auth = await authenticateRequest(request, await readRequestBody(request), env);
+    if (!auth.authenticated) {
+      return createErrorResponse(auth.error, auth.status);
     }
 
-    // Validate hex format
-    if (!/^[0-9a-fA-F]+$/.test(trimmedRandomness)) {
-      return { valid: false, error: "Field 'randomness' must be a valid hexadecimal string" };
+    if (!env.DRAW_STORE) {
+      return createErrorResponse("The publish queue requires the DRAW_STORE KV namespace", 503);
     }
 
-    // Update body with trimmed value
-    body.randomness = trimmedRandomness;
+    if (route.action === "list") {
+      const limit = url.searchParams.has("limit") ? parseInt(url.searchParams.get("limit"), 10) : undefined;
+      if (limit !== undefined && !(limit >= 1)) {
+        return createErrorResponse("Query parameter 'limit' must be a positive integer", 400);
+      }
+      return createJsonResponse(await listUnpublished(env, { cursor: url.searchParams.get("cursor"), limit }));
+    }
+
+    if (!isValidDrawId(route.param)) {
+      return createErrorResponse("Draw ID must be a lower-case UUID", 400);
+    }
+
+    const status = await getPublicationStatus(route.param, env);
+    if (!status) {
+      return createErrorResponse(`No publication found for draw ${route.param}`, 404);
+    }
+    if (route.action === "status") {
+      return createJsonResponse(status);
+    }
+
+    if (status.status === PUBLICATION_STATUS.PUBLISHED) {
+      return createErrorResponse(`Draw ${route.param} is already published`, 409);
+    }
+    console.log(`Republish requested: draw=${route.param}, client=${auth.client.id}`);
+    return createJsonResponse(await processPublication(route.param, env, { force: true }));
+
+  } catch (error) {
+    console.error("Publish queue request error:", error);
+    return createErrorResponse("Internal server error occurred while reading the publish queue", 500);
   }
+}
 
-  // Validate entries array
-  if (!Array.isArray(entries)) {
-    return { valid: false, error: "Field 'entries' must be an array" };
+/**
+ * Handle GET /.well-known/vaultplay-keys.json - public keys for audit bundle signatures
+ * Lists the current signing key and every retired key, so bundles signed before a
+ * rotation stay verifiable.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (BUNDLE_SIGNING_KEY, BUNDLE_SIGNING_KEY_ID, BUNDLE_PUBLIC_KEYS)
+ * @returns {Response} Key set {keys, signatureMethod}
+ */
+function handleSigningKeysRequest(request, env) {
+  if (request.method !== "GET") {
+    return createErrorResponse("Method Not Allowed. Use GET for this endpoint.", 405);
   }
 
-  if (entries.length === 0) {
-    return { valid: false, error: "Field 'entries' must contain at least one entry" };
+  try {
+    return new Response(JSON.stringify({
+      keys: listPublicKeys(env),
+      signatureMethod: SIGNATURE_METHOD
+    }, null, 2), {
+      status: 200,
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "public, max-age=300",
+        ...CORS_HEADERS,
+        ...SECURITY_HEADERS
+      }
+    });
+  } catch (error) {
+    console.error("Signing key configuration error:", error);
+    return createErrorResponse("Internal server error occurred while listing signing keys", 500);
   }
+}
 
-  if (entries.length > CONFIG.MAX_ENTRIES) {
-    return { 
-      valid: false, 
-      error: `Maximum ${CONFIG.MAX_ENTRIES} entries allowed per draw` 
-    };
+/**
+ * Handle the draw history endpoints (authenticated)
+ * GET /draws/:drawId returns a draw's summary, audit bundle and publication status,
+ * GET /competitions/:id/draws lists a competition's draws and GET /draws pages through
+ * every draw (?from, ?to, ?mode, ?cursor, ?limit), newest first.
+ * @param {Request} request - Incoming request
+ * @param {URL} url - Parsed request URL
+ * @param {Object} route - Matched route from matchRoute(DRAW_HISTORY_ROUTES)
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Response>} Draw or list of draw summaries
+ */
+async function handleDrawHistoryRequest(request, url, route, env) {
+  if (request.method !== route.method) {
+    return createErrorResponse(`Method Not Allowed. Use ${route.method} for this endpoint.`, 405);
   }
 
-  // Validate each entry structure and content
-  const entryCodesSet = new Set();
-  for (let i = 0; i < entries.length; i++) {
-    const entry = entries[i];
-    
-    if (!entry || typeof entry !== "object") {
-      return { valid: false, error: `Entry at index ${i} must be an object` };
+  try {
+    const auth = await authenticateRequest(request, await readRequestBody(request), env);
+    if (!auth.authenticated) {
+      return createErrorResponse(auth.error, auth.status);
     }
 
-    if (!entry.entryCode || typeof entry.entryCode !== "string") {
-      return { valid: false, error: `Entry at index ${i} must have a string 'entryCode' field` };
+    if (!env.DRAW_STORE) {
+      return createErrorResponse("Draw history requires the DRAW_STORE KV namespace", 503);
     }
 
-    // Trim whitespace from entry codes
-    entry.entryCode = entry.entryCode.trim();
-
-    if (entry.entryCode.length === 0 || entry.entryCode.length > CONFIG.MAX_ENTRY_CODE_LENGTH) {
-      return { 
-        valid: false, 
-        error: `Entry code at index ${i} must be between 1 and ${CONFIG.MAX_ENTRY_CODE_LENGTH} characters` 
-      };
+    if (route.action === "draw") {
+      if (!isValidDrawId(route.param)) {
+        return createErrorResponse("Draw ID must be a lower-case UUID", 400);
+      }
+      const draw = await getDraw(route.param, env);
+      if (!draw) {
+        return createErrorResponse(`No draw found with ID ${route.param}`, 404);
+      }
+      const amendments = await getAmendments(route.param, env);
+      return createJsonResponse({
+        ...draw,
+        publication: await getPublicationStatus(route.param, env),
+        amendments: amendments,
+        currentWinners: currentWinners(draw.bundle, amendments)
+      });
     }
 
-    // Check for duplicate entry codes
-    if (entryCodesSet.has(entry.entryCode)) {
-      return { valid: false, error: `Duplicate entry code detected: "${entry.entryCode}"` };
+    const limit = url.searchParams.has("limit") ? parseInt(url.searchParams.get("limit"), 10) : undefined;
+    if (limit !== undefined && !(limit >= 1)) {
+      return createErrorResponse("Query parameter 'limit' must be a positive integer", 400);
     }
-    entryCodesSet.add(entry.entryCode);
+    const cursor = url.searchParams.get("cursor");
 
-    // Validate optional gamertag field
-    if (entry.gamertag !== undefined && entry.gamertag !== null) {
-      if (typeof entry.gamertag !== "string") {
-        return { valid: false, error: `Entry at index ${i}: 'gamertag' must be a string` };
-      }
-      if (entry.gamertag.length > CONFIG.MAX_GAMERTAG_LENGTH) {
-        return { valid: false, error: `Entry at index ${i}: 'gamertag' exceeds maximum length` };
+    if (route.action === "competition") {
+      if (route.param.length === 0 || route.param.length > CONFIG.MAX_COMPETITION_ID_LENGTH) {
+        return createErrorResponse(`Competition ID must be between 1 and ${CONFIG.MAX_COMPETITION_ID_LENGTH} characters`, 400);
       }
+      return createJsonResponse({
+        competitionId: route.param,
+        ...await listCompetitionDraws(route.param, env, { cursor, limit })
+      });
     }
 
-    // Validate optional email field
-    if (entry.email !== undefined && entry.email !== null) {
-      if (typeof entry.email !== "string") {
-        return { valid: false, error: `Entry at index ${i}: 'email' must be a string` };
-      }
-      if (entry.email.length > CONFIG.MAX_EMAIL_LENGTH) {
-        return { valid: false, error: `Entry at index ${i}: 'email' exceeds maximum length` };
+    // GET /draws: optional time range (from inclusive, to exclusive) and mode
+    const range = {};
+    for (const name of ["from", "to"]) {
+      if (url.searchParams.has(name)) {
+        range[name] = Date.parse(url.searchParams.get(name));
+        if (Number.isNaN(range[name])) {
+          return createErrorResponse(`Query parameter '${name}' must be an ISO 8601 date or timestamp`, 400);
+        }
       }
     }
+    if (range.from !== undefined && range.to !== undefined && range.from >= range.to) {
+      return createErrorResponse("Query parameter 'from' must be earlier than 'to'", 400);
+    }
+    const mode = url.searchParams.get("mode");
+    if (mode !== null && !DRAW_MODES.includes(mode)) {
+      return createErrorResponse(`Query parameter 'mode' must be one of: ${DRAW_MODES.join(", ")}`, 400);
+    }
 
-    // Validate optional entryTimestamp field
-    if (entry.entryTimestamp !== undefined && entry.entryTimestamp !== null) {
-      if (typeof entry.entryTimestamp !== "string") {
-        return { valid: false, error: `Entry at index ${i}: 'entryTimestamp' must be a string` };
-      }
+    return createJsonResponse(await listDraws(env, { from: range.from ?? null, to: range.to ?? null, mode, cursor, limit }));
+
+  } catch (error) {
+    console.error("Draw history request error:", error);
+    return createErrorResponse("Internal server error occurred while reading draw history", 500);
+  }
+}
+
+/**
+ * Handle the private entry record endpoints (authenticated; privacy-mode draws only)
+ * POST /draws/:drawId/personal-data opens entries' commitments (their personal data and salt)
+ * and POST /draws/:drawId/erasure deletes them. Body: {entryCodes: [string]} or {email},
+ * which selects every entry with that email's hash. Only the client that made the
+ * draw may open or erase its records (403).
+ * @param {Request} request - Incoming request
+ * @param {Object} route - Matched route from matchRoute(PRIVATE_ENTRY_ROUTES)
+ * @param {Object} env - Environment variables (DRAW_STORE, EMAIL_HASH_SECRET)
+ * @returns {Promise<Response>} Opened entries, or the erasure result
+ */
+async function handlePrivateEntryRequest(request, route, env) {
+  if (request.method !== route.method) {
+    return createErrorResponse(`Method Not Allowed. Use ${route.method} for this endpoint.`, 405);
+  }
+
+  try {
+    const rawBody = await readRequestBody(request);
+    const auth = await authenticateRequest(request, rawBody, env);
+    if (!auth.authenticated) {
+      return createErrorResponse(auth.error, auth.status);
     }
 
-    // Validate optional location field
-    if (entry.location !== undefined && entry.location !== null) {
-      if (typeof entry.location !== "object" || Array.isArray(entry.location)) {
-        return { valid: false, error: `Entry at index ${i}: 'location' must be an object` };
-      }
-      if (entry.location.country && typeof entry.location.country !== "string") {
-        return { valid: false, error: `Entry at index ${i}: 'location.country' must be a string` };
-      }
-      if (entry.location.country && entry.location.country.length > CONFIG.MAX_LOCATION_LENGTH) {
-        return { valid: false, error: `Entry at index ${i}: 'location.country' exceeds maximum length` };
-      }
-      if (entry.location.region && typeof entry.location.region !== "string") {
-        return { valid: false, error: `Entry at index ${i}: 'location.region' must be a string` };
-      }
-      if (entry.location.region && entry.location.region.length > CONFIG.MAX_LOCATION_LENGTH) {
-        return { valid: false, error: `Entry at index ${i}: 'location.region' exceeds maximum length` };
-      }
+    if (!env.DRAW_STORE) {
+      return createErrorResponse("Private entry records require the DRAW_STORE KV namespace", 503);
+    }
+    if (!isValidDrawId(route.param)) {
+      return createErrorResponse("Draw ID must be a lower-case UUID", 400);
     }
 
-    // Validate optional quiz field
-    if (entry.quiz !== undefined && entry.quiz !== null) {
-      if (typeof entry.quiz !== "object" || Array.isArray(entry.quiz)) {
-        return { valid: false, error: `Entry at index ${i}: 'quiz' must be an object` };
-      }
-      if (entry.quiz.question && typeof entry.quiz.question !== "string") {
-        return { valid: false, error: `Entry at index ${i}: 'quiz.question' must be a string` };
-      }
-      if (entry.quiz.question && entry.quiz.question.length > CONFIG.MAX_QUIZ_FIELD_LENGTH) {
-        return { valid: false, error: `Entry at index ${i}: 'quiz.question' exceeds maximum length` };
-      }
-      if (entry.quiz.answerGiven && typeof entry.quiz.answerGiven !== "string") {
-        return { valid: false, error: `Entry at index ${i}: 'quiz.answerGiven' must be a string` };
-      }
-      if (entry.quiz.answerGiven && entry.quiz.answerGiven.length > CONFIG.MAX_QUIZ_FIELD_LENGTH) {
-        return { valid: false, error: `Entry at index ${i}: 'quiz.answerGiven' exceeds maximum length` };
-      }
-      if (entry.quiz.answerCorrect !== undefined && typeof entry.quiz.answerCorrect !== "boolean") {
-        return { valid: false, error: `Entry at index ${i}: 'quiz.answerCorrect' must be a boolean` };
-      }
+    let body;
+    try {
+      body = parseRequestBody(rawBody);
+    } catch (error) {
+      return createErrorResponse(error.message, 400);
+    }
+    const selection = validateEntrantSelection(body);
+    if (selection.error) {
+      return createErrorResponse(selection.error, 400);
+    }
+
+    const draw = await getDrawSummary(route.param, env);
+    if (!draw) {
+      return createErrorResponse(`No draw found with ID ${route.param}`, 404);
+    }
+    if (draw.clientId !== auth.client.id) {
+      return createErrorResponse(`Draw ${route.param} was made by another client`, 403);
+    }
+
+    const privateEntries = await getPrivateEntries(route.param, env);
+    if (!privateEntries) {
+      return createErrorResponse(`No private entry records for draw ${route.param} (it was not drawn in privacy mode)`, 404);
+    }
+
+    // Entrants are selected by entry code, or by the hash their email had in this draw's competition
+    let matches;
+    if (selection.entryCodes) {
+      const entryCodes = new Set(selection.entryCodes);
+      matches = record => entryCodes.has(record.entryCode);
+    } else {
+      const emailHash = await (await createEmailHasher(privateEntries.competitionId, env)).hash(selection.email);
+      matches = record => record.personalData?.emailHash === emailHash;
+    }
+
+    const notFound = selection.entryCodes
+      ? selection.entryCodes.filter(code => !privateEntries.entries.some(record => record.entryCode === code))
+      : [];
+    if (!privateEntries.entries.some(matches)) {
+      return createErrorResponse(`No matching entries in draw ${route.param}`, 404);
+    }
+
+    if (route.action === "open") {
+      return createJsonResponse({
+        drawId: route.param,
+        entries: await openPrivateEntries(privateEntries, matches),
+        notFound: notFound,
+        method: PRIVACY_METHOD
+      });
     }
+
+    const result = await erasePrivateEntries(privateEntries, matches, env);
+    console.log(`Personal data erased: draw=${route.param}, entries=${result.erased.length}, client=${auth.client.id}`);
+    return createJsonResponse({ drawId: route.param, ...result, notFound: notFound });
+
+  } catch (error) {
+    console.error("Private entry request error:", error);
+    return createErrorResponse("Internal server error occurred while reading private entry records", 500);
   }
+}
 
-  // Validate optional drawRound field
-  if (drawRound !== undefined && drawRound !== null) {
-    // Accept string or number, convert to string
-    const drawRoundStr = typeof drawRound === "number" ? drawRound.toString() : drawRound;
-    
-    if (typeof drawRoundStr !== "string") {
-      return { 
-        valid: false, 
-        error: `Field 'drawRound' must be a string or number` 
-      };
+/**
+ * Handle POST /draws/:drawId/redraw (authenticated) - forfeit a winner's prize to the next alternate
+ * Body: {entryCode, reason}. The draw itself is never changed: a signed amendment
+ * referencing its bundleHash is stored with the draw and published beside it as
+ * amendment-<n>.json. Retry with the Idempotency-Key header; repeating a redraw
+ * without it fails with 409, as the entry no longer holds a prize. Only the
+ * client that made the draw may redraw it (403).
+ * @param {Request} request - Incoming request
+ * @param {Object} route - Matched route from matchRoute(AMENDMENT_ROUTES)
+ * @param {Object} env - Environment variables (DRAW_STORE, signing key, storage backends)
+ * @param {Object} ctx - Execution context (background publishing)
+ * @returns {Promise<Response>} The amendment and its publication status
+ */
+async function handleRedrawRequest(request, route, env, ctx) {
+  if (request.method !== route.method) {
+    return createErrorResponse(`Method Not Allowed. Use ${route.method} for this endpoint.`, 405);
+  }
+
+  try {
+    const rawBody = await readRequestBody(request);
+    const auth = await authenticateRequest(request, rawBody, env);
+    if (!auth.authenticated) {
+      return createErrorResponse(auth.error, auth.status);
+    }
+
+    if (!env.DRAW_STORE) {
+      return createErrorResponse("Redraws require the DRAW_STORE KV namespace (draw history and amendments)", 503);
+    }
+    if (!isValidDrawId(route.param)) {
+      return createErrorResponse("Draw ID must be a lower-case UUID", 400);
+    }
+
+    let body;
+    try {
+      body = parseRequestBody(rawBody);
+    } catch (error) {
+      return createErrorResponse(error.message, 400);
+    }
+    const validation = validateRedrawRequest(body);
+    if (!validation.valid) {
+      return createErrorResponse(validation.error, 400);
+    }
+
+    const draw = await getDraw(route.param, env);
+    if (!draw) {
+      return createErrorResponse(`No draw found with ID ${route.param}`, 404);
+    }
+    if (draw.clientId !== auth.client.id) {
+      return createErrorResponse(`Draw ${route.param} was made by another client`, 403);
+    }
+
+    const idempotency = await beginIdempotentRequest(request, rawBody, body, auth.client, env);
+    if (idempotency.error) {
+      return createErrorResponse(idempotency.error, idempotency.status);
+    }
+    if (idempotency.replay) {
+      return createReplayResponse(idempotency.replay, env);
+    }
+
+    let response;
+    try {
+      response = await executeRedraw(draw, body, auth.client, env, ctx);
+    } catch (error) {
+      await releaseIdempotentRequest(idempotency.record, env);
+      throw error;
+    }
+    return await completeIdempotentRequest(idempotency.record, response, env);
+
+  } catch (error) {
+    console.error("Redraw request error:", error);
+    return createErrorResponse("Internal server error occurred during the redraw", 500);
+  }
+}
+
+/**
+ * Amend a recorded draw: promote the next alternate, sign, store and queue the amendment
+ * @param {Object} draw - Recorded draw from getDraw {drawId, bundleHash, bundle}
+ * @param {Object} body - Validated redraw request {entryCode, reason}
+ * @param {Object} client - Authenticated client identity {id, method}
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context (background publishing)
+ * @returns {Promise<Response>} Amendment response, or 409 if the entry holds no prize or no alternate remains
+ */
+async function executeRedraw(draw, body, client, env, ctx) {
+  // Step 1: Forfeit the entry's slot and promote the draw's next alternate
+  const amendments = await getAmendments(draw.drawId, env);
+  const planned = createAmendment(draw.bundle, draw.bundleHash, amendments, {
+    entryCode: body.entryCode,
+    reason: body.reason,
+    client: client
+  });
+  if (planned.error) {
+    return createErrorResponse(planned.error, planned.status);
+  }
+  const { amendment } = planned;
+
+  // Step 2: Hash with the draw's algorithm version and sign like an audit bundle
+  const amendmentHash = await computeAmendmentHash(amendment, draw.bundle);
+  amendment.bundleHash = amendmentHash;
+  const signature = signBundleHash(amendmentHash, env);
+  if (signature) {
+    amendment.signature = signature;
+  }
+
+  // Step 3: Store the amendment with the draw, then queue it for publishing beside draw.json
+  if (!await appendAmendment(draw.drawId, amendments, amendment, env)) {
+    return createErrorResponse(
+      `Another redraw of draw ${draw.drawId} recorded amendment ${amendment.amendment.sequence} first; retry to amend the current winners`,
+      409
+    );
+  }
+
+  const competition = draw.bundle.competition;
+  const amendmentId = amendment.amendment.amendmentId;
+  let storageResult = { drawId: amendmentId, status: "not-published", reason: "No competition metadata provided" };
+  if (competition && competition.id && competition.name) {
+    storageResult = await queueAuditBundle({
+      drawId: amendmentId,
+      auditBundle: amendment,
+      bundleHash: amendmentHash,
+      competition,
+      drawTimestamp: draw.bundle.draw.timestamp,
+      filePath: auditBundlePath(competition, draw.bundle.draw.timestamp, draw.drawId, `amendment-${amendment.amendment.sequence}.json`)
+    }, env, ctx);
+  }
+
+  console.log(`Redraw: draw=${draw.drawId}, amendment=${amendment.amendment.sequence}, forfeited=${amendment.forfeiture.entryCode}, promoted=${amendment.promotion.entryCode}, client=${client.id}`);
+
+  return createJsonResponse({
+    success: true,
+    drawId: draw.drawId,
+    amendment: amendment,
+    amendmentHash: amendmentHash,
+    storage: storageResult
+  });
+}
+
+/**
+ * Validate the entrant selection of a private entry request
+ * @param {Object} body - Parsed request body
+ * @returns {Object} {entryCodes} or {email}, or {error}
+ */
+function validateEntrantSelection(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Request body must be a JSON object" };
+  }
+  if ((body.entryCodes === undefined) === (body.email === undefined)) {
+    return { error: "Provide either 'entryCodes' or 'email'" };
+  }
+
+  if (body.email !== undefined) {
+    if (typeof body.email !== "string" || body.email.trim().length === 0 || body.email.length > CONFIG.MAX_EMAIL_LENGTH) {
+      return { error: `Field 'email' must be a string of 1-${CONFIG.MAX_EMAIL_LENGTH} characters` };
+    }
+    return { email: body.email };
+  }
+
+  if (!Array.isArray(body.entryCodes) || body.entryCodes.length === 0 || body.entryCodes.length > CONFIG.MAX_ENTRIES) {
+    return { error: `Field 'entryCodes' must be an array of 1-${CONFIG.MAX_ENTRIES} entry codes` };
+  }
+  if (!body.entryCodes.every(code => typeof code === "string" && code.trim().length > 0 && code.length <= CONFIG.MAX_ENTRY_CODE_LENGTH)) {
+    return { error: `Every entry code must be a string of 1-${CONFIG.MAX_ENTRY_CODE_LENGTH} characters` };
+  }
+  // Entry codes are trimmed when drawn
+  return { entryCodes: body.entryCodes.map(code => code.trim()) };
+}
+
+/**
+ * Handle POST /email-proof - ownership proof for one entrant's emailHash
+ * Body: {competitionId, email}. Returns the entrant's salt and emailHash, which the
+ * operator passes on to the entrant; anyone can then check
+ * SHA-256(salt || ":" || email) == emailHash without EMAIL_HASH_SECRET.
+ * @param {Object} body - Parsed request body
+ * @param {Object} client - Authenticated client identity {id, method}
+ * @param {Object} env - Environment variables (EMAIL_HASH_SECRET)
+ * @returns {Promise<Response>} Proof {scheme, competitionId, email, salt, emailHash, method}
+ */
+async function handleEmailProofRequest(body, client, env) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return createErrorResponse("Request body must be a JSON object", 400);
+  }
+  if (getEmailHashScheme(env) !== EMAIL_HASH_SCHEMES.SALTED) {
+    return createErrorResponse("Email ownership proofs require EMAIL_HASH_SECRET; unsalted email hashes need no proof", 503);
+  }
+  if (typeof body.competitionId !== "string" || body.competitionId.trim().length === 0 ||
+      body.competitionId.length > CONFIG.MAX_COMPETITION_ID_LENGTH) {
+    return createErrorResponse(`Field 'competitionId' must be a string of 1-${CONFIG.MAX_COMPETITION_ID_LENGTH} characters`, 400);
+  }
+  if (typeof body.email !== "string" || body.email.trim().length === 0 || body.email.length > CONFIG.MAX_EMAIL_LENGTH) {
+    return createErrorResponse(`Field 'email' must be a string of 1-${CONFIG.MAX_EMAIL_LENGTH} characters`, 400);
+  }
+
+  try {
+    // Competition IDs are trimmed when draws are validated, so the proof uses the same ID
+    const proof = await createEmailOwnershipProof(body.competitionId.trim(), body.email, env);
+    console.log(`Email ownership proof issued: competition=${proof.competitionId}, client=${client.id}`);
+
+    return createJsonResponse({ ...proof, method: EMAIL_HASH_METHODS[proof.scheme] });
+  } catch (error) {
+    console.error("Email proof error:", error);
+    return createErrorResponse("Internal server error occurred while creating the email proof", 500);
+  }
+}
+
+/**
+ * Handle POST /commit - freeze the entry list and bind the draw to a future drand round
+ * Body: {competition, entries, targetRound} or {competition, entries, closeTime}
+ * The commitment is queued for publishing beside the competition's draws, and a
+ * competition with an unrevealed commitment cannot make another (409).
+ * @param {Object} body - Parsed request body
+ * @param {Object} client - Authenticated client identity {id, method}
+ * @param {Object} env - Environment variables (DRAW_STORE, CLAIMS, drand chain, storage backends)
+ * @param {Object} ctx - Execution context (background publishing)
+ * @returns {Promise<Response>} Commitment record and its publication status
+ */
+async function handleCommitRequest(body, client, env, ctx) {
+  if (!env.DRAW_STORE) {
+    return createErrorResponse("Commit-then-reveal draws require the DRAW_STORE KV namespace", 503);
+  }
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return createErrorResponse("Request body must be a JSON object", 400);
+  }
+
+  if (!body.competition || typeof body.competition !== "object") {
+    return createErrorResponse("Field 'competition' is required for commit-then-reveal draws", 400);
+  }
+
+  const competitionResult = validateCompetition(body.competition);
+  if (!competitionResult.valid) {
+    return createErrorResponse(competitionResult.error, 400);
+  }
+  if (body.competition.privacyMode) {
+    // Commitments hash the entry list before personal data is replaced by per-draw salted commitments
+    return createErrorResponse("Field 'competition.privacyMode' is not supported for commit-then-reveal draws", 400);
+  }
+
+  const algorithmResult = validateAlgorithmVersion(body.algorithmVersion);
+  if (!algorithmResult.valid) {
+    return createErrorResponse(algorithmResult.error, 400);
+  }
+
+  const algorithm = getDrawAlgorithm(body);
+  const entriesResult = validateEntries(body.entries, algorithm);
+  if (!entriesResult.valid) {
+    return createErrorResponse(entriesResult.error, 400);
+  }
+
+  const chain = getDrandChain(env);
+  const target = resolveTargetRound(body, chain, Date.now());
+  if (!target.valid) {
+    return createErrorResponse(target.error, 400);
+  }
+
+  const processedEntries = await processDrawEntries(body.entries, body.competition, env);
+  const created = await createCommitment({
+    competition: body.competition,
+    entriesHash: await computeEntriesHash(processedEntries, algorithm),
+    configurationHash: await computeConfigurationHash(body.competition, algorithm),
+    entryCount: processedEntries.length,
+    algorithmVersion: algorithm.version,
+    targetRound: target.targetRound,
+    chain: chain,
+    client: client
+  }, env);
+  if (!created.commitment) {
+    return createErrorResponse(
+      `Competition '${body.competition.id}' already has an open commitment (${created.openCommitmentId}); reveal it, or let it expire, before committing again`,
+      409
+    );
+  }
+  const { commitment } = created;
+
+  console.log(`Commitment ${commitment.commitmentId}: competition=${commitment.competition.id}, round=${commitment.drand.targetRound}, entries=${commitment.entryCount}`);
+
+  // Publish the commitment now, so it is public before its round is produced
+  const storageResult = await queueAuditBundle({
+    drawId: commitment.commitmentId,
+    auditBundle: { version: "1.0", type: "commitment", commitment: commitment },
+    bundleHash: commitment.commitmentHash,
+    competition: commitment.competition,
+    drawTimestamp: commitment.committedAt,
+    filePath: auditBundlePath(commitment.competition, commitment.committedAt, commitment.commitmentId, "commitment.json"),
+    companionFiles: {}
+  }, env, ctx);
+
+  return new Response(JSON.stringify({
+    success: true,
+    commitment: commitment,
+    publication: storageResult
+  }, null, 2), {
+    status: 201,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      ...CORS_HEADERS,
+      ...SECURITY_HEADERS
+    }
+  });
+}
+
+/**
+ * Handle POST /reveal - run a committed draw with exactly the committed drand round
+ * Body: same as /startdraw plus commitmentId, without randomness/randomnessSource
+ * @param {Request} request - Incoming request
+ * @param {string} rawBody - Raw request body
+ * @param {Object} body - Parsed request body
+ * @param {Object} client - Authenticated client identity {id, method}
+ * @param {Object} env - Environment variables (DRAW_STORE, drand chain)
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Response>} Draw response
+ */
+async function handleRevealRequest(request, rawBody, body, client, env, ctx) {
+  if (!env.DRAW_STORE) {
+    return createErrorResponse("Commit-then-reveal draws require the DRAW_STORE KV namespace", 503);
+  }
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return createErrorResponse("Request body must be a JSON object", 400);
+  }
+
+  if (!body.commitmentId || typeof body.commitmentId !== "string") {
+    return createErrorResponse("Field 'commitmentId' is required and must be a string", 400);
+  }
+
+  if (body.randomness !== undefined || body.randomnessSource !== undefined) {
+    return createErrorResponse("Reveal draws use the committed drand round; do not supply 'randomness' or 'randomnessSource'", 400);
+  }
+
+  if (!body.competition || typeof body.competition !== "object") {
+    return createErrorResponse("Field 'competition' is required for commit-then-reveal draws", 400);
+  }
+
+  const competitionResult = validateCompetition(body.competition);
+  if (!competitionResult.valid) {
+    return createErrorResponse(competitionResult.error, 400);
+  }
+  if (body.competition.privacyMode) {
+    // Commitments hash the entry list before personal data is replaced by per-draw salted commitments
+    return createErrorResponse("Field 'competition.privacyMode' is not supported for commit-then-reveal draws", 400);
+  }
+
+  const algorithmResult = validateAlgorithmVersion(body.algorithmVersion);
+  if (!algorithmResult.valid) {
+    return createErrorResponse(algorithmResult.error, 400);
+  }
+
+  const entriesResult = validateEntries(body.entries, getDrawAlgorithm(body));
+  if (!entriesResult.valid) {
+    return createErrorResponse(entriesResult.error, 400);
+  }
+
+  // The committed round is the draw round
+  delete body.drawRound;
+
+  const commitment = await loadCommitment(body.commitmentId, env);
+  if (!commitment) {
+    return createErrorResponse(`Commitment not found: ${body.commitmentId}`, 404);
+  }
+  if (commitment.committedBy.clientId !== client.id) {
+    return createErrorResponse(`Commitment ${body.commitmentId} was made by another client`, 403);
+  }
+
+  // Replay a completed reveal before checking whether the commitment was used
+  const drawId = crypto.randomUUID();
+  const idempotency = await beginIdempotentRequest(request, rawBody, body, client, env, drawId);
+  if (idempotency.error) {
+    return createErrorResponse(idempotency.error, idempotency.status);
+  }
+  if (idempotency.replay) {
+    return createReplayResponse(idempotency.replay, env);
+  }
+
+  const rateLimit = await checkDrawRateLimits(request, env, body.competition, client);
+  if (rateLimit.errorResponse) {
+    await releaseIdempotentRequest(idempotency.record, env);
+    return rateLimit.errorResponse;
+  }
+
+  const rejection = await checkRevealAgainstCommitment(body, commitment, env);
+  if (rejection) {
+    await releaseIdempotentRequest(idempotency.record, env);
+    return createErrorResponse(rejection.error, rejection.status);
+  }
+
+  let drawResponse;
+  try {
+    drawResponse = await executeDraw(body, client, env, ctx, new URL(request.url).pathname, commitment, drawId);
+  } catch (error) {
+    await releaseIdempotentRequest(idempotency.record, env);
+    throw error;
+  }
+
+  if (drawResponse.status === 200) {
+    await markCommitmentRevealed(commitment, {
+      revealedAt: new Date().toISOString(),
+      round: commitment.drand.targetRound,
+      revealedBy: client.id
+    }, env);
+  }
+
+  return withHeaders(
+    await completeIdempotentRequest(idempotency.record, drawResponse, env, drawReference(drawResponse)),
+    rateLimit.headers
+  );
+}
+
+/**
+ * Check a reveal request matches its commitment and the committed round exists
+ * @param {Object} body - Validated reveal request body
+ * @param {Object} commitment - Stored commitment record
+ * @param {Object} env - Environment variables (drand chain)
+ * @returns {Promise<Object|null>} {status, error} rejection, or null if the reveal may proceed
+ */
+async function checkRevealAgainstCommitment(body, commitment, env) {
+  if (commitment.revealed) {
+    return { status: 409, error: `Commitment ${commitment.commitmentId} has already been revealed` };
+  }
+
+  // An expired commitment no longer holds its competition, which may have committed again
+  if (Date.now() > revealDeadline(commitment)) {
+    return {
+      status: 410,
+      error: `Commitment ${commitment.commitmentId} expired unrevealed at ${new Date(revealDeadline(commitment)).toISOString()}; commit again`
+    };
+  }
+
+  if (commitment.competition.id !== body.competition.id || commitment.competition.mode !== body.competition.mode) {
+    return { status: 409, error: "Competition does not match the commitment" };
+  }
+
+  // Commitments made before versions could be pinned were drawn with the worker's version at the time (v1.4)
+  if (body.algorithmVersion !== undefined && body.algorithmVersion !== (commitment.algorithmVersion || CONFIG.LEGACY_COMMITMENT_VERSION)) {
+    return { status: 409, error: "Algorithm version does not match the commitment" };
+  }
+
+  const chain = getDrandChain(env);
+  if (commitment.drand.chainHash !== chain.hash) {
+    return { status: 409, error: "Commitment was made against a different drand chain" };
+  }
+
+  const processedEntries = await processDrawEntries(body.entries, body.competition, env);
+  const committedAlgorithm = getAlgorithm(commitment.algorithmVersion || CONFIG.LEGACY_COMMITMENT_VERSION);
+  if (await computeEntriesHash(processedEntries, committedAlgorithm) !== commitment.entriesHash) {
+    return { status: 409, error: "Entries do not match the committed entry list" };
+  }
+
+  // Prizes, reserves, rules and quiz are fixed before the round is public
+  // (commitments made before the configuration was committed bind the entries only)
+  if (commitment.configurationHash !== undefined &&
+      await computeConfigurationHash(body.competition, committedAlgorithm) !== commitment.configurationHash) {
+    return { status: 409, error: "Competition configuration does not match the commitment" };
+  }
+
+  if (Date.now() < roundTime(chain, commitment.drand.targetRound)) {
+    return {
+      status: 425,
+      error: `Committed drand round ${commitment.drand.targetRound} does not exist yet. Reveal after ${commitment.drand.expectedAt}.`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Run a validated draw request end to end
+ * @param {Object} body - Validated request body
+ * @param {Object} client - Authenticated client identity {id, method}
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context (background publishing)
+ * @param {string} endpoint - Path the draw was requested on (recorded in the audit bundle)
+ * @param {Object|null} commitment - Commitment being revealed (fixes the drand round)
+ * @param {string} [drawId] - ID to record the draw under (reserved by the idempotency record)
+ * @returns {Promise<Response>} JSON response with draw results or error
+ */
+async function executeDraw(body, client, env, ctx, endpoint, commitment = null, drawId = crypto.randomUUID()) {
+  const { entries, competition } = body;
+  
+  const drawTimestamp = new Date().toISOString();
+
+  // Revealed commitments always draw with the committed drand round and algorithm version
+  if (commitment) {
+    body.randomnessSource = { provider: "drand", autoFetch: true };
+    body.algorithmVersion = commitment.algorithmVersion || CONFIG.LEGACY_COMMITMENT_VERSION;
+  }
+  const algorithm = getDrawAlgorithm(body);
+
+  // Log draw request (for monitoring/debugging)
+  console.log(`Draw request: client=${client.id}, competition=${competition?.name || 'N/A'}, mode=${competition?.mode || 'N/A'}, entries=${entries.length}`);
+
+  // Step 1: Get randomness (either provided or fetch from drand)
+  const source = await resolveRandomness(body, env, commitment ? commitment.drand.targetRound : null);
+  if (source.errorResponse) {
+    return source.errorResponse;
+  }
+
+  // Step 2: Generate deterministic seed from randomness
+  // The seed serves as the foundation for all subsequent calculations
+  const seed = await computeSHA256Hex(source.randomness);
+
+  // Step 3: Process entries - hash emails and apply eligibility rules
+  // (privacy mode: personal data is then replaced by salted commitments and kept privately)
+  const processedEntries = await processDrawEntries(entries, competition, env);
+  const privacy = competition?.privacyMode ? await protectEntries(processedEntries) : null;
+
+  // Step 4: Calculate cryptographic score for each entry
+  // Score = SHA-256(seed || entryCode)
+  // This ensures each entry gets a unique, deterministic score
+  const scoredEntries = await calculateEntryScores(seed, privacy ? privacy.entries : processedEntries, algorithm);
+
+  // Step 5: Separate qualified from disqualified entries
+  const qualifiedEntries = scoredEntries.filter(e => e.status === "qualified");
+  const disqualifiedEntries = scoredEntries.filter(e => e.status === "disqualified");
+  const tally = createEntryTally();
+  scoredEntries.forEach(entry => addToEntryTally(tally, entry));
+
+  // Step 6: Rank qualified entries with the draw's algorithm version
+  // (v1.4: weighted key ln(u) / weight, so each entry wins with probability proportional to its weight)
+  const rankedQualifiedEntries = rankEntriesByScore(qualifiedEntries, algorithm);
+
+  // Step 7: Assign prizes to tiers in rank order (if a prize table is declared),
+  // then the declared reserves, who continue the same walk down the ranking
+  const prizes = competition?.prizes
+    ? assignPrizes(rankedQualifiedEntries, competition.prizes, competition.onePrizePerPerson === true)
+    : null;
+  const reserves = selectReserves(rankedQualifiedEntries, competition);
+
+  // Step 8: Prepare complete results (qualified + disqualified)
+  const allResults = [
+    ...rankedQualifiedEntries,
+    ...disqualifiedEntries.map(e => ({
+      ...e,
+      rank: null  // Disqualified entries have no rank
+    }))
+  ];
+
+  // Step 9: Prepare audit-friendly response
+  const response = await formatDrawResponse(
+    allResults,
+    tally,
+    seed,
+    source.drawRound,
+    prizes,
+    algorithm,
+    reserves
+  );
+
+  return finalizeDraw(response, {
+    drawId,
+    endpoint,
+    competition,
+    source,
+    drawTimestamp,
+    client,
+    commitment,
+    ingestion: null,
+    privateEntries: privacy ? privacy.records : null
+  }, env, ctx);
+}
+
+/**
+ * Step 1 of every draw: use the supplied randomness or fetch and verify beacon outputs
+ * With provider "combined", every listed beacon is fetched and their outputs are
+ * hashed together (COMBINATION_METHOD).
+ * @param {Object} body - Validated draw request (randomness, randomnessSource, drawRound)
+ * @param {Object} env - Environment variables
+ * @param {number|null} [committedRound] - drand round fixed by a revealed commitment (null for the latest)
+ * @returns {Promise<Object>} {randomness, randomnessSource, drawRound, beacon, sources, fetchedByWorker},
+ *   or {errorResponse} if randomness could not be obtained
+ */
+async function resolveRandomness(body, env, committedRound = null) {
+  let { randomness, drawRound, randomnessSource } = body;
+  let fetchedByWorker = false;
+  let beacon = null;
+  let sources = null;
+  
+  if (randomnessSource?.autoFetch && isAutoFetchProvider(randomnessSource?.provider)) {
+    // Worker fetches each beacon (drand: the committed round, or the latest)
+    // and verifies it before use
+    const combined = randomnessSource.provider === COMBINED_PROVIDER;
+    const providers = combined ? randomnessSource.sources : [randomnessSource.provider];
+    console.log(`Fetching randomness from ${providers.join(", ")}...`);
+    try {
+      sources = await Promise.all(providers.map(provider =>
+        fetchBeacon(provider, env, { round: committedRound })
+      ));
+    } catch (error) {
+      if (error instanceof BeaconVerificationError) {
+        console.error(`${error.provider} randomness failed verification:`, error);
+        return {
+          errorResponse: createErrorResponse(
+            `Randomness from ${error.provider} failed verification and was not used: ${error.message}`,
+            502
+          )
+        };
+      }
+      console.error(`Failed to fetch ${error.provider || "beacon"} randomness:`, error);
+      return {
+        errorResponse: createErrorResponse(
+          `Failed to fetch randomness from ${error.provider || providers.join(", ")}. Please try again or provide randomness manually.`,
+          503
+        )
+      };
+    }
+
+    fetchedByWorker = true;
+    if (combined) {
+      // No single provider's round identifies the draw; each is recorded in the bundle
+      randomness = await combineBeaconValues(sources);
+      randomnessSource.round = null;
+      randomnessSource.timestamp = new Date().toISOString();
+      randomnessSource.verificationUrl = null;
+    } else {
+      const [source] = sources;
+      randomness = source.value;
+      randomnessSource.round = source.round;
+      randomnessSource.timestamp = source.timestamp;
+      randomnessSource.verificationUrl = source.verificationUrl;
+      beacon = source.provider === "drand" ? source.proof : null;
+      // Use the beacon round as drawRound if not already specified
+      if (!drawRound) {
+        drawRound = source.round;
+      }
+    }
+    sources.forEach(source => console.log(`Fetched and verified ${source.provider} round ${source.round}`));
+  } else if (!randomness) {
+    return {
+      errorResponse: createErrorResponse(
+        "Field 'randomness' is required when not using autoFetch",
+        400
+      )
+    };
+  }
+
+  return { randomness, randomnessSource, drawRound, beacon, sources, fetchedByWorker };
+}
+
+/**
+ * Steps 10-14 of every draw: build and hash the audit bundle, queue it for publishing and respond
+ * @param {Object} response - Draw response from formatDrawResponse
+ * @param {Object} draw - {drawId, endpoint, competition, source, drawTimestamp, client, commitment, ingestion, privateEntries}
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context (background publishing)
+ * @returns {Promise<Response>} JSON response with draw results
+ */
+async function finalizeDraw(response, draw, env, ctx) {
+  const { drawId, endpoint, competition, source, drawTimestamp, client, commitment, ingestion, privateEntries } = draw;
+  const algorithm = getAlgorithm(response.metadata.algorithm);
+
+  // Step 10: Generate complete audit bundle, committing to the entry list with a Merkle root
+  // (streamed draws list only the retained ranking, so they are identified by the body hash instead)
+  const merkleRoot = ingestion ? null : (await buildEntriesMerkleTree(response.results, algorithm)).root;
+  const auditBundle = generateAuditBundle(
+    response,
+    competition,
+    source.randomness,
+    source.randomnessSource,
+    drawTimestamp,
+    source.fetchedByWorker,
+    client,
+    source.beacon,
+    commitment,
+    ingestion,
+    merkleRoot,
+    source.sources,
+    drawId,
+    getEmailHashScheme(env),
+    endpoint
+  );
+
+  // Step 11: Compute bundle hash and sign it with the worker's key (if configured);
+  // the signature is attached after hashing, like bundleHash and publication
+  const bundleHash = await computeBundleHash(auditBundle, algorithm);
+  const signature = signBundleHash(bundleHash, env);
+  if (signature) {
+    auditBundle.signature = signature;
+  }
+
+  // Step 12: Keep privacy-mode personal data privately and record the draw in the history
+  // index (the draw fails before anything is published if either cannot be stored), then
+  // queue the bundle for publishing (if competition metadata provided); storage backends are
+  // written after the response is sent
+  if (privateEntries) {
+    await storePrivateEntries(drawId, competition.id, privateEntries, env);
+  }
+
+  if (env.DRAW_STORE) {
+    try {
+      await recordDraw(auditBundle, bundleHash, env, { responseMetadata: response.metadata });
+    } catch (error) {
+      console.error(`Recording draw ${drawId} in the history index failed:`, error);
+      if (privateEntries) {
+        await discardPrivateEntries(drawId, env);
+      }
+      throw error;
+    }
+  }
+
+  let storageResult = { drawId: drawId, status: "not-published", reason: "No competition metadata provided" };
+
+  if (competition && competition.id && competition.name) {
+    storageResult = await queueAuditBundle({
+      drawId,
+      auditBundle,
+      bundleHash,
+      competition,
+      drawTimestamp,
+      filePath: auditBundlePath(competition, drawTimestamp, drawId),
+      companionFiles: { "ranking.csv": formatResultsCsv(listResultsWithPrizes(response)) }
+    }, env, ctx);
+  }
+
+  // Steps 13-14: Extract the winner and return the complete response
+  return createDrawResponse(auditBundle, bundleHash, response.metadata, storageResult);
+}
+
+/**
+ * Steps 13-14 of every draw: the complete draw response, built from the audit bundle
+ * Idempotent replays rebuild it from the draw history the same way.
+ * @param {Object} auditBundle - Complete audit bundle
+ * @param {string} bundleHash - SHA-256 hash of the bundle
+ * @param {Object} metadata - Draw metadata from formatDrawResponse
+ * @param {Object} storage - audit.storage {drawId, status, ...}
+ * @returns {Response} JSON response with draw results
+ */
+function createDrawResponse(auditBundle, bundleHash, metadata, storage) {
+  const results = auditBundle.results.fullRanking;
+  const topWinners = results.filter(e => e.status === "qualified").slice(0, Math.min(10, metadata.qualifiedEntries));
+
+  // Step 13: Extract winner (first qualified entry)
+  const winner = topWinners[0] || null;
+
+  // Step 14: Return complete response
+  return new Response(JSON.stringify({
+    success: true,
+    draw: {
+      drawId: auditBundle.draw.drawId,
+      timestamp: auditBundle.draw.timestamp,
+      mode: auditBundle.competition?.mode || "unspecified",
+      competitionId: auditBundle.competition?.id || null,
+      competitionName: auditBundle.competition?.name || null,
+      totalEntries: metadata.totalEntries,
+      qualifiedEntries: metadata.qualifiedEntries,
+      disqualifiedEntries: metadata.disqualifiedEntries,
+      winner: winner ? {
+        rank: winner.rank,
+        entryCode: winner.entryCode,
+        weight: winner.weight,
+        gamertag: winner.gamertag || null,
+        score: winner.score,
+        scoreHex: winner.scoreHex
+      } : null
+    },
+    audit: {
+      bundle: auditBundle,
+      bundleHash: bundleHash,
+      merkleRoot: auditBundle.entries.merkleRoot,
+      storage: storage
+    },
+    metadata: metadata,
+    prizes: auditBundle.results.prizes,
+    reserves: auditBundle.results.reserves,
+    results: results,
+    topWinners: topWinners
+  }, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2), {
+    status: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      [RESULT_HEADERS.DRAW_ID]: auditBundle.draw.drawId,
+      [RESULT_HEADERS.BUNDLE_HASH]: bundleHash,
+      "Access-Control-Expose-Headers": Object.values(RESULT_HEADERS).join(", "),
+      ...CORS_HEADERS,
+      ...SECURITY_HEADERS
+    }
+  });
+}
+
+/**
+ * Reference to the draw behind a successful draw response, for idempotent replays
+ * @param {Response} response - Response from executeDraw or finalizeDraw
+ * @returns {Object|null} {drawId, bundleHash}, or null for errors
+ */
+function drawReference(response) {
+  if (response.status !== 200) {
+    return null;
+  }
+  return {
+    drawId: response.headers.get(RESULT_HEADERS.DRAW_ID),
+    bundleHash: response.headers.get(RESULT_HEADERS.BUNDLE_HASH)
+  };
+}
+
+/**
+ * Step 12: Store an audit bundle in the publish queue and publish it after the response
+ * Without DRAW_STORE the bundle is still published in the background, but a
+ * failed backend is only logged, not retried.
+ * @param {Object} publication - {drawId, auditBundle, bundleHash, competition, drawTimestamp, companionFiles, filePath}
+ * @param {Object} env - Environment variables (DRAW_STORE, storage backends)
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Object>} audit.storage for the response {drawId, status, durable, filePath, statusUrl}
+ */
+async function queueAuditBundle(publication, env, ctx) {
+  const { drawId, auditBundle, bundleHash, competition, drawTimestamp, companionFiles, filePath } = publication;
+
+  if (!env.DRAW_STORE) {
+    console.warn(`Publish queue disabled for draw ${drawId}: DRAW_STORE is not configured`);
+    ctx.waitUntil(
+      publishAuditBundle(structuredClone(auditBundle), bundleHash, competition, drawTimestamp, env, { filePath, companionFiles })
+        .then(result => console.log(`Draw ${drawId} publication: ${JSON.stringify(result.backends)}`))
+    );
+    return {
+      drawId: drawId,
+      status: PUBLICATION_STATUS.PENDING,
+      durable: false,
+      filePath: filePath,
+      statusUrl: null
+    };
+  }
+
+  const status = await enqueuePublication(publication, env);
+  ctx.waitUntil(
+    processPublication(drawId, env).catch(error => console.error(`Publishing draw ${drawId} failed:`, error))
+  );
+
+  return {
+    drawId: drawId,
+    status: status.status,
+    durable: true,
+    filePath: status.filePath,
+    statusUrl: `/publications/${drawId}`
+  };
+}
+
+/**
+ * Handle POST /startdraw with a streamed NDJSON or CSV entry list
+ * Draw options (randomness, randomnessSource, drawRound, competition) are sent
+ * as JSON in the X-Draw-Options header; the body carries only the entries.
+ * @param {Request} request - Incoming request
+ * @param {string} format - "ndjson" or "csv"
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context (background publishing)
+ * @returns {Promise<Response>} Draw response
+ */
+async function handleStreamedDrawRequest(request, format, env, ctx) {
+  const optionsHeader = request.headers.get(DRAW_OPTIONS_HEADER);
+  if (optionsHeader === null) {
+    return createErrorResponse(`Streamed draws require the ${DRAW_OPTIONS_HEADER} header (JSON draw options)`, 400);
+  }
+  if (optionsHeader.length > CONFIG.MAX_DRAW_OPTIONS_LENGTH) {
+    return createErrorResponse(`${DRAW_OPTIONS_HEADER} must be at most ${CONFIG.MAX_DRAW_OPTIONS_LENGTH} characters`, 400);
+  }
+
+  let options;
+  try {
+    options = JSON.parse(optionsHeader);
+  } catch (error) {
+    return createErrorResponse(`${DRAW_OPTIONS_HEADER} must be a JSON object`, 400);
+  }
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    return createErrorResponse(`${DRAW_OPTIONS_HEADER} must be a JSON object`, 400);
+  }
+  if (options.entries !== undefined) {
+    return createErrorResponse(`Streamed draws take entries from the request body, not from ${DRAW_OPTIONS_HEADER}`, 400);
+  }
+
+  const validationResult = validateDrawOptions(options);
+  if (!validationResult.valid) {
+    return createErrorResponse(validationResult.error, 400);
+  }
+  if (options.competition?.rules?.maxEntriesPerEmail !== undefined) {
+    return createErrorResponse(
+      "Rule 'competition.rules.maxEntriesPerEmail' needs the whole entry list; send the entries as JSON",
+      400
+    );
+  }
+  if (options.competition?.privacyMode) {
+    return createErrorResponse(
+      "Field 'competition.privacyMode' keeps a private record of every entry; send the entries as JSON",
+      400
+    );
+  }
+
+  // Every request is authenticated before the beacon is fetched or the body is read:
+  // signatures cover the body hash declared in CONTENT_DIGEST_HEADER, which is
+  // compared with the body once it has been read. Idempotent requests declare it
+  // too, so a retry is matched to its draw without reading the body.
+  const signed = isSignedRequest(request);
+  const declaredDigest = request.headers.get(CONTENT_DIGEST_HEADER);
+  const idempotent = request.headers.has(IDEMPOTENCY_HEADER) || options.competition?.mode === "live";
+  if ((signed || idempotent || declaredDigest !== null) && !/^[0-9a-f]{64}$/.test(declaredDigest || "")) {
+    return createErrorResponse(
+      `${CONTENT_DIGEST_HEADER} must be the lower-case hex SHA-256 of the body; signed and idempotent streamed draws require it`,
+      400
+    );
+  }
+  const auth = await authenticateRequestDigest(request, signed ? declaredDigest : null, env);
+  if (!auth.authenticated) {
+    return createErrorResponse(auth.error, auth.status);
+  }
+
+  // Replay or reject repeated requests (fingerprinted by options and declared body hash)
+  const drawId = crypto.randomUUID();
+  const idempotency = await beginIdempotentRequest(
+    request,
+    `${optionsHeader}\n${declaredDigest}`,
+    options,
+    auth.client,
+    env,
+    drawId
+  );
+  if (idempotency.error) {
+    return createErrorResponse(idempotency.error, idempotency.status);
+  }
+  if (idempotency.replay) {
+    return createReplayResponse(idempotency.replay, env);
+  }
+
+  // Counted against the rate limits before the body is read; replays are not counted
+  const rateLimit = await checkDrawRateLimits(request, env, options.competition, auth.client);
+  if (rateLimit.errorResponse) {
+    await releaseIdempotentRequest(idempotency.record, env);
+    return rateLimit.errorResponse;
+  }
+
+  let drawResponse;
+  try {
+    drawResponse = await executeStreamedDraw(request, format, options, { declaredDigest, signed }, auth.client, env, ctx, drawId);
+  } catch (error) {
+    await releaseIdempotentRequest(idempotency.record, env);
+    throw error;
+  }
+
+  // Failed draws (including a body that does not match its declared hash) release the key
+  return withHeaders(
+    await completeIdempotentRequest(idempotency.record, drawResponse, env, drawReference(drawResponse)),
+    rateLimit.headers
+  );
+}
+
+/**
+ * Run an authenticated streamed draw end to end
+ * @param {Request} request - Incoming request (body is the entry stream)
+ * @param {string} format - "ndjson" or "csv"
+ * @param {Object} options - Validated draw options from the X-Draw-Options header
+ * @param {Object} digest - {declaredDigest: body hash from CONTENT_DIGEST_HEADER (or null), signed: whether the signature covers it}
+ * @param {Object} client - Authenticated client identity {id, method}
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context (background publishing)
+ * @param {string} drawId - ID to record the draw under (reserved by the idempotency record)
+ * @returns {Promise<Response>} Draw response or error
+ */
+async function executeStreamedDraw(request, format, options, { declaredDigest, signed }, client, env, ctx, drawId) {
+  const drawTimestamp = new Date().toISOString();
+  const { competition } = options;
+  const algorithm = getDrawAlgorithm(options);
+
+  // Step 1: Get randomness (either provided or fetch from drand)
+  const source = await resolveRandomness(options, env);
+  if (source.errorResponse) {
+    return source.errorResponse;
+  }
+
+  // Step 2: Generate deterministic seed from randomness
+  const seed = await computeSHA256Hex(source.randomness);
+
+  // Steps 3-6: Validate, process, score and rank entries as they stream in
+  let scored;
+  try {
+    scored = await scoreEntryStream(request.body, format, seed, competition, algorithm, env);
+  } catch (error) {
+    if (error instanceof EntryStreamError) {
+      return createErrorResponse(error.message, 400);
+    }
+    throw error;
+  }
+
+  // The body is only known once read: nothing is recorded or published for a mismatched body
+  // (for signed requests the signature does not cover it)
+  if (declaredDigest !== null && scored.ingestion.sha256 !== declaredDigest) {
+    return createErrorResponse(`Request body does not match ${CONTENT_DIGEST_HEADER}`, signed ? 401 : 400);
+  }
+
+  console.log(`Streamed draw request: client=${client.id}, competition=${competition?.name || 'N/A'}, mode=${competition?.mode || 'N/A'}, entries=${scored.tally.totalEntries}`);
+
+  // Step 7: Assign prizes to tiers in rank order (if a prize table is declared)
+  const prizes = competition?.prizes
+    ? assignPrizes(scored.rankedEntries, competition.prizes, competition.onePrizePerPerson === true)
+    : null;
+  const reserves = selectReserves(scored.rankedEntries, competition);
+
+  if (scored.ingestion.truncated &&
+      ((prizes && prizes.unfilled.length > 0) || (reserves && reserves.length < competition.reserves))) {
+    // Unfilled tiers or reserves might have gone to an entry that was not retained
+    return createErrorResponse(
+      `onePrizePerPerson skipped more entries than a streamed draw retains (${scored.ingestion.retained}); ` +
+      "split the draw or send the entries as JSON",
+      422
+    );
+  }
+
+  // Steps 8-9: Results are the retained ranked entries (disqualified entries are counted, not listed)
+  const response = await formatDrawResponse(scored.rankedEntries, scored.tally, seed, source.drawRound, prizes, algorithm, reserves);
+
+  return finalizeDraw(response, {
+    drawId,
+    endpoint: new URL(request.url).pathname,
+    competition,
+    source,
+    drawTimestamp,
+    client,
+    commitment: null,
+    ingestion: scored.ingestion
+  }, env, ctx);
+}
+
+/**
+ * Steps 3-6 for streamed draws: validate, process and score each entry as it
+ * arrives, keeping only the best-ranked entries and running totals in memory
+ * Entries must be sorted by entryCode (UTF-16 code unit order), which lets
+ * duplicates be detected without remembering every code.
+ * @param {ReadableStream} body - Request body stream
+ * @param {string} format - "ndjson" or "csv"
+ * @param {string} seed - Draw seed (hex)
+ * @param {Object|null} competition - Validated competition (prize table sets how many entries are retained)
+ * @param {Object} algorithm - Algorithm implementation the draw runs under
+ * @param {Object} env - Environment variables (EMAIL_HASH_SECRET)
+ * @returns {Promise<Object>} {rankedEntries, tally, ingestion}
+ * @throws {EntryStreamError} On the first malformed or invalid entry
+ */
+async function scoreEntryStream(body, format, seed, competition, algorithm, env) {
+  const totalPrizes = (competition?.prizes || []).reduce((sum, prize) => sum + prize.quantity, 0);
+  const retainLimit = CONFIG.STREAM_RETAINED_RESULTS + totalPrizes + (competition?.reserves || 0);
+  const retained = createTopItems(retainLimit, algorithm.compareRankKeys);
+  const tally = createEntryTally();
+  const quizMarker = competition?.quiz ? await prepareQuiz(competition.quiz) : null;
+  const emailHasher = await createEmailHasher(competition?.id || null, env);
+  let previousEntryCode = null;
+  let entryCount = 0;
+
+  const stream = await readEntryStream(body, format, async (batch) => {
+    // Step 3: Validate and process entries - hash emails and apply eligibility rules
+    for (const { line, entry } of batch) {
+      const position = `on line ${line}`;
+      const result = validateEntry(entry, position, algorithm);
+      if (!result.valid) {
+        throw new EntryStreamError(null, result.error);
+      }
+      if (previousEntryCode !== null && entry.entryCode <= previousEntryCode) {
+        throw new EntryStreamError(null, entry.entryCode === previousEntryCode
+          ? `Duplicate entry code detected ${position}: "${entry.entryCode}"`
+          : `Streamed entries must be sorted by entryCode; "${entry.entryCode}" ${position} follows "${previousEntryCode}"`);
+      }
+      previousEntryCode = entry.entryCode;
+      if (++entryCount > CONFIG.MAX_STREAM_ENTRIES) {
+        throw new EntryStreamError(null, `Maximum ${CONFIG.MAX_STREAM_ENTRIES} entries allowed per streamed draw (${position})`);
+      }
+    }
+    const processedEntries = await processEntries(batch.map(item => item.entry), competition?.rules || null, quizMarker, emailHasher);
+
+    // Step 4: Calculate cryptographic score for each entry
+    const scoredEntries = await calculateEntryScores(seed, processedEntries, algorithm);
+
+    // Steps 5-6: Count every entry, keep only the best-ranked qualified entries
+    for (const entry of scoredEntries) {
+      addToEntryTally(tally, entry);
+      if (entry.status === "qualified") {
+        retained.offer({ entry, key: algorithm.rankKey(entry) });
+      }
+    }
+  });
+
+  if (tally.totalEntries === 0) {
+    throw new EntryStreamError(null, "Streamed body must contain at least one entry");
+  }
+
+  return {
+    rankedEntries: rankEntriesByScore(retained.sorted().map(item => item.entry), algorithm),
+    tally: tally,
+    ingestion: {
+      format: format,
+      sha256: stream.bodyHash,
+      bytes: stream.bytes,
+      lines: stream.lines,
+      retained: retained.size(),
+      truncated: tally.qualifiedEntries > retained.size()
+    }
+  };
+}
+
+/**
+ * Build the response for an idempotent replay
+ * Draws are rebuilt from the draw history, with the publication's current status;
+ * other responses (redraws) were stored whole and are returned byte-for-byte.
+ * @param {Object} replay - {status, reference: {drawId, bundleHash}} or stored response {status, body, contentType}
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Response>} Replayed response
+ */
+async function createReplayResponse(replay, env) {
+  if (replay.reference) {
+    const draw = await getDraw(replay.reference.drawId, env);
+    if (!draw || draw.bundleHash !== replay.reference.bundleHash) {
+      console.error(`Idempotent replay of draw ${replay.reference.drawId} failed: the draw is not in the history index`);
+      return createErrorResponse("The draw recorded for this request could not be loaded", 500);
+    }
+    return withHeaders(
+      createDrawResponse(draw.bundle, draw.bundleHash, draw.responseMetadata, await replayStorageStatus(draw, env)),
+      replayHeaders()
+    );
+  }
+
+  return new Response(replay.body, {
+    status: replay.status,
+    headers: {
+      "Content-Type": replay.contentType,
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      ...replayHeaders(),
+      ...CORS_HEADERS,
+      ...SECURITY_HEADERS
+    }
+  });
+}
+
+/**
+ * audit.storage for a replayed draw, with the publication's current status
+ * @param {Object} draw - Recorded draw from getDraw
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object>} {drawId, status, durable, filePath, statusUrl}, as queueAuditBundle returns it
+ */
+async function replayStorageStatus(draw, env) {
+  const publication = await getPublicationStatus(draw.drawId, env);
+  if (!publication) {
+    return { drawId: draw.drawId, status: "not-published", reason: "No competition metadata provided" };
+  }
+  return {
+    drawId: draw.drawId,
+    status: publication.status,
+    durable: true,
+    filePath: publication.filePath,
+    statusUrl: `/publications/${draw.drawId}`
+  };
+}
+
+/**
+ * Parse the response shape requested for a draw
+ * Query parameters: format=json|csv, winnersOnly=true|false, includeBundle=true|false.
+ * Without a format parameter, an Accept header listing text/csv before
+ * application/json selects CSV. Winners-only responses omit the inline bundle
+ * unless includeBundle=true.
+ * @param {URL} url - Request URL
+ * @param {Request} request - Incoming request (Accept header)
+ * @returns {Object} {format, winnersOnly, includeBundle} or {error}
+ */
+function parseOutputOptions(url, request) {
+  const params = url.searchParams;
+
+  let format = params.get("format");
+  if (format === null) {
+    const accept = (request.headers.get("accept") || "").toLowerCase();
+    const csvIndex = accept.indexOf("text/csv");
+    const jsonIndex = accept.indexOf("application/json");
+    format = csvIndex !== -1 && (jsonIndex === -1 || csvIndex < jsonIndex) ? "csv" : "json";
+  }
+  if (!OUTPUT_FORMATS.includes(format)) {
+    return { error: `Query parameter 'format' must be one of: ${OUTPUT_FORMATS.join(", ")}` };
+  }
+
+  const flags = {};
+  for (const [name, defaultValue] of [["winnersOnly", false], ["includeBundle", null]]) {
+    const value = params.get(name);
+    if (value !== null && value !== "true" && value !== "false") {
+      return { error: `Query parameter '${name}' must be true or false` };
+    }
+    flags[name] = value === null ? defaultValue : value === "true";
+  }
+
+  return {
+    format: format,
+    winnersOnly: flags.winnersOnly,
+    includeBundle: flags.includeBundle === null ? !flags.winnersOnly : flags.includeBundle
+  };
+}
+
+/**
+ * Reshape a successful draw response (CSV, winners only, without the inline bundle)
+ * Errors and non-draw responses are returned unchanged, as is the default shape.
+ * @param {Response} response - Full JSON draw response
+ * @param {Object} output - Options from parseOutputOptions
+ * @returns {Promise<Response>} Response in the requested shape
+ */
+async function shapeDrawResponse(response, output) {
+  const isDefaultShape = output.format === "json" && !output.winnersOnly && output.includeBundle;
+  if (response.status !== 200 || isDefaultShape) {
+    return response;
+  }
+
+  const data = await response.json();
+  const headers = new Headers(response.headers);
+
+  if (output.format === "csv") {
+    const rows = output.winnersOnly ? listWinners(data) : listResultsWithPrizes(data);
+    const filename = `${slugify(data.draw.competitionId || "draw") || "draw"}-${output.winnersOnly ? "winners" : "results"}.csv`;
+    headers.set("Content-Type", "text/csv; charset=utf-8");
+    headers.set("Content-Disposition", `attachment; filename="${filename}"`);
+    headers.set(RESULT_HEADERS.BUNDLE_HASH, data.audit.bundleHash);
+    headers.set(RESULT_HEADERS.RESULTS_CHECKSUM, data.metadata.resultsChecksum);
+    headers.set("Access-Control-Expose-Headers", Object.values(RESULT_HEADERS).join(", "));
+    return new Response(formatResultsCsv(rows), { status: 200, headers });
+  }
+
+  const { bundle, ...auditReferences } = data.audit;
+  const audit = output.includeBundle ? data.audit : auditReferences;
+  const shaped = output.winnersOnly
+    ? {
+        success: data.success,
+        draw: data.draw,
+        audit: audit,
+        metadata: data.metadata,
+        prizes: data.prizes,
+        reserves: data.reserves,
+        winners: listWinners(data)
+      }
+    : { ...data, audit: audit };
+
+  return new Response(JSON.stringify(shaped, null, 2), { status: 200, headers });
+}
+
+/**
+ * Ranked results annotated with the prize each entry won
+ * @param {Object} data - Full JSON draw response
+ * @returns {Array} Result rows with prizeTier and prizePosition
+ */
+function listResultsWithPrizes(data) {
+  const prizeByEntryCode = new Map((data.prizes?.assignments || []).map(a => [a.entryCode, a]));
+  return data.results.map(result => ({
+    ...result,
+    prizeTier: prizeByEntryCode.get(result.entryCode)?.tier || null,
+    prizePosition: prizeByEntryCode.get(result.entryCode)?.position || null
+  }));
+}
+
+/**
+ * Winning entries: prize winners in award order, or the top winners without a prize table
+ * @param {Object} data - Full JSON draw response
+ * @returns {Array} Result rows with prizeTier and prizePosition
+ */
+function listWinners(data) {
+  const results = listResultsWithPrizes(data);
+  if (data.prizes) {
+    const byEntryCode = new Map(results.map(result => [result.entryCode, result]));
+    return data.prizes.assignments.map(a => byEntryCode.get(a.entryCode));
+  }
+  const topCodes = new Set(data.topWinners.map(winner => winner.entryCode));
+  return results.filter(result => topCodes.has(result.entryCode));
+}
+
+/**
+ * Format result rows as CSV (RFC 4180, CRLF line endings)
+ * Text cells starting with =, +, - or @ are prefixed with an apostrophe so
+ * spreadsheets do not evaluate entrant-supplied values as formulas.
+ * @param {Array} rows - Result rows from listResultsWithPrizes or listWinners
+ * @returns {string} CSV document with a header row
+ */
+function formatResultsCsv(rows) {
+  const columns = Object.keys(CSV_RESULT_COLUMNS);
+  const lines = [columns.join(",")];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => {
+      const value = CSV_RESULT_COLUMNS[column](row);
+      if (value === null || value === undefined) {
+        return "";
+      }
+      let text = String(value);
+      if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(","));
+  }
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Read raw request body with size limits
+ * @param {Request} request - Incoming request
+ * @returns {Promise<string>} Raw body text
+ * @throws {Error} If body is too large
+ */
+async function readRequestBody(request) {
+  // Check Content-Length to prevent large payload attacks
+  const contentLength = request.headers.get("content-length");
+  if (contentLength && parseInt(contentLength) > CONFIG.MAX_BODY_BYTES) {
+    throw new Error("Request body too large");
+  }
+
+  const rawBody = await request.text();
+  if (rawBody.length > CONFIG.MAX_BODY_BYTES) {
+    throw new Error("Request body too large");
+  }
+
+  return rawBody;
+}
+
+/**
+ * Parse request body JSON
+ * @param {string} rawBody - Raw body text
+ * @returns {Object} Parsed JSON body
+ * @throws {Error} If body is invalid JSON
+ */
+function parseRequestBody(rawBody) {
+  try {
+    return JSON.parse(rawBody);
+  } catch (error) {
+    throw new Error("Invalid JSON in request body");
+  }
+}
+
+/**
+ * Comprehensive input validation
+ * @param {Object} body - Request body
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+function validateInput(body) {
+  // Check required fields existence
+  if (!body || typeof body !== "object") {
+    return { valid: false, error: "Request body must be a JSON object" };
+  }
+
+  const optionsResult = validateDrawOptions(body);
+  if (!optionsResult.valid) {
+    return optionsResult;
+  }
+
+  // Validate entries array (against the features of the draw's algorithm version)
+  return validateEntries(body.entries, getDrawAlgorithm(body));
+}
+
+/**
+ * Validate draw options: everything in a draw request except the entries
+ * (for streamed draws these arrive in the X-Draw-Options header)
+ * @param {Object} body - Request body or draw options
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+function validateDrawOptions(body) {
+  const { randomness, drawRound, competition, randomnessSource } = body;
+
+  if (randomnessSource?.autoFetch === true) {
+    const providerResult = validateAutoFetchProvider(randomnessSource.provider);
+    if (!providerResult.valid) {
+      return providerResult;
+    }
+  }
+
+  // Validate randomness field (unless autoFetch is enabled)
+  const isAutoFetch = randomnessSource?.autoFetch === true && isAutoFetchProvider(randomnessSource?.provider);
+  
+  if (!isAutoFetch) {
+    // Randomness is required if not using autoFetch
+    if (!randomness || typeof randomness !== "string") {
+      return { valid: false, error: "Field 'randomness' is required and must be a string (or use randomnessSource.autoFetch)" };
+    }
+
+    // Trim whitespace
+    const trimmedRandomness = randomness.trim();
+    
+    if (trimmedRandomness.length === 0 || trimmedRandomness.length > CONFIG.MAX_RANDOMNESS_LENGTH) {
+      return { 
+        valid: false, 
+        error: `Field 'randomness' must be between 1 and ${CONFIG.MAX_RANDOMNESS_LENGTH} characters` 
+      };
+    }
+
+    // Validate hex format
+    if (!/^[0-9a-fA-F]+$/.test(trimmedRandomness)) {
+      return { valid: false, error: "Field 'randomness' must be a valid hexadecimal string" };
+    }
+
+    // Update body with trimmed value
+    body.randomness = trimmedRandomness;
+  }
+
+  // Validate optional drawRound field
+  if (drawRound !== undefined && drawRound !== null) {
+    // Accept string or number, convert to string
+    const drawRoundStr = typeof drawRound === "number" ? drawRound.toString() : drawRound;
+    
+    if (typeof drawRoundStr !== "string") {
+      return { 
+        valid: false, 
+        error: `Field 'drawRound' must be a string or number` 
+      };
+    }
+    if (drawRoundStr.length > CONFIG.MAX_DRAW_ROUND_LENGTH) {
+      return { 
+        valid: false, 
+        error: `Field 'drawRound' must be maximum ${CONFIG.MAX_DRAW_ROUND_LENGTH} characters` 
+      };
+    }
+    // Update the body object with string version
+    body.drawRound = drawRoundStr;
+  }
+
+  // Validate optional competition field
+  if (competition !== undefined && competition !== null) {
+    const competitionResult = validateCompetition(competition);
+    if (!competitionResult.valid) {
+      return competitionResult;
+    }
+  }
+
+  // Validate optional algorithmVersion field (pins the draw to a registered algorithm)
+  const algorithmResult = validateAlgorithmVersion(body.algorithmVersion);
+  if (!algorithmResult.valid) {
+    return algorithmResult;
+  }
+
+  // Validate optional randomnessSource field
+  if (randomnessSource !== undefined && randomnessSource !== null) {
+    if (typeof randomnessSource !== "object" || Array.isArray(randomnessSource)) {
+      return { valid: false, error: "Field 'randomnessSource' must be an object" };
+    }
+    const unknownField = Object.keys(randomnessSource).find(field => !CONFIG.RANDOMNESS_SOURCE_FIELDS.includes(field));
+    if (unknownField !== undefined) {
+      return { valid: false, error: `Field 'randomnessSource.${unknownField}' is not supported` };
+    }
+    // Optional fields - just validate types if provided
+    if (randomnessSource.provider && typeof randomnessSource.provider !== "string") {
+      return { valid: false, error: "Field 'randomnessSource.provider' must be a string" };
+    }
+    if (randomnessSource.timestamp && typeof randomnessSource.timestamp !== "string") {
+      return { valid: false, error: "Field 'randomnessSource.timestamp' must be a string" };
+    }
+    if (randomnessSource.verificationUrl && typeof randomnessSource.verificationUrl !== "string") {
+      return { valid: false, error: "Field 'randomnessSource.verificationUrl' must be a string" };
+    }
+    if (isAutoFetch && randomnessSource.provider === COMBINED_PROVIDER) {
+      const sourcesResult = validateCombinedSources(randomnessSource.sources);
+      if (!sourcesResult.valid) {
+        return sourcesResult;
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate an optional algorithmVersion against the algorithm registry
+ * @param {*} algorithmVersion - Requested algorithm version (undefined for the current version)
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+function validateAlgorithmVersion(algorithmVersion) {
+  if (algorithmVersion === undefined) {
+    return { valid: true };
+  }
+  if (typeof algorithmVersion !== "string" || !getAlgorithm(algorithmVersion)) {
+    return {
+      valid: false,
+      error: `Field 'algorithmVersion' must be one of: ${listAlgorithmVersions().join(", ")}`
+    };
+  }
+  return { valid: true };
+}
+
+/**
+ * Algorithm a draw runs under: the pinned algorithmVersion, or the current version
+ * @param {Object} body - Validated request body or draw options
+ * @returns {Object} Algorithm implementation from the registry
+ */
+function getDrawAlgorithm(body) {
+  return getAlgorithm(body.algorithmVersion || CONFIG.ALGORITHM_VERSION);
+}
+
+/**
+ * Validate and normalise the entries array (trims entry codes in place)
+ * @param {Array} entries - Entries from the request body
+ * @param {Object} algorithm - Algorithm implementation the draw runs under
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+function validateEntries(entries, algorithm) {
+  if (!Array.isArray(entries)) {
+    return { valid: false, error: "Field 'entries' must be an array" };
+  }
+
+  if (entries.length === 0) {
+    return { valid: false, error: "Field 'entries' must contain at least one entry" };
+  }
+
+  if (entries.length > CONFIG.MAX_ENTRIES) {
+    return { 
+      valid: false, 
+      error: `Maximum ${CONFIG.MAX_ENTRIES} entries allowed per draw` 
+    };
+  }
+
+  // Validate each entry structure and content
+  const entryCodesSet = new Set();
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+
+    const entryResult = validateEntry(entry, `at index ${i}`, algorithm);
+    if (!entryResult.valid) {
+      return entryResult;
+    }
+
+    // Check for duplicate entry codes
+    if (entryCodesSet.has(entry.entryCode)) {
+      return { valid: false, error: `Duplicate entry code detected: "${entry.entryCode}"` };
+    }
+    entryCodesSet.add(entry.entryCode);
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate and normalise a single entry (trims the entry code in place)
+ * @param {Object} entry - Entry from the request body or an entry stream
+ * @param {string} position - Where the entry came from, for error messages (e.g. "at index 3", "on line 12")
+ * @param {Object} algorithm - Algorithm implementation the draw runs under
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+function validateEntry(entry, position, algorithm) {
+  if (!entry || typeof entry !== "object") {
+    return { valid: false, error: `Entry ${position} must be an object` };
+  }
+
+  if (!entry.entryCode || typeof entry.entryCode !== "string") {
+    return { valid: false, error: `Entry ${position} must have a string 'entryCode' field` };
+  }
+
+  // Trim whitespace from entry codes
+  entry.entryCode = entry.entryCode.trim();
+
+  if (entry.entryCode.length === 0 || entry.entryCode.length > CONFIG.MAX_ENTRY_CODE_LENGTH) {
+    return { 
+      valid: false, 
+      error: `Entry code ${position} must be between 1 and ${CONFIG.MAX_ENTRY_CODE_LENGTH} characters` 
+    };
+  }
+
+  // Validate optional weight field ('tickets' is accepted as an alias)
+  const weightResult = validateEntryWeight(entry, position, algorithm);
+  if (!weightResult.valid) {
+    return weightResult;
+  }
+
+  // Validate optional gamertag field
+  if (entry.gamertag !== undefined && entry.gamertag !== null) {
+    if (typeof entry.gamertag !== "string") {
+      return { valid: false, error: `Entry ${position}: 'gamertag' must be a string` };
     }
-    if (drawRoundStr.length > CONFIG.MAX_DRAW_ROUND_LENGTH) {
-      return { 
-        valid: false, 
-        error: `Field 'drawRound' must be maximum ${CONFIG.MAX_DRAW_ROUND_LENGTH} characters` 
-      };
+    if (entry.gamertag.length > CONFIG.MAX_GAMERTAG_LENGTH) {
+      return { valid: false, error: `Entry ${position}: 'gamertag' exceeds maximum length` };
     }
-    // Update the body object with string version
-    body.drawRound = drawRoundStr;
   }
 
-  // Validate optional competition field
-  if (competition !== undefined && competition !== null) {
-    if (typeof competition !== "object" || Array.isArray(competition)) {
-      return { valid: false, error: "Field 'competition' must be an object" };
+  // Validate optional email field
+  if (entry.email !== undefined && entry.email !== null) {
+    if (typeof entry.email !== "string") {
+      return { valid: false, error: `Entry ${position}: 'email' must be a string` };
+    }
+    if (entry.email.length > CONFIG.MAX_EMAIL_LENGTH) {
+      return { valid: false, error: `Entry ${position}: 'email' exceeds maximum length` };
     }
+  }
 
-    // Validate competition.id
-    if (!competition.id || typeof competition.id !== "string") {
-      return { valid: false, error: "Field 'competition.id' is required and must be a string" };
+  // Validate optional entryTimestamp field
+  if (entry.entryTimestamp !== undefined && entry.entryTimestamp !== null) {
+    if (typeof entry.entryTimestamp !== "string") {
+      return { valid: false, error: `Entry ${position}: 'entryTimestamp' must be a string` };
     }
-    if (competition.id.trim().length === 0 || competition.id.length > CONFIG.MAX_COMPETITION_ID_LENGTH) {
-      return { 
-        valid: false, 
-        error: `Field 'competition.id' must be between 1 and ${CONFIG.MAX_COMPETITION_ID_LENGTH} characters` 
-      };
+  }
+
+  // Validate optional dateOfBirth field (read by the minimumAge rule, never published)
+  if (entry.dateOfBirth !== undefined && entry.dateOfBirth !== null) {
+    // Round-trip through Date to reject impossible dates such as 2001-02-30
+    const parsed = typeof entry.dateOfBirth === "string" && /^\d{4}-\d{2}-\d{2}$/.test(entry.dateOfBirth)
+      ? Date.parse(`${entry.dateOfBirth}T00:00:00Z`)
+      : NaN;
+    if (Number.isNaN(parsed) || new Date(parsed).toISOString().slice(0, 10) !== entry.dateOfBirth) {
+      return { valid: false, error: `Entry ${position}: 'dateOfBirth' must be a date (YYYY-MM-DD)` };
     }
+  }
 
-    // Validate competition.name
-    if (!competition.name || typeof competition.name !== "string") {
-      return { valid: false, error: "Field 'competition.name' is required and must be a string" };
+  // Validate optional location field
+  if (entry.location !== undefined && entry.location !== null) {
+    if (typeof entry.location !== "object" || Array.isArray(entry.location)) {
+      return { valid: false, error: `Entry ${position}: 'location' must be an object` };
     }
-    if (competition.name.trim().length === 0 || competition.name.length > CONFIG.MAX_COMPETITION_NAME_LENGTH) {
-      return { 
-        valid: false, 
-        error: `Field 'competition.name' must be between 1 and ${CONFIG.MAX_COMPETITION_NAME_LENGTH} characters` 
-      };
+    if (entry.location.country && typeof entry.location.country !== "string") {
+      return { valid: false, error: `Entry ${position}: 'location.country' must be a string` };
     }
-
-    // Validate competition.mode
-    if (!competition.mode || typeof competition.mode !== "string") {
-      return { valid: false, error: "Field 'competition.mode' is required and must be a string" };
+    if (entry.location.country && entry.location.country.length > CONFIG.MAX_LOCATION_LENGTH) {
+      return { valid: false, error: `Entry ${position}: 'location.country' exceeds maximum length` };
     }
-    const validModes = ["live", "test"];
-    if (!validModes.includes(competition.mode.toLowerCase())) {
-      return { valid: false, error: `Field 'competition.mode' must be either 'live' or 'test'` };
+    if (entry.location.region && typeof entry.location.region !== "string") {
+      return { valid: false, error: `Entry ${position}: 'location.region' must be a string` };
+    }
+    if (entry.location.region && entry.location.region.length > CONFIG.MAX_LOCATION_LENGTH) {
+      return { valid: false, error: `Entry ${position}: 'location.region' exceeds maximum length` };
     }
-
-    // Trim and normalize
-    competition.id = competition.id.trim();
-    competition.name = competition.name.trim();
-    competition.mode = competition.mode.toLowerCase();
   }
 
-  // Validate optional randomnessSource field
-  if (randomnessSource !== undefined && randomnessSource !== null) {
-    if (typeof randomnessSource !== "object" || Array.isArray(randomnessSource)) {
-      return { valid: false, error: "Field 'randomnessSource' must be an object" };
+  // Validate optional quiz field
+  if (entry.quiz !== undefined && entry.quiz !== null) {
+    if (typeof entry.quiz !== "object" || Array.isArray(entry.quiz)) {
+      return { valid: false, error: `Entry ${position}: 'quiz' must be an object` };
     }
-    // Optional fields - just validate types if provided
-    if (randomnessSource.provider && typeof randomnessSource.provider !== "string") {
-      return { valid: false, error: "Field 'randomnessSource.provider' must be a string" };
+    if (entry.quiz.question && typeof entry.quiz.question !== "string") {
+      return { valid: false, error: `Entry ${position}: 'quiz.question' must be a string` };
     }
-    if (randomnessSource.timestamp && typeof randomnessSource.timestamp !== "string") {
-      return { valid: false, error: "Field 'randomnessSource.timestamp' must be a string" };
+    if (entry.quiz.question && entry.quiz.question.length > CONFIG.MAX_QUIZ_FIELD_LENGTH) {
+      return { valid: false, error: `Entry ${position}: 'quiz.question' exceeds maximum length` };
     }
-    if (randomnessSource.verificationUrl && typeof randomnessSource.verificationUrl !== "string") {
-      return { valid: false, error: "Field 'randomnessSource.verificationUrl' must be a string" };
+    if (entry.quiz.answerGiven && typeof entry.quiz.answerGiven !== "string") {
+      return { valid: false, error: `Entry ${position}: 'quiz.answerGiven' must be a string` };
+    }
+    if (entry.quiz.answerGiven && entry.quiz.answerGiven.length > CONFIG.MAX_QUIZ_FIELD_LENGTH) {
+      return { valid: false, error: `Entry ${position}: 'quiz.answerGiven' exceeds maximum length` };
+    }
+    if (entry.quiz.answerCorrect !== undefined && typeof entry.quiz.answerCorrect !== "boolean") {
+      return { valid: false, error: `Entry ${position}: 'quiz.answerCorrect' must be a boolean` };
+    }
+    // Answers to a competition.quiz, keyed by question id
+    if (entry.quiz.answers !== undefined) {
+      const answers = entry.quiz.answers;
+      if (!answers || typeof answers !== "object" || Array.isArray(answers) ||
+          Object.keys(answers).length > CONFIG.MAX_QUIZ_ANSWERS) {
+        return { valid: false, error: `Entry ${position}: 'quiz.answers' must be an object of at most ${CONFIG.MAX_QUIZ_ANSWERS} answers` };
+      }
+      if (Object.values(answers).some(answer => typeof answer !== "string" || answer.length > CONFIG.MAX_QUIZ_FIELD_LENGTH)) {
+        return { valid: false, error: `Entry ${position}: 'quiz.answers' values must be strings of at most ${CONFIG.MAX_QUIZ_FIELD_LENGTH} characters` };
+      }
     }
   }
 
@@ -557,45 +2436,155 @@ function validateInput(body) {
 }
 
 /**
- * Fetch latest randomness from drand
- * @returns {Promise<Object>} Drand data with randomness, round, and time
+ * Validate an entry's weight (number of tickets) and normalise it onto entry.weight
+ * @param {Object} entry - Entry from the request body
+ * @param {string} position - Where the entry came from, for error messages
+ * @param {Object} algorithm - Algorithm implementation (earlier versions do not support weights)
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
  */
-async function fetchDrandLatest() {
-  const response = await fetch(CONFIG.DRAND_API_URL);
-  
-  if (!response.ok) {
-    throw new Error(`Drand API returned ${response.status}`);
+function validateEntryWeight(entry, position, algorithm) {
+  const hasWeight = entry.weight !== undefined && entry.weight !== null;
+  const hasTickets = entry.tickets !== undefined && entry.tickets !== null;
+
+  if (!hasWeight && !hasTickets) {
+    return { valid: true };
   }
-  
-  const data = await response.json();
-  
-  // Validate response has required fields
-  if (!data.round || !data.randomness) {
-    console.error("Invalid drand response:", data);
-    throw new Error("Drand response missing required fields");
+
+  if (hasWeight && hasTickets && entry.weight !== entry.tickets) {
+    return { valid: false, error: `Entry ${position}: 'weight' and 'tickets' must match when both are provided` };
   }
-  
-  // drand /public/latest doesn't include time, so we use current time
-  // as the approximate fetch time
-  const fetchTime = new Date().toISOString();
-  
-  return {
-    round: data.round,
-    randomness: data.randomness,
-    fetchTime: fetchTime,
-    signature: data.signature
-  };
+
+  const weight = hasWeight ? entry.weight : entry.tickets;
+  const field = hasWeight ? "weight" : "tickets";
+  if (!Number.isSafeInteger(weight) || weight < 1 || weight > CONFIG.MAX_ENTRY_WEIGHT) {
+    return {
+      valid: false,
+      error: `Entry ${position}: '${field}' must be an integer between 1 and ${CONFIG.MAX_ENTRY_WEIGHT}`
+    };
+  }
+  if (weight > 1 && !algorithm.supportsWeights) {
+    return { valid: false, error: `Entry ${position}: weighted entries are not supported by ${algorithm.version}` };
+  }
+
+  entry.weight = weight;
+  delete entry.tickets;
+
+  return { valid: true };
+}
+
+/**
+ * Validate and normalise competition metadata (trims id/name, lowercases mode in place)
+ * @param {Object} competition - Competition object from the request body
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+function validateCompetition(competition) {
+  if (typeof competition !== "object" || Array.isArray(competition)) {
+    return { valid: false, error: "Field 'competition' must be an object" };
+  }
+
+  // Validate competition.id
+  if (!competition.id || typeof competition.id !== "string") {
+    return { valid: false, error: "Field 'competition.id' is required and must be a string" };
+  }
+  if (competition.id.trim().length === 0 || competition.id.length > CONFIG.MAX_COMPETITION_ID_LENGTH) {
+    return { 
+      valid: false, 
+      error: `Field 'competition.id' must be between 1 and ${CONFIG.MAX_COMPETITION_ID_LENGTH} characters` 
+    };
+  }
+
+  // Validate competition.name
+  if (!competition.name || typeof competition.name !== "string") {
+    return { valid: false, error: "Field 'competition.name' is required and must be a string" };
+  }
+  if (competition.name.trim().length === 0 || competition.name.length > CONFIG.MAX_COMPETITION_NAME_LENGTH) {
+    return { 
+      valid: false, 
+      error: `Field 'competition.name' must be between 1 and ${CONFIG.MAX_COMPETITION_NAME_LENGTH} characters` 
+    };
+  }
+
+  // Validate competition.mode
+  if (!competition.mode || typeof competition.mode !== "string") {
+    return { valid: false, error: "Field 'competition.mode' is required and must be a string" };
+  }
+  const validModes = ["live", "test"];
+  if (!validModes.includes(competition.mode.toLowerCase())) {
+    return { valid: false, error: `Field 'competition.mode' must be either 'live' or 'test'` };
+  }
+
+  // Validate optional prize table
+  if (competition.prizes !== undefined && competition.prizes !== null) {
+    const prizesResult = validatePrizes(competition.prizes);
+    if (!prizesResult.valid) {
+      return prizesResult;
+    }
+  }
+
+  if (competition.onePrizePerPerson !== undefined && typeof competition.onePrizePerPerson !== "boolean") {
+    return { valid: false, error: "Field 'competition.onePrizePerPerson' must be a boolean" };
+  }
+
+  if (competition.privacyMode !== undefined && typeof competition.privacyMode !== "boolean") {
+    return { valid: false, error: "Field 'competition.privacyMode' must be a boolean" };
+  }
+
+  if (competition.reserves !== undefined &&
+      (!Number.isSafeInteger(competition.reserves) || competition.reserves < 0 || competition.reserves > CONFIG.MAX_RESERVES)) {
+    return { valid: false, error: `Field 'competition.reserves' must be an integer between 0 and ${CONFIG.MAX_RESERVES}` };
+  }
+
+  // Validate optional eligibility rules
+  if (competition.rules !== undefined && competition.rules !== null) {
+    const rulesResult = validateRules(competition.rules);
+    if (!rulesResult.valid) {
+      return rulesResult;
+    }
+  }
+
+  // Validate optional server-marked quiz
+  if (competition.quiz !== undefined && competition.quiz !== null) {
+    const quizResult = validateQuiz(competition.quiz);
+    if (!quizResult.valid) {
+      return quizResult;
+    }
+  }
+
+  // Trim and normalize
+  competition.id = competition.id.trim();
+  competition.name = competition.name.trim();
+  competition.mode = competition.mode.toLowerCase();
+
+  return { valid: true };
+}
+
+/**
+ * Process a draw's complete entry list, including rules that span entries
+ * @param {Array} entries - Array of entry objects
+ * @param {Object|null} competition - Validated competition (eligibility rules)
+ * @param {Object} env - Environment variables (EMAIL_HASH_SECRET)
+ * @returns {Promise<Array>} Processed entries with hashed emails and status
+ */
+async function processDrawEntries(entries, competition, env) {
+  const rules = competition?.rules || null;
+  const quizMarker = competition?.quiz ? await prepareQuiz(competition.quiz) : null;
+  const emailHasher = await createEmailHasher(competition?.id || null, env);
+  return applyEntriesPerEmailLimit(await processEntries(entries, rules, quizMarker, emailHasher), rules);
 }
 
 /**
  * Process entries - hash emails and determine qualification status
  * @param {Array} entries - Array of entry objects
+ * @param {Object|null} rules - Validated competition.rules (per-entry rules only)
+ * @param {Object|null} quizMarker - Marker from prepareQuiz when the competition declares a quiz
+ * @param {Object} emailHasher - Hasher from createEmailHasher for the draw's competition
  * @returns {Promise<Array>} Processed entries with hashed emails and status
  */
-async function processEntries(entries) {
+async function processEntries(entries, rules, quizMarker, emailHasher) {
   return Promise.all(entries.map(async (entry) => {
     const processed = {
       entryCode: entry.entryCode,
+      weight: entry.weight || 1,  // Number of tickets (default one)
       status: "qualified"  // Default to qualified
     };
 
@@ -604,9 +2593,9 @@ async function processEntries(entries) {
       processed.gamertag = entry.gamertag.trim();
     }
 
-    // Hash email if provided
+    // Hash email if provided (salted per entrant when EMAIL_HASH_SECRET is set)
     if (entry.email) {
-      processed.emailHash = await computeSHA256Hex(entry.email.toLowerCase().trim());
+      processed.emailHash = await emailHasher.hash(entry.email);
     }
 
     if (entry.entryTimestamp) {
@@ -623,19 +2612,27 @@ async function processEntries(entries) {
       }
     }
 
-    // Handle quiz and disqualification
-    if (entry.quiz) {
+    // Mark the quiz in the worker when the competition declares one; otherwise record the client's marking
+    if (quizMarker) {
+      processed.quiz = await quizMarker.mark(entry.quiz);
+    } else if (entry.quiz) {
       processed.quiz = {
         question: entry.quiz.question || null,
         answerGiven: entry.quiz.answerGiven || null,
         answerCorrect: entry.quiz.answerCorrect !== undefined ? entry.quiz.answerCorrect : true
       };
+    }
 
-      // Disqualify if quiz was answered incorrectly
-      if (entry.quiz.answerCorrect === false) {
-        processed.status = "disqualified";
-        processed.disqualificationReason = "Quiz answered incorrectly";
-      }
+    // Disqualify on the first failed eligibility rule, then on an incorrect quiz answer
+    const failedRule = evaluateEntryRules(rules, entry);
+    if (failedRule) {
+      processed.status = "disqualified";
+      processed.disqualificationCode = failedRule.code;
+      processed.disqualificationReason = failedRule.reason;
+    } else if (processed.quiz && processed.quiz.answerCorrect === false) {
+      processed.status = "disqualified";
+      processed.disqualificationCode = DISQUALIFICATION_CODES.QUIZ_INCORRECT;
+      processed.disqualificationReason = "Quiz answered incorrectly";
     }
 
     return processed;
@@ -643,126 +2640,116 @@ async function processEntries(entries) {
 }
 
 /**
- * Calculate cryptographic scores for all entries
- * @param {string} seed - Hex-encoded seed from randomness
- * @param {Array} entries - Array of processed entry objects
- * @returns {Promise<Array>} Array of entries with scores
+ * Create empty running totals for a draw's entries
+ * @returns {Object} Tally {totalEntries, totalWeight, qualifiedEntries, disqualifiedEntries, statistics}
  */
-async function calculateEntryScores(seed, entries) {
-  // Process entries in parallel for efficiency
-  // Each score is deterministically derived from seed + entryCode
-  const scoredEntries = await Promise.all(
-    entries.map(async (entry) => {
-      // Concatenate seed with entry code
-      // This ensures each entry gets a unique input for hashing
-      const combinedInput = seed + entry.entryCode;
-      
-      // Generate cryptographic score via SHA-256
-      const scoreHex = await computeSHA256Hex(combinedInput);
-      
-      // Convert to BigInt for precise numerical comparison
-      // Prefix with "0x" to indicate hexadecimal
-      const score = BigInt("0x" + scoreHex);
-      
-      return {
-        ...entry,  // Include all entry data (gamertag, email hash, location, quiz, status, etc.)
-        score: score,
-        // Store hex representation for audit trail
-        scoreHex: scoreHex
-      };
-    })
-  );
-
-  return scoredEntries;
+function createEntryTally() {
+  return {
+    totalEntries: 0,
+    totalWeight: 0,
+    qualifiedEntries: 0,
+    disqualifiedEntries: 0,
+    statistics: {
+      disqualificationReasons: {},
+      disqualificationsByRule: {},
+      countries: {},
+      regions: {}
+    }
+  };
 }
 
 /**
- * Rank entries by their cryptographic score
- * @param {Array} scoredEntries - Entries with calculated scores
- * @returns {Array} Sorted entries with rank assignments
+ * Add a processed entry to the running totals
+ * @param {Object} tally - Tally from createEntryTally
+ * @param {Object} entry - Processed entry
  */
-function rankEntriesByScore(scoredEntries) {
-  // Create a copy to avoid mutating input
-  const entries = [...scoredEntries];
-  
-  // Sort by score in descending order (highest score = rank 1)
-  // Using explicit BigInt comparison for safety and clarity
-  entries.sort((a, b) => {
-    if (a.score > b.score) return -1;  // a ranks higher
-    if (a.score < b.score) return 1;   // b ranks higher
-    // In the extremely rare case of identical scores,
-    // use lexicographic ordering of entry codes for consistency
-    return a.entryCode.localeCompare(b.entryCode);
-  });
+function addToEntryTally(tally, entry) {
+  const { statistics } = tally;
 
-  // Assign sequential ranks and convert BigInt to string
-  return entries.map((entry, index) => ({
-    rank: index + 1,
-    entryCode: entry.entryCode,
-    gamertag: entry.gamertag || null,
-    emailHash: entry.emailHash || null,
-    entryTimestamp: entry.entryTimestamp || null,
-    location: entry.location || null,
-    quiz: entry.quiz || null,
-    status: entry.status || "qualified",
-    disqualificationReason: entry.disqualificationReason || null,
-    // Convert BigInt to string for JSON serialization
-    score: entry.score.toString(),
-    // Include hex representation for verification
-    scoreHex: entry.scoreHex
-  }));
+  tally.totalEntries++;
+  tally.totalWeight += entry.weight || 1;
+
+  if (entry.status === "disqualified") {
+    tally.disqualifiedEntries++;
+    if (entry.disqualificationReason) {
+      statistics.disqualificationReasons[entry.disqualificationReason] =
+        (statistics.disqualificationReasons[entry.disqualificationReason] || 0) + 1;
+    }
+    if (entry.disqualificationCode) {
+      statistics.disqualificationsByRule[entry.disqualificationCode] =
+        (statistics.disqualificationsByRule[entry.disqualificationCode] || 0) + 1;
+    }
+  } else {
+    tally.qualifiedEntries++;
+  }
+
+  if (entry.location?.country) {
+    statistics.countries[entry.location.country] = (statistics.countries[entry.location.country] || 0) + 1;
+  }
+  if (entry.location?.region) {
+    statistics.regions[entry.location.region] = (statistics.regions[entry.location.region] || 0) + 1;
+  }
 }
 
 /**
  * Format the final draw response with metadata
- * @param {Array} rankedEntries - All entries (qualified and disqualified)
- * @param {number} qualifiedCount - Number of qualified entries
- * @param {number} disqualifiedCount - Number of disqualified entries
+ * @param {Array} rankedEntries - Entries to list (all entries, or the retained ranking of a streamed draw)
+ * @param {Object} tally - Running totals over every entry (createEntryTally)
  * @param {string} seed - Draw seed (hex)
  * @param {string|null} drawRound - Optional round identifier
+ * @param {Object|null} prizes - Prize assignment from assignPrizes
+ * @param {Object} algorithm - Algorithm implementation the draw ran under
+ * @param {Array|null} [reserves] - Declared reserves from selectReserves
  * @returns {Promise<Object>} Formatted response object
  */
-async function formatDrawResponse(rankedEntries, qualifiedCount, disqualifiedCount, seed, drawRound) {
+async function formatDrawResponse(rankedEntries, tally, seed, drawRound, prizes, algorithm, reserves = null) {
+  const qualifiedCount = tally.qualifiedEntries;
+
   return {
     // Draw metadata for audit trail
     metadata: {
-      algorithm: CONFIG.ALGORITHM_VERSION,
-      hashFunction: CONFIG.HASH_ALGORITHM,
+      algorithm: algorithm.version,
+      hashFunction: algorithm.hashFunction,
       drawRound: drawRound || "UNSPECIFIED",
       drawSeed: seed,
       timestamp: new Date().toISOString(),
-      totalEntries: rankedEntries.length,
+      totalEntries: tally.totalEntries,
+      totalWeight: tally.totalWeight,
       qualifiedEntries: qualifiedCount,
-      disqualifiedEntries: disqualifiedCount,
+      disqualifiedEntries: tally.disqualifiedEntries,
       // Include checksum of results for integrity verification
-      resultsChecksum: await computeResultsChecksum(rankedEntries)
+      resultsChecksum: await computeResultsChecksum(rankedEntries, algorithm)
     },
     
+    // Prize tier assignments (null when the competition declares no prize table)
+    prizes: prizes || null,
+
+    // Alternate winners in promotion order (null when the competition declares no reserves)
+    reserves: reserves,
+
     // Full results array (qualified entries with ranks, then disqualified without ranks)
     results: rankedEntries,
     
     // Top winners for convenience (first 10 qualified or all if less)
-    topWinners: rankedEntries.filter(e => e.status === "qualified").slice(0, Math.min(10, qualifiedCount))
+    topWinners: rankedEntries.filter(e => e.status === "qualified").slice(0, Math.min(10, qualifiedCount)),
+
+    // Entry statistics for the audit bundle
+    statistics: tally.statistics
   };
 }
 
 /**
- * Compute a checksum of the results for integrity verification
- * Uses SHA-256 for cryptographic security
- * @param {Array} results - Ranked results array
- * @returns {Promise<string>} Hex checksum (first 16 characters)
+ * Step 7: a draw's declared reserves, the alternates promoted by redraws
+ * @param {Array} rankedEntries - Qualified entries in rank order
+ * @param {Object|null} competition - Validated competition (prizes, onePrizePerPerson, reserves)
+ * @returns {Array|null} Reserves [{position, rank, entryCode, gamertag, emailHash}]
+ *   (fewer if the ranking runs out), or null if the competition declares none
  */
-async function computeResultsChecksum(results) {
-  // Create a deterministic string representation of results
-  const resultsString = results
-    .map(r => `${r.rank}:${r.entryCode}:${r.scoreHex}`)
-    .join("|");
-  
-  // Compute full SHA-256 hash
-  const fullHash = await computeSHA256Hex(resultsString);
-  
-  // Return first 16 chars as checksum
-  return fullHash.substring(0, 16);
+function selectReserves(rankedEntries, competition) {
+  if (!competition?.reserves) {
+    return null;
+  }
+  return selectAlternates(rankedEntries, competition.prizes || null, competition.onePrizePerPerson === true, competition.reserves);
 }
 
 /**
@@ -773,41 +2760,35 @@ async function computeResultsChecksum(results) {
  * @param {Object} randomnessSource - Randomness source metadata
  * @param {string} drawTimestamp - ISO timestamp of draw execution
  * @param {boolean} randomnessFetchedByWorker - Whether worker fetched randomness
+ * @param {Object} client - Authenticated client identity {id, method}
+ * @param {Object|null} beacon - Verified drand beacon (signature, chain hash, verification result)
+ * @param {Object|null} commitment - Commitment revealed by this draw
+ * @param {Object|null} ingestion - Streamed entry list details (format, sha256, retained), null for JSON draws
+ * @param {string|null} merkleRoot - Merkle root over the entry list (null for streamed draws)
+ * @param {Array|null} sources - Beacon outputs fetched by the worker (one per provider)
+ * @param {string} drawId - Draw identifier (publish queue and lookups)
+ * @param {string} emailHashScheme - Scheme the entries' emailHash values were computed with
+ * @param {string} endpoint - Path the draw was requested on (/startdraw or /reveal)
  * @returns {Object} Complete audit bundle
  */
-function generateAuditBundle(drawResponse, competition, randomness, randomnessSource, drawTimestamp, randomnessFetchedByWorker) {
-  // Compile disqualification statistics
-  const disqualificationReasons = {};
-  drawResponse.results.forEach(entry => {
-    if (entry.status === "disqualified" && entry.disqualificationReason) {
-      disqualificationReasons[entry.disqualificationReason] = 
-        (disqualificationReasons[entry.disqualificationReason] || 0) + 1;
-    }
-  });
-
-  // Compile location statistics
-  const countries = {};
-  const regions = {};
-  drawResponse.results.forEach(entry => {
-    if (entry.location?.country) {
-      countries[entry.location.country] = (countries[entry.location.country] || 0) + 1;
-    }
-    if (entry.location?.region) {
-      regions[entry.location.region] = (regions[entry.location.region] || 0) + 1;
-    }
-  });
+function generateAuditBundle(drawResponse, competition, randomness, randomnessSource, drawTimestamp, randomnessFetchedByWorker, client, beacon, commitment, ingestion, merkleRoot, sources, drawId, emailHashScheme, endpoint) {
+  // Disqualification and location statistics (counted over every entry)
+  const { disqualificationReasons, disqualificationsByRule, countries, regions } = drawResponse.statistics;
+  const algorithm = getAlgorithm(drawResponse.metadata.algorithm);
 
   return {
     version: "1.0",
-    competition: competition ? {
-      id: competition.id,
-      name: competition.name,
-      mode: competition.mode
-    } : null,
+    // Prizes, reserves, rules and quiz; a revealed commitment's configurationHash covers this section
+    competition: competition ? drawConfiguration(competition) : null,
     draw: {
+      drawId: drawId,
       timestamp: drawTimestamp,
       workerVersion: CONFIG.ALGORITHM_VERSION,
-      endpoint: "/startdraw"
+      endpoint: endpoint,
+      requestedBy: {
+        clientId: client.id,
+        authMethod: client.method
+      }
     },
     randomness: {
       value: randomness,
@@ -815,26 +2796,63 @@ function generateAuditBundle(drawResponse, competition, randomness, randomnessSo
       round: randomnessSource?.round || drawResponse.metadata.drawRound,
       timestamp: randomnessSource?.timestamp || null,
       verificationUrl: randomnessSource?.verificationUrl || null,
-      fetchedByWorker: randomnessFetchedByWorker
+      fetchedByWorker: randomnessFetchedByWorker,
+      beacon: beacon || null,
+      // Each beacon's round, value, verification URL and proof; combined draws hash them together
+      sources: sources || null,
+      combination: sources && sources.length > 1 ? COMBINATION_METHOD : null
     },
+    commitment: commitment ? {
+      commitmentId: commitment.commitmentId,
+      competition: commitment.competition,
+      entriesHash: commitment.entriesHash,
+      configurationHash: commitment.configurationHash,
+      entryCount: commitment.entryCount,
+      algorithmVersion: commitment.algorithmVersion,
+      drand: commitment.drand,
+      committedAt: commitment.committedAt,
+      committedBy: commitment.committedBy,
+      commitmentHash: commitment.commitmentHash,
+      reveal: {
+        revealedAt: drawTimestamp,
+        round: randomnessSource?.round,
+        entriesHashMatched: true
+      }
+    } : null,
     entries: {
       total: drawResponse.metadata.totalEntries,
+      totalWeight: drawResponse.metadata.totalWeight,
       qualified: drawResponse.metadata.qualifiedEntries,
       disqualified: drawResponse.metadata.disqualifiedEntries,
+      // Streamed draws list only the retained ranking; the full list is identified by its hash
+      streamed: ingestion ? {
+        format: ingestion.format,
+        sha256: ingestion.sha256,
+        bytes: ingestion.bytes,
+        lines: ingestion.lines,
+        retained: ingestion.retained
+      } : null,
+      merkleRoot: merkleRoot || null,
+      // How emailHash values were computed (salted per entrant unless no secret was configured)
+      emailHashScheme: emailHashScheme,
       list: drawResponse.results.map(r => ({
         entryCode: r.entryCode,
         rank: r.rank,
+        weight: r.weight,
         gamertag: r.gamertag,
         emailHash: r.emailHash,
         entryTimestamp: r.entryTimestamp,
         location: r.location,
         quiz: r.quiz,
         status: r.status,
-        disqualificationReason: r.disqualificationReason
+        disqualificationReason: r.disqualificationReason,
+        disqualificationCode: r.disqualificationCode || null,
+        ...committedPersonalData(r)
       }))
     },
     statistics: {
       disqualificationReasons: Object.keys(disqualificationReasons).length > 0 ? disqualificationReasons : null,
+      disqualificationsByRule: Object.keys(disqualificationsByRule).length > 0 ? disqualificationsByRule : null,
       locationDistribution: {
         countries: Object.keys(countries).length > 0 ? countries : null,
         regions: Object.keys(regions).length > 0 ? regions : null
@@ -843,340 +2861,218 @@ function generateAuditBundle(drawResponse, competition, randomness, randomnessSo
     results: {
       winner: drawResponse.results.find(r => r.rank === 1) || null,
       fullRanking: drawResponse.results,
+      rankingTruncated: ingestion ? ingestion.truncated : false,
+      prizes: drawResponse.prizes,
+      reserves: drawResponse.reserves,
       seed: drawResponse.metadata.drawSeed,
       checksum: drawResponse.metadata.resultsChecksum
     },
     verification: {
-      algorithm: drawResponse.metadata.algorithm,
-      hashFunction: drawResponse.metadata.hashFunction,
+      // Exact version the draw ran under; verification replays the bundle with it
+      algorithm: algorithm.version,
+      hashFunction: algorithm.hashFunction,
+      seed: "seed = SHA-256(randomness)",
+      scoring: algorithm.methods.scoring,
+      ranking: algorithm.methods.ranking,
+      checksum: algorithm.methods.checksum,
+      prizes: ALGORITHM.PRIZE_ASSIGNMENT_METHOD,
+      reserves: ALGORITHM.RESERVE_METHOD,
+      merkle: ALGORITHM.MERKLE_METHOD,
+      // Serialization of every hashed JSON structure (bundle hash, entries hash, Merkle leaves, commitment)
+      canonicalization: algorithm.canonicalization,
+      signature: SIGNATURE_METHOD,
+      emailHash: EMAIL_HASH_METHODS[emailHashScheme],
+      privacy: competition?.privacyMode ? PRIVACY_METHOD : null,
+      quiz: QUIZ_MARKING_METHOD,
       sourceCode: "https://github.com/vaultplay-dev/vaultplay-draw-worker"
     }
   };
 }
 
 /**
- * Publish audit bundle to GitHub repository
- * @param {Object} auditBundle - Complete audit bundle
- * @param {string} bundleHash - SHA-256 hash of the bundle
- * @param {Object} competition - Competition metadata
- * @param {string} drawTimestamp - ISO timestamp
- * @param {Object} env - Environment variables
- * @returns {Promise<Object>} Publication result
+ * Handle POST /verify - re-execute a published audit bundle
+ * Body: {bundle: Object, bundleHash?: string} or {path: "live/YYYY-MM/<directory>/draw.json"},
+ * plus optional amendments: [Object], the draw's amendment bundles in sequence order
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (GitHub repo config)
+ * @returns {Promise<Response>} Verification report
  */
-async function publishToGitHub(auditBundle, bundleHash, competition, drawTimestamp, env) {
-  // Check for required environment variables
-  if (!env.GITHUB_TOKEN) {
-    return {
-      published: false,
-      error: "GitHub token not configured",
-      retryable: false
-    };
+async function handleVerifyRequest(request, env) {
+  const loaded = await loadAuditBundle(request, env);
+  if (loaded.errorResponse) {
+    return loaded.errorResponse;
   }
+  const { body, bundle, source } = loaded;
 
-  const repoOwner = env.GITHUB_REPO_OWNER || "vaultplay-dev";
-  const repoName = env.GITHUB_REPO_NAME || "vaultplay-draw-history";
-  const branch = env.GITHUB_BRANCH || "main";
-
-  // Generate file path and slug
-  const date = new Date(drawTimestamp);
-  const yearMonth = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
-  const dateTime = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}-${String(date.getUTCHours()).padStart(2, '0')}${String(date.getUTCMinutes()).padStart(2, '0')}`;
-  const slug = slugify(competition.name);
-  const folder = competition.mode === "live" ? "live" : "test";
-  const filePath = `${folder}/${yearMonth}/${slug}-${dateTime}/draw.json`;
-
-  // Add bundle hash and publication metadata to bundle
-  auditBundle.bundleHash = bundleHash;
-  auditBundle.publication = {
-    publishedAt: new Date().toISOString(),
-    filePath: filePath
-  };
-
-  try {
-    // Commit file to GitHub
-    const commitResult = await commitFileToGitHub(
-      repoOwner,
-      repoName,
-      branch,
-      filePath,
-      auditBundle,
-      competition,
-      drawTimestamp,
-      env.GITHUB_TOKEN
-    );
+  if (body.bundleHash !== undefined && typeof body.bundleHash !== "string") {
+    return createErrorResponse("Field 'bundleHash' must be a string", 400);
+  }
 
-    let releaseResult = null;
+  if (body.amendments !== undefined &&
+      (!Array.isArray(body.amendments) || body.amendments.length === 0 || body.amendments.length > CONFIG.MAX_AMENDMENTS ||
+       !body.amendments.every(amendment => amendment && typeof amendment === "object" && !Array.isArray(amendment)))) {
+    return createErrorResponse(`Field 'amendments' must be an array of 1-${CONFIG.MAX_AMENDMENTS} amendment objects`, 400);
+  }
 
-    // Create release only for live draws
-    if (competition.mode === "live") {
-      try {
-        releaseResult = await createGitHubRelease(
-          repoOwner,
-          repoName,
-          slug,
-          competition,
-          drawTimestamp,
-          filePath,
-          env.GITHUB_TOKEN
-        );
-      } catch (releaseError) {
-        console.error("Release creation failed (non-fatal):", releaseError);
-        // Don't fail the entire operation if only release fails
-      }
+  const report = await verifyAuditBundle(bundle, body.bundleHash, env);
+  // Amendments are checked against the bundle's own content, so they are reported separately
+  const amendments = body.amendments
+    ? await verifyAmendments(bundle, body.amendments, { publicKeys: listPublicKeys(env) })
+    : null;
+
+  return new Response(JSON.stringify({
+    ...report,
+    ...(amendments ? { amendments } : {}),
+    source: source,
+    verifiedAt: new Date().toISOString(),
+    verifier: CONFIG.ALGORITHM_VERSION
+  }, null, 2), {
+    status: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      ...CORS_HEADERS,
+      ...SECURITY_HEADERS
     }
-
-    return {
-      published: true,
-      commitUrl: commitResult.commitUrl,
-      commitSha: commitResult.sha,
-      releaseUrl: releaseResult?.releaseUrl || null,
-      releaseTag: releaseResult?.tag || null,
-      filePath: filePath
-    };
-
-  } catch (error) {
-    throw error;
-  }
+  });
 }
 
 /**
- * Commit a file to GitHub repository
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} branch - Branch name
- * @param {string} path - File path
- * @param {Object} content - File content (will be JSON stringified)
- * @param {Object} competition - Competition metadata
- * @param {string} timestamp - Draw timestamp
- * @param {string} token - GitHub token
- * @returns {Promise<Object>} Commit result
+ * Handle POST /proof - Merkle inclusion proof for one entry of a draw
+ * Body: {bundle: Object, entryCode: string} or {path: "live/YYYY-MM/<directory>/draw.json", entryCode: string}
+ * The proof can be checked offline against entries.merkleRoot (see verification.merkle).
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (GitHub repo config)
+ * @returns {Promise<Response>} Inclusion proof
  */
-async function commitFileToGitHub(owner, repo, branch, path, content, competition, timestamp, token) {
-  const apiBase = "https://api.github.com";
-  
-  // Encode content as base64
-  const contentJson = JSON.stringify(content, (key, value) => 
-    typeof value === 'bigint' ? value.toString() : value, 2
-  );
-  const contentBase64 = btoa(unescape(encodeURIComponent(contentJson)));
-
-  // Check if file exists to get its SHA (required for updates)
-  let existingFileSha = null;
-  try {
-    const checkResponse = await retryWithBackoff(async () => {
-      const response = await fetch(`${apiBase}/repos/${owner}/${repo}/contents/${path}?ref=${branch}`, {
-        headers: {
-          "Authorization": `Bearer ${token}`,
-          "Accept": "application/vnd.github+json",
-          "User-Agent": "VaultPlay-Draw-Worker"
-        }
-      });
-      if (response.ok) {
-        const data = await response.json();
-        return data.sha;
-      }
-      return null;
-    });
-    existingFileSha = checkResponse;
-  } catch (error) {
-    // File doesn't exist, that's fine for new draws
+async function handleProofRequest(request, env) {
+  const loaded = await loadAuditBundle(request, env);
+  if (loaded.errorResponse) {
+    return loaded.errorResponse;
   }
+  const { body, bundle, source } = loaded;
 
-  // Commit file
-  const date = new Date(timestamp);
-  const commitMessage = competition.mode === "live"
-    ? `Draw audit bundle for ${competition.name} (${competition.id}) at ${timestamp} [${date.getUTCHours().toString().padStart(2, '0')}:${date.getUTCMinutes().toString().padStart(2, '0')} UTC]`
-    : `Test draw audit bundle for ${competition.id} at ${timestamp} [${date.getUTCHours().toString().padStart(2, '0')}:${date.getUTCMinutes().toString().padStart(2, '0')} UTC] [mode: test]`;
-
-  const commitPayload = {
-    message: commitMessage,
-    content: contentBase64,
-    branch: branch
-  };
+  if (typeof body.entryCode !== "string" || body.entryCode.length === 0 ||
+      body.entryCode.length > CONFIG.MAX_ENTRY_CODE_LENGTH) {
+    return createErrorResponse(`Field 'entryCode' must be a string of 1-${CONFIG.MAX_ENTRY_CODE_LENGTH} characters`, 400);
+  }
 
-  if (existingFileSha) {
-    commitPayload.sha = existingFileSha;
+  const merkleRoot = bundle.entries?.merkleRoot;
+  if (typeof merkleRoot !== "string" || !hasEntryList(bundle)) {
+    return createErrorResponse(
+      "Audit bundle has no Merkle root (streamed draws and draws before v1.4 do not publish the full entry list)",
+      422
+    );
   }
 
-  const commitResponse = await retryWithBackoff(async () => {
-    const response = await fetch(`${apiBase}/repos/${owner}/${repo}/contents/${path}`, {
-      method: "PUT",
-      headers: {
-        "Authorization": `Bearer ${token}`,
-        "Accept": "application/vnd.github+json",
-        "Content-Type": "application/json",
-        "User-Agent": "VaultPlay-Draw-Worker"
-      },
-      body: JSON.stringify(commitPayload)
-    });
+  // The proof is only meaningful if the listed entries produce the published root
+  // (leaves are serialized as the bundle's algorithm version specifies)
+  const algorithm = getAlgorithm(bundle.verification?.algorithm || bundle.draw?.workerVersion) || getAlgorithm(CONFIG.ALGORITHM_VERSION);
+  const tree = await buildEntriesMerkleTree(bundle.entries.list, algorithm);
+  if (tree.root !== merkleRoot) {
+    return createErrorResponse("Audit bundle entry list does not match its Merkle root", 422);
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`GitHub API error: ${error.message || response.statusText}`);
+  const index = tree.records.findIndex(record => record.entryCode === body.entryCode);
+  if (index === -1) {
+    return createErrorResponse(`Entry code not found in this draw: ${body.entryCode}`, 404);
+  }
+  const leaf = tree.records[index];
+
+  return new Response(JSON.stringify({
+    included: true,
+    entryCode: leaf.entryCode,
+    rank: leaf.rank,
+    status: leaf.status,
+    // Exact leaf bytes (UTF-8) hashed into the tree
+    leaf: tree.leaves[index],
+    leafHash: merkleLeafHash(tree.levels, index),
+    leafIndex: index,
+    leafCount: tree.leaves.length,
+    proof: buildMerkleProof(tree.levels, index),
+    merkleRoot: merkleRoot,
+    bundleHash: bundle.bundleHash || null,
+    method: ALGORITHM.MERKLE_METHOD,
+    source: source
+  }, null, 2), {
+    status: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      ...CORS_HEADERS,
+      ...SECURITY_HEADERS
     }
-
-    return response.json();
   });
-
-  return {
-    sha: commitResponse.content.sha,
-    commitUrl: commitResponse.commit.html_url
-  };
 }
 
 /**
- * Create a GitHub release for a live draw
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} slug - Competition slug for tag
- * @param {Object} competition - Competition metadata
- * @param {string} timestamp - Draw timestamp
- * @param {string} filePath - Path to audit bundle file
- * @param {string} token - GitHub token
- * @returns {Promise<Object>} Release result
+ * Read the audit bundle named by a public request (inline or by published path)
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (GitHub repo config)
+ * @returns {Promise<Object>} {body, bundle, source}, or {errorResponse}
  */
-async function createGitHubRelease(owner, repo, slug, competition, timestamp, filePath, token) {
-  const apiBase = "https://api.github.com";
-  
-  const date = new Date(timestamp);
-  const dateTime = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}-${String(date.getUTCHours()).padStart(2, '0')}${String(date.getUTCMinutes()).padStart(2, '0')}`;
-  const tag = `draw-${slug}-${dateTime}`;
-  const releaseTitle = `Draw results for ${competition.name} (${date.getUTCHours().toString().padStart(2, '0')}:${date.getUTCMinutes().toString().padStart(2, '0')} UTC)`;
-  const releaseBody = `# ${competition.name}
-
-**Competition ID:** ${competition.id}  
-**Draw Date:** ${timestamp}  
-**Draw Time:** ${date.getUTCHours().toString().padStart(2, '0')}:${date.getUTCMinutes().toString().padStart(2, '0')} UTC  
-**Mode:** ${competition.mode}  
-
-## Audit Bundle
-
-The complete audit bundle for this draw is available at:
-[\`${filePath}\`](https://github.com/${owner}/${repo}/blob/main/${filePath})
-
-## Verification
-
-You can independently verify this draw by:
-1. Viewing the audit bundle JSON file
-2. Running the draw worker code with the same inputs
-3. Comparing the results
-
-**Draw Worker Source:** https://github.com/vaultplay-dev/vaultplay-draw-worker
-`;
-
-  const releasePayload = {
-    tag_name: tag,
-    name: releaseTitle,
-    body: releaseBody,
-    draft: false,
-    prerelease: false
-  };
-
-  const releaseResponse = await retryWithBackoff(async () => {
-    const response = await fetch(`${apiBase}/repos/${owner}/${repo}/releases`, {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${token}`,
-        "Accept": "application/vnd.github+json",
-        "Content-Type": "application/json",
-        "User-Agent": "VaultPlay-Draw-Worker"
-      },
-      body: JSON.stringify(releasePayload)
-    });
+async function loadAuditBundle(request, env) {
+  let body;
+  try {
+    body = parseRequestBody(await readRequestBody(request));
+  } catch (error) {
+    return { errorResponse: createErrorResponse(error.message, 400) };
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`GitHub release error: ${error.message || response.statusText}`);
-    }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errorResponse: createErrorResponse("Request body must be a JSON object", 400) };
+  }
 
-    return response.json();
-  });
+  let bundle = body.bundle;
+  let source = { type: "inline" };
 
-  return {
-    releaseUrl: releaseResponse.html_url,
-    tag: tag
-  };
-}
+  if (bundle === undefined && body.path !== undefined) {
+    if (typeof body.path !== "string" || !CONFIG.AUDIT_PATH_PATTERN.test(body.path)) {
+      return {
+        errorResponse: createErrorResponse(
+          "Field 'path' must be an audit bundle path like 'live/YYYY-MM/<competition-slug>-<YYYY-MM-DD-HHMMSS>-<drawId>/draw.json'",
+          400
+        )
+      };
+    }
 
-/**
- * Retry a function with exponential backoff
- * @param {Function} fn - Async function to retry
- * @param {number} maxRetries - Maximum number of retries
- * @returns {Promise<any>} Result of function
- */
-async function retryWithBackoff(fn, maxRetries = 3) {
-  for (let i = 0; i < maxRetries; i++) {
     try {
-      return await fn();
-    } catch (error) {
-      if (i === maxRetries - 1 || !isRetryableError(error)) {
-        throw error;
+      const loaded = await fetchBundleFromGitHub(body.path, env);
+      if (!loaded) {
+        return { errorResponse: createErrorResponse(`Audit bundle not found: ${body.path}`, 404) };
       }
-      // Exponential backoff: 1s, 2s, 4s
-      await sleep(Math.pow(2, i) * 1000);
+      bundle = loaded.bundle;
+      source = { type: "github", path: body.path, url: loaded.url };
+    } catch (error) {
+      console.error("Failed to fetch audit bundle from GitHub:", error);
+      return { errorResponse: createErrorResponse("Failed to fetch audit bundle from GitHub. Please try again.", 502) };
     }
   }
-}
-
-/**
- * Check if an error is retryable
- * @param {Error} error - Error object
- * @returns {boolean} True if error is retryable
- */
-function isRetryableError(error) {
-  const message = error.message || "";
-  // Check for rate limits, timeouts, and temporary failures
-  return message.includes("rate limit") ||
-         message.includes("502") ||
-         message.includes("503") ||
-         message.includes("504") ||
-         message.includes("timeout");
-}
 
-/**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+  const structureError = validateAuditBundleStructure(bundle);
+  if (structureError) {
+    return { errorResponse: createErrorResponse(structureError, 400) };
+  }
 
-/**
- * Convert string to URL-safe slug
- * @param {string} text - Text to slugify
- * @returns {string} Slugified text
- */
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .trim()
-    .replace(/[^\w\s-]/g, '')     // Remove non-word chars except spaces and hyphens
-    .replace(/[\s_-]+/g, '-')     // Replace spaces, underscores, and hyphens with single hyphen
-    .replace(/^-+/, '')           // Remove leading hyphens (non-global)
-    .replace(/-+$/, '');          // Remove trailing hyphens (non-global)
+  return { body, bundle, source };
 }
 
 /**
- * Compute SHA-256 hash and return as hexadecimal string
- * @param {string} input - Input string to hash
- * @returns {Promise<string>} Hex-encoded hash (64 characters)
+ * Create a JSON response (no caching, CORS and security headers)
+ * @param {Object} data - Response body
+ * @param {number} [status] - HTTP status code
+ * @returns {Response} JSON response
  */
-async function computeSHA256Hex(input) {
-  // Convert string to UTF-8 encoded bytes
-  const encoder = new TextEncoder();
-  const data = encoder.encode(input);
-  
-  // Compute SHA-256 hash using Web Crypto API
-  const hashBuffer = await crypto.subtle.digest(CONFIG.HASH_ALGORITHM, data);
-  
-  // Convert ArrayBuffer to hex string
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hexString = hashArray
-    .map(byte => byte.toString(16).padStart(2, "0"))
-    .join("");
-  
-  return hexString;
+function createJsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status: status,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      ...CORS_HEADERS,
+      ...SECURITY_HEADERS
+    }
+  });
 }
 
 /**
@@ -0,0 +1,104 @@
+/**
+ * VaultPlay Draw Worker - Merkle Tree over the Entry List
+ * =======================================================
+ * Commits to every entry of a draw with a single 32-byte root, so an entrant
+ * can check their own entry was counted from a short inclusion proof instead
+ * of downloading the whole audit bundle.
+ *
+ * Tree construction (domain-separated, in the style of RFC 6962):
+ * - leafHash = SHA-256(0x00 || UTF-8(leaf data))
+ * - nodeHash = SHA-256(0x01 || left || right)
+ * - A level with an odd number of nodes promotes its last node unchanged
+ *
+ * A proof lists the sibling hashes from the leaf up to the root, each marked
+ * with the side ("left" or "right") it is concatenated on.
+ */
+
+import { bytesToHex } from "./hex.js";
+
+const LEAF_PREFIX = 0x00;
+const NODE_PREFIX = 0x01;
+
+/**
+ * Build a Merkle tree over leaf data strings (in the given order)
+ * @param {Array<string>} leaves - Leaf data (at least one)
+ * @returns {Promise<Object>} {root, levels} - hex root; levels[0] are leaf hashes
+ */
+export async function buildMerkleTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error("A Merkle tree needs at least one leaf");
+  }
+
+  const encoder = new TextEncoder();
+  const levels = [await Promise.all(leaves.map(leaf => prefixedHash(LEAF_PREFIX, encoder.encode(leaf))))];
+
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i + 1 < level.length; i += 2) {
+      next.push(prefixedHash(NODE_PREFIX, level[i], level[i + 1]));
+    }
+    if (level.length % 2 === 1) {
+      next.push(level[level.length - 1]);
+    }
+    levels.push(await Promise.all(next));
+  }
+
+  return {
+    root: bytesToHex(levels[levels.length - 1][0]),
+    levels: levels
+  };
+}
+
+/**
+ * Inclusion proof for one leaf
+ * @param {Array<Array<Uint8Array>>} levels - Tree levels from buildMerkleTree
+ * @param {number} index - Leaf index
+ * @returns {Array<Object>} Sibling path [{position: "left"|"right", hash}] from leaf to root
+ */
+export function buildMerkleProof(levels, index) {
+  const proof = [];
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    // A promoted node has no sibling on this level
+    if (sibling < level.length) {
+      proof.push({
+        position: index % 2 === 0 ? "right" : "left",
+        hash: bytesToHex(level[sibling])
+      });
+    }
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+/**
+ * Leaf hash as hex
+ * @param {Array<Array<Uint8Array>>} levels - Tree levels from buildMerkleTree
+ * @param {number} index - Leaf index
+ * @returns {string} Hex leaf hash
+ */
+export function merkleLeafHash(levels, index) {
+  return bytesToHex(levels[0][index]);
+}
+
+/**
+ * SHA-256 over a one-byte domain prefix followed by the given parts
+ * @param {number} prefix - Domain separation byte
+ * @param {...Uint8Array} parts - Data to hash
+ * @returns {Promise<Uint8Array>} Digest
+ */
+async function prefixedHash(prefix, ...parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 1);
+  const input = new Uint8Array(length);
+  input[0] = prefix;
+  let offset = 1;
+  for (const part of parts) {
+    input.set(part, offset);
+    offset += part.length;
+  }
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", input));
+}
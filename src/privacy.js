@@ -0,0 +1,188 @@
+/**
+ * VaultPlay Draw Worker - Privacy Mode
+ * ====================================
+ * Audit bundles are published permanently, so personal data in them can never
+ * be deleted. With competition.privacyMode, each entry's personal data
+ * (gamertag, emailHash, location and quiz answers) is left out of the public
+ * bundle and replaced by a salted commitment:
+ *
+ *   personalData           = {gamertag, emailHash, location, quiz} (null when absent)
+ *   personalDataCommitment = SHA-256(salt || ":" || JCS(personalData))
+ *
+ * where salt is 32 random bytes per entry and JCS is RFC 8785 canonical JSON.
+ * The salts and the data itself are kept in private storage (DRAW_STORE, key
+ * private-entries:<drawId>). Opening an entry's record shows its data matches
+ * the published commitment; erasing it deletes the data and salt, after which
+ * the commitment cannot be linked back to the entrant. Rankings, prizes, the
+ * Merkle root and the bundle hash never depend on the private record, so every
+ * published hash stays verifiable after an erasure.
+ *
+ * onePrizePerPerson needs to know which entries belong to the same person, so
+ * entries sharing an emailHash share a random entrantRef, drawn fresh for each
+ * draw. It reveals nothing about the entrant once their record is erased.
+ *
+ * One record holds a draw's entries; erasures of the same draw should not run
+ * concurrently (KV has no transactions).
+ */
+
+import { canonicalize } from "./canonicalJson.js";
+import { bytesToHex, sha256Hex } from "./hex.js";
+
+export const PRIVACY_METHOD = "personalData = {gamertag, emailHash, location, quiz} (null when absent); " +
+  "personalDataCommitment = SHA-256(salt || \":\" || RFC 8785 JSON of personalData), with a random 32-byte hex salt " +
+  "kept privately and erasable; entries sharing an emailHash share a random entrantRef (onePrizePerPerson)";
+
+// Entry fields replaced by personalDataCommitment in privacy mode
+export const PERSONAL_DATA_FIELDS = ["gamertag", "emailHash", "location", "quiz"];
+
+const PRIVACY_CONFIG = {
+  KEY_PREFIX: "private-entries:",
+  SALT_BYTES: 32,
+  ENTRANT_REF_BYTES: 16
+};
+
+/**
+ * Replace each entry's personal data with a salted commitment
+ * @param {Array} entries - Processed entries
+ * @returns {Promise<Object>} {entries: public entries, records: private records [{entryCode, salt, entrantRef, personalData}]}
+ */
+export async function protectEntries(entries) {
+  const entrantRefs = new Map();
+  const records = [];
+
+  const publicEntries = await Promise.all(entries.map(async (entry) => {
+    const personalData = extractPersonalData(entry);
+    const salt = randomHex(PRIVACY_CONFIG.SALT_BYTES);
+
+    // One reference per person (emailHash) within this draw
+    let entrantRef = null;
+    if (personalData.emailHash) {
+      if (!entrantRefs.has(personalData.emailHash)) {
+        entrantRefs.set(personalData.emailHash, randomHex(PRIVACY_CONFIG.ENTRANT_REF_BYTES));
+      }
+      entrantRef = entrantRefs.get(personalData.emailHash);
+    }
+
+    records.push({ entryCode: entry.entryCode, salt, entrantRef, personalData });
+
+    const publicEntry = { ...entry };
+    for (const field of PERSONAL_DATA_FIELDS) {
+      delete publicEntry[field];
+    }
+    publicEntry.personalDataCommitment = await computePersonalDataCommitment(salt, personalData);
+    publicEntry.entrantRef = entrantRef;
+    return publicEntry;
+  }));
+
+  return { entries: publicEntries, records };
+}
+
+/**
+ * Commitment to an entry's personal data
+ * @param {string} salt - Hex salt
+ * @param {Object} personalData - {gamertag, emailHash, location, quiz}
+ * @returns {Promise<string>} Hex SHA-256(salt || ":" || JCS(personalData))
+ */
+export async function computePersonalDataCommitment(salt, personalData) {
+  return sha256Hex(`${salt}:${canonicalize(personalData)}`);
+}
+
+/**
+ * Keep a draw's private records
+ * @param {string} drawId - Draw identifier
+ * @param {string|null} competitionId - Competition identifier (email hashes are salted per competition)
+ * @param {Array} records - Private records from protectEntries
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<void>}
+ */
+export async function storePrivateEntries(drawId, competitionId, records, env) {
+  await env.DRAW_STORE.put(`${PRIVACY_CONFIG.KEY_PREFIX}${drawId}`, JSON.stringify({
+    drawId: drawId,
+    competitionId: competitionId,
+    storedAt: new Date().toISOString(),
+    entries: records
+  }));
+}
+
+/**
+ * Delete a draw's private records (the draw failed after they were kept)
+ * @param {string} drawId - Draw identifier
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<void>}
+ */
+export async function discardPrivateEntries(drawId, env) {
+  await env.DRAW_STORE.delete(`${PRIVACY_CONFIG.KEY_PREFIX}${drawId}`);
+}
+
+/**
+ * Read a draw's private records
+ * @param {string} drawId - Draw identifier (validated by the caller)
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object|null>} {drawId, competitionId, storedAt, entries}, or null if the draw has none
+ */
+export async function getPrivateEntries(drawId, env) {
+  return env.DRAW_STORE.get(`${PRIVACY_CONFIG.KEY_PREFIX}${drawId}`, "json");
+}
+
+/**
+ * Open selected entries' commitments
+ * @param {Object} privateEntries - Record from getPrivateEntries
+ * @param {Function} matches - (record) => boolean, selects the entries to open
+ * @returns {Promise<Array>} [{entryCode, salt, entrantRef, personalData, personalDataCommitment}]
+ *   ([{entryCode, erasedAt}] for erased entries)
+ */
+export async function openPrivateEntries(privateEntries, matches) {
+  return Promise.all(privateEntries.entries.filter(matches).map(async (record) => record.erasedAt
+    ? { entryCode: record.entryCode, erasedAt: record.erasedAt }
+    : { ...record, personalDataCommitment: await computePersonalDataCommitment(record.salt, record.personalData) }));
+}
+
+/**
+ * Erase selected entries' personal data and salts
+ * The entry codes remain, marked with the erasure time, so repeated requests are answered.
+ * @param {Object} privateEntries - Record from getPrivateEntries
+ * @param {Function} matches - (record) => boolean, selects the entries to erase
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object>} {erased: [entryCode], alreadyErased: [entryCode]}
+ */
+export async function erasePrivateEntries(privateEntries, matches, env) {
+  const erasedAt = new Date().toISOString();
+  const erased = [];
+  const alreadyErased = [];
+
+  const entries = privateEntries.entries.map(record => {
+    if (!matches(record)) {
+      return record;
+    }
+    if (record.erasedAt) {
+      alreadyErased.push(record.entryCode);
+      return record;
+    }
+    erased.push(record.entryCode);
+    return { entryCode: record.entryCode, erasedAt };
+  });
+
+  if (erased.length > 0) {
+    await env.DRAW_STORE.put(`${PRIVACY_CONFIG.KEY_PREFIX}${privateEntries.drawId}`, JSON.stringify({ ...privateEntries, entries }));
+  }
+
+  return { erased, alreadyErased };
+}
+
+/**
+ * An entry's personal data, with every field present
+ * @param {Object} entry - Processed entry
+ * @returns {Object} {gamertag, emailHash, location, quiz}
+ */
+function extractPersonalData(entry) {
+  return Object.fromEntries(PERSONAL_DATA_FIELDS.map(field => [field, entry[field] ?? null]));
+}
+
+/**
+ * Random bytes as hex
+ * @param {number} length - Number of bytes
+ * @returns {string} Hex string
+ */
+function randomHex(length) {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(length)));
+}
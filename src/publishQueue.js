@@ -0,0 +1,320 @@
+/**
+ * VaultPlay Draw Worker - Durable Publish Queue
+ * =============================================
+ * Takes audit bundle publishing off the draw's critical path and makes sure a
+ * failed publication is never lost.
+ *
+ * Every draw with competition metadata is stored as a publication record in
+ * the DRAW_STORE KV namespace before the response is returned, then published
+ * in the background (ctx.waitUntil). Backends that fail are retried with
+ * backoff by the scheduled handler (cron trigger) until they succeed or
+ * PUBLISH_CONFIG.MAX_ATTEMPTS is reached; backends that already succeeded are
+ * not written again. POST /republish/:drawId forces an immediate retry, and
+ * GET /publications lists the draws that are still unpublished.
+ *
+ * Keys:
+ *   publication:<drawId>          record: status, per-backend results and pointers to the
+ *                                 bundle and companion files
+ *   blob:publication:<drawId>:<file>:<n>  the bundle and companion files, in chunks (see
+ *                                 ./blobStore.js), deleted once every backend has published
+ *   publication-pending:<drawId>  present until every backend has published; its metadata
+ *                                 lets the status endpoint and the retry sweep list
+ *                                 unpublished draws without reading their bundles
+ *
+ * Note: KV is eventually consistent, so a forced retry racing the scheduled
+ * sweep may write a bundle twice. Every write of a draw has identical content
+ * at the same path (the GitHub index keeps one entry per path).
+ */
+
+import { publishAuditBundle, getStorageBackends } from "./storage.js";
+import { putBlob, getBlob, deleteBlob } from "./blobStore.js";
+
+const PUBLISH_CONFIG = {
+  RECORD_PREFIX: "publication:",
+  BLOB_PREFIX: "publication:",
+  BUNDLE_BLOB_NAME: "bundle",
+  PENDING_PREFIX: "publication-pending:",
+  MAX_ATTEMPTS: 8,
+  // Delay before attempt n + 1 after attempt n fails (the last delay repeats)
+  RETRY_DELAYS_SECONDS: [60, 5 * 60, 15 * 60, 60 * 60, 3 * 60 * 60, 6 * 60 * 60, 12 * 60 * 60],
+  SWEEP_LIMIT: 25,                  // Publications retried per scheduled run
+  MAX_LIST_LIMIT: 100
+};
+
+export const PUBLICATION_STATUS = {
+  PENDING: "pending",       // Waiting for its first or next attempt
+  PUBLISHED: "published",   // Every configured backend stored the bundle
+  FAILED: "failed"          // Gave up after MAX_ATTEMPTS; only a forced retry publishes it
+};
+
+const DRAW_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Check a draw identifier is well formed
+ * @param {string} drawId - Draw identifier from a URL
+ * @returns {boolean} True for a lower-case UUID
+ */
+export function isValidDrawId(drawId) {
+  return typeof drawId === "string" && DRAW_ID_PATTERN.test(drawId);
+}
+
+/**
+ * Store a draw's audit bundle for publishing
+ * Amendments are queued under their amendmentId, with the amended draw's
+ * competition and timestamp and a filePath of amendment-<n>.json in its directory.
+ * Commitments are queued under their commitmentId, timestamped when they were made,
+ * with a filePath of commitment.json in a directory of their own.
+ * @param {Object} publication - {drawId, auditBundle, bundleHash, competition, drawTimestamp, companionFiles, filePath}
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object>} Publication status (without the bundle)
+ */
+export async function enqueuePublication({ drawId, auditBundle, bundleHash, competition, drawTimestamp, companionFiles, filePath }, env) {
+  // Step 1: Store the bundle and companion files as blobs (either may exceed one KV value)
+  const blobKey = name => `${PUBLISH_CONFIG.BLOB_PREFIX}${drawId}:${name}`;
+  const [bundleBlob, ...companionBlobs] = await Promise.all([
+    putBlob(
+      blobKey(PUBLISH_CONFIG.BUNDLE_BLOB_NAME),
+      JSON.stringify(auditBundle, (key, value) => typeof value === 'bigint' ? value.toString() : value),
+      env
+    ),
+    ...Object.entries(companionFiles || {}).map(async ([name, text]) => [name, await putBlob(blobKey(name), text, env)])
+  ]);
+
+  // Step 2: Store the record that points to them
+  const now = new Date().toISOString();
+  const record = {
+    drawId: drawId,
+    status: PUBLICATION_STATUS.PENDING,
+    competition: {
+      id: competition.id,
+      name: competition.name,
+      mode: competition.mode
+    },
+    drawTimestamp: drawTimestamp,
+    bundleHash: bundleHash,
+    filePath: filePath,
+    attempts: 0,
+    createdAt: now,
+    lastAttemptAt: null,
+    nextAttemptAt: now,
+    lastError: null,
+    backends: {},
+    bundleBlob: bundleBlob,
+    companionBlobs: Object.fromEntries(companionBlobs),
+    // Publication metadata added to the bundle by its first attempt, kept so retries write identical content
+    bundlePublication: null
+  };
+
+  await saveRecord(record, env);
+  return publicationStatus(record);
+}
+
+/**
+ * Attempt to publish a queued draw to every backend that has not stored it yet
+ * @param {string} drawId - Draw identifier
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} [options] - {force: retry even if not yet due or already failed, nowMs: current time}
+ * @returns {Promise<Object|null>} Publication status, or null if the draw is unknown
+ */
+export async function processPublication(drawId, env, { force = false, nowMs = Date.now() } = {}) {
+  const record = await loadRecord(drawId, env);
+  if (!record || record.status === PUBLICATION_STATUS.PUBLISHED) {
+    return record ? publicationStatus(record) : null;
+  }
+  if (!force && (record.status === PUBLICATION_STATUS.FAILED || Date.parse(record.nextAttemptAt) > nowMs)) {
+    return publicationStatus(record);
+  }
+
+  // Step 1: Load the bundle and companion files
+  const { bundle, companionFiles } = await loadPublicationFiles(record, env);
+
+  // Step 2: Write to the configured backends that do not have the bundle yet
+  const attempt = record.attempts + 1;
+  const backends = getStorageBackends(env).filter(name => !record.backends[name]?.published);
+  const result = await publishAuditBundle(
+    bundle,
+    record.bundleHash,
+    record.competition,
+    record.drawTimestamp,
+    env,
+    { filePath: record.filePath, companionFiles, backends }
+  );
+
+  // Step 3: Merge the results with earlier attempts
+  for (const [name, backendResult] of Object.entries(result.backends)) {
+    record.backends[name] = { ...backendResult, attempt };
+  }
+  record.attempts = attempt;
+  record.lastAttemptAt = new Date().toISOString();
+  if (record.bundleBlob) {
+    record.bundlePublication = bundle.publication || null;
+  }
+
+  // Step 4: Finish, schedule the next attempt, or give up
+  const failed = backends.filter(name => !record.backends[name].published);
+  if (failed.length === 0) {
+    record.status = PUBLICATION_STATUS.PUBLISHED;
+    record.nextAttemptAt = null;
+    record.lastError = null;
+  } else {
+    record.lastError = failed.map(name => `${name}: ${record.backends[name].error}`).join("; ");
+    if (attempt >= PUBLISH_CONFIG.MAX_ATTEMPTS) {
+      record.status = PUBLICATION_STATUS.FAILED;
+      record.nextAttemptAt = null;
+    } else {
+      const delays = PUBLISH_CONFIG.RETRY_DELAYS_SECONDS;
+      record.status = PUBLICATION_STATUS.PENDING;
+      record.nextAttemptAt = new Date(nowMs + delays[Math.min(attempt, delays.length) - 1] * 1000).toISOString();
+    }
+  }
+
+  await saveRecord(record, env);
+
+  // Step 5: Nothing reads the files of a published draw again
+  if (record.status === PUBLICATION_STATUS.PUBLISHED && record.bundleBlob) {
+    await Promise.all([record.bundleBlob, ...Object.values(record.companionBlobs)].map(pointer => deleteBlob(pointer, env)));
+  }
+  return publicationStatus(record);
+}
+
+/**
+ * Retry every pending publication that is due (scheduled handler)
+ * @param {Object} env - Environment variables and bindings
+ * @param {number} [nowMs] - Time of the scheduled run
+ * @returns {Promise<Array<Object>>} Status of each publication retried
+ */
+export async function retryDuePublications(env, nowMs = Date.now()) {
+  const due = [];
+  let cursor;
+
+  do {
+    const page = await env.DRAW_STORE.list({ prefix: PUBLISH_CONFIG.PENDING_PREFIX, cursor });
+    for (const key of page.keys) {
+      const meta = key.metadata || {};
+      if (meta.status === PUBLICATION_STATUS.PENDING && Date.parse(meta.nextAttemptAt) <= nowMs) {
+        due.push(key.name.substring(PUBLISH_CONFIG.PENDING_PREFIX.length));
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && due.length < PUBLISH_CONFIG.SWEEP_LIMIT);
+
+  // One at a time: each publication may make several GitHub API calls
+  const results = [];
+  for (const drawId of due.slice(0, PUBLISH_CONFIG.SWEEP_LIMIT)) {
+    try {
+      results.push(await processPublication(drawId, env, { nowMs }));
+    } catch (error) {
+      console.error(`Scheduled publication retry for draw ${drawId} failed:`, error);
+    }
+  }
+  return results;
+}
+
+/**
+ * Publication status of a draw
+ * @param {string} drawId - Draw identifier
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object|null>} Publication status, or null if the draw is unknown
+ */
+export async function getPublicationStatus(drawId, env) {
+  const record = await loadRecord(drawId, env);
+  return record ? publicationStatus(record) : null;
+}
+
+/**
+ * List draws that are not yet published to every backend
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @param {Object} [options] - {cursor, limit}
+ * @returns {Promise<Object>} {publications: [{drawId, status, competitionId, mode, attempts, nextAttemptAt}], cursor}
+ */
+export async function listUnpublished(env, { cursor, limit = PUBLISH_CONFIG.MAX_LIST_LIMIT } = {}) {
+  const page = await env.DRAW_STORE.list({
+    prefix: PUBLISH_CONFIG.PENDING_PREFIX,
+    cursor: cursor || undefined,
+    limit: Math.min(Math.max(limit, 1), PUBLISH_CONFIG.MAX_LIST_LIMIT)
+  });
+
+  return {
+    publications: page.keys.map(key => ({
+      drawId: key.name.substring(PUBLISH_CONFIG.PENDING_PREFIX.length),
+      ...key.metadata
+    })),
+    cursor: page.list_complete ? null : page.cursor
+  };
+}
+
+/**
+ * Load a publication record
+ * @param {string} drawId - Draw identifier
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object|null>} Record, or null if not found
+ */
+async function loadRecord(drawId, env) {
+  if (!isValidDrawId(drawId)) {
+    return null;
+  }
+  return env.DRAW_STORE.get(`${PUBLISH_CONFIG.RECORD_PREFIX}${drawId}`, "json");
+}
+
+/**
+ * Store a publication record and keep its pending marker in step
+ * @param {Object} record - Publication record
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<void>}
+ */
+async function saveRecord(record, env) {
+  await env.DRAW_STORE.put(
+    `${PUBLISH_CONFIG.RECORD_PREFIX}${record.drawId}`,
+    JSON.stringify(record, (key, value) => typeof value === 'bigint' ? value.toString() : value)
+  );
+
+  const pendingKey = `${PUBLISH_CONFIG.PENDING_PREFIX}${record.drawId}`;
+  if (record.status === PUBLICATION_STATUS.PUBLISHED) {
+    await env.DRAW_STORE.delete(pendingKey);
+  } else {
+    await env.DRAW_STORE.put(pendingKey, "", {
+      metadata: {
+        status: record.status,
+        competitionId: record.competition.id,
+        mode: record.competition.mode,
+        drawTimestamp: record.drawTimestamp,
+        attempts: record.attempts,
+        nextAttemptAt: record.nextAttemptAt
+      }
+    });
+  }
+}
+
+/**
+ * Load a publication's bundle and companion files
+ * @param {Object} record - Publication record
+ * @param {Object} env - Environment variables (DRAW_STORE)
+ * @returns {Promise<Object>} {bundle, companionFiles}
+ */
+async function loadPublicationFiles(record, env) {
+  if (!record.bundleBlob) {
+    // Queued before bundles were stored as blobs: the record holds them inline
+    return { bundle: record.bundle, companionFiles: record.companionFiles };
+  }
+
+  const bundle = JSON.parse(await getBlob(record.bundleBlob, env));
+  if (record.bundlePublication) {
+    // In the order publishAuditBundle adds them, so the bundle serializes as before
+    bundle.bundleHash = record.bundleHash;
+    bundle.publication = record.bundlePublication;
+  }
+  const companionFiles = Object.fromEntries(await Promise.all(
+    Object.entries(record.companionBlobs).map(async ([name, pointer]) => [name, await getBlob(pointer, env)])
+  ));
+  return { bundle, companionFiles };
+}
+
+/**
+ * Public view of a publication record (everything except the bundle and companion files)
+ * @param {Object} record - Publication record
+ * @returns {Object} Publication status
+ */
+function publicationStatus(record) {
+  const { bundle, companionFiles, bundleBlob, companionBlobs, bundlePublication, ...status } = record;
+  return status;
+}
@@ -0,0 +1,178 @@
+/**
+ * VaultPlay Draw Worker - Server-Side Quiz Marking
+ * ================================================
+ * Marks skill questions in the worker instead of trusting a client-supplied
+ * quiz.answerCorrect.
+ *
+ * A competition declares its questions once in competition.quiz, with the
+ * accepted answers as salted hashes (or in plain text, which the worker hashes
+ * before anything is published):
+ *
+ *   answerHash = SHA-256(salt || normalise(answer))
+ *   normalise(answer) = NFKC, lower case, whitespace runs collapsed to one
+ *                       space, leading/trailing whitespace removed
+ *
+ * An entry passes when at least passThreshold questions (default: all) are
+ * answered correctly. The audit bundle publishes the salt and accepted-answer
+ * hashes alongside every entry's answers, so anyone can re-mark the quiz.
+ */
+
+import { sha256Hex } from "./hex.js";
+
+const QUIZ_CONFIG = {
+  MAX_QUESTIONS: 20,
+  MAX_QUESTION_ID_LENGTH: 64,
+  MAX_QUESTION_LENGTH: 500,        // Matches CONFIG.MAX_QUIZ_FIELD_LENGTH
+  MAX_ACCEPTED_ANSWERS: 100,       // Per question
+  MIN_SALT_LENGTH: 16,
+  MAX_SALT_LENGTH: 256
+};
+
+// Published description of the marking, recorded in every audit bundle
+export const QUIZ_MARKING_METHOD = "answerHash = SHA-256(salt || normalise(answerGiven)), " +
+  "normalise = Unicode NFKC, lower case, whitespace runs collapsed to one space, trimmed; " +
+  "an answer is correct if its hash is listed for the question, an entry passes with at least passThreshold correct answers";
+
+/**
+ * Validate and normalise a quiz declaration (trims question ids, sets passThreshold)
+ * @param {Object} quiz - competition.quiz
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+export function validateQuiz(quiz) {
+  if (!quiz || typeof quiz !== "object" || Array.isArray(quiz)) {
+    return { valid: false, error: "Field 'competition.quiz' must be an object" };
+  }
+
+  if (typeof quiz.salt !== "string" || quiz.salt.length < QUIZ_CONFIG.MIN_SALT_LENGTH ||
+      quiz.salt.length > QUIZ_CONFIG.MAX_SALT_LENGTH) {
+    return {
+      valid: false,
+      error: `Field 'competition.quiz.salt' must be a string of ${QUIZ_CONFIG.MIN_SALT_LENGTH}-${QUIZ_CONFIG.MAX_SALT_LENGTH} characters`
+    };
+  }
+
+  const { questions } = quiz;
+  if (!Array.isArray(questions) || questions.length === 0 || questions.length > QUIZ_CONFIG.MAX_QUESTIONS) {
+    return { valid: false, error: `Field 'competition.quiz.questions' must list 1-${QUIZ_CONFIG.MAX_QUESTIONS} questions` };
+  }
+
+  const ids = new Set();
+  for (let i = 0; i < questions.length; i++) {
+    const question = questions[i];
+    const field = `competition.quiz.questions[${i}]`;
+
+    if (!question || typeof question !== "object" || Array.isArray(question)) {
+      return { valid: false, error: `Field '${field}' must be an object` };
+    }
+    if (typeof question.id !== "string" || question.id.trim().length === 0 ||
+        question.id.trim().length > QUIZ_CONFIG.MAX_QUESTION_ID_LENGTH) {
+      return { valid: false, error: `Field '${field}.id' must be a string of 1-${QUIZ_CONFIG.MAX_QUESTION_ID_LENGTH} characters` };
+    }
+    question.id = question.id.trim();
+    if (ids.has(question.id)) {
+      return { valid: false, error: `Duplicate quiz question id: "${question.id}"` };
+    }
+    ids.add(question.id);
+
+    if (question.question !== undefined &&
+        (typeof question.question !== "string" || question.question.length > QUIZ_CONFIG.MAX_QUESTION_LENGTH)) {
+      return { valid: false, error: `Field '${field}.question' must be a string of at most ${QUIZ_CONFIG.MAX_QUESTION_LENGTH} characters` };
+    }
+
+    const hashes = question.acceptedAnswerHashes;
+    if (hashes !== undefined && (!Array.isArray(hashes) || hashes.length > QUIZ_CONFIG.MAX_ACCEPTED_ANSWERS ||
+        hashes.some(hash => typeof hash !== "string" || !/^[0-9a-fA-F]{64}$/.test(hash)))) {
+      return { valid: false, error: `Field '${field}.acceptedAnswerHashes' must be a list of SHA-256 hex hashes` };
+    }
+
+    const answers = question.acceptedAnswers;
+    if (answers !== undefined && (!Array.isArray(answers) || answers.length > QUIZ_CONFIG.MAX_ACCEPTED_ANSWERS ||
+        answers.some(answer => typeof answer !== "string" || normaliseAnswer(answer).length === 0))) {
+      return { valid: false, error: `Field '${field}.acceptedAnswers' must be a list of non-empty strings` };
+    }
+
+    if ((hashes || []).length + (answers || []).length === 0) {
+      return { valid: false, error: `Field '${field}' must have 'acceptedAnswerHashes' or 'acceptedAnswers'` };
+    }
+  }
+
+  if (quiz.passThreshold === undefined) {
+    quiz.passThreshold = questions.length;
+  } else if (!Number.isSafeInteger(quiz.passThreshold) || quiz.passThreshold < 1 || quiz.passThreshold > questions.length) {
+    return { valid: false, error: `Field 'competition.quiz.passThreshold' must be an integer between 1 and ${questions.length}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Prepare a validated quiz for marking
+ * Plain-text accepted answers are replaced in place by their salted hashes,
+ * so only hashes reach the audit bundle.
+ * @param {Object} quiz - Validated competition.quiz
+ * @returns {Promise<Object>} Marker {mark(entryQuiz)} - resolves to the entry's marked quiz
+ */
+export async function prepareQuiz(quiz) {
+  const cache = new Map();
+  const hashAnswer = (answer) => {
+    const normalised = normaliseAnswer(answer);
+    if (!cache.has(normalised)) {
+      cache.set(normalised, sha256Hex(quiz.salt + normalised));
+    }
+    return cache.get(normalised);
+  };
+
+  for (const question of quiz.questions) {
+    if (question.acceptedAnswers) {
+      const hashes = await Promise.all(question.acceptedAnswers.map(hashAnswer));
+      question.acceptedAnswerHashes = [...new Set([...(question.acceptedAnswerHashes || []), ...hashes])].sort();
+      delete question.acceptedAnswers;
+    }
+    question.acceptedAnswerHashes = question.acceptedAnswerHashes.map(hash => hash.toLowerCase());
+  }
+
+  const accepted = new Map(quiz.questions.map(question => [question.id, new Set(question.acceptedAnswerHashes)]));
+
+  return {
+    /**
+     * Mark one entry's answers
+     * @param {Object|null} entryQuiz - Entry's quiz: {answers: {questionId: answerGiven}},
+     *   or {answerGiven} for single-question quizzes
+     * @returns {Promise<Object>} {answers, correctAnswers, answerCorrect}
+     */
+    async mark(entryQuiz) {
+      const answers = {};
+      if (entryQuiz?.answers) {
+        for (const question of quiz.questions) {
+          if (typeof entryQuiz.answers[question.id] === "string") {
+            answers[question.id] = entryQuiz.answers[question.id];
+          }
+        }
+      } else if (typeof entryQuiz?.answerGiven === "string" && quiz.questions.length === 1) {
+        answers[quiz.questions[0].id] = entryQuiz.answerGiven;
+      }
+
+      let correctAnswers = 0;
+      for (const [id, answer] of Object.entries(answers)) {
+        if (accepted.get(id).has(await hashAnswer(answer))) {
+          correctAnswers++;
+        }
+      }
+
+      return {
+        answers: answers,
+        correctAnswers: correctAnswers,
+        answerCorrect: correctAnswers >= quiz.passThreshold
+      };
+    }
+  };
+}
+
+/**
+ * Normalise an answer for comparison
+ * @param {string} answer - Answer text
+ * @returns {string} NFKC, lower case, whitespace collapsed and trimmed
+ */
+export function normaliseAnswer(answer) {
+  return answer.normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim();
+}
@@ -0,0 +1,229 @@
+/**
+ * VaultPlay Draw Worker - Rate Limiting
+ * =====================================
+ * Every draw hashes up to 100,000 entries and publishes to several storage
+ * backends, so draws (/startdraw and /reveal) are limited per authenticated
+ * client and per client IP address (CF-Connecting-IP). Live and test draws
+ * have separate budgets, so test traffic cannot use up the budget of live
+ * draws; draws without competition metadata count as test draws.
+ *
+ * Each budget is a fixed window counted by its own RateLimiter Durable Object
+ * (one object per client or IP and mode), which sees every request for its key
+ * in order, so the count is exact across edge locations. A request must fit
+ * both its client and its IP budget; responses carry the tighter of the two as
+ * RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy
+ * (IETF draft-ietf-httpapi-ratelimit-headers), plus Retry-After when refused.
+ *
+ * Limits are set per environment with RATE_LIMITS (a wrangler.toml var, as
+ * a table or a JSON string); 0 disables a limit:
+ *
+ *   RATE_LIMITS = { windowSeconds = 60, live = { client = 10, ip = 20 }, test = { client = 60, ip = 120 } }
+ *
+ * Omitted values keep the defaults below. Without the RATE_LIMITER binding
+ * draws are not rate limited.
+ */
+
+export const RATE_LIMIT_MODES = ["live", "test"];
+
+const RATE_LIMIT_CONFIG = {
+  // Defaults, overridden per environment by RATE_LIMITS
+  DEFAULTS: {
+    windowSeconds: 60,
+    live: { client: 10, ip: 20 },
+    test: { client: 60, ip: 120 }
+  },
+  MAX_WINDOW_SECONDS: 24 * 60 * 60,
+  MAX_LIMIT: 1000000,
+  SCOPES: ["client", "ip"],
+  IP_HEADER: "CF-Connecting-IP",
+  // Durable Object requests never leave the worker; the host is a placeholder
+  CONSUME_URL: "https://rate-limiter/consume"
+};
+
+/**
+ * Raised when RATE_LIMITS is malformed
+ */
+export class RateLimitConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RateLimitConfigError";
+  }
+}
+
+/**
+ * Durable Object counting one budget's requests in fixed windows
+ * The count is kept in storage, so it survives the object being evicted, and is
+ * deleted by an alarm once its window has ended.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} state - Durable Object state (storage)
+   * @param {Object} env - Environment variables
+   */
+  constructor(state, env) {
+    this.state = state;
+  }
+
+  /**
+   * Count one request against the budget, unless it is already used up
+   * Body: {limit, windowSeconds}
+   * @param {Request} request - Request from consumeRateLimits
+   * @returns {Promise<Response>} JSON {allowed, limit, remaining, reset (seconds until the window ends)}
+   */
+  async fetch(request) {
+    const { limit, windowSeconds } = await request.json();
+    const now = Date.now();
+    const windowMs = windowSeconds * 1000;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+
+    let window = await this.state.storage.get("window");
+    if (!window || window.start !== windowStart || window.windowSeconds !== windowSeconds) {
+      window = { start: windowStart, windowSeconds: windowSeconds, count: 0 };
+    }
+
+    const allowed = window.count < limit;
+    if (allowed) {
+      window.count++;
+      await this.state.storage.put("window", window);
+      await this.state.storage.setAlarm(windowStart + windowMs);
+    }
+
+    return Response.json({
+      allowed: allowed,
+      limit: limit,
+      remaining: Math.max(0, limit - window.count),
+      reset: Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000))
+    });
+  }
+
+  /**
+   * Delete the count once its window has ended
+   * @returns {Promise<void>}
+   */
+  async alarm() {
+    const window = await this.state.storage.get("window");
+    if (window && window.start + window.windowSeconds * 1000 <= Date.now()) {
+      await this.state.storage.deleteAll();
+    }
+  }
+}
+
+/**
+ * Budget a draw counts against
+ * @param {Object|undefined} competition - Competition from the request
+ * @returns {string} "live" for live competitions, otherwise "test"
+ */
+export function getRateLimitMode(competition) {
+  return typeof competition?.mode === "string" && competition.mode.trim().toLowerCase() === "live" ? "live" : "test";
+}
+
+/**
+ * Count a draw against its client and IP budgets
+ * @param {Request} request - Incoming request (CF-Connecting-IP)
+ * @param {Object} env - Environment variables (RATE_LIMITER, RATE_LIMITS)
+ * @param {Object} options - {clientId, mode}
+ * @returns {Promise<Object|null>} The tighter budget {allowed, scope, mode, limit, remaining, reset, windowSeconds},
+ *   or null if rate limiting is not configured or every limit is disabled
+ * @throws {RateLimitConfigError} If RATE_LIMITS is malformed
+ */
+export async function consumeRateLimits(request, env, { clientId, mode }) {
+  if (!env.RATE_LIMITER) {
+    return null;
+  }
+
+  const config = getRateLimitConfig(env);
+  const keys = {
+    client: clientId,
+    ip: request.headers.get(RATE_LIMIT_CONFIG.IP_HEADER)
+  };
+  const budgets = RATE_LIMIT_CONFIG.SCOPES
+    .filter(scope => keys[scope] && config[mode][scope] > 0)
+    .map(scope => ({ scope, key: `${scope}:${mode}:${keys[scope]}`, limit: config[mode][scope] }));
+  if (budgets.length === 0) {
+    return null;
+  }
+
+  const results = await Promise.all(budgets.map(async ({ scope, key, limit }) => {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+    const response = await stub.fetch(RATE_LIMIT_CONFIG.CONSUME_URL, {
+      method: "POST",
+      body: JSON.stringify({ limit, windowSeconds: config.windowSeconds })
+    });
+    return { scope, mode, windowSeconds: config.windowSeconds, ...(await response.json()) };
+  }));
+
+  // A refused budget first, then the one with the fewest requests left
+  return results.reduce((tightest, result) => {
+    if (tightest.allowed !== result.allowed) {
+      return tightest.allowed ? result : tightest;
+    }
+    return result.remaining < tightest.remaining ? result : tightest;
+  });
+}
+
+/**
+ * Response headers describing a budget
+ * @param {Object|null} result - Result from consumeRateLimits
+ * @returns {Object} RateLimit-* headers (and Retry-After when refused); empty without a result
+ */
+export function rateLimitHeaders(result) {
+  if (!result) {
+    return {};
+  }
+
+  const headers = {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.reset),
+    "RateLimit-Policy": `${result.limit};w=${result.windowSeconds}`
+  };
+  if (!result.allowed) {
+    headers["Retry-After"] = String(result.reset);
+  }
+  return headers;
+}
+
+/**
+ * Rate limits for this environment: RATE_LIMITS over the defaults
+ * @param {Object} env - Environment variables (RATE_LIMITS)
+ * @returns {Object} {windowSeconds, live: {client, ip}, test: {client, ip}}
+ * @throws {RateLimitConfigError} If RATE_LIMITS is malformed
+ */
+function getRateLimitConfig(env) {
+  const defaults = RATE_LIMIT_CONFIG.DEFAULTS;
+  if (env.RATE_LIMITS === undefined || env.RATE_LIMITS === null || env.RATE_LIMITS === "") {
+    return defaults;
+  }
+
+  let overrides;
+  try {
+    overrides = typeof env.RATE_LIMITS === "string" ? JSON.parse(env.RATE_LIMITS) : env.RATE_LIMITS;
+  } catch (error) {
+    throw new RateLimitConfigError("RATE_LIMITS must be a JSON object");
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new RateLimitConfigError("RATE_LIMITS must be an object");
+  }
+
+  const windowSeconds = overrides.windowSeconds ?? defaults.windowSeconds;
+  if (!Number.isSafeInteger(windowSeconds) || windowSeconds < 1 || windowSeconds > RATE_LIMIT_CONFIG.MAX_WINDOW_SECONDS) {
+    throw new RateLimitConfigError(`RATE_LIMITS.windowSeconds must be an integer between 1 and ${RATE_LIMIT_CONFIG.MAX_WINDOW_SECONDS}`);
+  }
+
+  const config = { windowSeconds };
+  for (const mode of RATE_LIMIT_MODES) {
+    const modeOverrides = overrides[mode] ?? {};
+    if (typeof modeOverrides !== "object" || Array.isArray(modeOverrides)) {
+      throw new RateLimitConfigError(`RATE_LIMITS.${mode} must be an object`);
+    }
+    config[mode] = {};
+    for (const scope of RATE_LIMIT_CONFIG.SCOPES) {
+      const limit = modeOverrides[scope] ?? defaults[mode][scope];
+      if (!Number.isSafeInteger(limit) || limit < 0 || limit > RATE_LIMIT_CONFIG.MAX_LIMIT) {
+        throw new RateLimitConfigError(`RATE_LIMITS.${mode}.${scope} must be an integer between 0 and ${RATE_LIMIT_CONFIG.MAX_LIMIT}`);
+      }
+      config[mode][scope] = limit;
+    }
+  }
+  return config;
+}
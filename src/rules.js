@@ -0,0 +1,246 @@
+/**
+ * VaultPlay Draw Worker - Eligibility Rules
+ * =========================================
+ * Evaluates the eligibility rules a competition declares in
+ * competition.rules. Each entry is disqualified by the first rule it fails,
+ * with a stable disqualificationCode and a human-readable reason:
+ *
+ * - requiredFields:     MISSING_REQUIRED_FIELD
+ * - allowedCountries:   COUNTRY_NOT_ALLOWED (location.country is required)
+ * - blockedCountries:   COUNTRY_BLOCKED
+ * - entryWindow:        OUTSIDE_ENTRY_WINDOW (entryTimestamp is required)
+ * - minimumAge:         UNDER_MINIMUM_AGE (age on the entryTimestamp; dateOfBirth
+ *                       and entryTimestamp are required)
+ * - maxEntriesPerEmail: ENTRY_LIMIT_EXCEEDED (an email's earliest entries by
+ *                       entryTimestamp, then entryCode, stay qualified)
+ *
+ * Every rule depends only on the entries and the rule set, so a commitment
+ * and its reveal always agree on which entries qualify. dateOfBirth is only
+ * read here; it is never stored in the processed entry or the audit bundle.
+ */
+
+const RULES_CONFIG = {
+  MAX_COUNTRIES: 300,          // Maximum countries in an allow or block list
+  MAX_COUNTRY_LENGTH: 100,     // Matches CONFIG.MAX_LOCATION_LENGTH
+  MAX_MINIMUM_AGE: 120
+};
+
+// Stable codes recorded as disqualificationCode
+export const DISQUALIFICATION_CODES = {
+  MISSING_REQUIRED_FIELD: "MISSING_REQUIRED_FIELD",
+  COUNTRY_NOT_ALLOWED: "COUNTRY_NOT_ALLOWED",
+  COUNTRY_BLOCKED: "COUNTRY_BLOCKED",
+  OUTSIDE_ENTRY_WINDOW: "OUTSIDE_ENTRY_WINDOW",
+  INVALID_ENTRY_TIMESTAMP: "INVALID_ENTRY_TIMESTAMP",
+  UNDER_MINIMUM_AGE: "UNDER_MINIMUM_AGE",
+  ENTRY_LIMIT_EXCEEDED: "ENTRY_LIMIT_EXCEEDED",
+  QUIZ_INCORRECT: "QUIZ_INCORRECT"
+};
+
+// Fields requiredFields may name, and how each is read from a submitted entry
+const REQUIRED_FIELD_READERS = {
+  gamertag: entry => entry.gamertag,
+  email: entry => entry.email,
+  entryTimestamp: entry => entry.entryTimestamp,
+  dateOfBirth: entry => entry.dateOfBirth,
+  "location.country": entry => entry.location?.country,
+  "location.region": entry => entry.location?.region,
+  quiz: entry => entry.quiz
+};
+
+const RULE_NAMES = ["requiredFields", "allowedCountries", "blockedCountries", "entryWindow", "minimumAge", "maxEntriesPerEmail"];
+
+/**
+ * Validate and normalise a rule set (trims country codes in place)
+ * @param {Object} rules - competition.rules
+ * @returns {Object} Validation result with {valid: boolean, error?: string}
+ */
+export function validateRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return { valid: false, error: "Field 'competition.rules' must be an object" };
+  }
+
+  const unknown = Object.keys(rules).find(name => !RULE_NAMES.includes(name));
+  if (unknown) {
+    return { valid: false, error: `Unknown eligibility rule 'competition.rules.${unknown}'` };
+  }
+
+  if (rules.requiredFields !== undefined) {
+    const fields = rules.requiredFields;
+    if (!Array.isArray(fields) || fields.length === 0 ||
+        fields.some(field => !Object.prototype.hasOwnProperty.call(REQUIRED_FIELD_READERS, field)) ||
+        new Set(fields).size !== fields.length) {
+      return {
+        valid: false,
+        error: `Field 'competition.rules.requiredFields' must be a list of distinct fields from: ${Object.keys(REQUIRED_FIELD_READERS).join(", ")}`
+      };
+    }
+  }
+
+  for (const name of ["allowedCountries", "blockedCountries"]) {
+    if (rules[name] === undefined) {
+      continue;
+    }
+    const countries = rules[name];
+    if (!Array.isArray(countries) || countries.length === 0 || countries.length > RULES_CONFIG.MAX_COUNTRIES ||
+        countries.some(country => typeof country !== "string" || country.trim().length === 0 ||
+          country.length > RULES_CONFIG.MAX_COUNTRY_LENGTH)) {
+      return {
+        valid: false,
+        error: `Field 'competition.rules.${name}' must be a list of 1-${RULES_CONFIG.MAX_COUNTRIES} country names or codes`
+      };
+    }
+    rules[name] = countries.map(country => country.trim());
+  }
+
+  if (rules.entryWindow !== undefined) {
+    const window = rules.entryWindow;
+    if (!window || typeof window !== "object" || Array.isArray(window) ||
+        (window.opens === undefined && window.closes === undefined)) {
+      return { valid: false, error: "Field 'competition.rules.entryWindow' must be an object with 'opens' and/or 'closes'" };
+    }
+    for (const bound of ["opens", "closes"]) {
+      if (window[bound] !== undefined && (typeof window[bound] !== "string" || Number.isNaN(Date.parse(window[bound])))) {
+        return { valid: false, error: `Field 'competition.rules.entryWindow.${bound}' must be an ISO 8601 timestamp` };
+      }
+    }
+    if (window.opens !== undefined && window.closes !== undefined && Date.parse(window.opens) >= Date.parse(window.closes)) {
+      return { valid: false, error: "Field 'competition.rules.entryWindow' must open before it closes" };
+    }
+  }
+
+  if (rules.minimumAge !== undefined &&
+      (!Number.isSafeInteger(rules.minimumAge) || rules.minimumAge < 1 || rules.minimumAge > RULES_CONFIG.MAX_MINIMUM_AGE)) {
+    return { valid: false, error: `Field 'competition.rules.minimumAge' must be an integer between 1 and ${RULES_CONFIG.MAX_MINIMUM_AGE}` };
+  }
+
+  if (rules.maxEntriesPerEmail !== undefined && (!Number.isSafeInteger(rules.maxEntriesPerEmail) || rules.maxEntriesPerEmail < 1)) {
+    return { valid: false, error: "Field 'competition.rules.maxEntriesPerEmail' must be a positive integer" };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Evaluate the per-entry rules against a submitted entry
+ * (maxEntriesPerEmail spans entries; see applyEntriesPerEmailLimit)
+ * @param {Object|null} rules - Validated competition.rules
+ * @param {Object} entry - Submitted entry (validated)
+ * @returns {Object|null} {code, reason} for the first failed rule, or null if eligible
+ */
+export function evaluateEntryRules(rules, entry) {
+  if (!rules) {
+    return null;
+  }
+
+  // Fields the rules themselves depend on are required too
+  const requiredFields = [...(rules.requiredFields || [])];
+  if (rules.allowedCountries) requiredFields.push("location.country");
+  if (rules.entryWindow || rules.minimumAge) requiredFields.push("entryTimestamp");
+  if (rules.minimumAge) requiredFields.push("dateOfBirth");
+
+  for (const field of requiredFields) {
+    const value = REQUIRED_FIELD_READERS[field](entry);
+    if (value === undefined || value === null || (typeof value === "string" && value.trim().length === 0)) {
+      return disqualify(DISQUALIFICATION_CODES.MISSING_REQUIRED_FIELD, `Missing required field: ${field}`);
+    }
+  }
+
+  const country = entry.location?.country ? entry.location.country.trim().toUpperCase() : null;
+  if (rules.allowedCountries && !rules.allowedCountries.some(allowed => allowed.toUpperCase() === country)) {
+    return disqualify(DISQUALIFICATION_CODES.COUNTRY_NOT_ALLOWED, "Country not eligible");
+  }
+  if (rules.blockedCountries && country && rules.blockedCountries.some(blocked => blocked.toUpperCase() === country)) {
+    return disqualify(DISQUALIFICATION_CODES.COUNTRY_BLOCKED, "Country excluded from this competition");
+  }
+
+  if (rules.entryWindow || rules.minimumAge) {
+    const enteredAt = Date.parse(entry.entryTimestamp);
+    if (Number.isNaN(enteredAt)) {
+      return disqualify(DISQUALIFICATION_CODES.INVALID_ENTRY_TIMESTAMP, "Entry timestamp is not a valid date");
+    }
+
+    const { opens, closes } = rules.entryWindow || {};
+    if ((opens !== undefined && enteredAt < Date.parse(opens)) || (closes !== undefined && enteredAt > Date.parse(closes))) {
+      return disqualify(DISQUALIFICATION_CODES.OUTSIDE_ENTRY_WINDOW, "Entered outside the entry window");
+    }
+
+    if (rules.minimumAge && ageOn(entry.dateOfBirth, new Date(enteredAt)) < rules.minimumAge) {
+      return disqualify(DISQUALIFICATION_CODES.UNDER_MINIMUM_AGE, `Under the minimum age of ${rules.minimumAge}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Disqualify entries beyond maxEntriesPerEmail (modifies the processed entries)
+ * Only qualified entries with an emailHash count; each email keeps its earliest
+ * entries by entryTimestamp (entries without one last), then entryCode.
+ * @param {Array} entries - Processed entries (from processEntries)
+ * @param {Object|null} rules - Validated competition.rules
+ * @returns {Array} The same entries
+ */
+export function applyEntriesPerEmailLimit(entries, rules) {
+  const limit = rules?.maxEntriesPerEmail;
+  if (!limit) {
+    return entries;
+  }
+
+  const byEmail = new Map();
+  for (const entry of entries) {
+    if (entry.status === "qualified" && entry.emailHash) {
+      if (!byEmail.has(entry.emailHash)) {
+        byEmail.set(entry.emailHash, []);
+      }
+      byEmail.get(entry.emailHash).push(entry);
+    }
+  }
+
+  const entryTime = entry => {
+    const time = entry.entryTimestamp ? Date.parse(entry.entryTimestamp) : NaN;
+    return Number.isNaN(time) ? Infinity : time;
+  };
+
+  for (const group of byEmail.values()) {
+    if (group.length <= limit) {
+      continue;
+    }
+    group.sort((a, b) => entryTime(a) - entryTime(b) ||
+      (a.entryCode < b.entryCode ? -1 : a.entryCode > b.entryCode ? 1 : 0));
+    for (const entry of group.slice(limit)) {
+      entry.status = "disqualified";
+      entry.disqualificationCode = DISQUALIFICATION_CODES.ENTRY_LIMIT_EXCEEDED;
+      entry.disqualificationReason = `More than ${limit} entries from the same email`;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Whole years between a date of birth and a date
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @param {Date} date - Date the age is measured on
+ * @returns {number} Age in years
+ */
+function ageOn(dateOfBirth, date) {
+  const [year, month, day] = dateOfBirth.split("-").map(Number);
+  let age = date.getUTCFullYear() - year;
+  const beforeBirthday = date.getUTCMonth() + 1 < month ||
+    (date.getUTCMonth() + 1 === month && date.getUTCDate() < day);
+  if (beforeBirthday) {
+    age--;
+  }
+  return age;
+}
+
+/**
+ * Build a rule failure
+ * @param {string} code - Disqualification code
+ * @param {string} reason - Human-readable reason
+ * @returns {Object} {code, reason}
+ */
+function disqualify(code, reason) {
+  return { code, reason };
+}
@@ -0,0 +1,218 @@
+/**
+ * VaultPlay Draw Worker - Audit Bundle Signing
+ * ============================================
+ * Signs every audit bundle with the worker's Ed25519 key, so a bundle can be
+ * shown to come from the worker and not only to be internally consistent
+ * (anyone can recompute bundleHash for a forged bundle; only the worker can
+ * sign it).
+ *
+ * The signature covers the bundle hash, which covers the bundle as generated:
+ *
+ *   signature = Ed25519(privateKey, UTF-8("vaultplay-audit-bundle:" || bundleHash))
+ *
+ * It is attached to the bundle as `signature` ({algorithm, keyId, value}) after
+ * hashing, alongside bundleHash and publication, and verifiers remove all three
+ * before recomputing the hash.
+ *
+ * Keys:
+ *   BUNDLE_SIGNING_KEY     secret: hex Ed25519 private key (32 bytes) that signs new bundles
+ *   BUNDLE_SIGNING_KEY_ID  identifier of that key, recorded in each signature
+ *   BUNDLE_PUBLIC_KEYS     JSON array of earlier keys, [{keyId, publicKey, retiredAt}], kept
+ *                          so bundles they signed still verify after a rotation
+ *
+ * Every key is published at /.well-known/vaultplay-keys.json. A retired key only
+ * verifies bundles drawn before its retiredAt time.
+ *
+ * Depends only on @noble/curves and ./hex.js, so the offline verifier can use it too.
+ */
+
+import { ed25519 } from "@noble/curves/ed25519";
+import { bytesToHex } from "./hex.js";
+
+export const SIGNATURE_ALGORITHM = "Ed25519";
+
+export const SIGNATURE_METHOD = "Ed25519 signature over UTF-8 \"vaultplay-audit-bundle:\" || bundleHash, " +
+  "checked with the public key published under keyId at /.well-known/vaultplay-keys.json";
+
+const SIGNING_CONFIG = {
+  MESSAGE_PREFIX: "vaultplay-audit-bundle:",
+  KEY_PATTERN: /^[0-9a-f]{64}$/,             // 32-byte private or public key, hex
+  SIGNATURE_PATTERN: /^[0-9a-f]{128}$/,      // 64-byte signature, hex
+  KEY_ID_PATTERN: /^[A-Za-z0-9._-]{1,64}$/
+};
+
+/**
+ * Raised when the signing keys in the environment are malformed
+ */
+export class SigningKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SigningKeyError";
+  }
+}
+
+/**
+ * Sign a bundle hash with the worker's current key
+ * @param {string} bundleHash - Hex SHA-256 bundle hash
+ * @param {Object} env - Environment variables (BUNDLE_SIGNING_KEY, BUNDLE_SIGNING_KEY_ID)
+ * @returns {Object|null} Signature {algorithm, keyId, value}, or null if no signing key is configured
+ * @throws {SigningKeyError} If the signing key is malformed
+ */
+export function signBundleHash(bundleHash, env) {
+  const key = getSigningKey(env);
+  if (!key) {
+    return null;
+  }
+
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: key.keyId,
+    value: bytesToHex(ed25519.sign(signatureMessage(bundleHash), key.privateKey))
+  };
+}
+
+/**
+ * Every public key that bundles may be verified with: the current signing key
+ * first, then retired keys
+ * @param {Object} env - Environment variables (BUNDLE_SIGNING_KEY, BUNDLE_SIGNING_KEY_ID, BUNDLE_PUBLIC_KEYS)
+ * @returns {Array<Object>} Keys [{keyId, algorithm, publicKey, status, retiredAt}]
+ * @throws {SigningKeyError} If a key is malformed or a key ID is listed twice
+ */
+export function listPublicKeys(env) {
+  const keys = [];
+  const current = getSigningKey(env);
+  if (current) {
+    keys.push({
+      keyId: current.keyId,
+      algorithm: SIGNATURE_ALGORITHM,
+      publicKey: bytesToHex(ed25519.getPublicKey(current.privateKey)),
+      status: "active",
+      retiredAt: null
+    });
+  }
+
+  for (const key of parseRetiredKeys(env.BUNDLE_PUBLIC_KEYS)) {
+    if (keys.some(existing => existing.keyId === key.keyId)) {
+      throw new SigningKeyError(`BUNDLE_PUBLIC_KEYS lists key ID '${key.keyId}' more than once`);
+    }
+    keys.push(key);
+  }
+
+  return keys;
+}
+
+/**
+ * Check a bundle's signature against a set of public keys
+ * @param {Object} bundle - Audit bundle (signature and draw.timestamp are read)
+ * @param {string} bundleHash - Bundle hash recomputed from the bundle's content
+ * @param {Array<Object>} publicKeys - Trusted keys [{keyId, publicKey, retiredAt}]
+ * @returns {Object} Check result {passed, keyId, reason} (passed is null when skipped)
+ */
+export function verifyBundleSignature(bundle, bundleHash, publicKeys) {
+  const signature = bundle.signature;
+  if (!signature) {
+    return { passed: null, skipped: true, reason: "Audit bundle is not signed" };
+  }
+  if (!publicKeys || publicKeys.length === 0) {
+    return { passed: null, skipped: true, keyId: signature.keyId ?? null, reason: "No public keys to verify the signature with" };
+  }
+
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return { passed: false, keyId: signature.keyId ?? null, reason: `Unsupported signature algorithm '${signature.algorithm}'` };
+  }
+  const key = publicKeys.find(candidate => candidate.keyId === signature.keyId);
+  if (!key) {
+    return { passed: false, keyId: signature.keyId ?? null, reason: `Unknown signing key '${signature.keyId}'` };
+  }
+  if (key.retiredAt && !(Date.parse(bundle.draw?.timestamp) < Date.parse(key.retiredAt))) {
+    return { passed: false, keyId: key.keyId, reason: `Signing key '${key.keyId}' was retired at ${key.retiredAt}, before the draw` };
+  }
+  if (typeof signature.value !== "string" || !SIGNING_CONFIG.SIGNATURE_PATTERN.test(signature.value)) {
+    return { passed: false, keyId: key.keyId, reason: "Signature value must be 128 lowercase hex characters" };
+  }
+
+  let valid = false;
+  try {
+    valid = ed25519.verify(signature.value, signatureMessage(bundleHash), key.publicKey);
+  } catch (error) {
+    valid = false;
+  }
+
+  return valid
+    ? { passed: true, keyId: key.keyId }
+    : { passed: false, keyId: key.keyId, reason: "Signature does not match the bundle hash" };
+}
+
+/**
+ * Read the current signing key from the environment
+ * @param {Object} env - Environment variables (BUNDLE_SIGNING_KEY, BUNDLE_SIGNING_KEY_ID)
+ * @returns {Object|null} {keyId, privateKey}, or null if no key is configured
+ * @throws {SigningKeyError} If the key or its ID is malformed
+ */
+function getSigningKey(env = {}) {
+  if (!env.BUNDLE_SIGNING_KEY) {
+    return null;
+  }
+
+  const privateKey = env.BUNDLE_SIGNING_KEY.trim().toLowerCase();
+  if (!SIGNING_CONFIG.KEY_PATTERN.test(privateKey)) {
+    throw new SigningKeyError("BUNDLE_SIGNING_KEY must be a 32-byte Ed25519 private key in hex (64 characters)");
+  }
+  if (!env.BUNDLE_SIGNING_KEY_ID || !SIGNING_CONFIG.KEY_ID_PATTERN.test(env.BUNDLE_SIGNING_KEY_ID)) {
+    throw new SigningKeyError("BUNDLE_SIGNING_KEY_ID must be 1-64 letters, digits, '.', '_' or '-'");
+  }
+
+  return { keyId: env.BUNDLE_SIGNING_KEY_ID, privateKey };
+}
+
+/**
+ * Parse the retired public keys
+ * @param {string|Array} [value] - BUNDLE_PUBLIC_KEYS (JSON string or parsed array)
+ * @returns {Array<Object>} Keys [{keyId, algorithm, publicKey, status, retiredAt}]
+ * @throws {SigningKeyError} If the list or a key is malformed
+ */
+function parseRetiredKeys(value) {
+  if (!value) {
+    return [];
+  }
+
+  let keys = value;
+  if (typeof value === "string") {
+    try {
+      keys = JSON.parse(value);
+    } catch (error) {
+      throw new SigningKeyError("BUNDLE_PUBLIC_KEYS must be a JSON array");
+    }
+  }
+  if (!Array.isArray(keys)) {
+    throw new SigningKeyError("BUNDLE_PUBLIC_KEYS must be a JSON array");
+  }
+
+  return keys.map((key, index) => {
+    if (!key || typeof key.keyId !== "string" || !SIGNING_CONFIG.KEY_ID_PATTERN.test(key.keyId)) {
+      throw new SigningKeyError(`BUNDLE_PUBLIC_KEYS[${index}].keyId must be 1-64 letters, digits, '.', '_' or '-'`);
+    }
+    if (typeof key.publicKey !== "string" || !SIGNING_CONFIG.KEY_PATTERN.test(key.publicKey)) {
+      throw new SigningKeyError(`BUNDLE_PUBLIC_KEYS[${index}].publicKey must be a 32-byte Ed25519 public key in lowercase hex`);
+    }
+    if (key.retiredAt !== undefined && key.retiredAt !== null && Number.isNaN(Date.parse(key.retiredAt))) {
+      throw new SigningKeyError(`BUNDLE_PUBLIC_KEYS[${index}].retiredAt must be an ISO 8601 timestamp`);
+    }
+    return {
+      keyId: key.keyId,
+      algorithm: SIGNATURE_ALGORITHM,
+      publicKey: key.publicKey,
+      status: "retired",
+      retiredAt: key.retiredAt || null
+    };
+  });
+}
+
+/**
+ * Bytes signed for a bundle hash
+ * @param {string} bundleHash - Hex SHA-256 bundle hash
+ * @returns {Uint8Array} UTF-8 message
+ */
+function signatureMessage(bundleHash) {
+  return new TextEncoder().encode(`${SIGNING_CONFIG.MESSAGE_PREFIX}${bundleHash}`);
+}
@@ -0,0 +1,761 @@
+/**
+ * VaultPlay Draw Worker - Audit Bundle Storage
+ * ============================================
+ * Publishes each audit bundle to one or more storage backends:
+ *
+ * - github: one atomic commit to the public history repository with draw.json,
+ *           ranking.csv, a README.md summary and the updated index.json of the
+ *           draw's month (plus a release for live draws, tagged at that commit)
+ * - r2:     object in the R2 bucket bound as AUDIT_BUCKET
+ * - s3:     object in any S3-compatible bucket (SigV4-signed PUT)
+ * - kv:     value in the KV namespace bound as AUDIT_STORE
+ *
+ * The backends are chosen per environment with AUDIT_STORAGE, a comma-separated
+ * list (default "github"). Every backend receives byte-identical content at the
+ * same path, live|test/YYYY-MM/<competition-slug>-<YYYY-MM-DD-HHMMSS>-<drawId>/draw.json,
+ * and reports its own result: one backend failing or being unconfigured never
+ * stops the others.
+ *
+ * Winner amendments (see ./amendments.js) are published beside the draw they
+ * amend as amendment-<n>.json, without a summary or release of their own.
+ * Commit-then-reveal commitments (see ./commitments.js) are published when they
+ * are made, as commitment.json in a directory of their own, also without a
+ * summary or release.
+ */
+
+import { bytesToHex, sha256Hex } from "./hex.js";
+
+const STORAGE_CONFIG = {
+  DEFAULT_BACKENDS: ["github"],
+  GITHUB_API_URL: "https://api.github.com",
+  BUNDLE_FILE_NAME: "draw.json",          // Audit bundle file in each draw's directory
+  GITHUB_INDEX_NAME: "index.json",        // Index of a month's published draws, in each live|test/YYYY-MM directory
+  GITHUB_SUMMARY_NAME: "README.md",       // Human-readable summary beside each draw.json
+  MAX_REF_UPDATE_ATTEMPTS: 5,             // Fast-forward attempts when other draws move the branch
+  S3_DEFAULT_REGION: "us-east-1",
+  S3_SERVICE: "s3",
+  MAX_RETRIES: 3
+};
+
+const ADAPTERS = {
+  github: {
+    configurationError: env => env.GITHUB_TOKEN ? null : "GitHub token not configured",
+    publish: publishToGitHub
+  },
+  r2: {
+    configurationError: env => env.AUDIT_BUCKET ? null : "R2 bucket binding AUDIT_BUCKET not configured",
+    publish: publishToR2
+  },
+  s3: {
+    configurationError: env => {
+      const missing = ["S3_ENDPOINT", "S3_BUCKET", "S3_ACCESS_KEY_ID", "S3_SECRET_ACCESS_KEY"].filter(name => !env[name]);
+      return missing.length ? `S3 storage not configured (missing ${missing.join(", ")})` : null;
+    },
+    publish: publishToS3
+  },
+  kv: {
+    configurationError: env => env.AUDIT_STORE ? null : "KV namespace binding AUDIT_STORE not configured",
+    publish: publishToKV
+  }
+};
+
+export const STORAGE_BACKENDS = Object.keys(ADAPTERS);
+
+/**
+ * Storage backends configured for this environment
+ * @param {Object} env - Environment variables (AUDIT_STORAGE)
+ * @returns {Array<string>} Backend names in configured order, without duplicates
+ */
+export function getStorageBackends(env) {
+  if (typeof env.AUDIT_STORAGE !== "string" || env.AUDIT_STORAGE.trim() === "") {
+    return [...STORAGE_CONFIG.DEFAULT_BACKENDS];
+  }
+  const names = env.AUDIT_STORAGE.split(",").map(name => name.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(names)];
+}
+
+/**
+ * Path of an audit bundle in every backend
+ * The directory name ends with the draw ID, so draws of one competition in the
+ * same second still get their own directories.
+ * @param {Object} competition - Competition metadata {name, mode}
+ * @param {string} drawTimestamp - ISO timestamp of the draw
+ * @param {string} drawId - Draw identifier
+ * @param {string} [fileName] - File in the draw's directory (amendments use amendment-<n>.json)
+ * @returns {string} e.g. "live/2025-10/summer-giveaway-2025-10-06-143012-<drawId>/draw.json"
+ */
+export function auditBundlePath(competition, drawTimestamp, drawId, fileName = STORAGE_CONFIG.BUNDLE_FILE_NAME) {
+  const date = new Date(drawTimestamp);
+  const pad = value => String(value).padStart(2, '0');
+  const yearMonth = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+  const dateTime = `${yearMonth}-${pad(date.getUTCDate())}-${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+  const folder = competition.mode === "live" ? "live" : "test";
+  return `${folder}/${yearMonth}/${slugify(competition.name)}-${dateTime}-${drawId}/${fileName}`;
+}
+
+/**
+ * Publish an audit bundle to every configured storage backend
+ * Adds bundleHash and publication metadata to the bundle when at least one
+ * backend is configured, so every backend stores the same document. Metadata
+ * already present (from an earlier attempt) is kept, so retries write
+ * identical content.
+ * @param {Object} auditBundle - Complete audit bundle
+ * @param {string} bundleHash - SHA-256 hash of the bundle
+ * @param {Object} competition - Competition metadata
+ * @param {string} drawTimestamp - ISO timestamp
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} options - {filePath, companionFiles, backends}
+ * @param {string} options.filePath - Path of the bundle in every backend (see auditBundlePath)
+ * @param {Object} [options.companionFiles] - Extra files committed beside draw.json by the
+ *   github backend, keyed by file name (e.g. {"ranking.csv": csv})
+ * @param {Array<string>} [options.backends] - Backends to write (default: all configured)
+ * @returns {Promise<Object>} {published, filePath, backends: {name: result}} -
+ *   published is true if any backend stored the bundle
+ */
+export async function publishAuditBundle(auditBundle, bundleHash, competition, drawTimestamp, env, options) {
+  const { filePath, companionFiles = {}, backends = getStorageBackends(env) } = options;
+  const results = new Map();
+
+  // Step 1: Report unknown and unconfigured backends without attempting them
+  for (const name of backends) {
+    const adapter = Object.prototype.hasOwnProperty.call(ADAPTERS, name) ? ADAPTERS[name] : null;
+    const configurationError = adapter
+      ? adapter.configurationError(env)
+      : `Unknown storage backend "${name}" (expected ${STORAGE_BACKENDS.join(", ")})`;
+    if (configurationError) {
+      results.set(name, { published: false, error: configurationError, retryable: false });
+    }
+  }
+
+  const ready = backends.filter(name => !results.has(name));
+  if (ready.length > 0) {
+    // Step 2: Add bundle hash and publication metadata once, before any backend writes
+    auditBundle.bundleHash = bundleHash;
+    auditBundle.publication = auditBundle.publication || {
+      publishedAt: new Date().toISOString(),
+      filePath: filePath
+    };
+    const content = JSON.stringify(auditBundle, (key, value) =>
+      typeof value === 'bigint' ? value.toString() : value, 2
+    );
+    const context = { auditBundle, bundleHash, competition, drawTimestamp, companionFiles, env };
+
+    // Step 3: Write to every backend in parallel
+    await Promise.all(ready.map(async name => {
+      try {
+        results.set(name, { published: true, ...(await ADAPTERS[name].publish(filePath, content, context)) });
+      } catch (error) {
+        console.error(`Audit bundle publishing to ${name} failed:`, error);
+        results.set(name, { published: false, error: error.message, retryable: isRetryableError(error) });
+      }
+    }));
+  }
+
+  return {
+    published: ready.some(name => results.get(name).published),
+    filePath: ready.length > 0 ? filePath : null,
+    backends: Object.fromEntries(backends.map(name => [name, results.get(name)]))
+  };
+}
+
+/**
+ * Fetch a published audit bundle from the GitHub history repository
+ * @param {string} path - Bundle path within the repository
+ * @param {Object} env - Environment variables (GitHub repo config)
+ * @returns {Promise<Object|null>} {bundle, url}, or null if not found
+ * @throws {Error} If GitHub is unavailable or returns invalid JSON
+ */
+export async function fetchBundleFromGitHub(path, env) {
+  const { repoOwner, repoName, branch } = getGitHubRepoConfig(env);
+  const url = `https://raw.githubusercontent.com/${repoOwner}/${repoName}/${branch}/${path}`;
+
+  const response = await fetch(url, {
+    headers: { "User-Agent": "VaultPlay-Draw-Worker" }
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`GitHub returned ${response.status}`);
+  }
+
+  return {
+    bundle: await response.json(),
+    url: `https://github.com/${repoOwner}/${repoName}/blob/${branch}/${path}`
+  };
+}
+
+/**
+ * Resolve the GitHub audit repository settings
+ * @param {Object} env - Environment variables
+ * @returns {Object} {repoOwner, repoName, branch}
+ */
+function getGitHubRepoConfig(env) {
+  return {
+    repoOwner: env.GITHUB_REPO_OWNER || "vaultplay-dev",
+    repoName: env.GITHUB_REPO_NAME || "vaultplay-draw-history",
+    branch: env.GITHUB_BRANCH || "main"
+  };
+}
+
+/**
+ * Publish audit bundle to the GitHub history repository
+ * draw.json, its companion files, the README.md summary and the updated index
+ * of the draw's month land in a single commit, so the repository never shows a
+ * partial draw. Each month has its own index, so the file every draw rewrites
+ * stays small.
+ * @param {string} filePath - Bundle path in the repository
+ * @param {string} content - Serialized audit bundle
+ * @param {Object} context - {auditBundle, bundleHash, competition, drawTimestamp, companionFiles, env}
+ * @returns {Promise<Object>} {commitUrl, commitSha, files, releaseUrl, releaseTag}
+ */
+async function publishToGitHub(filePath, content, { auditBundle, bundleHash, competition, drawTimestamp, companionFiles, env }) {
+  const { repoOwner, repoName, branch } = getGitHubRepoConfig(env);
+  const directory = filePath.substring(0, filePath.lastIndexOf("/"));
+  const indexPath = `${directory.substring(0, directory.lastIndexOf("/"))}/${STORAGE_CONFIG.GITHUB_INDEX_NAME}`;
+
+  const isAmendment = auditBundle.type === "amendment";
+  const isCommitment = auditBundle.type === "commitment";
+
+  const files = { [filePath]: content };
+  for (const [name, text] of Object.entries(companionFiles)) {
+    files[`${directory}/${name}`] = text;
+  }
+  // An amendment leaves the draw's summary as published; a commitment has no results to summarise
+  if (!isAmendment && !isCommitment) {
+    files[`${directory}/${STORAGE_CONFIG.GITHUB_SUMMARY_NAME}`] = formatDrawSummary(auditBundle, bundleHash, filePath, Object.keys(companionFiles));
+  }
+
+  const indexEntry = {
+    competitionId: competition.id,
+    competitionName: competition.name,
+    mode: competition.mode,
+    drawnAt: drawTimestamp,
+    path: filePath,
+    bundleHash: bundleHash,
+    ...(isAmendment
+      ? { amends: auditBundle.amends.bundleHash, winner: auditBundle.promotion.entryCode }
+      : isCommitment
+        ? { commitmentId: auditBundle.commitment.commitmentId, targetRound: auditBundle.commitment.drand.targetRound }
+        : { winner: auditBundle.results.winner?.entryCode || null })
+  };
+
+  const commitResult = await commitFilesToGitHub(
+    repoOwner,
+    repoName,
+    branch,
+    files,
+    indexPath,
+    index => addIndexEntry(index, indexEntry),
+    isAmendment
+      ? `Amendment ${auditBundle.amendment.sequence} to ${competition.id} draw at ${drawTimestamp}: ${auditBundle.promotion.entryCode} replaces ${auditBundle.forfeiture.entryCode}`
+      : isCommitment
+        ? `Commitment ${auditBundle.commitment.commitmentId} for ${competition.id} to drand round ${auditBundle.commitment.drand.targetRound}`
+        : githubCommitMessage(competition, drawTimestamp),
+    env.GITHUB_TOKEN
+  );
+
+  let releaseResult = null;
+
+  // Create release only for live draws
+  if (competition.mode === "live" && !isAmendment && !isCommitment) {
+    try {
+      releaseResult = await createGitHubRelease(
+        repoOwner,
+        repoName,
+        directory.substring(directory.lastIndexOf("/") + 1),
+        competition,
+        drawTimestamp,
+        filePath,
+        commitResult.sha,
+        env.GITHUB_TOKEN
+      );
+    } catch (releaseError) {
+      console.error("Release creation failed (non-fatal):", releaseError);
+      // Don't fail the publication if only the release fails
+    }
+  }
+
+  return {
+    commitUrl: commitResult.commitUrl,
+    commitSha: commitResult.sha,
+    files: [...Object.keys(files), indexPath],
+    releaseUrl: releaseResult?.releaseUrl || null,
+    releaseTag: releaseResult?.tag || null
+  };
+}
+
+/**
+ * Publish audit bundle to the R2 bucket bound as AUDIT_BUCKET
+ * @param {string} filePath - Object key
+ * @param {string} content - Serialized audit bundle
+ * @param {Object} context - {bundleHash, env}
+ * @returns {Promise<Object>} {key, etag}
+ */
+async function publishToR2(filePath, content, { bundleHash, env }) {
+  const object = await env.AUDIT_BUCKET.put(filePath, content, {
+    httpMetadata: { contentType: "application/json" },
+    customMetadata: { bundleHash: bundleHash }
+  });
+
+  return {
+    key: filePath,
+    etag: object?.etag || null
+  };
+}
+
+/**
+ * Publish audit bundle to an S3-compatible bucket (path-style, SigV4-signed PUT)
+ * @param {string} filePath - Object key
+ * @param {string} content - Serialized audit bundle
+ * @param {Object} context - {bundleHash, env}
+ * @returns {Promise<Object>} {key, url, etag}
+ */
+async function publishToS3(filePath, content, { bundleHash, env }) {
+  const endpoint = env.S3_ENDPOINT.replace(/\/+$/, "");
+  const url = `${endpoint}/${encodeS3Path(env.S3_BUCKET)}/${encodeS3Path(filePath)}`;
+  const body = new TextEncoder().encode(content);
+
+  const response = await retryWithBackoff(async () => {
+    const headers = await signS3Request("PUT", url, body, {
+      "content-type": "application/json",
+      "x-amz-meta-bundle-hash": bundleHash
+    }, env);
+    const response = await fetch(url, { method: "PUT", headers, body });
+
+    if (!response.ok) {
+      throw new Error(`S3 storage returned ${response.status}`);
+    }
+    return response;
+  });
+
+  return {
+    key: filePath,
+    url: url,
+    etag: response.headers.get("ETag")
+  };
+}
+
+/**
+ * Publish audit bundle to the KV namespace bound as AUDIT_STORE
+ * @param {string} filePath - KV key
+ * @param {string} content - Serialized audit bundle
+ * @param {Object} context - {bundleHash, env}
+ * @returns {Promise<Object>} {key}
+ */
+async function publishToKV(filePath, content, { bundleHash, env }) {
+  await env.AUDIT_STORE.put(filePath, content, {
+    metadata: { bundleHash: bundleHash }
+  });
+
+  return { key: filePath };
+}
+
+/**
+ * Commit files and an index update to a branch in one commit (Git Data API)
+ * Blobs -> tree -> commit -> fast-forward ref update. If another draw moves
+ * the branch first, the index is re-read from the new head and the commit is
+ * rebuilt on top of it, so concurrent draws never overwrite each other.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {Object} files - File contents keyed by repository path
+ * @param {string} indexPath - Repository path of the index to update
+ * @param {Function} updateIndex - Maps the current index (or null) to the new index
+ * @param {string} message - Commit message
+ * @param {string} token - GitHub token
+ * @returns {Promise<Object>} {sha, commitUrl}
+ * @throws {Error} If GitHub rejects a request or the branch keeps moving
+ */
+async function commitFilesToGitHub(owner, repo, branch, files, indexPath, updateIndex, message, token) {
+  const repoPath = `/repos/${owner}/${repo}`;
+
+  // Step 1: Upload the draw's files as blobs (unchanged across fast-forward retries)
+  const blobs = await Promise.all(Object.entries(files).map(async ([path, text]) => ({
+    path: path,
+    sha: (await githubApi(token, "POST", `${repoPath}/git/blobs`, { content: text, encoding: "utf-8" })).sha
+  })));
+
+  for (let attempt = 1; ; attempt++) {
+    // Step 2: Read the branch head and its root tree
+    const ref = await githubApi(token, "GET", `${repoPath}/git/ref/heads/${encodeURIComponent(branch)}`);
+    const parentSha = ref.object.sha;
+    const parent = await githubApi(token, "GET", `${repoPath}/git/commits/${parentSha}`);
+
+    // Step 3: Update the index as of this head
+    const index = updateIndex(await readGitHubIndex(token, repoPath, indexPath, parentSha));
+    const indexBlob = await githubApi(token, "POST", `${repoPath}/git/blobs`, {
+      content: JSON.stringify(index, null, 2) + "\n",
+      encoding: "utf-8"
+    });
+
+    // Step 4: Build the new tree on top of the head's tree
+    const tree = await githubApi(token, "POST", `${repoPath}/git/trees`, {
+      base_tree: parent.tree.sha,
+      tree: [...blobs, { path: indexPath, sha: indexBlob.sha }].map(blob => ({
+        path: blob.path,
+        mode: "100644",
+        type: "blob",
+        sha: blob.sha
+      }))
+    });
+
+    // Step 5: Create the commit
+    const commit = await githubApi(token, "POST", `${repoPath}/git/commits`, {
+      message: message,
+      tree: tree.sha,
+      parents: [parentSha]
+    });
+
+    // Step 6: Fast-forward the branch (rejected if another commit landed since Step 2)
+    try {
+      await githubApi(token, "PATCH", `${repoPath}/git/refs/heads/${encodeURIComponent(branch)}`, {
+        sha: commit.sha,
+        force: false
+      });
+      return { sha: commit.sha, commitUrl: commit.html_url };
+    } catch (error) {
+      if (error.status !== 422 || attempt >= STORAGE_CONFIG.MAX_REF_UPDATE_ATTEMPTS) {
+        throw error;
+      }
+      console.log(`Branch ${branch} moved during publishing, rebuilding commit (attempt ${attempt + 1})`);
+      await sleep(Math.random() * 500 * attempt);
+    }
+  }
+}
+
+/**
+ * Read a draw index as of a commit
+ * @param {string} token - GitHub token
+ * @param {string} repoPath - "/repos/{owner}/{repo}"
+ * @param {string} indexPath - Repository path of the index
+ * @param {string} commitSha - Commit to read it from
+ * @returns {Promise<Object|null>} Parsed index, or null if the commit has none
+ * @throws {Error} If the index exists but is not valid JSON
+ */
+async function readGitHubIndex(token, repoPath, indexPath, commitSha) {
+  let entry;
+  try {
+    entry = await githubApi(token, "GET", `${repoPath}/contents/${indexPath}?ref=${commitSha}`);
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  // The contents API leaves out files over 1 MB; the blob API serves them
+  const blob = entry.encoding === "base64" ? entry : await githubApi(token, "GET", `${repoPath}/git/blobs/${entry.sha}`);
+  const bytes = Uint8Array.from(atob(blob.content.replace(/\s/g, "")), char => char.charCodeAt(0));
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error(`${indexPath} in the history repository is not valid JSON`);
+  }
+}
+
+/**
+ * Add a draw to the index, replacing any earlier entry for the same path
+ * @param {Object|null} index - Current index {draws: [...]}, or null
+ * @param {Object} entry - Index entry for the draw
+ * @returns {Object} Updated index
+ */
+function addIndexEntry(index, entry) {
+  const draws = Array.isArray(index?.draws) ? index.draws.filter(draw => draw.path !== entry.path) : [];
+  return { ...index, draws: [...draws, entry] };
+}
+
+/**
+ * Commit message for a published draw
+ * @param {Object} competition - Competition metadata
+ * @param {string} timestamp - Draw timestamp
+ * @returns {string} Commit message
+ */
+function githubCommitMessage(competition, timestamp) {
+  const date = new Date(timestamp);
+  return competition.mode === "live"
+    ? `Draw audit bundle for ${competition.name} (${competition.id}) at ${timestamp} [${date.getUTCHours().toString().padStart(2, '0')}:${date.getUTCMinutes().toString().padStart(2, '0')} UTC]`
+    : `Test draw audit bundle for ${competition.id} at ${timestamp} [${date.getUTCHours().toString().padStart(2, '0')}:${date.getUTCMinutes().toString().padStart(2, '0')} UTC] [mode: test]`;
+}
+
+/**
+ * Human-readable summary published beside draw.json
+ * @param {Object} bundle - Audit bundle
+ * @param {string} bundleHash - SHA-256 hash of the bundle
+ * @param {string} filePath - Path of draw.json
+ * @param {Array<string>} companionNames - Companion files published beside it
+ * @returns {string} Markdown summary
+ */
+function formatDrawSummary(bundle, bundleHash, filePath, companionNames) {
+  const { competition, draw, randomness, entries, results, verification } = bundle;
+  const lines = [
+    `# ${escapeMarkdown(competition.name)}`,
+    "",
+    "| | |",
+    "|---|---|",
+    `| Competition ID | ${escapeMarkdown(competition.id)} |`,
+    `| Mode | ${competition.mode} |`,
+    `| Drawn at | ${draw.timestamp} |`,
+    `| Algorithm | ${verification.algorithm} |`,
+    `| Randomness | ${escapeMarkdown(String(randomness.source))}${randomness.round ? ` round ${escapeMarkdown(String(randomness.round))}` : ""} |`,
+    `| Seed | \`${results.seed}\` |`,
+    `| Entries | ${entries.total} (${entries.qualified} qualified, ${entries.disqualified} disqualified) |`,
+    `| Results checksum | \`${results.checksum}\` |`,
+    `| Merkle root | ${entries.merkleRoot ? `\`${entries.merkleRoot}\`` : "n/a (streamed entry list)"} |`,
+    `| Bundle hash | \`${bundleHash}\` |`,
+    ...(bundle.signature ? [`| Signature | ${bundle.signature.algorithm}, key \`${escapeMarkdown(bundle.signature.keyId)}\` |`] : []),
+    ""
+  ];
+
+  if (results.prizes) {
+    lines.push("## Prize Winners", "", "| Prize | Rank | Entry | Gamertag |", "|---|---|---|---|");
+    for (const a of results.prizes.assignments) {
+      lines.push(`| ${escapeMarkdown(a.tier)} #${a.position} | ${a.rank} | ${escapeMarkdown(a.entryCode)} | ${escapeMarkdown(a.gamertag || "")} |`);
+    }
+  } else {
+    lines.push("## Winner", "", results.winner
+      ? `Rank 1: **${escapeMarkdown(results.winner.entryCode)}**${results.winner.gamertag ? ` (${escapeMarkdown(results.winner.gamertag)})` : ""}`
+      : "No qualified entries.");
+  }
+
+  lines.push(
+    "",
+    "## Verification",
+    "",
+    `- \`draw.json\` is the complete audit bundle${companionNames.length ? `; also published: ${companionNames.map(name => `\`${name}\``).join(", ")}` : ""}`,
+    `- Re-run it offline: \`npx vaultplay-verify draw.json\``,
+    `- Or ask the worker: \`POST /verify\` with \`{"path": "${filePath}"}\``,
+    `- Draw worker source: ${verification.sourceCode}`,
+    ""
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Escape entrant-supplied text for a Markdown table cell
+ * @param {string} text - Text
+ * @returns {string} Text with Markdown and HTML syntax escaped, on one line
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]|<>]/g, "\\$&").replace(/\s+/g, " ");
+}
+
+/**
+ * Call the GitHub REST API (transient failures retried with backoff)
+ * @param {string} token - GitHub token
+ * @param {string} method - HTTP method
+ * @param {string} path - API path, e.g. "/repos/{owner}/{repo}/git/blobs"
+ * @param {Object} [body] - JSON request body
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} With the HTTP status in error.status if GitHub rejects the request
+ */
+async function githubApi(token, method, path, body) {
+  return retryWithBackoff(async () => {
+    const response = await fetch(`${STORAGE_CONFIG.GITHUB_API_URL}${path}`, {
+      method: method,
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Accept": "application/vnd.github+json",
+        "User-Agent": "VaultPlay-Draw-Worker",
+        ...(body ? { "Content-Type": "application/json" } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const details = await response.json().catch(() => null);
+      const error = new Error(`GitHub API error (${response.status}): ${details?.message || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  });
+}
+
+/**
+ * Create a GitHub release for a live draw
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} directoryName - Name of the draw's directory (unique per draw, used for the tag)
+ * @param {Object} competition - Competition metadata
+ * @param {string} timestamp - Draw timestamp
+ * @param {string} filePath - Path to audit bundle file
+ * @param {string} commitSha - Commit that published the draw (the tag points here)
+ * @param {string} token - GitHub token
+ * @returns {Promise<Object>} Release result
+ */
+async function createGitHubRelease(owner, repo, directoryName, competition, timestamp, filePath, commitSha, token) {
+  const date = new Date(timestamp);
+  const tag = `draw-${directoryName}`;
+  const releaseTitle = `Draw results for ${competition.name} (${date.getUTCHours().toString().padStart(2, '0')}:${date.getUTCMinutes().toString().padStart(2, '0')} UTC)`;
+  const releaseBody = `# ${competition.name}
+
+**Competition ID:** ${competition.id}  
+**Draw Date:** ${timestamp}  
+**Draw Time:** ${date.getUTCHours().toString().padStart(2, '0')}:${date.getUTCMinutes().toString().padStart(2, '0')} UTC  
+**Mode:** ${competition.mode}  
+
+## Audit Bundle
+
+The complete audit bundle for this draw is available at:
+[\`${filePath}\`](https://github.com/${owner}/${repo}/blob/${commitSha}/${filePath})
+
+## Verification
+
+You can independently verify this draw by:
+1. Viewing the audit bundle JSON file
+2. Running the draw worker code with the same inputs
+3. Comparing the results
+
+**Draw Worker Source:** https://github.com/vaultplay-dev/vaultplay-draw-worker
+`;
+
+  const releaseResponse = await githubApi(token, "POST", `/repos/${owner}/${repo}/releases`, {
+    tag_name: tag,
+    target_commitish: commitSha,
+    name: releaseTitle,
+    body: releaseBody,
+    draft: false,
+    prerelease: false
+  });
+
+  return {
+    releaseUrl: releaseResponse.html_url,
+    tag: tag
+  };
+}
+
+/**
+ * Retry a function with exponential backoff
+ * @param {Function} fn - Async function to retry
+ * @param {number} maxRetries - Maximum number of retries
+ * @returns {Promise<any>} Result of function
+ */
+async function retryWithBackoff(fn, maxRetries = STORAGE_CONFIG.MAX_RETRIES) {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (i === maxRetries - 1 || !isRetryableError(error)) {
+        throw error;
+      }
+      // Exponential backoff: 1s, 2s, 4s
+      await sleep(Math.pow(2, i) * 1000);
+    }
+  }
+}
+
+/**
+ * Check if an error is retryable
+ * @param {Error} error - Error object
+ * @returns {boolean} True if error is retryable
+ */
+function isRetryableError(error) {
+  const message = error.message || "";
+  // Check for rate limits, timeouts, and temporary failures
+  return message.includes("rate limit") ||
+         message.includes("502") ||
+         message.includes("503") ||
+         message.includes("504") ||
+         message.includes("timeout");
+}
+
+/**
+ * Sleep for specified milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Convert string to URL-safe slug
+ * @param {string} text - Text to slugify
+ * @returns {string} Slugified text
+ */
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')     // Remove non-word chars except spaces and hyphens
+    .replace(/[\s_-]+/g, '-')     // Replace spaces, underscores, and hyphens with single hyphen
+    .replace(/^-+/, '')           // Remove leading hyphens (non-global)
+    .replace(/-+$/, '');          // Remove trailing hyphens (non-global)
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL (path already encoded)
+ * @param {Uint8Array} body - Request body
+ * @param {Object} headers - Extra headers to sign (lower-case names)
+ * @param {Object} env - Environment variables (S3_* credentials and region)
+ * @returns {Promise<Object>} Headers to send, including Authorization
+ */
+async function signS3Request(method, url, body, headers, env) {
+  const { host, pathname } = new URL(url);
+  const region = env.S3_REGION || STORAGE_CONFIG.S3_DEFAULT_REGION;
+  const amzDate = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const dateStamp = amzDate.substring(0, 8);
+  const scope = `${dateStamp}/${region}/${STORAGE_CONFIG.S3_SERVICE}/aws4_request`;
+
+  const signed = {
+    ...headers,
+    "host": host,
+    "x-amz-content-sha256": await sha256Hex(body),
+    "x-amz-date": amzDate
+  };
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(";");
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    "",
+    names.map(name => `${name}:${String(signed[name]).trim()}\n`).join(""),
+    signedHeaders,
+    signed["x-amz-content-sha256"]
+  ].join("\n");
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    await sha256Hex(canonicalRequest)
+  ].join("\n");
+
+  let key = new TextEncoder().encode(`AWS4${env.S3_SECRET_ACCESS_KEY}`);
+  for (const part of [dateStamp, region, STORAGE_CONFIG.S3_SERVICE, "aws4_request", stringToSign]) {
+    key = await hmacSHA256(key, part);
+  }
+
+  const { host: _host, ...sent } = signed;
+  return {
+    ...sent,
+    "Authorization": `AWS4-HMAC-SHA256 Credential=${env.S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${bytesToHex(key)}`
+  };
+}
+
+/**
+ * URI-encode an S3 object path, keeping "/" separators (RFC 3986, as SigV4 requires)
+ * @param {string} path - Bucket name or object key
+ * @returns {string} Encoded path
+ */
+function encodeS3Path(path) {
+  return path.split("/").map(segment =>
+    encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+  ).join("/");
+}
+
+/**
+ * HMAC-SHA256
+ * @param {Uint8Array} key - Key bytes
+ * @param {string} message - UTF-8 message
+ * @returns {Promise<Uint8Array>} MAC
+ */
+async function hmacSHA256(key, message) {
+  const cryptoKey = await crypto.subtle.importKey("raw", key, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", cryptoKey, new TextEncoder().encode(message)));
+}
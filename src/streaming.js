@@ -0,0 +1,377 @@
+/**
+ * VaultPlay Draw Worker - Streaming Entry Ingestion
+ * =================================================
+ * Reads draw entries from an NDJSON or CSV request body line by line, so a
+ * draw never holds the whole body (or the whole entry list) in memory.
+ *
+ * Formats:
+ * - application/x-ndjson: one JSON entry object per line
+ * - text/csv: a header row naming the columns, then one entry per row
+ *   Columns: entryCode (required), weight, tickets, gamertag, email,
+ *   entryTimestamp, dateOfBirth, country, region, quizQuestion,
+ *   quizAnswerGiven, quizAnswerCorrect. Quoted fields ("a, b" and "" escapes) are supported
+ *   but may not span lines.
+ *
+ * Blank lines are skipped. Entries are handed to the caller in batches along
+ * with their line numbers, and the SHA-256 of the raw body is computed as it
+ * streams (for HMAC signatures and the audit bundle).
+ */
+
+import { bytesToHex } from "./hex.js";
+
+const STREAM_CONFIG = {
+  BATCH_SIZE: 1000,                    // Entries handed to the caller at a time
+  MAX_LINE_LENGTH: 64 * 1024,          // Longest accepted line (characters)
+  MAX_BODY_BYTES: 512 * 1024 * 1024    // Maximum streamed body size (512MB)
+};
+
+// Supported streaming content types
+const STREAM_FORMATS = {
+  "application/x-ndjson": "ndjson",
+  "text/csv": "csv"
+};
+
+// CSV columns and the entry fields they map to
+const CSV_COLUMNS = {
+  entryCode: entry => entry,
+  weight: entry => entry,
+  tickets: entry => entry,
+  gamertag: entry => entry,
+  email: entry => entry,
+  entryTimestamp: entry => entry,
+  dateOfBirth: entry => entry,
+  country: entry => (entry.location = entry.location || {}),
+  region: entry => (entry.location = entry.location || {}),
+  quizQuestion: entry => (entry.quiz = entry.quiz || {}),
+  quizAnswerGiven: entry => (entry.quiz = entry.quiz || {}),
+  quizAnswerCorrect: entry => (entry.quiz = entry.quiz || {})
+};
+
+// Property set on the target object for columns that do not map 1:1
+const CSV_FIELD_NAMES = {
+  quizQuestion: "question",
+  quizAnswerGiven: "answerGiven",
+  quizAnswerCorrect: "answerCorrect"
+};
+
+/**
+ * Raised for malformed streamed bodies; carries the offending line number
+ */
+export class EntryStreamError extends Error {
+  constructor(line, message) {
+    super(line ? `${message} on line ${line}` : message);
+    this.name = "EntryStreamError";
+    this.line = line;
+  }
+}
+
+/**
+ * Streaming format for a Content-Type header
+ * @param {string|null} contentType - Content-Type header value
+ * @returns {string|null} "ndjson", "csv", or null if the body is not streamed
+ */
+export function getStreamFormat(contentType) {
+  if (!contentType) {
+    return null;
+  }
+  const mediaType = contentType.split(";")[0].trim().toLowerCase();
+  return STREAM_FORMATS[mediaType] || null;
+}
+
+/**
+ * Read a streamed entry body, handing entries to the caller in batches
+ * @param {ReadableStream} body - Request body stream
+ * @param {string} format - "ndjson" or "csv"
+ * @param {Function} onBatch - async (batch: Array<{line: number, entry: Object}>) => void
+ * @returns {Promise<Object>} {bodyHash, bytes, lines, entries}
+ * @throws {EntryStreamError} If the body is malformed (or onBatch rejects an entry)
+ */
+export async function readEntryStream(body, format, onBatch) {
+  if (!body) {
+    throw new EntryStreamError(null, "Request body is empty");
+  }
+
+  const reader = body.getReader();
+  const decoder = new TextDecoder("utf-8", { fatal: true });
+  const digestStream = new crypto.DigestStream("SHA-256");
+  const digestWriter = digestStream.getWriter();
+
+  const state = { format, header: null, lineNumber: 0, entries: 0, batch: [] };
+  let buffer = "";
+  let bytes = 0;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      bytes += value.byteLength;
+      if (bytes > STREAM_CONFIG.MAX_BODY_BYTES) {
+        throw new EntryStreamError(null, `Request body exceeds ${STREAM_CONFIG.MAX_BODY_BYTES} bytes`);
+      }
+      await digestWriter.write(value);
+
+      buffer += decodeChunk(decoder, value, state.lineNumber + 1, true);
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        await acceptLine(state, buffer.slice(0, newline), onBatch);
+        buffer = buffer.slice(newline + 1);
+      }
+
+      if (buffer.length > STREAM_CONFIG.MAX_LINE_LENGTH) {
+        throw new EntryStreamError(state.lineNumber + 1, `Entry exceeds ${STREAM_CONFIG.MAX_LINE_LENGTH} characters`);
+      }
+    }
+
+    buffer += decodeChunk(decoder, undefined, state.lineNumber + 1, false);
+    if (buffer.length > 0) {
+      await acceptLine(state, buffer, onBatch);
+    }
+    if (state.batch.length > 0) {
+      await onBatch(state.batch);
+    }
+  } catch (error) {
+    await reader.cancel().catch(() => {});
+    await digestWriter.abort(error).catch(() => {});
+    throw error;
+  }
+
+  if (state.format === "csv" && !state.header) {
+    throw new EntryStreamError(null, "CSV body must start with a header row");
+  }
+
+  await digestWriter.close();
+  const digest = new Uint8Array(await digestStream.digest);
+
+  return {
+    bodyHash: bytesToHex(digest),
+    bytes: bytes,
+    lines: state.lineNumber,
+    entries: state.entries
+  };
+}
+
+/**
+ * Decode a chunk of UTF-8, reporting invalid bytes against the current line
+ * @param {TextDecoder} decoder - Fatal UTF-8 decoder
+ * @param {Uint8Array|undefined} chunk - Bytes (undefined to flush)
+ * @param {number} line - Line being decoded
+ * @param {boolean} stream - Whether more chunks follow
+ * @returns {string} Decoded text
+ */
+function decodeChunk(decoder, chunk, line, stream) {
+  try {
+    return decoder.decode(chunk, { stream });
+  } catch (error) {
+    throw new EntryStreamError(line, "Invalid UTF-8");
+  }
+}
+
+/**
+ * Parse one line into an entry and flush full batches to the caller
+ * @param {Object} state - Reader state {format, header, lineNumber, entries, batch}
+ * @param {string} rawLine - Line without its trailing newline
+ * @param {Function} onBatch - Batch callback
+ * @returns {Promise<void>}
+ */
+async function acceptLine(state, rawLine, onBatch) {
+  state.lineNumber++;
+  const line = rawLine.endsWith("\r") ? rawLine.slice(0, -1) : rawLine;
+
+  if (line.trim().length === 0) {
+    return;
+  }
+
+  let entry;
+  if (state.format === "ndjson") {
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new EntryStreamError(state.lineNumber, "Invalid JSON");
+    }
+  } else if (!state.header) {
+    state.header = parseCsvHeader(line, state.lineNumber);
+    return;
+  } else {
+    entry = csvRowToEntry(state.header, parseCsvLine(line, state.lineNumber), state.lineNumber);
+  }
+
+  state.entries++;
+  state.batch.push({ line: state.lineNumber, entry });
+  if (state.batch.length >= STREAM_CONFIG.BATCH_SIZE) {
+    const batch = state.batch;
+    state.batch = [];
+    await onBatch(batch);
+  }
+}
+
+/**
+ * Parse and validate the CSV header row
+ * @param {string} line - Header line
+ * @param {number} lineNumber - Line number (for errors)
+ * @returns {Array<string>} Column names
+ */
+function parseCsvHeader(line, lineNumber) {
+  const columns = parseCsvLine(line, lineNumber).map(column => column.trim());
+  const seen = new Set();
+
+  for (const column of columns) {
+    if (!Object.prototype.hasOwnProperty.call(CSV_COLUMNS, column)) {
+      throw new EntryStreamError(lineNumber, `Unknown CSV column "${column}"`);
+    }
+    if (seen.has(column)) {
+      throw new EntryStreamError(lineNumber, `Duplicate CSV column "${column}"`);
+    }
+    seen.add(column);
+  }
+
+  if (!seen.has("entryCode")) {
+    throw new EntryStreamError(lineNumber, "CSV header must include an 'entryCode' column");
+  }
+
+  return columns;
+}
+
+/**
+ * Build an entry object from a CSV row (empty cells are omitted)
+ * Numeric and boolean columns are converted only when well formed, so entry
+ * validation reports anything else with the usual field error.
+ * @param {Array<string>} header - Column names
+ * @param {Array<string>} values - Row values
+ * @param {number} lineNumber - Line number (for errors)
+ * @returns {Object} Entry
+ */
+function csvRowToEntry(header, values, lineNumber) {
+  if (values.length !== header.length) {
+    throw new EntryStreamError(lineNumber, `Expected ${header.length} columns but found ${values.length}`);
+  }
+
+  const entry = {};
+  header.forEach((column, i) => {
+    let value = values[i];
+    if (value === "") {
+      return;
+    }
+    if ((column === "weight" || column === "tickets") && /^\d+$/.test(value)) {
+      value = Number(value);
+    } else if (column === "quizAnswerCorrect" && (value === "true" || value === "false")) {
+      value = value === "true";
+    }
+    CSV_COLUMNS[column](entry)[CSV_FIELD_NAMES[column] || column] = value;
+  });
+
+  return entry;
+}
+
+/**
+ * Split one CSV line into fields (RFC 4180 quoting, single line only)
+ * @param {string} line - CSV line
+ * @param {number} lineNumber - Line number (for errors)
+ * @returns {Array<string>} Field values
+ */
+function parseCsvLine(line, lineNumber) {
+  const fields = [];
+  let i = 0;
+
+  while (true) {
+    let value = "";
+    if (line[i] === "\"") {
+      // Quoted field: "" is an escaped quote
+      i++;
+      while (true) {
+        const quote = line.indexOf("\"", i);
+        if (quote === -1) {
+          throw new EntryStreamError(lineNumber, "Unterminated quoted field");
+        }
+        value += line.slice(i, quote);
+        i = quote + 1;
+        if (line[i] === "\"") {
+          value += "\"";
+          i++;
+        } else {
+          break;
+        }
+      }
+      if (i < line.length && line[i] !== ",") {
+        throw new EntryStreamError(lineNumber, "Unexpected character after quoted field");
+      }
+    } else {
+      const comma = line.indexOf(",", i);
+      const end = comma === -1 ? line.length : comma;
+      value = line.slice(i, end);
+      if (value.includes("\"")) {
+        throw new EntryStreamError(lineNumber, "Quote inside unquoted field");
+      }
+      i = end;
+    }
+
+    fields.push(value);
+    if (i >= line.length) {
+      return fields;
+    }
+    i++;  // Skip the comma
+  }
+}
+
+/**
+ * Bounded collection of the best-ranked items seen so far (binary heap)
+ * The heap root is the worst retained item, so each offer is O(log limit).
+ * @param {number} limit - Maximum items retained
+ * @param {Function} compare - (a, b) => negative if a ranks before b
+ * @returns {Object} {offer(item), size(), sorted()}
+ */
+export function createTopItems(limit, compare) {
+  const heap = [];
+
+  // Heap order: parent ranks after (is worse than) its children
+  const worse = (i, j) => compare(heap[i], heap[j]) > 0;
+  const swap = (i, j) => {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+  };
+
+  function siftUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!worse(i, parent)) {
+        return;
+      }
+      swap(i, parent);
+      i = parent;
+    }
+  }
+
+  function siftDown(i) {
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let worst = i;
+      if (left < heap.length && worse(left, worst)) worst = left;
+      if (right < heap.length && worse(right, worst)) worst = right;
+      if (worst === i) {
+        return;
+      }
+      swap(i, worst);
+      i = worst;
+    }
+  }
+
+  return {
+    offer(item) {
+      if (heap.length < limit) {
+        heap.push(item);
+        siftUp(heap.length - 1);
+      } else if (limit > 0 && compare(item, heap[0]) < 0) {
+        heap[0] = item;
+        siftDown(0);
+      }
+    },
+    size() {
+      return heap.length;
+    },
+    sorted() {
+      return [...heap].sort(compare);
+    }
+  };
+}
@@ -1,14 +1,49 @@
 // Automated tests for VaultPlay Draw Worker
 // Tests run in actual Cloudflare Workers runtime
-import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
 import worker from '../src/index.js';
+import { buildCanonicalString, hmacSha256Hex } from '../src/auth.js';
+import { ALGORITHM, verifyAuditBundle, calculateEntryScores, rankEntriesByScore } from '../src/core.js';
+import { canonicalize } from '../src/canonicalJson.js';
+import { putBlob, getBlob } from '../src/blobStore.js';
+import { bls12_381 } from '@noble/curves/bls12-381';
+import { ed25519 } from '@noble/curves/ed25519';
+
+// Matches the API_CLIENTS binding in vitest.config.js
+const TEST_AUTHORIZATION = 'Bearer test-api-key';
+const TEST_CLIENT_ID = 'test-backend';
+const TEST_HMAC_SECRET = 'test-hmac-secret';
+
+async function sha256Hex(input) {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+  return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function signedHeaders(body, timestamp = Math.floor(Date.now() / 1000)) {
+  const canonical = buildCanonicalString(String(timestamp), 'POST', '/startdraw', await sha256Hex(body));
+  return {
+    'Content-Type': 'application/json',
+    'X-VaultPlay-Client': TEST_CLIENT_ID,
+    'X-VaultPlay-Timestamp': String(timestamp),
+    'X-VaultPlay-Signature': await hmacSha256Hex(TEST_HMAC_SECRET, canonical)
+  };
+}
+
+// Publication status of a draw from the publish queue (background publishing has finished)
+async function getPublication(drawId, testEnv = env) {
+  const request = new Request(`http://example.com/publications/${drawId}`, { headers: { 'Authorization': TEST_AUTHORIZATION } });
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, testEnv, ctx);
+  await waitOnExecutionContext(ctx);
+  return response.json();
+}
 
 describe('VaultPlay Draw Worker - Input Validation', () => {
   it('returns error for missing randomness and autoFetch', async () => {
     const request = new Request('http://example.com/startdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
       body: JSON.stringify({ entries: [{ entryCode: 'A' }] })
     });
     
@@ -24,7 +59,7 @@ describe('VaultPlay Draw Worker - Input Validation', () => {
   it('returns error for empty entries', async () => {
     const request = new Request('http://example.com/startdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
       body: JSON.stringify({ randomness: 'deadbeef', entries: [] })
     });
     
@@ -40,7 +75,7 @@ describe('VaultPlay Draw Worker - Input Validation', () => {
   it('returns error for invalid randomness hex', async () => {
     const request = new Request('http://example.com/startdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
       body: JSON.stringify({ 
         randomness: 'nothex', 
         entries: [{ entryCode: 'A' }] 
@@ -59,7 +94,7 @@ describe('VaultPlay Draw Worker - Input Validation', () => {
   it('returns error for duplicate entry codes', async () => {
     const request = new Request('http://example.com/startdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
       body: JSON.stringify({ 
         randomness: 'a'.repeat(64),
         entries: [
@@ -83,7 +118,7 @@ describe('VaultPlay Draw Worker - Basic Draw Functionality', () => {
   it('performs draw with manual randomness', async () => {
     const request = new Request('http://example.com/startdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
       body: JSON.stringify({
         randomness: 'a'.repeat(64),
         entries: [
@@ -121,7 +156,7 @@ describe('VaultPlay Draw Worker - Basic Draw Functionality', () => {
     // First draw
     const request1 = new Request('http://example.com/startdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
       body: JSON.stringify(requestBody)
     });
     
@@ -133,7 +168,7 @@ describe('VaultPlay Draw Worker - Basic Draw Functionality', () => {
     // Second draw with same inputs
     const request2 = new Request('http://example.com/startdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
       body: JSON.stringify(requestBody)
     });
     
@@ -153,7 +188,7 @@ describe('VaultPlay Draw Worker - Enhanced Entry Data', () => {
   it('handles entry with gamertag and location', async () => {
     const request = new Request('http://example.com/startdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
       body: JSON.stringify({
         randomness: 'c'.repeat(64),
         entries: [
@@ -185,7 +220,7 @@ describe('VaultPlay Draw Worker - Enhanced Entry Data', () => {
   it('disqualifies entry with incorrect quiz answer', async () => {
     const request = new Request('http://example.com/startdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
       body: JSON.stringify({
         randomness: 'd'.repeat(64),
         entries: [
@@ -229,6 +264,2409 @@ describe('VaultPlay Draw Worker - Enhanced Entry Data', () => {
   });
 });
 
+describe('VaultPlay Draw Worker - Eligibility Rules', () => {
+  async function draw(rules, entries) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({
+        randomness: '7'.repeat(64),
+        competition: { id: 'rules-test', name: 'Rules Test', mode: 'test', rules },
+        entries
+      })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('disqualifies each entry by the first rule it fails and records the rule set', async () => {
+    const rules = {
+      requiredFields: ['email'],
+      allowedCountries: ['GB', 'IE'],
+      entryWindow: { opens: '2025-01-01T00:00:00Z', closes: '2025-01-31T23:59:59Z' },
+      minimumAge: 18,
+      maxEntriesPerEmail: 1
+    };
+    const base = { location: { country: 'GB' }, entryTimestamp: '2025-01-10T12:00:00Z', dateOfBirth: '1990-05-01' };
+    const response = await draw(rules, [
+      { ...base, entryCode: 'OK', email: 'ok@example.com' },
+      { ...base, entryCode: 'NO-EMAIL' },
+      { ...base, entryCode: 'FRANCE', email: 'fr@example.com', location: { country: 'FR' } },
+      { ...base, entryCode: 'LATE', email: 'late@example.com', entryTimestamp: '2025-02-01T00:00:00Z' },
+      { ...base, entryCode: 'YOUNG', email: 'young@example.com', dateOfBirth: '2007-01-11' },
+      { ...base, entryCode: 'REPEAT', email: 'ok@example.com', entryTimestamp: '2025-01-11T12:00:00Z' },
+      { ...base, entryCode: 'QUIZ', email: 'quiz@example.com', quiz: { answerCorrect: false } }
+    ]);
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    const codes = Object.fromEntries(data.results.map(r => [r.entryCode, r.disqualificationCode]));
+    expect(codes).toEqual({
+      OK: null,
+      'NO-EMAIL': 'MISSING_REQUIRED_FIELD',
+      FRANCE: 'COUNTRY_NOT_ALLOWED',
+      LATE: 'OUTSIDE_ENTRY_WINDOW',
+      YOUNG: 'UNDER_MINIMUM_AGE',
+      REPEAT: 'ENTRY_LIMIT_EXCEEDED',
+      QUIZ: 'QUIZ_INCORRECT'
+    });
+    expect(data.results.find(r => r.entryCode === 'NO-EMAIL').disqualificationReason).toBe('Missing required field: email');
+
+    const { bundle } = data.audit;
+    expect(bundle.competition.rules).toEqual(rules);
+    expect(bundle.statistics.disqualificationsByRule).toEqual({
+      MISSING_REQUIRED_FIELD: 1, COUNTRY_NOT_ALLOWED: 1, OUTSIDE_ENTRY_WINDOW: 1,
+      UNDER_MINIMUM_AGE: 1, ENTRY_LIMIT_EXCEEDED: 1, QUIZ_INCORRECT: 1
+    });
+    // Dates of birth are never published
+    expect(JSON.stringify(bundle)).not.toContain('1990-05-01');
+  });
+
+  it('rejects an invalid rule set', async () => {
+    const unknown = await draw({ maxAge: 30 }, [{ entryCode: 'A' }]);
+    expect(unknown.status).toBe(400);
+    expect((await unknown.json()).message).toContain("competition.rules.maxAge");
+
+    const window = await draw({ entryWindow: { opens: '2025-02-01T00:00:00Z', closes: '2025-01-01T00:00:00Z' } }, [{ entryCode: 'A' }]);
+    expect(window.status).toBe(400);
+
+    const dateOfBirth = await draw({ minimumAge: 18 }, [{ entryCode: 'A', dateOfBirth: '2001-02-30' }]);
+    expect(dateOfBirth.status).toBe(400);
+  });
+});
+
+describe('VaultPlay Draw Worker - Server-Marked Quiz', () => {
+  const salt = 'quiz-salt-0123456789';
+
+  async function draw(quiz, entries) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({
+        randomness: '6'.repeat(64),
+        competition: { id: 'quiz-test', name: 'Quiz Test', mode: 'test', quiz },
+        entries
+      })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('marks normalised answers itself and publishes only salted answer hashes', async () => {
+    const quiz = {
+      salt,
+      passThreshold: 2,
+      questions: [
+        { id: 'year', question: 'What year was VaultPlay founded?', acceptedAnswerHashes: [await sha256Hex(`${salt}2024`)] },
+        { id: 'city', question: 'Where is VaultPlay based?', acceptedAnswers: ['London'] },
+        { id: 'colour', question: 'What colour is the logo?', acceptedAnswers: ['Teal', 'Turquoise'] }
+      ]
+    };
+    const response = await draw(quiz, [
+      // Full-width digits, odd case and spacing still match after NFKC normalisation
+      { entryCode: 'PASS', quiz: { answers: { year: ' ２０２４ ', city: '  LONDON ', colour: 'red' } } },
+      { entryCode: 'FAIL', quiz: { answers: { year: '2024', city: 'Paris' }, answerCorrect: true } },
+      { entryCode: 'NONE' }
+    ]);
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    const byCode = Object.fromEntries(data.results.map(r => [r.entryCode, r]));
+    expect(byCode.PASS.quiz).toMatchObject({ correctAnswers: 2, answerCorrect: true });
+    expect(byCode.PASS.status).toBe('qualified');
+    // A client-supplied answerCorrect is not trusted
+    expect(byCode.FAIL.quiz).toMatchObject({ correctAnswers: 1, answerCorrect: false });
+    expect(byCode.FAIL.disqualificationCode).toBe('QUIZ_INCORRECT');
+    expect(byCode.NONE.disqualificationCode).toBe('QUIZ_INCORRECT');
+
+    const { bundle, bundleHash } = data.audit;
+    expect(bundle.competition.quiz.questions[1].acceptedAnswers).toBeUndefined();
+    expect(bundle.competition.quiz.questions[1].acceptedAnswerHashes).toEqual([await sha256Hex(`${salt}london`)]);
+    expect(JSON.stringify(bundle.competition)).not.toContain('Turquoise');
+
+    const verify = async (candidate) => {
+      const request = new Request('http://example.com/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bundle: candidate })
+      });
+      const ctx = createExecutionContext();
+      const report = await (await worker.fetch(request, env, ctx)).json();
+      await waitOnExecutionContext(ctx);
+      return report;
+    };
+    expect((await verify({ ...bundle, bundleHash })).checks.quiz.passed).toBe(true);
+
+    // Re-marking catches an entry whose marking was altered
+    const tampered = JSON.parse(JSON.stringify(bundle));
+    const failed = tampered.entries.list.find(e => e.entryCode === 'FAIL');
+    Object.assign(failed, { status: 'qualified', disqualificationCode: null, quiz: { ...failed.quiz, answerCorrect: true } });
+    const report = await verify(tampered);
+    expect(report.checks.quiz.passed).toBe(false);
+    expect(report.checks.quiz.firstMismatch.entryCode).toBe('FAIL');
+  });
+
+  it('rejects an invalid quiz declaration', async () => {
+    const response = await draw({ salt, passThreshold: 3, questions: [{ id: 'q1', acceptedAnswers: ['yes'] }] }, [{ entryCode: 'A' }]);
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain('passThreshold');
+
+    const shortSalt = await draw({ salt: 'short', questions: [{ id: 'q1', acceptedAnswers: ['yes'] }] }, [{ entryCode: 'A' }]);
+    expect(shortSalt.status).toBe(400);
+  });
+});
+
+describe('VaultPlay Draw Worker - Weighted Entries', () => {
+  async function draw(entries) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({ randomness: '7'.repeat(64), entries })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('ranks entries by ln(u) / weight and records weights in the bundle', async () => {
+    const response = await draw([
+      { entryCode: 'W-1', weight: 1 },
+      { entryCode: 'W-2', tickets: 50 },
+      { entryCode: 'W-3', weight: 5 },
+      { entryCode: 'W-4' }
+    ]);
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    const key = r => Math.log((parseInt(r.scoreHex.substring(0, 13), 16) + 0.5) / 2 ** 52) / r.weight;
+    const expectedOrder = [...data.results].sort((a, b) => key(b) - key(a)).map(r => r.entryCode);
+    expect(data.results.map(r => r.entryCode)).toEqual(expectedOrder);
+    expect(data.results.find(r => r.entryCode === 'W-2').weight).toBe(50);
+    expect(data.results.find(r => r.entryCode === 'W-4').weight).toBe(1);
+    expect(data.audit.bundle.entries.totalWeight).toBe(57);
+    expect(data.audit.bundle.verification.ranking).toMatch(/ln\(u\) \/ weight/);
+
+    const verifyRequest = new Request('http://example.com/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ bundle: data.audit.bundle, bundleHash: data.audit.bundleHash })
+    });
+    const ctx = createExecutionContext();
+    const report = await (await worker.fetch(verifyRequest, env, ctx)).json();
+    await waitOnExecutionContext(ctx);
+    expect(report.verified).toBe(true);
+  });
+
+  it('ranks unweighted entries by score alone', async () => {
+    const response = await draw(Array.from({ length: 20 }, (_, i) => ({ entryCode: `U-${i}` })));
+
+    const data = await response.json();
+    const scores = data.results.map(r => BigInt(r.score));
+    expect(scores).toEqual([...scores].sort((a, b) => (a > b ? -1 : a < b ? 1 : 0)));
+  });
+
+  it('rejects invalid weights', async () => {
+    for (const entry of [
+      { entryCode: 'X', weight: 0 },
+      { entryCode: 'X', weight: 1.5 },
+      { entryCode: 'X', tickets: '3' },
+      { entryCode: 'X', weight: 2, tickets: 3 }
+    ]) {
+      const response = await draw([entry]);
+      expect(response.status).toBe(400);
+      const data = await response.json();
+      expect(data.message).toMatch(/weight|tickets/);
+    }
+  });
+});
+
+describe('VaultPlay Draw Worker - Prize Tiers', () => {
+  async function draw(competition, entries) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({ randomness: '8'.repeat(64), competition, entries })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('fills tiers in rank order and skips repeat winners with onePrizePerPerson', async () => {
+    // Every entry shares an email, so only rank 1 can win; the rest are skipped
+    const sharedEmailEntries = Array.from({ length: 3 }, (_, i) => ({ entryCode: `S-${i}`, email: 'same@example.com' }));
+    const otherEntries = Array.from({ length: 3 }, (_, i) => ({ entryCode: `O-${i}`, email: `other${i}@example.com` }));
+    const response = await draw({
+      id: 'prize-test',
+      name: 'Prize Test',
+      mode: 'test',
+      prizes: [{ tier: 'Grand Prize', quantity: 1 }, { tier: 'Runner-up', quantity: 2 }, { tier: 'Consolation', quantity: 5 }],
+      onePrizePerPerson: true
+    }, [...sharedEmailEntries, ...otherEntries]);
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    const { assignments, skipped, unfilled } = data.prizes;
+
+    // 4 distinct people for 8 prizes
+    expect(assignments).toHaveLength(4);
+    expect(assignments.map(a => a.tier)).toEqual(['Grand Prize', 'Runner-up', 'Runner-up', 'Consolation']);
+    expect(skipped).toHaveLength(2);
+    expect(new Set(assignments.map(a => a.emailHash)).size).toBe(4);
+    const qualifiedInRankOrder = data.results.filter(r => !skipped.some(s => s.entryCode === r.entryCode));
+    expect(assignments.map(a => a.entryCode)).toEqual(qualifiedInRankOrder.map(r => r.entryCode));
+    expect(unfilled).toEqual([{ tier: 'Consolation', quantity: 5, awarded: 1 }]);
+    expect(data.audit.bundle.results.prizes).toEqual(data.prizes);
+
+    const verifyRequest = new Request('http://example.com/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ bundle: data.audit.bundle, bundleHash: data.audit.bundleHash })
+    });
+    const ctx = createExecutionContext();
+    const report = await (await worker.fetch(verifyRequest, env, ctx)).json();
+    await waitOnExecutionContext(ctx);
+    expect(report.checks.prizes.passed).toBe(true);
+    expect(report.verified).toBe(true);
+  });
+
+  it('rejects an invalid prize table', async () => {
+    const response = await draw({
+      id: 'prize-test',
+      name: 'Prize Test',
+      mode: 'test',
+      prizes: [{ tier: 'Grand Prize', quantity: 0 }]
+    }, [{ entryCode: 'A' }]);
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.message).toMatch(/quantity/);
+  });
+});
+
+describe('VaultPlay Draw Worker - Streamed Entries', () => {
+  const options = JSON.stringify({ randomness: '9'.repeat(64) });
+
+  async function streamDraw(body, contentType, headers = {}) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': contentType, 'X-Draw-Options': options, 'Authorization': TEST_AUTHORIZATION, ...headers },
+      body
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('ranks an NDJSON stream exactly like the same entries sent as JSON', async () => {
+    const entries = Array.from({ length: 30 }, (_, i) => ({
+      entryCode: `N-${String(i).padStart(3, '0')}`,
+      weight: (i % 3) + 1,
+      ...(i === 4 ? { quiz: { answerCorrect: false } } : {})
+    }));
+    const body = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+    const streamed = await streamDraw(body, 'application/x-ndjson');
+    expect(streamed.status).toBe(200);
+    const streamedData = await streamed.json();
+
+    const jsonRequest = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({ randomness: '9'.repeat(64), entries })
+    });
+    const ctx = createExecutionContext();
+    const jsonData = await (await worker.fetch(jsonRequest, env, ctx)).json();
+    await waitOnExecutionContext(ctx);
+
+    expect(streamedData.results).toEqual(jsonData.results.filter(r => r.status === 'qualified'));
+    expect(streamedData.draw.totalEntries).toBe(30);
+    expect(streamedData.draw.disqualifiedEntries).toBe(1);
+    expect(streamedData.audit.bundle.statistics.disqualificationReasons).toEqual({ 'Quiz answered incorrectly': 1 });
+    expect(streamedData.audit.bundle.entries.streamed.sha256).toBe(await sha256Hex(body));
+  });
+
+  it('accepts a signed CSV stream and rejects tampered draw options', async () => {
+    const body = 'entryCode,gamertag,weight,country\r\nC-1,"Smith, J",2,GB\r\nC-2,"""Ace""",,US\r\n';
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const canonical = buildCanonicalString(timestamp, 'POST', '/startdraw', await sha256Hex(body), await sha256Hex(options));
+    const signature = {
+      'X-VaultPlay-Client': TEST_CLIENT_ID,
+      'X-VaultPlay-Timestamp': timestamp,
+      'X-VaultPlay-Signature': await hmacSha256Hex(TEST_HMAC_SECRET, canonical),
+      'X-VaultPlay-Content-SHA256': await sha256Hex(body)
+    };
+
+    const tampered = await streamDraw(body, 'text/csv', {
+      ...signature,
+      'X-Draw-Options': JSON.stringify({ randomness: 'a'.repeat(64) })
+    });
+    expect(tampered.status).toBe(401);
+
+    const response = await streamDraw(body, 'text/csv', signature);
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.audit.bundle.draw.requestedBy.authMethod).toBe('hmac-sha256');
+    const byCode = Object.fromEntries(data.results.map(r => [r.entryCode, r]));
+    expect(byCode['C-1'].gamertag).toBe('Smith, J');
+    expect(byCode['C-1'].weight).toBe(2);
+    expect(byCode['C-2'].gamertag).toBe('"Ace"');
+    expect(data.audit.bundle.statistics.locationDistribution.countries).toEqual({ GB: 1, US: 1 });
+  });
+
+  it('authenticates a signed stream by its declared body hash before reading the body', async () => {
+    const body = '{"entryCode":"S-1"}\n{"entryCode":"S-2"}\n';
+    const sign = async (declaredBody) => {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const digest = await sha256Hex(declaredBody);
+      const canonical = buildCanonicalString(timestamp, 'POST', '/startdraw', digest, await sha256Hex(options));
+      return {
+        'X-VaultPlay-Client': TEST_CLIENT_ID,
+        'X-VaultPlay-Timestamp': timestamp,
+        'X-VaultPlay-Signature': await hmacSha256Hex(TEST_HMAC_SECRET, canonical),
+        'X-VaultPlay-Content-SHA256': digest
+      };
+    };
+
+    const { 'X-VaultPlay-Content-SHA256': _, ...undeclared } = await sign(body);
+    const missing = await streamDraw(body, 'application/x-ndjson', undeclared);
+    expect(missing.status).toBe(400);
+    expect((await missing.json()).message).toMatch(/X-VaultPlay-Content-SHA256/);
+
+    // A correct signature over a different body hash does not cover this body
+    const mismatched = await streamDraw(body, 'application/x-ndjson', await sign('{"entryCode":"S-1"}\n'));
+    expect(mismatched.status).toBe(401);
+    expect((await mismatched.json()).message).toMatch(/does not match X-VaultPlay-Content-SHA256/);
+  });
+
+  it('matches an idempotent stream by its declared body hash and releases the key for a mismatched body', async () => {
+    const body = '{"entryCode":"I-1"}\n{"entryCode":"I-2"}\n';
+    const retry = { 'Idempotency-Key': 'stream-retry-1' };
+
+    const undeclared = await streamDraw(body, 'application/x-ndjson', retry);
+    expect(undeclared.status).toBe(400);
+    expect((await undeclared.json()).message).toMatch(/X-VaultPlay-Content-SHA256/);
+
+    const mismatched = await streamDraw(body, 'application/x-ndjson', { ...retry, 'X-VaultPlay-Content-SHA256': await sha256Hex('other') });
+    expect(mismatched.status).toBe(400);
+    expect((await mismatched.json()).message).toMatch(/does not match X-VaultPlay-Content-SHA256/);
+
+    const declared = { ...retry, 'X-VaultPlay-Content-SHA256': await sha256Hex(body) };
+    const first = await streamDraw(body, 'application/x-ndjson', declared);
+    expect(first.status).toBe(200);
+    expect(first.headers.get('Idempotent-Replayed')).toBeNull();
+    const replayed = await streamDraw(body, 'application/x-ndjson', declared);
+    expect(replayed.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(replayed.headers.get('X-Draw-Id')).toBe(first.headers.get('X-Draw-Id'));
+  });
+
+  it('reports the line number of invalid entries', async () => {
+    const cases = [
+      ['{"entryCode":"A"}\n\n{"entryCode":"B"\n', 'application/x-ndjson', /Invalid JSON on line 3/],
+      ['{"entryCode":"B"}\n{"entryCode":"A"}\n', 'application/x-ndjson', /sorted by entryCode; "A" on line 2/],
+      ['{"entryCode":"A"}\n{"entryCode":"A"}\n', 'application/x-ndjson', /Duplicate entry code detected on line 2/],
+      ['entryCode,weight\nA,1\nB,0\n', 'text/csv', /Entry on line 3: 'weight'/],
+      ['entryCode,prize\nA,1\n', 'text/csv', /Unknown CSV column "prize" on line 1/]
+    ];
+
+    for (const [body, contentType, message] of cases) {
+      const response = await streamDraw(body, contentType);
+      expect(response.status).toBe(400);
+      const data = await response.json();
+      expect(data.message).toMatch(message);
+    }
+  });
+});
+
+describe('VaultPlay Draw Worker - Result Formats', () => {
+  const drawBody = {
+    randomness: '9'.repeat(64),
+    competition: { id: 'format-test', name: 'Format Test', mode: 'test', prizes: [{ tier: 'Grand Prize', quantity: 1 }, { tier: 'Runner-up', quantity: 2 }] },
+    entries: [
+      { entryCode: 'F-1', gamertag: '=HYPERLINK("http://evil")', location: { country: 'GB', region: 'London, UK' } },
+      ...Array.from({ length: 5 }, (_, i) => ({ entryCode: `F-${i + 2}` }))
+    ]
+  };
+
+  async function draw(query = '', headers = {}) {
+    const request = new Request(`http://example.com/startdraw${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION, ...headers },
+      body: JSON.stringify(drawBody)
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('exports the ranking as CSV for a replay of the same draw', async () => {
+    const full = await (await draw('', { 'Idempotency-Key': 'format-csv' })).json();
+    const response = await draw('?format=csv', { 'Idempotency-Key': 'format-csv' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('text/csv');
+    expect(response.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(response.headers.get('X-Draw-Bundle-Hash')).toBe(full.audit.bundleHash);
+    expect(response.headers.get('X-Draw-Results-Checksum')).toBe(full.metadata.resultsChecksum);
+
+    const lines = (await response.text()).trimEnd().split('\r\n');
+    expect(lines[0]).toBe('rank,entryCode,weight,status,disqualificationCode,disqualificationReason,prizeTier,prizePosition,' +
+      'gamertag,emailHash,country,region,entryTimestamp,score,scoreHex');
+    expect(lines).toHaveLength(1 + full.results.length);
+    expect(lines.slice(1).map(line => line.split(',')[1])).toEqual(full.results.map(r => r.entryCode));
+    expect(lines[1]).toMatch(/^1,[^,]+,1,qualified,,,Grand Prize,1,/);
+
+    // Entrant-supplied text cannot become a spreadsheet formula
+    const rigged = lines.find(line => line.includes(',F-1,'));
+    expect(rigged).toContain(`"'=HYPERLINK(""http://evil"")"`);
+    expect(rigged).toContain('"London, UK"');
+  });
+
+  it('returns a winners-only response that keeps the audit references', async () => {
+    const response = await draw('?winnersOnly=true');
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.results).toBeUndefined();
+    expect(data.audit.bundle).toBeUndefined();
+    expect(data.audit.bundleHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(data.metadata.resultsChecksum).toMatch(/^[0-9a-f]{64}$/);
+    expect(data.winners.map(w => [w.prizeTier, w.prizePosition])).toEqual([['Grand Prize', 1], ['Runner-up', 1], ['Runner-up', 2]]);
+    expect(data.winners.map(w => w.entryCode)).toEqual(data.prizes.assignments.map(a => a.entryCode));
+
+    const withBundle = await (await draw('?winnersOnly=true&includeBundle=true')).json();
+    expect(withBundle.audit.bundle.results.prizes).toEqual(withBundle.prizes);
+
+    const csv = await draw('?winnersOnly=true', { 'Accept': 'text/csv' });
+    expect(csv.headers.get('Content-Disposition')).toBe('attachment; filename="format-test-winners.csv"');
+    expect((await csv.text()).trimEnd().split('\r\n')).toHaveLength(4);
+  });
+
+  it('rejects unknown output options', async () => {
+    const response = await draw('?format=xml');
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain("'format'");
+
+    const flag = await draw('?includeBundle=no');
+    expect(flag.status).toBe(400);
+  });
+});
+
+describe('VaultPlay Draw Worker - Entry Inclusion Proofs', () => {
+  async function post(path, body) {
+    const request = new Request(`http://example.com${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify(body)
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  async function prefixedSha256(prefix, bytes) {
+    const input = new Uint8Array([prefix, ...bytes]);
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+  }
+
+  const toHex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  const fromHex = hex => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+
+  async function drawBundle() {
+    const response = await post('/startdraw', {
+      randomness: 'a'.repeat(64),
+      entries: [
+        ...Array.from({ length: 6 }, (_, i) => ({ entryCode: `M-${i}`, gamertag: `Player${i}` })),
+        { entryCode: 'M-X', quiz: { question: 'Q?', answerGiven: 'no', answerCorrect: false } }
+      ]
+    });
+    return response.json();
+  }
+
+  it('gives each entrant a proof that checks offline against the published root', async () => {
+    const data = await drawBundle();
+    const { bundle, bundleHash, merkleRoot } = data.audit;
+    expect(merkleRoot).toMatch(/^[0-9a-f]{64}$/);
+    expect(bundle.entries.merkleRoot).toBe(merkleRoot);
+
+    for (const entryCode of ['M-3', 'M-X']) {
+      const response = await post('/proof', { bundle: { ...bundle, bundleHash }, entryCode });
+      expect(response.status).toBe(200);
+      const proof = await response.json();
+      expect(proof.rank).toBe(data.results.find(r => r.entryCode === entryCode).rank);
+      expect(proof.bundleHash).toBe(bundleHash);
+
+      // Recompute the root from the leaf and sibling path alone
+      let hash = await prefixedSha256(0, new TextEncoder().encode(proof.leaf));
+      expect(toHex(hash)).toBe(proof.leafHash);
+      for (const step of proof.proof) {
+        const sibling = fromHex(step.hash);
+        hash = await prefixedSha256(1, step.position === 'left' ? [...sibling, ...hash] : [...hash, ...sibling]);
+      }
+      expect(toHex(hash)).toBe(merkleRoot);
+    }
+
+    const report = await (await post('/verify', { bundle, bundleHash })).json();
+    expect(report.checks.merkleRoot.passed).toBe(true);
+  });
+
+  it('rejects unknown entries and entry lists that do not match the root', async () => {
+    const { bundle, bundleHash } = (await drawBundle()).audit;
+
+    const missing = await post('/proof', { bundle, entryCode: 'NOT-ENTERED' });
+    expect(missing.status).toBe(404);
+
+    const tampered = JSON.parse(JSON.stringify(bundle));
+    tampered.entries.list.pop();
+    const proof = await post('/proof', { bundle: tampered, entryCode: 'M-1' });
+    expect(proof.status).toBe(422);
+
+    const report = await (await post('/verify', { bundle: tampered, bundleHash })).json();
+    expect(report.checks.merkleRoot.passed).toBe(false);
+    expect(report.verified).toBe(false);
+  });
+});
+
+describe('VaultPlay Draw Worker - Authentication', () => {
+  const body = JSON.stringify({ randomness: 'e'.repeat(64), entries: [{ entryCode: 'A' }] });
+
+  it('rejects draw requests without credentials', async () => {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body
+    });
+
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+
+    expect(response.status).toBe(401);
+    const data = await response.json();
+    expect(data.error).toBe(true);
+  });
+
+  it('rejects an unknown API key', async () => {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer wrong-key' },
+      body
+    });
+
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('records the API key client in the audit bundle', async () => {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body
+    });
+
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.audit.bundle.draw.requestedBy).toEqual({ clientId: TEST_CLIENT_ID, authMethod: 'api-key' });
+  });
+
+  it('accepts a valid HMAC signature once and rejects its replay', async () => {
+    const headers = await signedHeaders(body);
+
+    const ctx1 = createExecutionContext();
+    const response1 = await worker.fetch(
+      new Request('http://example.com/startdraw', { method: 'POST', headers, body }), env, ctx1
+    );
+    await waitOnExecutionContext(ctx1);
+
+    expect(response1.status).toBe(200);
+    const data = await response1.json();
+    expect(data.audit.bundle.draw.requestedBy.authMethod).toBe('hmac-sha256');
+
+    const ctx2 = createExecutionContext();
+    const response2 = await worker.fetch(
+      new Request('http://example.com/startdraw', { method: 'POST', headers, body }), env, ctx2
+    );
+    await waitOnExecutionContext(ctx2);
+
+    expect(response2.status).toBe(403);
+    const replay = await response2.json();
+    expect(replay.message).toMatch(/replay/i);
+  });
+
+  it('accepts only one of two copies of a signed request sent together', async () => {
+    const headers = await signedHeaders(body);
+    const send = async () => {
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(
+        new Request('http://example.com/startdraw', { method: 'POST', headers, body }), env, ctx
+      );
+      await waitOnExecutionContext(ctx);
+      return response.status;
+    };
+
+    const statuses = await Promise.all([send(), send()]);
+    expect(statuses.sort()).toEqual([200, 403]);
+  });
+
+  it('rejects a signature over a different body', async () => {
+    const headers = await signedHeaders(body);
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ randomness: 'f'.repeat(64), entries: [{ entryCode: 'A' }] })
+    });
+
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('rejects signed requests with a stale timestamp', async () => {
+    const headers = await signedHeaders(body, Math.floor(Date.now() / 1000) - 3600);
+    const request = new Request('http://example.com/startdraw', { method: 'POST', headers, body });
+
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('VaultPlay Draw Worker - Idempotency', () => {
+  async function postDraw(body, extraHeaders = {}) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION, ...extraHeaders },
+      body: JSON.stringify(body)
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('replays the same draw byte-for-byte for a repeated Idempotency-Key', async () => {
+    const body = { randomness: '1'.repeat(64), entries: [{ entryCode: 'A' }, { entryCode: 'B' }] };
+
+    const first = await postDraw(body, { 'Idempotency-Key': 'retry-test-1' });
+    const firstText = await first.text();
+    const second = await postDraw(body, { 'Idempotency-Key': 'retry-test-1' });
+    const secondText = await second.text();
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(secondText).toBe(firstText);
+  });
+
+  it('rejects a reused Idempotency-Key with a different body', async () => {
+    await postDraw({ randomness: '2'.repeat(64), entries: [{ entryCode: 'A' }] }, { 'Idempotency-Key': 'retry-test-2' });
+    const conflict = await postDraw({ randomness: '3'.repeat(64), entries: [{ entryCode: 'A' }] }, { 'Idempotency-Key': 'retry-test-2' });
+
+    expect(conflict.status).toBe(409);
+  });
+
+  it('does not store failed draws', async () => {
+    const failed = await postDraw({ randomness: 'nothex', entries: [{ entryCode: 'A' }] }, { 'Idempotency-Key': 'retry-test-3' });
+    expect(failed.status).toBe(400);
+
+    const retried = await postDraw({ randomness: '4'.repeat(64), entries: [{ entryCode: 'A' }] }, { 'Idempotency-Key': 'retry-test-3' });
+    expect(retried.status).toBe(200);
+  });
+
+  it('uses competition.id as the natural key for live draws', async () => {
+    const competition = { id: 'IDEMPOTENT-LIVE-1', name: 'Idempotent Live Draw', mode: 'live' };
+    const body = { randomness: '5'.repeat(64), entries: [{ entryCode: 'A' }, { entryCode: 'B' }], competition };
+
+    const first = await postDraw(body);
+    const firstText = await first.text();
+    const repeat = await postDraw(body);
+
+    expect(await repeat.text()).toBe(firstText);
+
+    const redraw = await postDraw({ ...body, randomness: '6'.repeat(64) });
+    expect(redraw.status).toBe(409);
+  });
+
+  it('scopes the natural key to the client', async () => {
+    const twoClientEnv = {
+      ...env,
+      API_CLIENTS: JSON.stringify({
+        'test-backend': { apiKey: 'test-api-key' },
+        'other-backend': { apiKey: 'other-api-key' },
+        'third-backend': { apiKey: 'other-api-key-2' }
+      })
+    };
+    const competition = { id: 'IDEMPOTENT-LIVE-2', name: 'Shared Competition ID', mode: 'live' };
+    const body = { randomness: 'b'.repeat(64), entries: [{ entryCode: 'A' }, { entryCode: 'B' }], competition };
+    const drawAs = async (authorization, drawBody) => {
+      const request = new Request('http://example.com/startdraw', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': authorization },
+        body: JSON.stringify(drawBody)
+      });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, twoClientEnv, ctx);
+      await waitOnExecutionContext(ctx);
+      return response;
+    };
+
+    expect((await drawAs(TEST_AUTHORIZATION, body)).status).toBe(200);
+
+    // Another client is neither told the competition was drawn nor handed the draw
+    const different = await drawAs('Bearer other-api-key', { ...body, randomness: 'c'.repeat(64) });
+    expect(different.status).toBe(200);
+    const same = await drawAs('Bearer other-api-key-2', body);
+    expect(same.status).toBe(200);
+    expect(same.headers.get('Idempotent-Replayed')).toBeNull();
+  });
+
+  it('stores a reference to the recorded draw instead of the response', async () => {
+    const body = { randomness: '8'.repeat(64), entries: [{ entryCode: 'A' }, { entryCode: 'B' }] };
+    const first = await postDraw(body, { 'Idempotency-Key': 'retry-test-4' });
+    const { draw, audit } = await first.json();
+
+    const stored = await env.DRAW_STORE.get('idempotency:key:test-backend:retry-test-4', 'json');
+
+    expect(stored.state).toBe('completed');
+    expect(stored.body).toBeUndefined();
+    expect(stored.reference).toEqual({ drawId: draw.drawId, bundleHash: audit.bundleHash });
+  });
+
+  it('replays a recorded draw whose completion was never stored', async () => {
+    const body = { randomness: '9'.repeat(64), entries: [{ entryCode: 'A' }, { entryCode: 'B' }] };
+    const first = await postDraw(body, { 'Idempotency-Key': 'retry-test-5' });
+    const firstText = await first.text();
+
+    // Leave only the reservation, as if storing the completed record had failed
+    await env.DRAW_STORE.delete('idempotency:key:test-backend:retry-test-5');
+
+    const retried = await postDraw(body, { 'Idempotency-Key': 'retry-test-5' });
+
+    expect(retried.status).toBe(200);
+    expect(retried.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(await retried.text()).toBe(firstText);
+  });
+
+  it('runs only one of two concurrent requests with the same key', async () => {
+    const body = { randomness: 'a'.repeat(64), entries: [{ entryCode: 'A' }, { entryCode: 'B' }] };
+
+    const responses = await Promise.all([
+      postDraw(body, { 'Idempotency-Key': 'retry-test-6' }),
+      postDraw(body, { 'Idempotency-Key': 'retry-test-6' })
+    ]);
+
+    const drawn = responses.filter(response => response.status === 200 && !response.headers.has('Idempotent-Replayed'));
+    expect(drawn).toHaveLength(1);
+    expect(responses.every(response => response.status === 200 || response.status === 409)).toBe(true);
+  });
+});
+
+describe('VaultPlay Draw Worker - Bundle Verification', () => {
+  beforeAll(() => {
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+  });
+
+  afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+  async function drawBundle() {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({
+        randomness: '7'.repeat(64),
+        entries: [
+          { entryCode: 'V-1' },
+          { entryCode: 'V-2' },
+          { entryCode: 'V-3', quiz: { question: 'Q', answerGiven: 'A', answerCorrect: false } },
+          { entryCode: 'V-4' }
+        ]
+      })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    const data = await response.json();
+    return { bundle: data.audit.bundle, bundleHash: data.audit.bundleHash };
+  }
+
+  async function postVerify(body) {
+    const request = new Request('http://example.com/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('verifies an untampered bundle without authentication', async () => {
+    const { bundle, bundleHash } = await drawBundle();
+
+    const response = await postVerify({ bundle, bundleHash });
+
+    expect(response.status).toBe(200);
+    const report = await response.json();
+    expect(report.verified).toBe(true);
+    expect(report.checks.seed.passed).toBe(true);
+    expect(report.checks.scores.checked).toBe(4);
+    expect(report.checks.ranking.passed).toBe(true);
+    expect(report.checks.resultsChecksum.passed).toBe(true);
+    expect(report.checks.bundleHash.passed).toBe(true);
+  });
+
+  it('names the first entry where a tampered ranking diverges', async () => {
+    const { bundle, bundleHash } = await drawBundle();
+    const ranking = bundle.results.fullRanking;
+    // Swap the first two ranked entries
+    [ranking[0].rank, ranking[1].rank] = [ranking[1].rank, ranking[0].rank];
+
+    const response = await postVerify({ bundle, bundleHash });
+    const report = await response.json();
+
+    expect(report.verified).toBe(false);
+    expect(report.checks.ranking.passed).toBe(false);
+    expect(report.checks.ranking.firstDivergence.rank).toBe(1);
+    expect(report.checks.ranking.firstDivergence.expectedEntryCode).toBe(ranking[0].entryCode);
+    expect(report.checks.bundleHash.passed).toBe(false);
+  });
+
+  it('detects substituted randomness', async () => {
+    const { bundle } = await drawBundle();
+    bundle.randomness.value = '8'.repeat(64);
+
+    const report = await (await postVerify({ bundle })).json();
+
+    expect(report.verified).toBe(false);
+    expect(report.checks.seed.passed).toBe(false);
+    expect(report.checks.bundleHash.skipped).toBe(true);
+  });
+
+  it('verifies a bundle fetched from the GitHub history repository', async () => {
+    const { bundle, bundleHash } = await drawBundle();
+    const path = `live/2025-01/january-prize-draw-2025-01-15-140000-${bundle.draw.drawId}/draw.json`;
+    fetchMock
+      .get('https://raw.githubusercontent.com')
+      .intercept({ path: `/vaultplay-dev/vaultplay-draw-history/main/${path}` })
+      .reply(200, JSON.stringify({ ...bundle, bundleHash, publication: { filePath: path } }));
+
+    const response = await postVerify({ path });
+    const report = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(report.verified).toBe(true);
+    expect(report.source.type).toBe('github');
+  });
+
+  it('rejects paths outside the audit bundle layout', async () => {
+    const response = await postVerify({ path: '../../etc/passwd' });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('VaultPlay Draw Worker - Audit Storage', () => {
+  const s3Env = {
+    S3_ENDPOINT: 'https://s3.test',
+    S3_BUCKET: 'audit-bundles',
+    S3_REGION: 'auto',
+    S3_ACCESS_KEY_ID: 'test-access-key',
+    S3_SECRET_ACCESS_KEY: 'test-secret-key'
+  };
+
+  beforeAll(() => {
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+  });
+
+  afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+  async function storedDraw(storageEnv, competition = { id: 'storage-1', name: 'Storage Draw', mode: 'test' }) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({ randomness: '5'.repeat(64), entries: [{ entryCode: 'S-1' }, { entryCode: 'S-2' }], competition })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, { ...env, ...storageEnv }, ctx);
+    await waitOnExecutionContext(ctx);
+    const data = await response.json();
+    return { ...data, publication: await getPublication(data.draw.drawId) };
+  }
+
+  it('writes the same bundle to R2, S3 and KV at the audit path', async () => {
+    let s3Request = null;
+    fetchMock
+      .get('https://s3.test')
+      .intercept({ method: 'PUT', path: /^\/audit-bundles\/test\/\d{4}-\d{2}\/storage-draw-.*\/draw\.json$/ })
+      .reply(options => {
+        s3Request = options;
+        return { statusCode: 200, data: '', responseOptions: { headers: { ETag: '"s3-etag"' } } };
+      });
+
+    const { audit, publication: storage } = await storedDraw({ AUDIT_STORAGE: 'r2, s3, kv', ...s3Env });
+
+    expect(audit.storage).toMatchObject({ status: 'pending', durable: true, filePath: storage.filePath });
+    expect(storage.status).toBe('published');
+    expect(storage.filePath).toBe(`test/${storage.drawTimestamp.substring(0, 7)}/storage-draw-${storage.drawTimestamp.substring(0, 10)}-${storage.drawTimestamp.substring(11, 19).replace(/:/g, '')}-${storage.drawId}/draw.json`);
+    expect(Object.keys(storage.backends)).toEqual(['r2', 's3', 'kv']);
+    expect(storage.backends.r2).toMatchObject({ published: true, key: storage.filePath });
+    expect(storage.backends.s3).toMatchObject({ published: true, etag: '"s3-etag"' });
+    expect(storage.backends.kv).toEqual({ published: true, key: storage.filePath, attempt: 1 });
+
+    const r2Content = await (await env.AUDIT_BUCKET.get(storage.filePath)).text();
+    const kvContent = await env.AUDIT_STORE.get(storage.filePath);
+    expect(kvContent).toBe(r2Content);
+    expect(s3Request.body).toBe(r2Content);
+    expect(JSON.parse(r2Content)).toMatchObject({ bundleHash: audit.bundleHash, publication: { filePath: storage.filePath } });
+
+    const headers = new Headers(s3Request.headers);
+    expect(headers.get('x-amz-content-sha256')).toBe(await sha256Hex(r2Content));
+    expect(headers.get('Authorization')).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=test-access-key\/\d{8}\/auto\/s3\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date;x-amz-meta-bundle-hash, Signature=[0-9a-f]{64}$/
+    );
+  });
+
+  it('reports each backend separately when some are unavailable', async () => {
+    fetchMock.get('https://s3.test').intercept({ method: 'PUT', path: /^\/audit-bundles\// }).reply(403, 'Forbidden');
+
+    const { publication } = await storedDraw({ AUDIT_STORAGE: 'github,s3,kv,ftp', GITHUB_TOKEN: '', ...s3Env });
+    const { backends } = publication;
+
+    expect(publication.status).toBe('pending');
+    expect(backends.github).toEqual({ published: false, error: 'GitHub token not configured', retryable: false, attempt: 1 });
+    expect(backends.s3).toEqual({ published: false, error: 'S3 storage returned 403', retryable: false, attempt: 1 });
+    expect(backends.kv.published).toBe(true);
+    expect(backends.ftp.error).toContain('Unknown storage backend "ftp"');
+
+    const unconfigured = await storedDraw({ AUDIT_STORAGE: 'r2', AUDIT_BUCKET: undefined });
+    expect(unconfigured.publication.backends).toEqual({
+      r2: { published: false, error: 'R2 bucket binding AUDIT_BUCKET not configured', retryable: false, attempt: 1 }
+    });
+    expect(unconfigured.audit.bundle.publication).toBeUndefined();
+  });
+});
+
+describe('VaultPlay Draw Worker - GitHub Publishing', () => {
+  let routes = [];
+
+  beforeAll(() => {
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+    // One persistent stand-in for api.github.com, serving the current test's repository
+    fetchMock.get('https://api.github.com')
+      .intercept({ path: () => true, method: () => true })
+      .reply(({ method, path, body }) => {
+        const endpoint = path.replace(/^\/repos\/[^/]+\/[^/]+\//, '');
+        for (const [routeMethod, pattern, handler] of routes) {
+          const match = method === routeMethod && endpoint.match(pattern);
+          if (match) {
+            const result = handler(body ? JSON.parse(body) : null, match);
+            const [statusCode, data] = Array.isArray(result) ? result : [200, result];
+            return { statusCode, data: JSON.stringify(data) };
+          }
+        }
+        return { statusCode: 404, data: JSON.stringify({ message: 'Not Found' }) };
+      })
+      .persist();
+  });
+
+  afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+  // In-memory Git Data API: blobs, flat trees (path -> blob sha), commits and one branch
+  function mockGitHubRepo(files = {}) {
+    let nextSha = 0;
+    const sha = () => (++nextSha).toString(16).padStart(40, '0');
+    const repo = { blobs: new Map(), trees: new Map(), commits: new Map(), releases: [], refUpdates: 0, beforeRefUpdate: null };
+    const putBlob = content => { const id = sha(); repo.blobs.set(id, content); return id; };
+    const putCommit = (paths, parent) => {
+      const tree = sha();
+      repo.trees.set(tree, paths);
+      const commit = sha();
+      repo.commits.set(commit, { tree, parents: parent ? [parent] : [] });
+      return commit;
+    };
+    repo.head = putCommit(new Map(Object.entries(files).map(([path, content]) => [path, putBlob(content)])));
+    repo.read = (path, commit = repo.head) => repo.blobs.get(repo.trees.get(repo.commits.get(commit).tree).get(path));
+    repo.push = (path, content) => {
+      const paths = new Map(repo.trees.get(repo.commits.get(repo.head).tree));
+      paths.set(path, putBlob(content));
+      repo.head = putCommit(paths, repo.head);
+    };
+
+    routes = [
+      ['POST', /^git\/blobs$/, body => ({ sha: putBlob(body.content) })],
+      ['GET', /^git\/ref\/heads\/main$/, () => ({ object: { sha: repo.head } })],
+      ['GET', /^git\/commits\/(\w+)$/, (body, [, id]) => ({ sha: id, tree: { sha: repo.commits.get(id).tree } })],
+      ['GET', /^git\/blobs\/(\w+)$/, (body, [, id]) => ({ content: btoa(repo.blobs.get(id)), encoding: 'base64' })],
+      // The mock sees no query string; ?ref= is always the head the worker has just read
+      ['GET', /^contents\/(.+)$/, (body, [, path]) => {
+        const content = repo.read(path);
+        return content === undefined ? [404, { message: 'Not Found' }] : { content: btoa(content), encoding: 'base64' };
+      }],
+      ['POST', /^git\/trees$/, body => {
+        const id = sha();
+        repo.trees.set(id, new Map([...repo.trees.get(body.base_tree), ...body.tree.map(entry => [entry.path, entry.sha])]));
+        return { sha: id };
+      }],
+      ['POST', /^git\/commits$/, body => {
+        const id = sha();
+        repo.commits.set(id, { tree: body.tree, parents: body.parents, message: body.message });
+        return { sha: id, html_url: `https://github.com/commit/${id}` };
+      }],
+      ['PATCH', /^git\/refs\/heads\/main$/, body => {
+        repo.refUpdates++;
+        repo.beforeRefUpdate?.();
+        repo.beforeRefUpdate = null;
+        if (repo.commits.get(body.sha).parents[0] !== repo.head) {
+          return [422, { message: 'Update is not a fast forward' }];
+        }
+        repo.head = body.sha;
+        return { object: { sha: body.sha } };
+      }],
+      ['POST', /^releases$/, body => {
+        repo.releases.push(body);
+        return { html_url: `https://github.com/releases/${body.tag_name}` };
+      }]
+    ];
+    return repo;
+  }
+
+  async function publishedDraw(competition, entries) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({ randomness: '6'.repeat(64), entries, competition })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, { ...env, GITHUB_TOKEN: 'test-token', AUDIT_STORAGE: 'github' }, ctx);
+    await waitOnExecutionContext(ctx);
+    const data = await response.json();
+    return { ...data, publication: await getPublication(data.draw.drawId) };
+  }
+
+  // Each month's draws are indexed in live|test/YYYY-MM/index.json
+  const monthIndexPath = mode => `${mode}/${new Date().toISOString().substring(0, 7)}/index.json`;
+
+  it('publishes the bundle, ranking, summary and index in one commit and tags that commit', async () => {
+    const indexPath = monthIndexPath('live');
+    const earlier = { competitionId: 'earlier', path: 'live/2025-01/earlier/draw.json' };
+    const repo = mockGitHubRepo({ [indexPath]: JSON.stringify({ draws: [earlier] }), 'index.json': '{"draws": []}' });
+    const concurrent = { competitionId: 'concurrent', path: 'live/2025-01/concurrent/draw.json' };
+    // Another draw lands on the branch while this one is publishing
+    repo.beforeRefUpdate = () => repo.push(indexPath, JSON.stringify({ draws: [earlier, concurrent] }));
+
+    const data = await publishedDraw(
+      { id: 'gh-1', name: 'GitHub Draw', mode: 'live', prizes: [{ tier: 'Grand Prize', quantity: 1 }] },
+      [{ entryCode: 'G-1', gamertag: '<b>|bold|</b>' }, { entryCode: 'G-2' }]
+    );
+    const storage = data.publication;
+    const github = storage.backends.github;
+    const directory = storage.filePath.replace(/\/draw\.json$/, '');
+
+    expect(github.published).toBe(true);
+    expect(repo.refUpdates).toBe(2);
+    expect(github.commitSha).toBe(repo.head);
+    expect(repo.commits.get(repo.head).parents).toHaveLength(1);
+    expect(github.files).toEqual([storage.filePath, `${directory}/ranking.csv`, `${directory}/README.md`, indexPath]);
+    expect(directory).toMatch(new RegExp(`^live/\\d{4}-\\d{2}/github-draw-\\d{4}-\\d{2}-\\d{2}-\\d{6}-${data.draw.drawId}$`));
+
+    expect(JSON.parse(repo.read(storage.filePath)).bundleHash).toBe(data.audit.bundleHash);
+    expect(repo.read(`${directory}/ranking.csv`).split('\r\n')[0]).toMatch(/^rank,entryCode,/);
+    const summary = repo.read(`${directory}/README.md`);
+    expect(summary).toContain(data.audit.bundleHash);
+    expect(summary).not.toContain('<b>');
+
+    const index = JSON.parse(repo.read(indexPath));
+    expect(index.draws.map(draw => draw.competitionId)).toEqual(['earlier', 'concurrent', 'gh-1']);
+    expect(repo.read('index.json')).toBe('{"draws": []}');
+    expect(index.draws[2]).toMatchObject({ path: storage.filePath, bundleHash: data.audit.bundleHash, winner: data.draw.winner.entryCode });
+
+    expect(repo.releases).toHaveLength(1);
+    expect(repo.releases[0].target_commitish).toBe(repo.head);
+    expect(repo.releases[0].body).toContain(`/blob/${repo.head}/${storage.filePath}`);
+    expect(github.releaseTag).toBe(`draw-${directory.split('/').pop()}`);
+    expect(github.releaseTag).toBe(repo.releases[0].tag_name);
+  });
+
+  it('leaves the branch untouched when the index cannot be read', async () => {
+    const indexPath = monthIndexPath('test');
+    const repo = mockGitHubRepo({ [indexPath]: 'not json' });
+    const head = repo.head;
+
+    const data = await publishedDraw({ id: 'gh-2', name: 'Broken Index', mode: 'test' }, [{ entryCode: 'H-1' }]);
+
+    expect(data.success).toBe(true);
+    expect(data.publication.backends.github).toEqual({
+      published: false,
+      error: `${indexPath} in the history repository is not valid JSON`,
+      retryable: false,
+      attempt: 1
+    });
+    expect(repo.head).toBe(head);
+    expect(repo.releases).toHaveLength(0);
+  });
+});
+
+describe('VaultPlay Draw Worker - Publish Queue', () => {
+  const queueEnv = {
+    ...env,
+    AUDIT_STORAGE: 'kv,s3',
+    S3_ENDPOINT: 'https://s3.test',
+    S3_BUCKET: 'audit-bundles',
+    S3_ACCESS_KEY_ID: 'test-access-key',
+    S3_SECRET_ACCESS_KEY: 'test-secret-key'
+  };
+
+  beforeAll(() => {
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+  });
+
+  afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+  function mockS3(status) {
+    fetchMock.get('https://s3.test').intercept({ method: 'PUT', path: /^\/audit-bundles\// }).reply(status, '');
+  }
+
+  async function call(path, init = {}) {
+    const request = new Request(`http://example.com${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION, ...init.headers }
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, queueEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  async function queuedDraw() {
+    mockS3(403);
+    const response = await call('/startdraw', {
+      method: 'POST',
+      body: JSON.stringify({
+        randomness: '8'.repeat(64),
+        entries: [{ entryCode: 'Q-1' }, { entryCode: 'Q-2' }],
+        competition: { id: 'queue-1', name: 'Queue Draw', mode: 'test' }
+      })
+    });
+    return (await response.json()).draw.drawId;
+  }
+
+  it('keeps failed publications queued until a forced retry publishes them', async () => {
+    const drawId = await queuedDraw();
+
+    const pending = await (await call('/publications')).json();
+    expect(pending.publications).toEqual([expect.objectContaining({ drawId, status: 'pending', competitionId: 'queue-1', attempts: 1 })]);
+    expect((await call('/publications', { headers: { 'Authorization': 'Bearer wrong-key' } })).status).toBe(401);
+
+    mockS3(200);
+    const republished = await call(`/republish/${drawId}`, { method: 'POST' });
+    const status = await republished.json();
+
+    expect(republished.status).toBe(200);
+    expect(status).toMatchObject({ drawId, status: 'published', attempts: 2, lastError: null, nextAttemptAt: null });
+    // The KV copy from the first attempt is not written again
+    expect(status.backends.kv).toMatchObject({ published: true, attempt: 1 });
+    expect(status.backends.s3).toMatchObject({ published: true, attempt: 2 });
+    expect(status.bundle).toBeUndefined();
+
+    expect((await (await call('/publications')).json()).publications).toEqual([]);
+    expect((await call(`/republish/${drawId}`, { method: 'POST' })).status).toBe(409);
+  });
+
+  it('retries due publications from the scheduled handler', async () => {
+    const drawId = await queuedDraw();
+    const { nextAttemptAt } = await getPublication(drawId, queueEnv);
+
+    async function runSchedule(scheduledTime) {
+      const ctx = createExecutionContext();
+      await worker.scheduled({ scheduledTime, cron: '*/5 * * * *' }, queueEnv, ctx);
+      await waitOnExecutionContext(ctx);
+    }
+
+    // Not yet due: nothing is retried
+    await runSchedule(Date.parse(nextAttemptAt) - 1000);
+    expect((await getPublication(drawId, queueEnv)).attempts).toBe(1);
+
+    mockS3(200);
+    await runSchedule(Date.parse(nextAttemptAt));
+    expect(await getPublication(drawId, queueEnv)).toMatchObject({ status: 'published', attempts: 2 });
+  });
+});
+
+describe('VaultPlay Draw Worker - Draw History', () => {
+  const historyEnv = { ...env, AUDIT_STORAGE: 'kv' };
+
+  async function call(path, init = {}) {
+    const request = new Request(`http://example.com${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION, ...init.headers }
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, historyEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  async function draw(competition) {
+    const response = await call('/startdraw', {
+      method: 'POST',
+      body: JSON.stringify({
+        randomness: '9'.repeat(64),
+        entries: [{ entryCode: 'H-1' }, { entryCode: 'H-2' }, { entryCode: 'H-3' }],
+        ...(competition && { competition })
+      })
+    });
+    return (await response.json()).draw;
+  }
+
+  it('looks up a draw and lists every draw of a competition', async () => {
+    const first = await draw({ id: 'history/1', name: 'History Draw', mode: 'test' });
+    const second = await draw({ id: 'history/1', name: 'History Draw', mode: 'live' });
+    await draw({ id: 'history/2', name: 'Other Draw', mode: 'live' });
+
+    const lookup = await call(`/draws/${first.drawId}`);
+    const stored = await lookup.json();
+    expect(lookup.status).toBe(200);
+    expect(stored).toMatchObject({
+      drawId: first.drawId,
+      mode: 'test',
+      competitionId: 'history/1',
+      totalEntries: 3,
+      winnerEntryCode: first.winner.entryCode
+    });
+    expect(stored.bundle.draw.drawId).toBe(first.drawId);
+    expect(stored.publication).toMatchObject({ drawId: first.drawId, status: 'published' });
+
+    const listed = await (await call(`/competitions/${encodeURIComponent('history/1')}/draws`)).json();
+    expect(listed.competitionId).toBe('history/1');
+    expect(listed.draws.map(d => d.drawId).sort()).toEqual([first.drawId, second.drawId].sort());
+    expect(listed.draws.map(d => d.mode).sort()).toEqual(['live', 'test']);
+    expect(listed.draws[0].bundle).toBeUndefined();
+
+    expect((await call(`/draws/${crypto.randomUUID()}`)).status).toBe(404);
+    expect((await call('/draws/not-a-draw')).status).toBe(400);
+    expect((await call(`/draws/${first.drawId}`, { headers: { 'Authorization': 'Bearer wrong-key' } })).status).toBe(401);
+  });
+
+  it('keeps bundles out of the draw and publication records', async () => {
+    const { drawId } = await draw({ id: 'history-blobs', name: 'Blob Draw', mode: 'test' });
+
+    const record = await env.DRAW_STORE.get(`draw:${drawId}`, 'json');
+    expect(record.bundle).toBeUndefined();
+    expect(record.bundleBlob).toMatchObject({ key: `draw-bundle:${drawId}`, chunks: 1 });
+    expect((await (await call(`/draws/${drawId}`)).json()).bundle.draw.drawId).toBe(drawId);
+
+    const publication = await env.DRAW_STORE.get(`publication:${drawId}`, 'json');
+    expect(publication.status).toBe('published');
+    expect(publication.bundle).toBeUndefined();
+    expect((await env.DRAW_STORE.list({ prefix: `blob:publication:${drawId}:` })).keys).toHaveLength(0);
+
+    const text = 'é'.repeat(8 * 1024 * 1024) + 'tail';
+    const pointer = await putBlob('history-test', text, env);
+    expect(pointer).toEqual({ key: 'history-test', chunks: 2, length: text.length });
+    expect(await getBlob(pointer, env)).toBe(text);
+  });
+
+  it('pages through draws by time range and mode', async () => {
+    const from = new Date(Date.now() - 1000).toISOString();
+    const live = await draw({ id: 'history-range', name: 'Range Draw', mode: 'live' });
+    const unnamed = await draw(null);
+    const to = new Date(Date.now() + 1000).toISOString();
+
+    const all = await (await call(`/draws?from=${from}&to=${to}`)).json();
+    expect(all.draws.map(d => d.drawId)).toEqual(expect.arrayContaining([live.drawId, unnamed.drawId]));
+    expect(all.draws.find(d => d.drawId === unnamed.drawId)).toMatchObject({ mode: 'unspecified', competitionId: null });
+
+    const liveOnly = await (await call(`/draws?from=${from}&to=${to}&mode=live`)).json();
+    expect(liveOnly.draws.every(d => d.mode === 'live')).toBe(true);
+    expect(liveOnly.draws.map(d => d.drawId)).toContain(live.drawId);
+
+    expect((await (await call('/draws?to=2000-01-01')).json()).draws).toEqual([]);
+
+    const firstPage = await (await call('/draws?limit=1')).json();
+    expect(firstPage.draws).toHaveLength(1);
+    expect(firstPage.cursor).toEqual(expect.any(String));
+    const secondPage = await (await call(`/draws?limit=1&cursor=${encodeURIComponent(firstPage.cursor)}`)).json();
+    expect(secondPage.draws[0].drawId).not.toBe(firstPage.draws[0].drawId);
+
+    expect((await call('/draws?from=yesterday')).status).toBe(400);
+    expect((await call(`/draws?from=${to}&to=${from}`)).status).toBe(400);
+    expect((await call('/draws?mode=staging')).status).toBe(400);
+    expect((await call('/draws', { method: 'POST' })).status).toBe(405);
+  });
+});
+
+describe('VaultPlay Draw Worker - Bundle Signing', () => {
+  const OLD_KEY = '07'.repeat(32);
+  const NEW_KEY = '08'.repeat(32);
+  const oldKeyEnv = { ...env, BUNDLE_SIGNING_KEY: OLD_KEY, BUNDLE_SIGNING_KEY_ID: 'key-2025-01' };
+
+  async function call(path, testEnv, init = {}) {
+    const request = new Request(`http://example.com${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION }
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, testEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  async function signedDraw(testEnv) {
+    const response = await call('/startdraw', testEnv, {
+      method: 'POST',
+      body: JSON.stringify({ randomness: 'ab'.repeat(32), entries: [{ entryCode: 'S-1' }, { entryCode: 'S-2' }] })
+    });
+    return (await response.json()).audit;
+  }
+
+  async function verify(bundle, bundleHash, testEnv) {
+    return (await call('/verify', testEnv, { method: 'POST', body: JSON.stringify({ bundle, bundleHash }) })).json();
+  }
+
+  it('signs bundles and reports forged bundles as unauthenticated', async () => {
+    const { bundle, bundleHash } = await signedDraw(oldKeyEnv);
+
+    expect(bundle.signature).toEqual({ algorithm: 'Ed25519', keyId: 'key-2025-01', value: expect.stringMatching(/^[0-9a-f]{128}$/) });
+    const message = new TextEncoder().encode(`vaultplay-audit-bundle:${bundleHash}`);
+    expect(ed25519.verify(bundle.signature.value, message, ed25519.getPublicKey(OLD_KEY))).toBe(true);
+
+    const report = await verify(bundle, bundleHash, oldKeyEnv);
+    expect(report).toMatchObject({ verified: true, authenticated: true });
+    expect(report.checks.signature).toEqual({ passed: true, keyId: 'key-2025-01' });
+
+    // A forged bundle with a recomputed hash is still internally consistent, but its signature fails
+    const forged = { ...bundle, competition: { id: 'forged', name: 'Forged', mode: 'live' } };
+    const { signature, ...forgedContent } = forged;
+    const forgedHash = await sha256Hex(canonicalize(forgedContent));
+    const forgedReport = await verify(forged, forgedHash, oldKeyEnv);
+    expect(forgedReport.checks.bundleHash.passed).toBe(true);
+    expect(forgedReport.checks.signature).toMatchObject({ passed: false, reason: 'Signature does not match the bundle hash' });
+    expect(forgedReport).toMatchObject({ verified: false, authenticated: false });
+
+    // Without any configured key the check is skipped, not passed
+    const unkeyedReport = await verify(bundle, bundleHash, env);
+    expect(unkeyedReport).toMatchObject({ verified: true, authenticated: false });
+    expect(unkeyedReport.checks.signature.skipped).toBe(true);
+  });
+
+  it('publishes every key and keeps retired keys verifying earlier bundles', async () => {
+    const { bundle, bundleHash } = await signedDraw(oldKeyEnv);
+    const oldPublicKey = ed25519.getPublicKey(OLD_KEY);
+    const oldPublicKeyHex = Array.from(oldPublicKey).map(b => b.toString(16).padStart(2, '0')).join('');
+
+    const rotatedEnv = {
+      ...env,
+      BUNDLE_SIGNING_KEY: NEW_KEY,
+      BUNDLE_SIGNING_KEY_ID: 'key-2025-02',
+      BUNDLE_PUBLIC_KEYS: JSON.stringify([{ keyId: 'key-2025-01', publicKey: oldPublicKeyHex, retiredAt: new Date(Date.now() + 1000).toISOString() }])
+    };
+
+    const keysResponse = await call('/.well-known/vaultplay-keys.json', rotatedEnv);
+    const keySet = await keysResponse.json();
+    expect(keysResponse.status).toBe(200);
+    expect(keysResponse.headers.get('Cache-Control')).toContain('public');
+    expect(keySet.keys).toEqual([
+      expect.objectContaining({ keyId: 'key-2025-02', algorithm: 'Ed25519', status: 'active', retiredAt: null }),
+      expect.objectContaining({ keyId: 'key-2025-01', publicKey: oldPublicKeyHex, status: 'retired' })
+    ]);
+
+    // Bundles drawn before the rotation still verify; new bundles carry the new key ID
+    expect((await verify(bundle, bundleHash, rotatedEnv)).authenticated).toBe(true);
+    expect((await signedDraw(rotatedEnv)).bundle.signature.keyId).toBe('key-2025-02');
+
+    // A key retired before the draw does not vouch for it
+    const retiredEarlyEnv = {
+      ...rotatedEnv,
+      BUNDLE_PUBLIC_KEYS: JSON.stringify([{ keyId: 'key-2025-01', publicKey: oldPublicKeyHex, retiredAt: '2020-01-01T00:00:00Z' }])
+    };
+    expect((await verify(bundle, bundleHash, retiredEarlyEnv)).checks.signature).toMatchObject({ passed: false, keyId: 'key-2025-01' });
+
+    // A key that was never published does not verify anything
+    const unknownReport = await verify(bundle, bundleHash, { ...env, BUNDLE_SIGNING_KEY: NEW_KEY, BUNDLE_SIGNING_KEY_ID: 'key-2025-02' });
+    expect(unknownReport.checks.signature).toMatchObject({ passed: false, reason: "Unknown signing key 'key-2025-01'" });
+  });
+});
+
+// Stand-in drand chain signed with a throwaway key
+const CHAIN_SECRET_KEY = new Uint8Array(32).fill(0x11);
+const OTHER_SECRET_KEY = new Uint8Array(32).fill(0x22);
+const DST = 'BLS_SIG_BLS12381G2_XMD:SHA-256_SSWU_RO_NUL_';
+const drandEnv = {
+  ...env,
+  DRAND_API_URL: 'https://drand.test',
+  DRAND_CHAIN_HASH: 'ab'.repeat(32),
+  DRAND_PUBLIC_KEY: bls12_381.longSignatures.getPublicKey(CHAIN_SECRET_KEY).toHex(true)
+};
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+}
+
+async function makeBeacon(round, secretKey = CHAIN_SECRET_KEY) {
+  const previousSignature = 'cd'.repeat(96);
+  const roundBytes = new Uint8Array(8);
+  new DataView(roundBytes.buffer).setBigUint64(0, BigInt(round));
+  const message = new Uint8Array(await crypto.subtle.digest('SHA-256', new Uint8Array([...hexToBytes(previousSignature), ...roundBytes])));
+  const sigs = bls12_381.longSignatures;
+  const signature = sigs.sign(sigs.hash(message, DST), secretKey).toHex(true);
+  const randomness = Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', hexToBytes(signature))))
+    .map(b => b.toString(16).padStart(2, '0')).join('');
+  return { round, randomness, signature, previous_signature: previousSignature };
+}
+
+describe('VaultPlay Draw Worker - Draw Core Module', () => {
+  async function drawBundle() {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({
+        randomness: '7'.repeat(64),
+        competition: { id: 'core-test', name: 'Core Test', mode: 'test' },
+        entries: [
+          { entryCode: 'A', weight: 3 },
+          { entryCode: 'B' },
+          { entryCode: 'C', weight: 2 }
+        ]
+      })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return (await response.json()).audit;
+  }
+
+  it('verifies a worker-produced bundle without the worker', async () => {
+    const { bundle, bundleHash } = await drawBundle();
+    expect(bundle.verification.algorithm).toBe(ALGORITHM.VERSION);
+
+    const report = await verifyAuditBundle(bundle, bundleHash, {});
+    expect(report.verified).toBe(true);
+    expect(report.checks.bundleHash.passed).toBe(true);
+
+    const tampered = structuredClone(bundle);
+    tampered.results.fullRanking[0].weight = 1000;
+    const tamperedReport = await verifyAuditBundle(tampered, bundleHash, {});
+    expect(tamperedReport.verified).toBe(false);
+    expect(tamperedReport.checks.bundleHash.passed).toBe(false);
+  });
+
+  it('reproduces the worker ranking from the seed', async () => {
+    const { bundle } = await drawBundle();
+    const entries = bundle.results.fullRanking.map(({ entryCode, weight, status }) => ({ entryCode, weight, status }));
+    const ranked = rankEntriesByScore(await calculateEntryScores(bundle.results.seed, entries));
+    expect(ranked.map(entry => entry.entryCode)).toEqual(bundle.results.fullRanking.map(entry => entry.entryCode));
+  });
+});
+
+describe('VaultPlay Draw Worker - Algorithm Versions', () => {
+  const V13 = 'VaultPlay Draw v1.3';
+
+  async function post(path, body) {
+    const request = new Request(`http://example.com${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify(body)
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('draws with a pinned version and verifies the bundle with that version', async () => {
+    const body = {
+      randomness: '8'.repeat(64),
+      algorithmVersion: V13,
+      competition: { id: 'pinned-test', name: 'Pinned Test', mode: 'test' },
+      entries: [{ entryCode: 'A' }, { entryCode: 'B' }, { entryCode: 'C' }]
+    };
+    const response = await post('/startdraw', body);
+    expect(response.status).toBe(200);
+    const { audit } = await response.json();
+    expect(audit.bundle.verification.algorithm).toBe(V13);
+    expect(audit.bundle.verification.ranking).toContain('localeCompare');
+    expect(audit.bundle.draw.workerVersion).toBe(ALGORITHM.VERSION);
+
+    const verified = await post('/verify', { bundle: audit.bundle, bundleHash: audit.bundleHash });
+    const report = await verified.json();
+    expect(report.verified).toBe(true);
+    expect(report.checks.algorithm).toMatchObject({ passed: true, actual: V13, replayedWith: V13 });
+
+    // Weighted entries need v1.4; unknown versions are rejected
+    const weighted = await post('/startdraw', { ...body, entries: [{ entryCode: 'A', weight: 2 }, { entryCode: 'B' }] });
+    expect(weighted.status).toBe(400);
+    expect((await weighted.json()).message).toContain(`not supported by ${V13}`);
+    const unknown = await post('/startdraw', { ...body, algorithmVersion: 'VaultPlay Draw v9.9' });
+    expect(unknown.status).toBe(400);
+    expect((await unknown.json()).message).toContain(V13);
+  });
+
+  it('replays a bundle published by the v1.3 worker', async () => {
+    // Bundle in the shape the v1.3 worker published: no weights, prizes or Merkle root
+    const randomness = '9'.repeat(64);
+    const seed = await sha256Hex(randomness);
+    const scored = await Promise.all(['VP-001', 'VP-002', 'VP-003'].map(async (entryCode) => {
+      const scoreHex = await sha256Hex(seed + entryCode);
+      return { entryCode, scoreHex, score: BigInt('0x' + scoreHex) };
+    }));
+    scored.sort((a, b) => (a.score > b.score ? -1 : a.score < b.score ? 1 : a.entryCode.localeCompare(b.entryCode)));
+    const fullRanking = scored.map((entry, i) => ({
+      rank: i + 1,
+      entryCode: entry.entryCode,
+      gamertag: null,
+      emailHash: null,
+      entryTimestamp: null,
+      location: null,
+      quiz: null,
+      status: 'qualified',
+      disqualificationReason: null,
+      score: entry.score.toString(),
+      scoreHex: entry.scoreHex
+    }));
+    const checksum = (await sha256Hex(fullRanking.map(r => `${r.rank}:${r.entryCode}:${r.scoreHex}`).join('|'))).substring(0, 16);
+    const bundle = {
+      version: '1.0',
+      competition: { id: 'legacy', name: 'Legacy Draw', mode: 'live' },
+      draw: { timestamp: '2025-10-20T12:00:00.000Z', workerVersion: V13, endpoint: '/startdraw' },
+      randomness: { value: randomness, source: 'drand', round: '5000000', timestamp: null, verificationUrl: null, fetchedByWorker: false },
+      entries: { total: 3, qualified: 3, disqualified: 0, list: fullRanking.map(({ score, scoreHex, ...entry }) => entry) },
+      results: { winner: fullRanking[0], fullRanking, seed, checksum },
+      verification: { algorithm: V13, hashFunction: 'SHA-256', sourceCode: 'https://github.com/vaultplay-dev/vaultplay-draw-worker' }
+    };
+    const bundleHash = await sha256Hex(JSON.stringify(bundle));
+
+    const report = await verifyAuditBundle(bundle, bundleHash, {});
+    expect(report.verified).toBe(true);
+    expect(report.checks.algorithm.replayedWith).toBe(V13);
+    expect(report.checks.bundleHash.passed).toBe(true);
+
+    const unknown = await verifyAuditBundle({ ...bundle, verification: { ...bundle.verification, algorithm: 'VaultPlay Draw v0.1' } }, undefined, {});
+    expect(unknown.verified).toBe(false);
+    expect(unknown.checks.algorithm.supportedVersions).toContain(V13);
+  });
+});
+
+describe('VaultPlay Draw Worker - Canonical JSON', () => {
+  // Independent reference: sort keys recursively, then serialize with JSON.stringify
+  function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+  }
+
+  async function draw(extra = {}) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({
+        randomness: 'cd'.repeat(32),
+        entries: [{ entryCode: 'J-1', location: { region: 'Wales', country: 'United Kingdom' } }, { entryCode: 'J-2' }],
+        ...extra
+      })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return response.json();
+  }
+
+  it('serializes the RFC 8785 test vector byte for byte', () => {
+    const input = JSON.parse('{"numbers":[333333333.33333329,1E30,4.50,2e-3,0.000000000000000000000000001],' +
+      '"string":"\\u20ac$\\u000F\\u000aA\'\\u0042\\u0022\\u005c\\\\\\"\\/","literals":[null,true,false]}');
+    expect(canonicalize(input)).toBe('{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+      '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}');
+    expect(canonicalize({ b: 1n, a: [undefined, -0], c: undefined })).toBe('{"a":[null,0],"b":"1"}');
+    expect(() => canonicalize({ a: NaN })).toThrow(TypeError);
+  });
+
+  it('hashes bundles with canonical JSON and full checksums, and keeps v1.4 draws on the old scheme', async () => {
+    const data = await draw();
+    const { bundle, bundleHash } = data.audit;
+    expect(bundle.verification.canonicalization).toBe('RFC 8785 (JCS)');
+    expect(bundleHash).toBe(await sha256Hex(JSON.stringify(sortKeys(bundle))));
+
+    const checksumInput = data.results.map(r => `${r.rank}:${r.entryCode}:${r.scoreHex}`).join('|');
+    expect(data.metadata.resultsChecksum).toBe(await sha256Hex(checksumInput));
+    expect((await verifyAuditBundle(bundle, bundleHash, {})).verified).toBe(true);
+
+    // Draws pinned to v1.4 keep insertion-order JSON and 16-character checksums
+    const legacy = await draw({ algorithmVersion: 'VaultPlay Draw v1.4' });
+    expect(legacy.audit.bundle.verification.canonicalization).toMatch(/^JSON\.stringify/);
+    expect(legacy.audit.bundleHash).toBe(await sha256Hex(JSON.stringify(legacy.audit.bundle)));
+    expect(legacy.metadata.resultsChecksum).toHaveLength(16);
+    expect((await verifyAuditBundle(legacy.audit.bundle, legacy.audit.bundleHash, {})).verified).toBe(true);
+  });
+});
+
+describe('VaultPlay Draw Worker - Email Hashing', () => {
+  const saltedEnv = { ...env, EMAIL_HASH_SECRET: 'test-email-hash-secret-0123456789abcdef' };
+
+  async function call(path, body, testEnv = saltedEnv) {
+    const request = new Request(`http://example.com${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify(body)
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, testEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  async function drawBundle(competitionId, testEnv = saltedEnv) {
+    const response = await call('/startdraw', {
+      randomness: 'ef'.repeat(32),
+      competition: { id: competitionId, name: 'Email Hash Test', mode: 'test' },
+      entries: [{ entryCode: 'E-1', email: ' Alice@Example.com ' }, { entryCode: 'E-2', email: 'bob@example.com' }]
+    }, testEnv);
+    return (await response.json()).audit.bundle;
+  }
+
+  const hashOf = (bundle, entryCode) => bundle.entries.list.find(e => e.entryCode === entryCode).emailHash;
+
+  it('salts email hashes per competition when EMAIL_HASH_SECRET is set', async () => {
+    const first = await drawBundle('comp-email-1');
+    const second = await drawBundle('comp-email-2');
+
+    expect(first.entries.emailHashScheme).toBe('salted-sha256');
+    expect(first.verification.emailHash).toMatch(/HMAC-SHA256/);
+    expect(hashOf(first, 'E-1')).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashOf(first, 'E-1')).not.toBe(await sha256Hex('alice@example.com'));
+    expect(hashOf(first, 'E-1')).not.toBe(hashOf(second, 'E-1'));
+
+    // Without the secret, hashes stay unsalted
+    const unsalted = await drawBundle('comp-email-1', env);
+    expect(unsalted.entries.emailHashScheme).toBe('sha256');
+    expect(hashOf(unsalted, 'E-1')).toBe(await sha256Hex('alice@example.com'));
+  });
+
+  it('issues ownership proofs that check against the published hash without the secret', async () => {
+    const bundle = await drawBundle('comp-email-1');
+
+    const response = await call('/email-proof', { competitionId: 'comp-email-1', email: 'ALICE@example.com' });
+    expect(response.status).toBe(200);
+    const proof = await response.json();
+    expect(proof.email).toBe('alice@example.com');
+    expect(await sha256Hex(`${proof.salt}:${proof.email}`)).toBe(proof.emailHash);
+    expect(proof.emailHash).toBe(hashOf(bundle, 'E-1'));
+    expect(proof.salt).not.toContain(saltedEnv.EMAIL_HASH_SECRET);
+
+    const unconfigured = await call('/email-proof', { competitionId: 'comp-email-1', email: 'alice@example.com' }, env);
+    expect(unconfigured.status).toBe(503);
+    expect((await call('/email-proof', { competitionId: 'comp-email-1' })).status).toBe(400);
+  });
+});
+
+describe('VaultPlay Draw Worker - Privacy Mode', () => {
+  const privacyEnv = {
+    ...env,
+    AUDIT_STORAGE: 'kv',
+    API_CLIENTS: JSON.stringify({
+      'test-backend': { apiKey: 'test-api-key' },
+      'other-backend': { apiKey: 'other-api-key' }
+    })
+  };
+  const competition = {
+    id: 'comp-private', name: 'Private Draw', mode: 'test', privacyMode: true,
+    prizes: [{ tier: 'Prize', quantity: 2 }], onePrizePerPerson: true
+  };
+
+  async function call(path, body, authorization = TEST_AUTHORIZATION) {
+    const request = new Request(`http://example.com${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': authorization },
+      body: JSON.stringify(body)
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, privacyEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  async function privateDraw() {
+    const response = await call('/startdraw', {
+      randomness: '5a'.repeat(32),
+      competition,
+      entries: [
+        { entryCode: 'P-1', email: 'carol@example.com', gamertag: 'CarolPlays', location: { country: 'Ireland' } },
+        { entryCode: 'P-2', email: 'carol@example.com', gamertag: 'CarolPlays' },
+        { entryCode: 'P-3', email: 'dave@example.com', gamertag: 'DaveGames' }
+      ]
+    });
+    return (await response.json()).audit;
+  }
+
+  it('publishes commitments instead of personal data and opens them from private storage', async () => {
+    const { bundle, bundleHash } = await privateDraw();
+    const published = JSON.stringify(bundle);
+    expect(published).not.toContain('CarolPlays');
+    expect(published).not.toContain('Ireland');
+    expect(bundle.competition.privacyMode).toBe(true);
+
+    const byCode = Object.fromEntries(bundle.entries.list.map(e => [e.entryCode, e]));
+    expect(byCode['P-1'].emailHash).toBeNull();
+    expect(byCode['P-1'].personalDataCommitment).toMatch(/^[0-9a-f]{64}$/);
+    expect(byCode['P-1'].entrantRef).toBe(byCode['P-2'].entrantRef);
+    expect(byCode['P-1'].entrantRef).not.toBe(byCode['P-3'].entrantRef);
+    const winners = bundle.results.prizes.assignments.map(a => byCode[a.entryCode].entrantRef);
+    expect(new Set(winners).size).toBe(winners.length);
+    expect((await verifyAuditBundle(bundle, bundleHash, {})).verified).toBe(true);
+
+    const opened = await (await call(`/draws/${bundle.draw.drawId}/personal-data`, { entryCodes: ['P-1'] })).json();
+    const [record] = opened.entries;
+    expect(record.personalData).toMatchObject({ gamertag: 'CarolPlays', location: { country: 'Ireland' } });
+    expect(await sha256Hex(`${record.salt}:${canonicalize(record.personalData)}`)).toBe(byCode['P-1'].personalDataCommitment);
+
+    const committed = await call('/commit', { competition, entries: [{ entryCode: 'P-1' }], drand: { round: 1 } });
+    expect(committed.status).toBe(400);
+    expect((await committed.json()).message).toMatch(/privacyMode/);
+  });
+
+  it('erases an entrant\'s personal data while the published bundle still verifies', async () => {
+    const { bundle, bundleHash } = await privateDraw();
+    const drawId = bundle.draw.drawId;
+
+    const erasure = await call(`/draws/${drawId}/erasure`, { email: ' Carol@Example.com' });
+    expect(erasure.status).toBe(200);
+    const result = await erasure.json();
+    expect(result.erased.sort()).toEqual(['P-1', 'P-2']);
+
+    const opened = await (await call(`/draws/${drawId}/personal-data`, { entryCodes: ['P-1', 'P-3', 'P-9'] })).json();
+    expect(opened.entries.find(e => e.entryCode === 'P-1')).toEqual({ entryCode: 'P-1', erasedAt: expect.any(String) });
+    expect(opened.entries.find(e => e.entryCode === 'P-3').personalData.gamertag).toBe('DaveGames');
+    expect(opened.notFound).toEqual(['P-9']);
+
+    const repeated = await (await call(`/draws/${drawId}/erasure`, { entryCodes: ['P-1'] })).json();
+    expect(repeated).toMatchObject({ erased: [], alreadyErased: ['P-1'] });
+
+    // Other clients can neither open nor erase the draw's records
+    const foreignOpen = await call(`/draws/${drawId}/personal-data`, { entryCodes: ['P-3'] }, 'Bearer other-api-key');
+    expect(foreignOpen.status).toBe(403);
+    const foreignErasure = await call(`/draws/${drawId}/erasure`, { entryCodes: ['P-3'] }, 'Bearer other-api-key');
+    expect(foreignErasure.status).toBe(403);
+
+    const report = await (await call('/verify', { bundle, bundleHash })).json();
+    expect(report.verified).toBe(true);
+  });
+});
+
+describe('VaultPlay Draw Worker - Winner Redraws', () => {
+  const redrawEnv = {
+    ...env,
+    AUDIT_STORAGE: 'kv',
+    API_CLIENTS: JSON.stringify({
+      'test-backend': { apiKey: 'test-api-key' },
+      'other-backend': { apiKey: 'other-api-key' }
+    })
+  };
+  const competition = {
+    id: 'comp-redraw', name: 'Redraw Draw', mode: 'test',
+    prizes: [{ tier: 'Grand', quantity: 1 }], reserves: 2
+  };
+
+  async function call(path, body, method = 'POST', authorization = TEST_AUTHORIZATION) {
+    const request = new Request(`http://example.com${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'Authorization': authorization },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, redrawEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  async function drawWithReserves() {
+    const response = await call('/startdraw', {
+      randomness: '6b'.repeat(32),
+      competition,
+      entries: ['R-1', 'R-2', 'R-3', 'R-4', 'R-5'].map(entryCode => ({ entryCode }))
+    });
+    return response.json();
+  }
+
+  it('publishes declared reserves in rank order after the prize winners', async () => {
+    const data = await drawWithReserves();
+    const { bundle, bundleHash } = data.audit;
+    const ranking = bundle.results.fullRanking;
+
+    expect(bundle.competition.reserves).toBe(2);
+    expect(data.reserves.map(r => r.entryCode)).toEqual([ranking[1].entryCode, ranking[2].entryCode]);
+    expect(bundle.results.reserves.map(r => r.position)).toEqual([1, 2]);
+
+    const report = await verifyAuditBundle(bundle, bundleHash, {});
+    expect(report.verified).toBe(true);
+    expect(report.checks.reserves.passed).toBe(true);
+
+    const swapped = structuredClone(bundle);
+    swapped.results.reserves.reverse();
+    expect((await verifyAuditBundle(swapped, null, {})).checks.reserves.passed).toBe(false);
+  });
+
+  it('forfeits a winner to the next reserve with an amendment that verifies against the draw', async () => {
+    const { audit } = await drawWithReserves();
+    const drawId = audit.bundle.draw.drawId;
+    const [winner, reserve1, reserve2] = audit.bundle.results.fullRanking;
+
+    const first = await call(`/draws/${drawId}/redraw`, { entryCode: winner.entryCode, reason: 'Prize not claimed within 14 days' });
+    expect(first.status).toBe(200);
+    const { amendment, storage } = await first.json();
+    expect(amendment.amends).toMatchObject({ drawId, bundleHash: audit.bundleHash });
+    expect(amendment.forfeiture).toMatchObject({ tier: 'Grand', entryCode: winner.entryCode });
+    expect(amendment.promotion).toMatchObject({ tier: 'Grand', entryCode: reserve1.entryCode, alternate: 1, declaredReserve: true });
+    expect(storage.filePath).toMatch(/\/amendment-1\.json$/);
+    expect(storage.filePath.replace(/amendment-1\.json$/, 'draw.json')).toBe(audit.storage.filePath);
+
+    const publishedDraw = await env.AUDIT_STORE.get(audit.storage.filePath, 'json');
+    expect(publishedDraw.draw.drawId).toBe(drawId);
+    expect(publishedDraw.bundleHash).toBe(audit.bundleHash);
+    const publishedAmendment = await env.AUDIT_STORE.get(storage.filePath, 'json');
+    expect(publishedAmendment.amendment.amendmentId).toBe(amendment.amendment.amendmentId);
+
+    const repeated = await call(`/draws/${drawId}/redraw`, { entryCode: winner.entryCode, reason: 'Again' });
+    expect(repeated.status).toBe(409);
+
+    const second = await (await call(`/draws/${drawId}/redraw`, { entryCode: reserve1.entryCode, reason: 'Ineligible' })).json();
+    expect(second.amendment.promotion.entryCode).toBe(reserve2.entryCode);
+    expect(second.amendment.amendment.previousAmendmentHash).toBe(amendment.bundleHash);
+
+    const history = await (await call(`/draws/${drawId}`, undefined, 'GET')).json();
+    expect(history.amendments).toHaveLength(2);
+    expect(history.currentWinners.map(w => w.entryCode)).toEqual([reserve2.entryCode]);
+
+    const report = await (await call('/verify', { bundle: audit.bundle, amendments: history.amendments })).json();
+    expect(report.verified).toBe(true);
+    expect(report.amendments.verified).toBe(true);
+
+    const tampered = structuredClone(history.amendments);
+    tampered[1].promotion.entryCode = winner.entryCode;
+    const tamperedReport = await (await call('/verify', { bundle: audit.bundle, amendments: tampered })).json();
+    expect(tamperedReport.amendments.amendments[1].checks.promotion.passed).toBe(false);
+  });
+
+  it('lets only the client that made the draw redraw it', async () => {
+    const { audit } = await drawWithReserves();
+    const drawId = audit.bundle.draw.drawId;
+    const winner = audit.bundle.results.winner;
+
+    const response = await call(`/draws/${drawId}/redraw`, { entryCode: winner.entryCode, reason: 'Not mine' }, 'POST', 'Bearer other-api-key');
+
+    expect(response.status).toBe(403);
+    expect((await (await call(`/draws/${drawId}`, undefined, 'GET')).json()).amendments).toHaveLength(0);
+  });
+
+  it('stores only one of two concurrent redraws of a draw', async () => {
+    const { audit } = await drawWithReserves();
+    const drawId = audit.bundle.draw.drawId;
+    const winner = audit.bundle.results.winner;
+
+    const responses = await Promise.all(['First', 'Second'].map(reason =>
+      call(`/draws/${drawId}/redraw`, { entryCode: winner.entryCode, reason })
+    ));
+
+    expect(responses.map(r => r.status).sort()).toEqual([200, 409]);
+    const history = await (await call(`/draws/${drawId}`, undefined, 'GET')).json();
+    expect(history.amendments).toHaveLength(1);
+    expect(history.clientId).toBe('test-backend');
+  });
+});
+
+describe('VaultPlay Draw Worker - Rate Limiting', () => {
+  // Separate client so other tests' draws do not count against these budgets
+  function limitedEnv(limits) {
+    return {
+      ...env,
+      AUDIT_STORAGE: 'kv',
+      API_CLIENTS: JSON.stringify({ 'rate-limited': { apiKey: 'rate-limited-key' } }),
+      RATE_LIMITS: JSON.stringify({ windowSeconds: 86400, ...limits })
+    };
+  }
+
+  async function draw(testEnv, competition, ip = '203.0.113.1', headers = {}) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer rate-limited-key', 'CF-Connecting-IP': ip, ...headers },
+      body: JSON.stringify({ randomness: 'c3'.repeat(32), competition, entries: [{ entryCode: 'L-1' }, { entryCode: 'L-2' }] })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, testEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  it('limits each client with separate live and test budgets', async () => {
+    const testEnv = limitedEnv({ live: { client: 2, ip: 0 }, test: { client: 5, ip: 0 } });
+    const live = n => ({ id: `rate-live-${n}`, name: 'Rate Limited Live', mode: 'live' });
+
+    const first = await draw(testEnv, live(1));
+    expect(first.status).toBe(200);
+    expect(first.headers.get('RateLimit-Limit')).toBe('2');
+    expect(first.headers.get('RateLimit-Remaining')).toBe('1');
+    expect(first.headers.get('RateLimit-Policy')).toBe('2;w=86400');
+    expect((await draw(testEnv, live(2))).headers.get('RateLimit-Remaining')).toBe('0');
+
+    const refused = await draw(testEnv, live(3));
+    expect(refused.status).toBe(429);
+    expect(Number(refused.headers.get('Retry-After'))).toBeGreaterThan(0);
+    const body = await refused.json();
+    expect(body.error).toBe(true);
+    expect(body.message).toMatch(/2 live draws per 86400 seconds for this client/);
+
+    const testDraw = await draw(testEnv, { id: 'rate-test', name: 'Rate Limited Test', mode: 'test' });
+    expect(testDraw.status).toBe(200);
+    expect(testDraw.headers.get('RateLimit-Remaining')).toBe('4');
+  });
+
+  it('limits each IP address across clients', async () => {
+    const testEnv = limitedEnv({ live: { client: 0, ip: 0 }, test: { client: 0, ip: 1 } });
+
+    expect((await draw(testEnv, undefined, '198.51.100.7')).status).toBe(200);
+    const refused = await draw(testEnv, undefined, '198.51.100.7');
+    expect(refused.status).toBe(429);
+    expect((await refused.json()).message).toMatch(/this IP address/);
+    expect((await draw(testEnv, undefined, '198.51.100.8')).status).toBe(200);
+
+    const unlimited = await draw(limitedEnv({ live: { client: 0, ip: 0 }, test: { client: 0, ip: 0 } }), undefined, '198.51.100.7');
+    expect(unlimited.status).toBe(200);
+    expect(unlimited.headers.get('RateLimit-Limit')).toBeNull();
+  });
+
+  it('does not count idempotent replays against the budget', async () => {
+    const testEnv = limitedEnv({ live: { client: 0, ip: 0 }, test: { client: 1, ip: 0 } });
+    const retry = { 'Idempotency-Key': 'rate-replay-1' };
+
+    expect((await draw(testEnv, undefined, '192.0.2.10', retry)).status).toBe(200);
+    const replayed = await draw(testEnv, undefined, '192.0.2.10', retry);
+    expect(replayed.status).toBe(200);
+    expect(replayed.headers.get('Idempotent-Replayed')).toBe('true');
+
+    // A refused draw releases its key, so it can be retried once the window resets
+    const refused = await draw(testEnv, undefined, '192.0.2.10', { 'Idempotency-Key': 'rate-replay-2' });
+    expect(refused.status).toBe(429);
+    expect(await env.DRAW_STORE.get('idempotency:key:rate-limited:rate-replay-2')).toBeNull();
+  });
+
+  it('replays a streamed draw before counting it against the budget', async () => {
+    const testEnv = limitedEnv({ live: { client: 0, ip: 0 }, test: { client: 1, ip: 0 } });
+    const body = '{"entryCode":"L-1"}\n{"entryCode":"L-2"}\n';
+    const streamDraw = async () => {
+      const request = new Request('http://example.com/startdraw', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-ndjson',
+          'Authorization': 'Bearer rate-limited-key',
+          'CF-Connecting-IP': '192.0.2.20',
+          'X-Draw-Options': JSON.stringify({ randomness: 'c3'.repeat(32) }),
+          'X-VaultPlay-Content-SHA256': await sha256Hex(body),
+          'Idempotency-Key': 'rate-stream-1'
+        },
+        body
+      });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, testEnv, ctx);
+      await waitOnExecutionContext(ctx);
+      return response;
+    };
+
+    expect((await streamDraw()).status).toBe(200);
+    const replayed = await streamDraw();
+    expect(replayed.status).toBe(200);
+    expect(replayed.headers.get('Idempotent-Replayed')).toBe('true');
+  });
+});
+
+describe('VaultPlay Draw Worker - drand Verification', () => {
+  function mockLatest(beacon) {
+    fetchMock
+      .get('https://drand.test')
+      .intercept({ path: `/${'ab'.repeat(32)}/public/latest` })
+      .reply(200, JSON.stringify(beacon));
+  }
+
+  async function autoFetchDraw(randomnessSource = { autoFetch: true, provider: 'drand' }) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({
+        entries: [{ entryCode: 'D-1' }, { entryCode: 'D-2' }],
+        randomnessSource
+      })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, drandEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  beforeAll(() => {
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+  });
+
+  afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+  it('records a verified beacon in the audit bundle', async () => {
+    const beacon = await makeBeacon(1000);
+    mockLatest(beacon);
+
+    const response = await autoFetchDraw();
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    const randomness = data.audit.bundle.randomness;
+    expect(randomness.value).toBe(beacon.randomness);
+    expect(randomness.round).toBe(1000);
+    expect(randomness.beacon.signature).toBe(beacon.signature);
+    expect(randomness.beacon.chainHash).toBe(drandEnv.DRAND_CHAIN_HASH);
+    expect(randomness.beacon.verification.verified).toBe(true);
+
+    const verifyRequest = new Request('http://example.com/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ bundle: data.audit.bundle, bundleHash: data.audit.bundleHash })
+    });
+    const ctx = createExecutionContext();
+    const report = await (await worker.fetch(verifyRequest, drandEnv, ctx)).json();
+    await waitOnExecutionContext(ctx);
+    expect(report.checks.randomnessBeacon.passed).toBe(true);
+  });
+
+  it('rejects randomness that is not the hash of the signature', async () => {
+    const beacon = await makeBeacon(1001);
+    mockLatest({ ...beacon, randomness: '0'.repeat(64) });
+
+    const response = await autoFetchDraw();
+
+    expect(response.status).toBe(502);
+    const data = await response.json();
+    expect(data.message).toMatch(/verification/i);
+  });
+
+  it('rejects a round signed by a key other than the chain key', async () => {
+    mockLatest(await makeBeacon(1002, OTHER_SECRET_KEY));
+
+    const response = await autoFetchDraw();
+
+    expect(response.status).toBe(502);
+    const data = await response.json();
+    expect(data.message).toMatch(/BLS signature/);
+  });
+
+  it('does not let a client choose which past round is fetched', async () => {
+    // Only a revealed commitment fixes the round; nothing is fetched for this request
+    const response = await autoFetchDraw({ autoFetch: true, provider: 'drand', committedRound: 900 });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toBe("Field 'randomnessSource.committedRound' is not supported");
+  });
+});
+
+describe('VaultPlay Draw Worker - Randomness Beacons', () => {
+  const beaconEnv = {
+    ...drandEnv,
+    BITCOIN_API_URL: 'https://bitcoin.test/api'
+  };
+  // Bitcoin genesis block (a real header with valid proof of work)
+  const GENESIS_HASH = '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f';
+  const GENESIS_BLOCK = {
+    id: GENESIS_HASH,
+    height: 0,
+    version: 1,
+    timestamp: 1231006505,
+    merkle_root: '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b',
+    previousblockhash: null,
+    nonce: 2083236893,
+    bits: 486604799
+  };
+  function mockBitcoin(block = GENESIS_BLOCK) {
+    const bitcoin = fetchMock.get('https://bitcoin.test');
+    // Tip at height 5, so the block with six confirmations is the genesis block
+    bitcoin.intercept({ path: '/api/blocks/tip/height' }).reply(200, '5');
+    bitcoin.intercept({ path: '/api/block-height/0' }).reply(200, block.id);
+    bitcoin.intercept({ path: `/api/block/${block.id}` }).reply(200, JSON.stringify(block));
+  }
+
+  async function beaconDraw(randomnessSource) {
+    const request = new Request('http://example.com/startdraw', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': TEST_AUTHORIZATION },
+      body: JSON.stringify({ entries: [{ entryCode: 'B-1' }, { entryCode: 'B-2' }], randomnessSource })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, beaconEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  beforeAll(() => {
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+  });
+
+  afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+  it('combines drand and Bitcoin outputs and records each source', async () => {
+    const drand = await makeBeacon(1100);
+    fetchMock.get('https://drand.test').intercept({ path: `/${'ab'.repeat(32)}/public/latest` }).reply(200, JSON.stringify(drand));
+    mockBitcoin();
+
+    const response = await beaconDraw({ autoFetch: true, provider: 'combined', sources: ['drand', 'bitcoin'] });
+
+    expect(response.status).toBe(200);
+    const { audit } = await response.json();
+    const { randomness } = audit.bundle;
+    expect(randomness.sources.map(source => [source.provider, source.round])).toEqual([['drand', 1100], ['bitcoin', 0]]);
+    expect(randomness.sources[1].verificationUrl).toBe(`https://bitcoin.test/api/block/${GENESIS_HASH}`);
+    expect(randomness.sources[1].proof.verification).toMatchObject({ hashMatchesHeader: true, proofOfWorkValid: true });
+    expect(randomness.value).toBe(await sha256Hex(`drand:1100:${drand.randomness}|bitcoin:0:${GENESIS_HASH}`));
+
+    const report = await verifyAuditBundle(audit.bundle, audit.bundleHash, beaconEnv);
+    expect(report.verified).toBe(true);
+    expect(report.checks.randomnessBeacon.sources.map(source => source.passed)).toEqual([true, true]);
+
+    const tampered = structuredClone(audit.bundle);
+    tampered.randomness.sources[1].proof.header.nonce += 1;
+    const tamperedReport = await verifyAuditBundle(tampered, undefined, beaconEnv);
+    expect(tamperedReport.checks.randomnessBeacon.passed).toBe(false);
+  });
+
+  it('rejects a Bitcoin block whose hash does not match its header', async () => {
+    mockBitcoin({ ...GENESIS_BLOCK, nonce: GENESIS_BLOCK.nonce + 1 });
+
+    const response = await beaconDraw({ autoFetch: true, provider: 'bitcoin' });
+
+    expect(response.status).toBe(502);
+    expect((await response.json()).message).toContain('does not match the header');
+
+    const single = await beaconDraw({ autoFetch: true, provider: 'combined', sources: ['bitcoin'] });
+    expect(single.status).toBe(400);
+  });
+
+  it('refuses NIST pulses, whose signatures are not verified', async () => {
+    // Nothing is fetched for either request
+    const nist = await beaconDraw({ autoFetch: true, provider: 'nist' });
+    expect(nist.status).toBe(400);
+    expect((await nist.json()).message).toContain("Provider 'nist' cannot be auto-fetched");
+
+    const combined = await beaconDraw({ autoFetch: true, provider: 'combined', sources: ['drand', 'nist'] });
+    expect(combined.status).toBe(400);
+    expect((await combined.json()).message).toContain("Provider 'nist' cannot be auto-fetched");
+  });
+
+  it('rejects a Bitcoin header with a target easier than mainnet allows', async () => {
+    // Genesis fields re-mined against regtest's target (0x207fffff): the hash matches and meets its own bits
+    mockBitcoin({
+      ...GENESIS_BLOCK,
+      id: '78a007539d547f74482668fa8adf31be6c437796a0d68dbfe4e5169afee99310',
+      bits: 0x207fffff,
+      nonce: 0
+    });
+
+    const response = await beaconDraw({ autoFetch: true, provider: 'bitcoin' });
+
+    expect(response.status).toBe(502);
+    expect((await response.json()).message).toContain('easier than the Bitcoin mainnet maximum');
+  });
+});
+
+describe('VaultPlay Draw Worker - Commit-then-Reveal', () => {
+  // Each test commits for its own competition, as a competition has one open commitment at a time
+  let competition;
+  const entries = [{ entryCode: 'C-1' }, { entryCode: 'C-2' }, { entryCode: 'C-3' }];
+  const commitEnv = {
+    ...drandEnv,
+    AUDIT_STORAGE: 'kv',
+    API_CLIENTS: JSON.stringify({
+      'test-backend': { apiKey: 'test-api-key' },
+      'other-backend': { apiKey: 'other-api-key' }
+    })
+  };
+
+  async function post(path, body, authorization = TEST_AUTHORIZATION) {
+    const request = new Request(`http://example.com${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': authorization },
+      body: JSON.stringify(body)
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, commitEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  function futureRound(roundsAhead = 2) {
+    return Math.floor((Date.now() / 1000 - 1595431050) / 30) + 1 + roundsAhead;
+  }
+
+  async function commitFutureRound(roundsAhead = 2) {
+    const response = await post('/commit', { competition, entries, targetRound: futureRound(roundsAhead) });
+    expect(response.status).toBe(201);
+    return (await response.json()).commitment;
+  }
+
+  beforeEach(() => {
+    competition = { id: `commit-comp-${crypto.randomUUID()}`, name: 'Committed Draw', mode: 'test' };
+  });
+
+  beforeAll(() => {
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    fetchMock.assertNoPendingInterceptors();
+  });
+
+  it('rejects a target round that already exists', async () => {
+    const response = await post('/commit', { competition, entries, targetRound: 1000 });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.message).toMatch(/not in the future/);
+  });
+
+  it('refuses to reveal before the committed round is produced', async () => {
+    const commitment = await commitFutureRound();
+
+    const response = await post('/reveal', { commitmentId: commitment.commitmentId, competition, entries });
+
+    expect(response.status).toBe(425);
+  });
+
+  it('refuses to reveal with a different entry list', async () => {
+    const commitment = await commitFutureRound();
+
+    const response = await post('/reveal', {
+      commitmentId: commitment.commitmentId,
+      competition,
+      entries: [...entries, { entryCode: 'C-4' }]
+    });
+
+    expect(response.status).toBe(409);
+    const data = await response.json();
+    expect(data.message).toMatch(/committed entry list/);
+  });
+
+  it('refuses to reveal with a different prize table', async () => {
+    const prized = { ...competition, prizes: [{ tier: 'Prize', quantity: 1 }] };
+    const response = await post('/commit', { competition: prized, entries, targetRound: futureRound() });
+    expect(response.status).toBe(201);
+    const { commitment } = await response.json();
+
+    const reveal = await post('/reveal', {
+      commitmentId: commitment.commitmentId,
+      competition: { ...prized, prizes: [{ tier: 'Prize', quantity: 2 }] },
+      entries
+    });
+
+    expect(reveal.status).toBe(409);
+    expect((await reveal.json()).message).toMatch(/configuration does not match/);
+  });
+
+  it('draws with exactly the committed round and records the commitment', async () => {
+    const commitment = await commitFutureRound();
+    const targetRound = commitment.drand.targetRound;
+    fetchMock
+      .get('https://drand.test')
+      .intercept({ path: `/${'ab'.repeat(32)}/public/${targetRound}` })
+      .reply(200, JSON.stringify(await makeBeacon(targetRound)));
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(Date.parse(commitment.drand.expectedAt) + 1000));
+
+    const response = await post('/reveal', { commitmentId: commitment.commitmentId, competition, entries });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    const bundle = data.audit.bundle;
+    expect(bundle.randomness.round).toBe(targetRound);
+    expect(bundle.commitment.commitmentId).toBe(commitment.commitmentId);
+    expect(bundle.commitment.entriesHash).toBe(commitment.entriesHash);
+    expect(bundle.draw.endpoint).toBe('/reveal');
+
+    const verifyResponse = await post('/verify', { bundle, bundleHash: data.audit.bundleHash });
+    const report = await verifyResponse.json();
+    expect(report.checks.commitment.passed).toBe(true);
+    expect(report.checks.commitment.configurationMatches).toBe(true);
+    expect(report.verified).toBe(true);
+
+    const tampered = structuredClone(bundle);
+    tampered.competition.reserves = 1;
+    const tamperedReport = await (await post('/verify', { bundle: tampered })).json();
+    expect(tamperedReport.checks.commitment.configurationMatches).toBe(false);
+
+    const again = await post('/reveal', { commitmentId: commitment.commitmentId, competition, entries: [...entries].reverse() });
+    expect(again.status).toBe(409);
+
+    // The revealed commitment no longer blocks the competition
+    vi.useRealTimers();
+    expect((await post('/commit', { competition, entries, targetRound: futureRound() })).status).toBe(201);
+  });
+
+  it('publishes the commitment and allows one open commitment per competition', async () => {
+    const response = await post('/commit', { competition, entries, targetRound: futureRound() });
+    expect(response.status).toBe(201);
+    const { commitment, publication } = await response.json();
+
+    expect(publication.filePath).toMatch(new RegExp(`^test/\\d{4}-\\d{2}/committed-draw-[\\d-]+-${commitment.commitmentId}/commitment\\.json$`));
+    const published = await env.AUDIT_STORE.get(publication.filePath, 'json');
+    expect(published.type).toBe('commitment');
+    expect(published.commitment).toEqual(commitment);
+
+    const second = await post('/commit', { competition, entries, targetRound: futureRound(3) });
+    expect(second.status).toBe(409);
+    expect((await second.json()).message).toContain(commitment.commitmentId);
+  });
+
+  it('expires an unrevealed commitment a day after its round so the competition can commit again', async () => {
+    const commitment = await commitFutureRound();
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(Date.parse(commitment.drand.expectedAt) + 24 * 60 * 60 * 1000 + 1000));
+
+    const reveal = await post('/reveal', { commitmentId: commitment.commitmentId, competition, entries });
+    expect(reveal.status).toBe(410);
+    expect((await reveal.json()).message).toContain('expired unrevealed');
+
+    expect((await post('/commit', { competition, entries, targetRound: futureRound() })).status).toBe(201);
+  });
+
+  it('rejects a reveal from a client other than the one that committed', async () => {
+    const commitment = await commitFutureRound();
+
+    const response = await post('/reveal', { commitmentId: commitment.commitmentId, competition, entries }, 'Bearer other-api-key');
+
+    expect(response.status).toBe(403);
+  });
+});
+
 describe('VaultPlay Draw Worker - Health Check', () => {
   it('responds to health check endpoint', async () => {
     const request = new Request('http://example.com/health', {
@@ -5,6 +5,18 @@ export default defineWorkersConfig({
     poolOptions: {
       workers: {
         wrangler: { configPath: './wrangler.toml' },
+        miniflare: {
+          // Test-only credentials and storage (see test/drawWorker.test.js)
+          bindings: {
+            API_CLIENTS: JSON.stringify({
+              'test-backend': { apiKey: 'test-api-key', hmacSecret: 'test-hmac-secret' }
+            }),
+            // The shared test client is not rate limited (the Rate Limiting tests set their own limits)
+            RATE_LIMITS: JSON.stringify({ live: { client: 0 }, test: { client: 0 } })
+          },
+          kvNamespaces: ['DRAW_STORE', 'AUDIT_STORE'],
+          r2Buckets: ['AUDIT_BUCKET'],
+        },
       },
     },
   },